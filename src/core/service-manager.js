@@ -6,6 +6,8 @@
 const EventEmitter = require('events');
 const path = require('path');
 const fs = require('fs').promises;
+const { getModelInfo, configureModels } = require('../../utils/model-registry');
+const { loadLLMConfig } = require('../../utils/llm-config');
 
 class ServiceManager extends EventEmitter {
   constructor() {
@@ -15,6 +17,12 @@ class ServiceManager extends EventEmitter {
     this.logger = this.createLogger();
     this.isInitialized = false;
     
+    // Limits of models configured in LLM_CONFIG_FILE apply everywhere getModelInfo is used
+    configureModels(this.config.llm.models);
+    for (const error of this.config.llm.errors) {
+      this.logger.warn(`⚠️ LLM config: ${error}`);
+    }
+    
     // Fix max tokens after config is loaded
     if (!process.env.OPENAI_MAX_TOKENS) {
       this.config.openai.maxTokens = this.getDefaultMaxTokens(this.config.openai.model);
@@ -33,7 +41,22 @@ class ServiceManager extends EventEmitter {
         channels: {
           uploads: process.env.DISCORD_YT_SUMMARIES_CHANNEL || 'yt-uploads',
           transcripts: process.env.DISCORD_YT_TRANSCRIPTS_CHANNEL || 'yt-transcripts', 
-          dailyReport: process.env.DISCORD_DAILY_REPORT_CHANNEL || 'daily-report'
+          dailyReport: process.env.DISCORD_DAILY_REPORT_CHANNEL || 'daily-report',
+          admin: process.env.DISCORD_ADMIN_CHANNEL || 'bot-admin'
+        },
+        // Startup scan for links posted while the bot was offline
+        backlog: {
+          enabled: process.env.BACKLOG_SCAN_ENABLED !== 'false',
+          lookbackHours: parseInt(process.env.BACKLOG_LOOKBACK_HOURS) || 24,
+          maxMessages: parseInt(process.env.BACKLOG_MAX_MESSAGES) || 500
+        },
+        // Content up to this length is split over several messages, longer content is attached as a file
+        messages: {
+          attachmentThreshold: parseInt(process.env.MESSAGE_ATTACHMENT_THRESHOLD) || 8000
+        },
+        // Threads opened on source messages by routes in thread mode
+        threads: {
+          autoArchiveMinutes: parseInt(process.env.THREAD_AUTO_ARCHIVE_MINUTES) || 1440
         },
         // Allowed channel patterns for YouTube link processing
         allowedChannelPatterns: process.env.DISCORD_ALLOWED_CHANNELS ? 
@@ -50,9 +73,16 @@ class ServiceManager extends EventEmitter {
           weeklyReportPrompt: process.env.WEEKLY_REPORT_PROMPT_PREFIX || 'yt-weekly-report-prompt-',
           monthlyReportPrompt: process.env.MONTHLY_REPORT_PROMPT_PREFIX || 'yt-monthly-report-prompt-'
         },
+        // Report times in app.timezone; guilds can override these with /schedule
         schedule: {
           dailyReportHour: parseInt(process.env.DAILY_REPORT_HOUR) || 18,
-          dailyReportMinute: parseInt(process.env.DAILY_REPORT_MINUTE) || 0
+          dailyReportMinute: parseInt(process.env.DAILY_REPORT_MINUTE) || 0,
+          weeklyReportDay: 0, // Sunday
+          weeklyReportHour: 19,
+          weeklyReportMinute: 0,
+          monthlyReportDay: '1', // '1', '15' or 'L' (last day)
+          monthlyReportHour: 20,
+          monthlyReportMinute: 0
         }
       },
       openai: {
@@ -61,8 +91,30 @@ class ServiceManager extends EventEmitter {
         // Max tokens will be set after initialization
         maxTokens: parseInt(process.env.OPENAI_MAX_TOKENS) || 4000
       },
+      // Providers and per-model settings (utils/llm-config.js); OPENAI_MODEL may name any of them
+      llm: loadLLMConfig(process.env),
+      // LLM spend caps in USD across all servers (utils/budget.js): admin channels are warned at
+      // warnRatio, and at a cap summaries switch to fallbackModel while comparisons and regenerations pause
+      budget: {
+        dailyLimit: parseFloat(process.env.LLM_DAILY_BUDGET) || null,
+        monthlyLimit: parseFloat(process.env.LLM_MONTHLY_BUDGET) || null,
+        warnRatio: (parseFloat(process.env.LLM_BUDGET_WARN_PERCENT) || 80) / 100,
+        fallbackModel: process.env.LLM_FALLBACK_MODEL || 'gpt-4o-mini'
+      },
       youtube: {
-        apiKey: process.env.YOUTUBE_API_KEY
+        apiKey: process.env.YOUTUBE_API_KEY,
+        playlist: {
+          // Cap on how many videos a single playlist link expands into
+          maxVideos: parseInt(process.env.PLAYLIST_MAX_VIDEOS) || 25,
+          // Skip playlist videos that already have a row in the summaries table
+          skipSummarized: process.env.PLAYLIST_SKIP_SUMMARIZED !== 'false'
+        }
+      },
+      queue: {
+        concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 2,
+        maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 5,
+        retryBaseDelaySeconds: parseInt(process.env.QUEUE_RETRY_BASE_SECONDS) || 30,
+        pollIntervalSeconds: parseInt(process.env.QUEUE_POLL_INTERVAL_SECONDS) || 15
       },
       cache: {
         ttl: parseInt(process.env.CACHE_TTL) || 3600,
@@ -80,23 +132,10 @@ class ServiceManager extends EventEmitter {
   }
 
   /**
-   * Get default max tokens based on model
+   * Get default max tokens based on model (see utils/model-registry.js)
    */
   getDefaultMaxTokens(modelName) {
-    if (!modelName) return 4000;
-    
-    const model = modelName.toLowerCase();
-    if (model.includes('gpt-5')) {
-      return 16000; // GPT-5 can handle much more, but 16K is good for summaries
-    } else if (model.includes('gpt-4-turbo') || model.includes('gpt-4o')) {
-      return 4000; // GPT-4 Turbo/4o max completion tokens is 4096
-    } else if (model.includes('o1') || model.includes('o3')) {
-      return 8000; // o1/o3 models (reasoning models need more output tokens)
-    } else if (model.includes('gpt-4')) {
-      return 4000; // Standard GPT-4
-    } else {
-      return 4000; // Safe default
-    }
+    return getModelInfo(modelName).defaultMaxTokens;
   }
 
   /**
@@ -216,9 +255,12 @@ class ServiceManager extends EventEmitter {
    */
   validateConfig() {
     const required = [
-      ['discord.token', 'DISCORD_BOT_TOKEN'],
-      ['openai.apiKey', 'OPENAI_API_KEY']
+      ['discord.token', 'DISCORD_BOT_TOKEN']
     ];
+    // The OpenAI key is only needed when OpenAI serves the default model (not with MOCK_LLM)
+    if (this.config.llm.defaultProvider === 'openai') {
+      required.push(['openai.apiKey', 'OPENAI_API_KEY']);
+    }
 
     for (const [configPath, envVar] of required) {
       const value = this.getConfigValue(configPath);
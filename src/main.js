@@ -14,6 +14,9 @@ const SummaryService = require('./services/summary.service');
 const ReportService = require('./services/report.service');
 const HybridCacheService = require('./services/hybrid-cache.service');
 const DatabaseService = require('./services/database.service');
+const QueueService = require('./services/queue.service');
+const LLMService = require('./services/llm.service');
+const BudgetService = require('./services/budget.service');
 
 async function main() {
   try {
@@ -21,9 +24,12 @@ async function main() {
     serviceManager.registerService('database', DatabaseService);
     serviceManager.registerService('cache', HybridCacheService, ['database']);
     serviceManager.registerService('transcript', TranscriptService, ['cache']);
-    serviceManager.registerService('summary', SummaryService, ['cache', 'database']);
+    serviceManager.registerService('budget', BudgetService, ['database']);
+    serviceManager.registerService('llm', LLMService, ['database', 'budget']);
+    serviceManager.registerService('summary', SummaryService, ['cache', 'database', 'llm']);
     serviceManager.registerService('report', ReportService, ['summary', 'cache', 'database']);
-    serviceManager.registerService('discord', DiscordService, ['transcript', 'summary', 'report']);
+    serviceManager.registerService('queue', QueueService, ['database']);
+    serviceManager.registerService('discord', DiscordService, ['transcript', 'summary', 'report', 'queue', 'budget']);
 
     // Initialize all services
     await serviceManager.initializeAll();
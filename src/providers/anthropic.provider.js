@@ -0,0 +1,93 @@
+/**
+ * Anthropic Provider - Claude models through the Messages API
+ */
+
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+class AnthropicProvider {
+  /**
+   * @param {string} name - Provider name from the config
+   * @param {Object} settings - apiKey, optional baseURL
+   * @param {Function} [fetchFunction] - fetch implementation to use instead of the global one
+   */
+  constructor(name, settings = {}, fetchFunction = null) {
+    this.name = name;
+    this.type = 'anthropic';
+    this.settings = settings;
+    this.baseURL = (settings.baseURL || ANTHROPIC_BASE_URL).replace(/\/+$/, '');
+    this.fetch = fetchFunction || globalThis.fetch || require('node-fetch');
+  }
+
+  /**
+   * Map a request to Messages API parameters
+   * System messages go in `system`, max_tokens is required, and temperature ranges 0-1.
+   * top_p and the penalties aren't sent: Claude models don't take penalties, and top_p
+   * shouldn't be combined with temperature.
+   */
+  buildParameters(request, modelSettings = {}) {
+    const system = request.messages.filter(message => message.role === 'system').map(message => message.content);
+    const params = {
+      model: request.model,
+      max_tokens: request.maxTokens || 4000,
+      messages: request.messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({ role: message.role, content: message.content }))
+    };
+    if (system.length > 0) {
+      params.system = system.join('\n\n');
+    }
+    if (request.temperature !== undefined && !modelSettings.reasoning) {
+      params.temperature = Math.min(1, request.temperature);
+    }
+    return params;
+  }
+
+  async request(path, options = {}) {
+    const response = await this.fetch(`${this.baseURL}${path}`, {
+      ...options,
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.settings.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      }
+    });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`Anthropic API error ${response.status}: ${body.error?.message || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+    return body;
+  }
+
+  /**
+   * Run a chat request
+   * @returns {Promise<{text: string, usage: Object|null, model: string}>}
+   */
+  async complete(request, modelSettings = {}) {
+    const response = await this.request('/v1/messages', {
+      method: 'POST',
+      body: JSON.stringify(this.buildParameters(request, modelSettings))
+    });
+    const text = (response.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = response.usage ? {
+      prompt_tokens: response.usage.input_tokens || 0,
+      completion_tokens: response.usage.output_tokens || 0,
+      total_tokens: (response.usage.input_tokens || 0) + (response.usage.output_tokens || 0)
+    } : null;
+    return { text: text.trim(), usage, model: response.model || request.model };
+  }
+
+  /**
+   * Check that the API is reachable and the key is accepted
+   */
+  async healthCheck() {
+    await this.request('/v1/models', { method: 'GET' });
+  }
+}
+
+module.exports = AnthropicProvider;
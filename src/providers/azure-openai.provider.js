@@ -0,0 +1,34 @@
+/**
+ * Azure OpenAI Provider - Chat Completions on an Azure OpenAI resource
+ * Requests name the deployment as the model (set `deployment` in the model's config).
+ */
+
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openai.provider');
+
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(name, settings = {}, client = null) {
+    super(name, settings, client);
+    this.type = 'azure';
+  }
+
+  createClient(settings) {
+    return new AzureOpenAI({
+      endpoint: settings.endpoint,
+      apiKey: settings.apiKey,
+      apiVersion: settings.apiVersion
+    });
+  }
+
+  /**
+   * Azure has no model list per deployment; a minimal completion is not free, so only the
+   * client setup is checked here
+   */
+  async healthCheck() {
+    if (!this.settings.endpoint || !this.settings.apiKey) {
+      throw new Error(`Azure provider "${this.name}" needs an endpoint and an API key`);
+    }
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,40 @@
+/**
+ * LLM providers by type (see utils/llm-config.js for the configuration)
+ */
+
+const OpenAIProvider = require('./openai.provider');
+const AzureOpenAIProvider = require('./azure-openai.provider');
+const OpenAICompatibleProvider = require('./openai-compatible.provider');
+const AnthropicProvider = require('./anthropic.provider');
+const MockProvider = require('./mock.provider');
+
+const PROVIDER_CLASSES = {
+  openai: OpenAIProvider,
+  azure: AzureOpenAIProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  anthropic: AnthropicProvider,
+  mock: MockProvider
+};
+
+/**
+ * Create a provider from its config entry
+ * @param {string} name - Provider name
+ * @param {Object} settings - Provider settings, including `type`
+ * @returns {OpenAIProvider|AnthropicProvider}
+ */
+function createProvider(name, settings = {}) {
+  const ProviderClass = PROVIDER_CLASSES[settings.type];
+  if (!ProviderClass) {
+    throw new Error(`Unknown provider type "${settings.type}" for provider "${name}"`);
+  }
+  return new ProviderClass(name, settings);
+}
+
+module.exports = {
+  OpenAIProvider,
+  AzureOpenAIProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  MockProvider,
+  createProvider
+};
@@ -0,0 +1,192 @@
+/**
+ * Mock Provider - deterministic offline responses for local runs and tests
+ *
+ * Speaks the OpenAI Chat Completions shape through an in-process client, so requests are mapped
+ * exactly as for OpenAI (max_tokens vs max_completion_tokens, sampling) and every call is recorded.
+ *
+ * Settings (see utils/llm-config.js for the MOCK_LLM_* variables):
+ *   latencyMs  - delay before each response
+ *   responses  - [{ match: "regex", response: "text with {{placeholders}}" }], first match wins
+ *   fixtures   - JSON file with { "responses": [...] }, checked after `responses`
+ *   failures   - [{ error: "rate_limit" | "context_length" | "server_error", times: 1, match: "regex" }]
+ *   recordFile - JSONL file every call is appended to
+ *
+ * Placeholders: {{model}}, {{call}} (1-based call number), {{title}} (quoted title in the prompt),
+ * {{first_sentence}} and {{input_tokens}}. Requests over the model's context window fail like the
+ * real API does, with a 400 context_length_exceeded error.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { APIError } = require('openai');
+const OpenAIProvider = require('./openai.provider');
+const { getModelInfo } = require('../../utils/model-registry');
+const { countTokens, countMessageTokens } = require('../../utils/tokenizer');
+
+// Error bodies as the OpenAI API returns them
+const FAILURES = {
+  rate_limit: {
+    status: 429,
+    error: { message: 'Rate limit reached for requests (mock)', type: 'requests', code: 'rate_limit_exceeded' },
+    headers: { 'retry-after': '1' }
+  },
+  context_length: {
+    status: 400,
+    error: { message: 'This model\'s maximum context length was exceeded (mock)', type: 'invalid_request_error', code: 'context_length_exceeded', param: 'messages' }
+  },
+  server_error: {
+    status: 500,
+    error: { message: 'The server had an error while processing your request (mock)', type: 'server_error', code: null }
+  }
+};
+
+/**
+ * Sentences of a text, for building deterministic summaries
+ */
+function sentencesOf(text) {
+  return (text.match(/[^.!?\n]+[.!?]?/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * The API error the openai client would throw for a failure type
+ */
+function createFailure(type, message = null) {
+  const failure = FAILURES[type];
+  if (!failure) {
+    throw new Error(`Unknown mock failure "${type}" (use ${Object.keys(FAILURES).join(', ')})`);
+  }
+  const error = message ? { ...failure.error, message } : failure.error;
+  return APIError.generate(failure.status, { error }, undefined, failure.headers || {});
+}
+
+class MockProvider extends OpenAIProvider {
+  constructor(name, settings = {}, client = null) {
+    super(name, settings, client);
+    this.type = 'mock';
+    this.calls = [];
+    this.failures = (settings.failures || []).map(failure => ({ times: 1, ...failure }));
+    this.responses = [
+      ...(settings.responses || []),
+      ...(settings.fixtures ? this.loadFixtures(settings.fixtures) : [])
+    ];
+  }
+
+  createClient() {
+    return {
+      chat: { completions: { create: (params) => this.respond(params) } },
+      models: { list: async () => ({ data: [] }) }
+    };
+  }
+
+  loadFixtures(file) {
+    const fixtures = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), file), 'utf-8'));
+    return fixtures.responses || [];
+  }
+
+  /**
+   * Answer a Chat Completions request: record it, wait, fail if scripted or over the context
+   * window, otherwise reply with the matching canned response or a summary of the input
+   */
+  async respond(params) {
+    const prompt = params.messages.map(message => message.content).join('\n\n');
+    const inputTokens = countMessageTokens(params.messages, params.model);
+    const call = { number: this.calls.length + 1, timestamp: new Date().toISOString(), params, inputTokens };
+    this.calls.push(call);
+
+    if (this.settings.latencyMs) {
+      await new Promise(resolve => setTimeout(resolve, this.settings.latencyMs));
+    }
+
+    const failure = this.failures.find(rule => rule.times > 0 && (!rule.match || new RegExp(rule.match, 'i').test(prompt)));
+    if (failure) {
+      failure.times--;
+      call.error = failure.error;
+      this.record(call);
+      throw createFailure(failure.error);
+    }
+
+    const { contextWindow } = getModelInfo(params.model);
+    const requested = inputTokens + (params.max_tokens || params.max_completion_tokens || 0);
+    if (requested > contextWindow) {
+      call.error = 'context_length';
+      this.record(call);
+      throw createFailure('context_length',
+        `This model's maximum context length is ${contextWindow} tokens. However, you requested ${requested} tokens ` +
+        `(${inputTokens} in the messages, ${requested - inputTokens} in the completion). (mock)`);
+    }
+
+    const content = this.render(params, prompt, call);
+    call.response = content;
+    this.record(call);
+
+    const completionTokens = countTokens(content, params.model);
+    return {
+      id: `mock-${call.number}`,
+      object: 'chat.completion',
+      model: params.model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: inputTokens, completion_tokens: completionTokens, total_tokens: inputTokens + completionTokens }
+    };
+  }
+
+  /**
+   * Response text: the first canned response whose pattern matches the prompt, or a default
+   * summary of the last message (JSON when the prompt asks for it)
+   */
+  render(params, prompt, call) {
+    const input = params.messages[params.messages.length - 1].content;
+    const sentences = sentencesOf(input);
+    const values = {
+      model: params.model,
+      call: String(call.number),
+      title: (prompt.match(/"([^"\n]+)"/) || [])[1] || 'the video',
+      first_sentence: sentences[0] || '',
+      input_tokens: String(call.inputTokens)
+    };
+
+    const canned = this.responses.find(entry => !entry.match || new RegExp(entry.match, 'i').test(prompt));
+    if (canned) {
+      return canned.response.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => values[key] ?? placeholder);
+    }
+
+    const points = sentences.slice(0, 3);
+    if (/json/i.test(params.messages[0].content)) {
+      return JSON.stringify({
+        summary: points,
+        noteworthy_mentions: [],
+        verdict: `Mock summary by ${params.model}`
+      }, null, 2);
+    }
+    // Custom reports ask for a fixed ending ("LLM used: ..."), which the real models add
+    const ending = (prompt.match(/end your response with "([^"]+)"/i) || [])[1];
+    const text = `## Summary of ${values.title}\n\n${points.map(point => `- ${point}`).join('\n')}\n\n*Mock summary by ${params.model}.*`;
+    return ending ? text + ending.replace(/\\n/g, '\n') : text;
+  }
+
+  /**
+   * Append a call to the record file, if one is configured
+   */
+  record(call) {
+    if (!this.settings.recordFile) {
+      return;
+    }
+    try {
+      fs.appendFileSync(this.settings.recordFile, JSON.stringify(call) + '\n');
+    } catch (error) {
+      console.warn(`⚠️ Could not record mock LLM call to ${this.settings.recordFile}:`, error.message);
+    }
+  }
+
+  /**
+   * Forget recorded calls and restore scripted failures to their settings
+   */
+  reset() {
+    this.calls = [];
+    this.failures = (this.settings.failures || []).map(failure => ({ times: 1, ...failure }));
+  }
+}
+
+module.exports = MockProvider;
+module.exports.createFailure = createFailure;
@@ -0,0 +1,27 @@
+/**
+ * OpenAI-compatible Provider - self-hosted or third-party servers speaking the Chat Completions API
+ * (Ollama, vLLM, LM Studio, OpenRouter, ...)
+ */
+
+const { OpenAI } = require('openai');
+const OpenAIProvider = require('./openai.provider');
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(name, settings = {}, client = null) {
+    if (!settings.baseURL && !client) {
+      throw new Error(`OpenAI-compatible provider "${name}" needs a baseURL`);
+    }
+    super(name, settings, client);
+    this.type = 'openai-compatible';
+  }
+
+  createClient(settings) {
+    return new OpenAI({
+      baseURL: settings.baseURL,
+      // Local servers usually don't check the key, but the client requires one
+      apiKey: settings.apiKey || 'not-needed'
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
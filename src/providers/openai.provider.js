@@ -0,0 +1,101 @@
+/**
+ * OpenAI Provider - Chat Completions API
+ * Also the base for Azure OpenAI and OpenAI-compatible servers, which speak the same API.
+ *
+ * Providers take provider-neutral requests:
+ *   { model, messages: [{ role, content }], maxTokens, temperature, topP, frequencyPenalty, presencePenalty }
+ * and resolve to { text, usage: { prompt_tokens, completion_tokens, total_tokens } | null, model }.
+ */
+
+const { OpenAI } = require('openai');
+
+/**
+ * Usage in Chat Completions shape (prompt/completion/total tokens), or null when not reported
+ */
+function normalizeUsage(usage) {
+  if (!usage) {
+    return null;
+  }
+  return {
+    prompt_tokens: usage.prompt_tokens || 0,
+    completion_tokens: usage.completion_tokens || 0,
+    total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+  };
+}
+
+class OpenAIProvider {
+  /**
+   * @param {string} name - Provider name from the config (e.g. "openai", "ollama")
+   * @param {Object} settings - Provider settings (apiKey, baseURL, ...; see utils/llm-config.js)
+   * @param {OpenAI} [client] - Existing client to use instead of creating one
+   */
+  constructor(name, settings = {}, client = null) {
+    this.name = name;
+    this.type = 'openai';
+    this.settings = settings;
+    this.client = client || this.createClient(settings);
+  }
+
+  createClient(settings) {
+    return new OpenAI({
+      apiKey: settings.apiKey,
+      ...(settings.baseURL ? { baseURL: settings.baseURL } : {}),
+      ...(settings.organization ? { organization: settings.organization } : {})
+    });
+  }
+
+  /**
+   * Map a request to Chat Completions parameters
+   * Reasoning models (GPT-5, o-series) take max_completion_tokens and no temperature, top_p or
+   * penalties; a model's config can set maxTokensParam and sampling explicitly.
+   * @param {Object} request - Provider-neutral request
+   * @param {Object} modelSettings - The model's settings (reasoning, maxTokensParam, sampling)
+   * @returns {Object} - Parameters for chat.completions.create
+   */
+  buildParameters(request, modelSettings = {}) {
+    const reasoning = !!modelSettings.reasoning;
+    const params = { model: request.model, messages: request.messages };
+
+    const maxTokensParam = modelSettings.maxTokensParam || this.settings.maxTokensParam ||
+      (reasoning ? 'max_completion_tokens' : 'max_tokens');
+    if (request.maxTokens) {
+      params[maxTokensParam] = request.maxTokens;
+    }
+
+    if (!reasoning) {
+      if (request.temperature !== undefined) {
+        params.temperature = request.temperature;
+      }
+      if (modelSettings.sampling !== false && this.settings.sampling !== false) {
+        if (request.topP !== undefined) params.top_p = request.topP;
+        if (request.frequencyPenalty !== undefined) params.frequency_penalty = request.frequencyPenalty;
+        if (request.presencePenalty !== undefined) params.presence_penalty = request.presencePenalty;
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * Run a chat request
+   * @returns {Promise<{text: string, usage: Object|null, model: string}>}
+   */
+  async complete(request, modelSettings = {}) {
+    const response = await this.client.chat.completions.create(this.buildParameters(request, modelSettings));
+    return {
+      text: (response.choices?.[0]?.message?.content || '').trim(),
+      usage: normalizeUsage(response.usage),
+      model: response.model || request.model
+    };
+  }
+
+  /**
+   * Check that the API is reachable and the key is accepted
+   */
+  async healthCheck() {
+    await this.client.models.list();
+  }
+}
+
+module.exports = OpenAIProvider;
+module.exports.normalizeUsage = normalizeUsage;
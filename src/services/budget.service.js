@@ -0,0 +1,122 @@
+/**
+ * Budget Service - daily and monthly LLM spend caps (config.budget, utils/budget.js)
+ * Checks the spend recorded in llm_calls after every call and emits 'budget:threshold' the first
+ * time a period reaches the warning ratio or its cap.
+ */
+
+const EventEmitter = require('events');
+const { evaluateBudget, reachedLevels } = require('../../utils/budget');
+
+class BudgetService extends EventEmitter {
+  constructor(serviceManager, dependencies) {
+    super();
+    this.serviceManager = serviceManager;
+    this.database = dependencies.database;
+    this.logger = serviceManager.logger;
+    this.config = serviceManager.config.budget;
+
+    // Thresholds already announced, as `<period>:<day or month>:<level>`
+    this.notified = new Set();
+    this.status = evaluateBudget({}, this.config);
+  }
+
+  async initialize() {
+    if (!this.isEnabled()) {
+      this.logger.info('Budget service initialized (no LLM spend caps)');
+      return;
+    }
+
+    // Thresholds reached before a restart were announced then
+    await this.refresh({ notify: false });
+    const { dailyLimit, monthlyLimit, fallbackModel } = this.config;
+    this.logger.info(`Budget service initialized (daily: ${dailyLimit ? `$${dailyLimit}` : 'none'}, monthly: ${monthlyLimit ? `$${monthlyLimit}` : 'none'}, fallback model: ${fallbackModel})`);
+  }
+
+  isEnabled() {
+    return Boolean(this.config.dailyLimit || this.config.monthlyLimit);
+  }
+
+  /**
+   * Current day and month in server time, with a key per period for announced thresholds
+   */
+  getPeriods() {
+    const now = new Date();
+    const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const day = now.getDate().toString().padStart(2, '0');
+    return {
+      day: { key: `${now.getFullYear()}-${month}-${day}`, start: dayStart, end: new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1) },
+      month: { key: `${now.getFullYear()}-${month}`, start: monthStart, end: new Date(now.getFullYear(), now.getMonth() + 1, 1) }
+    };
+  }
+
+  /**
+   * Today's and this month's spend across all servers against the caps
+   * @returns {Promise<Object>} Status from evaluateBudget
+   */
+  async getStatus() {
+    if (!this.isEnabled()) {
+      return this.status;
+    }
+
+    const periods = this.getPeriods();
+    const spent = {};
+    for (const [period, { start, end }] of Object.entries(periods)) {
+      const [usage] = await this.database.getLLMUsage(start, end);
+      spent[period] = usage?.cost || 0;
+    }
+    this.status = evaluateBudget(spent, this.config);
+    return this.status;
+  }
+
+  /**
+   * Re-check the spend after an LLM call and announce thresholds reached since the last check
+   * @param {Object} options - notify: false to only remember reached thresholds
+   */
+  async refresh({ notify = true } = {}) {
+    if (!this.isEnabled()) {
+      return this.status;
+    }
+
+    const status = await this.getStatus();
+    const periods = this.getPeriods();
+    for (const entry of status.periods) {
+      const reached = reachedLevels(entry.level)
+        .map(level => `${entry.period}:${periods[entry.period].key}:${level}`)
+        .filter(key => !this.notified.has(key));
+      if (reached.length === 0) continue;
+
+      reached.forEach(key => this.notified.add(key));
+      if (notify) {
+        this.logger.warn(`💸 LLM ${entry.cap} budget ${entry.level === 'exceeded' ? 'reached' : 'warning'}: $${entry.spent.toFixed(2)} of $${entry.limit.toFixed(2)}`);
+        this.emit('budget:threshold', { ...entry, fallbackModel: this.config.fallbackModel });
+      }
+    }
+    return status;
+  }
+
+  /**
+   * Model a summary channel should use: the fallback model once a cap is reached
+   * @param {string} model - Model the guild or the prompt selected
+   * @returns {Promise<{model: string, downgradedFrom: string|null}>}
+   */
+  async getSummaryModel(model) {
+    const { level } = await this.getStatus();
+    const { fallbackModel } = this.config;
+    if (level !== 'exceeded' || !fallbackModel || model === fallbackModel) {
+      return { model, downgradedFrom: null };
+    }
+    return { model: fallbackModel, downgradedFrom: model };
+  }
+
+  /**
+   * Whether non-essential work (comparisons, regenerations, prompt tests) is paused because a cap is reached
+   */
+  async isPaused() {
+    const { level } = await this.getStatus();
+    return level === 'exceeded';
+  }
+}
+
+module.exports = BudgetService;
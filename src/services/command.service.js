@@ -2,7 +2,13 @@
  * Discord Slash Command Service
  */
 
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { extractVideoId } = require('../../utils/youtube');
+const { formatDiff } = require('../../utils/text-diff');
+const { parseComparisonVariant, tallyComparisonResults } = require('../../utils/comparison');
+const { formatCost, formatTokens } = require('../../utils/llm-pricing');
+const { formatBudgetPeriod } = require('../../utils/budget');
+const { getZonedPeriods } = require('../../utils/scheduler');
 
 class CommandService {
   constructor(serviceManager, dependencies) {
@@ -40,6 +46,7 @@ class CommandService {
     this.registerTestSummaryCommand(); // Keep original for quick testing
     this.registerTranscriptCommand(); // Enhanced transcript command
     this.registerTranscriptTestCommand(); // Keep original for quick testing
+    this.registerVideoCommand(); // Everything stored about one video
     
     // === ADMINISTRATION ===
     this.registerConfigCommand();
@@ -47,6 +54,9 @@ class CommandService {
     this.registerCacheCommand(); // Merged cache-stats + debug-cache + clear-cache
     this.registerPromptsCommand(); // Merged reload-prompts + validate-prompts
     this.registerChannelStatusCommand(); // Keep as-is for now
+    this.registerRouteCommand(); // Source -> output channel routing
+    this.registerCompareCommand(); // Side-by-side model/prompt comparisons
+    this.registerUsageCommand(); // LLM tokens and cost
     
     console.log(`✅ Registered ${this.commands.size} slash commands`);
   }
@@ -100,18 +110,22 @@ class CommandService {
               color: 0xffd43b,
               commands: [
                 { name: '/process', desc: 'Process single YouTube video for testing' },
-                { name: '/transcript', desc: 'Test transcript extraction for specific video' }
+                { name: '/transcript', desc: 'Test transcript extraction for specific video' },
+                { name: '/video info', desc: 'Everything stored about a video, with jump links and re-run buttons' }
               ]
             },
             admin: {
               title: '⚙️ Administration Commands',
               color: 0xff6b6b,
               commands: [
-                { name: '/config', desc: 'View current bot configuration' },
-                { name: '/model', desc: 'Manage OpenAI models (set/test)' },
+                { name: '/config', desc: 'View or change this server\'s configuration (channels, prefixes, timezone)' },
+                { name: '/model', desc: 'Manage this server\'s OpenAI model (set/test)' },
+                { name: '/usage', desc: 'LLM tokens and cost today, this week and this month, by model and channel, and the budget left' },
                 { name: '/cache', desc: 'Manage cache (stats/debug/clear)' },
                 { name: '/prompts', desc: 'Manage Discord prompts (reload/validate)' },
-                { name: '/channel-status', desc: 'Check monitored Discord channels' }
+                { name: '/channel-status', desc: 'Check monitored Discord channels' },
+                { name: '/route', desc: 'Route source channels to summary channels (add/remove/list)' },
+                { name: '/compare-summaries', desc: 'Compare two models or prompts on a video and vote (run/results)' }
               ]
             }
           };
@@ -312,8 +326,9 @@ class CommandService {
             throw new Error('Required services not available');
           }
           
-          // Get today's summaries from database (last 24 hours)
-          const summaries = await databaseService.getRecentSummaries(24);
+          // Get today's summaries from database (last 24 hours) - one row per video and output channel
+          const summaries = await databaseService.getRecentSummaries(24, interaction.guildId);
+          const videos = reportService.groupSummariesByVideo(summaries);
           
           // Get cache stats
           const cacheStats = await cacheService.getStats();
@@ -338,7 +353,7 @@ class CommandService {
               },
               {
                 name: '📈 Today\'s Activity',
-                value: `**Summaries**: ${summaries.length}\n**Cache Files**: ${cacheStats.totalFiles || 0}\n**Cache Size**: ${cacheStats.totalSize ? (cacheStats.totalSize / 1024 / 1024).toFixed(2) : '0.00'} MB`,
+                value: `**Videos**: ${videos.length}\n**Summaries**: ${summaries.length}\n**Cache Files**: ${cacheStats.totalFiles || 0}\n**Cache Size**: ${cacheStats.totalSize ? (cacheStats.totalSize / 1024 / 1024).toFixed(2) : '0.00'} MB`,
                 inline: true
               },
               {
@@ -349,11 +364,14 @@ class CommandService {
             )
             .setTimestamp();
           
-          if (summaries.length > 0) {
-            const recentSummaries = summaries.slice(0, showAll ? summaries.length : 5);
-            const summaryList = recentSummaries.map(summary => 
-              `• **${summary.title}** (<t:${Math.floor(new Date(summary.created_at).getTime() / 1000)}:R>)`
-            ).join('\n');
+          if (videos.length > 0) {
+            const recentVideos = videos.slice(0, showAll ? videos.length : 5);
+            const summaryList = recentVideos.map(videoSummaries => {
+              const [latest] = videoSummaries;
+              const channels = videoSummaries.map(summary => summary.output_channel_name).filter(Boolean);
+              const channelList = channels.length > 0 ? ` → ${channels.map(name => `#${name}`).join(', ')}` : '';
+              return `• **${latest.title}**${channelList} (<t:${Math.floor(new Date(latest.created_at).getTime() / 1000)}:R>)`;
+            }).join('\n');
             
             embed.addFields({
               name: `📝 Recent Summaries ${showAll ? '' : '(5 most recent)'}`,
@@ -416,24 +434,25 @@ class CommandService {
             // Trigger all report channels using the Discord service
             try {
               // Generate the daily report first
-              const report = await reportService.generateDailyReport();
+              const report = await reportService.generateDailyReport(interaction.guildId);
               
               // Use Discord service to send to appropriate channels
-              await discordService.sendDailyReport(report);
+              await discordService.sendDailyReport(report, interaction.guild);
               results.push(`✅ All Reports: Generated successfully`);
             } catch (error) {
               results.push(`❌ All Reports: ${error.message}`);
             }
           } else {
             // Get the guild
-            const guild = discordService.client.guilds.cache.get(discordService.config.guildId);
+            const guild = interaction.guild;
+            const { prefixes } = await discordService.getGuildConfig(interaction.guildId);
             if (!guild) {
               throw new Error('Guild not found');
             }
             
             // Find all available prompt channels
             const promptChannels = guild.channels.cache.filter(
-              ch => ch.name && ch.name.startsWith(discordService.config.prefixes.dailyReportPrompt)
+              ch => ch.name && ch.name.startsWith(prefixes.dailyReportPrompt)
             );
             
             if (promptChannels.size === 0) {
@@ -444,7 +463,7 @@ class CommandService {
             const targetChannel = promptChannels.find(ch => 
               ch.name === channelOption || 
               ch.name.endsWith(`-${channelOption}`) ||
-              ch.name === `${discordService.config.prefixes.dailyReportPrompt}${channelOption}`
+              ch.name === `${prefixes.dailyReportPrompt}${channelOption}`
             );
             
             if (!targetChannel) {
@@ -454,7 +473,7 @@ class CommandService {
             
             try {
               // Generate a basic report for the specific prompt channel
-              const summaries = await reportService.getRecentSummaries();
+              const summaries = await reportService.getRecentSummaries(interaction.guildId);
               const defaultReport = reportService.buildReport(summaries);
               
               await discordService.processDailyReportWithPrompt(guild, targetChannel, defaultReport);
@@ -511,10 +530,10 @@ class CommandService {
           if (channelOption === 'all') {
             try {
               // Generate the daily report first
-              const report = await reportService.generateDailyReport();
+              const report = await reportService.generateDailyReport(interaction.guildId);
               
               // Send daily report to all configured channels
-              await discordService.sendDailyReport(report);
+              await discordService.sendDailyReport(report, interaction.guild);
               results.push('✅ Daily reports sent to all channels');
             } catch (error) {
               results.push(`❌ Error sending daily reports: ${error.message}`);
@@ -522,10 +541,10 @@ class CommandService {
           } else {
             try {
               // Generate the daily report first
-              const report = await reportService.generateDailyReport();
+              const report = await reportService.generateDailyReport(interaction.guildId);
               
               // Send to specific channel (we'll implement a method to handle this)
-              await discordService.sendDailyReport(report);
+              await discordService.sendDailyReport(report, interaction.guild);
               results.push(`✅ Daily report sent to all channels (specific channel targeting not yet implemented)`);
             } catch (error) {
               results.push(`❌ Error sending daily report: ${error.message}`);
@@ -603,9 +622,16 @@ class CommandService {
             return;
           }
           
-          // Step 2: Generate summary
+          // Step 2: Generate summary with the guild's model (the fallback model once the budget is used up)
           await interaction.editReply('🤖 Generating AI summary...');
-          const summary = await summaryService.generateSummary(transcript, videoId);
+          const { model, downgradedFrom } = await discordService.resolveSummaryModel(interaction.guildId);
+          if (downgradedFrom) {
+            this.logger.warn(`💸 LLM budget reached: /process summarizes ${videoId} with ${model} instead of ${downgradedFrom}`);
+          }
+          const summary = await summaryService.generateSummary(transcript, videoId, null, null, {
+            model,
+            context: { guildId: interaction.guildId, videoId, channelId: interaction.channelId, channelName: interaction.channel?.name }
+          });
           
           if (!summary) {
             await interaction.editReply('❌ Failed to generate summary. OpenAI service may be unavailable.');
@@ -617,7 +643,7 @@ class CommandService {
           
           // Find target channel
           const targetChannelName = `yt-summaries-${channelOption}`;
-          const guild = discordService.client.guilds.cache.get(discordService.config.guildId);
+          const guild = interaction.guild;
           const targetChannel = guild?.channels.cache.find(ch => ch.name === targetChannelName);
           
           if (!targetChannel) {
@@ -699,7 +725,14 @@ class CommandService {
             return;
           }
           
-          const summary = await summaryService.generateSummary(transcript, videoId);
+          const { model, downgradedFrom } = await discordService.resolveSummaryModel(interaction.guildId);
+          if (downgradedFrom) {
+            this.logger.warn(`💸 LLM budget reached: /test-summary summarizes ${videoId} with ${model} instead of ${downgradedFrom}`);
+          }
+          const summary = await summaryService.generateSummary(transcript, videoId, null, null, {
+            model,
+            context: { guildId: interaction.guildId, videoId, channelId: interaction.channelId, channelName: interaction.channel?.name }
+          });
           if (!summary) {
             await interaction.editReply('❌ Failed to generate summary');
             return;
@@ -707,7 +740,7 @@ class CommandService {
           
           // Send to channel
           const targetChannelName = `yt-summaries-${channelOption}`;
-          const guild = discordService.client.guilds.cache.get(discordService.config.guildId);
+          const guild = interaction.guild;
           const targetChannel = guild?.channels.cache.find(ch => ch.name === targetChannelName);
           
           if (targetChannel) {
@@ -787,6 +820,148 @@ class CommandService {
     });
   }
 
+  registerVideoCommand() {
+    const command = new SlashCommandBuilder()
+      .setName('video')
+      .setDescription('Look up what the bot knows about a video')
+      .addSubcommand(subcommand =>
+        subcommand.setName('info')
+          .setDescription('Metadata, transcript, summaries and posted messages for a video')
+          .addStringOption(option =>
+            option.setName('video')
+              .setDescription('YouTube video ID or URL')
+              .setRequired(true)
+          )
+      );
+    
+    this.commands.set('video', {
+      data: command,
+      execute: async (interaction) => {
+        await interaction.deferReply();
+        
+        try {
+          const input = interaction.options.getString('video').trim();
+          const videoId = /^[a-zA-Z0-9_-]{11}$/.test(input) ? input : extractVideoId(input);
+          if (!videoId) {
+            await interaction.editReply('❌ Could not find a YouTube video ID in that input');
+            return;
+          }
+          console.log(`🔎 Video info via command: ${videoId}`);
+          
+          const databaseService = await this.serviceManager.getService('database');
+          if (!databaseService) {
+            throw new Error('Database service not available');
+          }
+          
+          const [metadata, transcript, summaries, posts] = await Promise.all([
+            databaseService.getVideoMetadata(videoId),
+            databaseService.getTranscript(videoId),
+            databaseService.getSummariesForVideo(videoId),
+            databaseService.getPostsForVideo(videoId)
+          ]);
+          
+          if (!metadata && !transcript && summaries.length === 0 && posts.length === 0) {
+            await interaction.editReply(`📭 Nothing stored for video \`${videoId}\` (https://youtu.be/${videoId})`);
+            return;
+          }
+          
+          const toTimestamp = (date) => `<t:${Math.floor(new Date(`${date}Z`).getTime() / 1000)}:R>`;
+          const clip = (text) => text.length > 1024 ? text.substring(0, 1020) + '...' : text;
+          const title = metadata?.title || summaries[0]?.title || videoId;
+          
+          const embed = new EmbedBuilder()
+            .setTitle(`🎬 ${title}`.substring(0, 256))
+            .setURL(`https://www.youtube.com/watch?v=${videoId}`)
+            .setColor(0x5865f2)
+            .setFooter({ text: `Video ID: ${videoId}` })
+            .setTimestamp();
+          
+          embed.addFields({
+            name: '📼 Metadata',
+            value: metadata
+              ? [
+                `**Channel**: ${metadata.channel_name || 'Unknown'}`,
+                `**Duration**: ${metadata.duration ? `${Math.floor(metadata.duration / 60)}m ${metadata.duration % 60}s` : 'Unknown'}`,
+                `**Published**: ${metadata.published_at || 'Unknown'}`
+              ].join('\n')
+              : 'No metadata recorded',
+            inline: true
+          });
+          
+          embed.addFields({
+            name: '🗒️ Transcript',
+            value: transcript
+              ? [
+                `**Source**: ${transcript.source}`,
+                `**Length**: ${transcript.word_count} words (${transcript.transcript_text.length} chars)`,
+                `**Language**: ${transcript.language}`,
+                `**Saved**: ${toTimestamp(transcript.created_at)}`
+              ].join('\n')
+              : 'No transcript stored',
+            inline: true
+          });
+          
+          embed.addFields({
+            name: `📝 Summaries (${summaries.length})`,
+            value: summaries.length > 0
+              ? clip(summaries.map(summary =>
+                `• ${summary.output_channel_id ? `<#${summary.output_channel_id}>` : 'Unknown channel'} — ${summary.model || 'unknown model'}` +
+                `${summary.prompt_version ? ` — prompt v${summary.prompt_version}` : ''} — ${toTimestamp(summary.updated_at || summary.created_at)}`
+              ).join('\n'))
+              : 'No summaries generated',
+            inline: false
+          });
+          
+          // Messages split over several parts are listed once, linking to the first part
+          const postedMessages = posts.filter(post => !post.parent_message_id);
+          if (postedMessages.length > 0) {
+            const partCount = (post) => posts.filter(entry => entry.parent_message_id === post.message_id).length + 1;
+            embed.addFields({
+              name: `🔗 Posted Messages (${postedMessages.length})`,
+              value: clip(postedMessages.map(post =>
+                `• [${post.kind}](${this.discord.getPostUrl(post)}) in <#${post.channel_id}>${partCount(post) > 1 ? ` (${partCount(post)} parts)` : ''} ${toTimestamp(post.created_at)}`
+              ).join('\n')),
+              inline: false
+            });
+          }
+          
+          // Re-run buttons are handled by DiscordService.handleComponentInteraction
+          const buttons = [
+            new ButtonBuilder()
+              .setCustomId(`video:transcript:${videoId}`)
+              .setLabel('Re-run transcript')
+              .setEmoji('🗒️')
+              .setStyle(ButtonStyle.Secondary)
+          ];
+          
+          if (transcript) {
+            summaries
+              .filter(summary => summary.output_channel_id)
+              .slice(0, 4)
+              .forEach(summary => {
+                buttons.push(
+                  new ButtonBuilder()
+                    .setCustomId(`video:summary:${videoId}:${summary.output_channel_id}`)
+                    .setLabel(`Re-run #${summary.output_channel_name || summary.output_channel_id}`.substring(0, 80))
+                    .setEmoji('📝')
+                    .setStyle(ButtonStyle.Primary)
+                );
+              });
+          }
+          
+          await interaction.editReply({
+            embeds: [embed],
+            components: [new ActionRowBuilder().addComponents(buttons)]
+          });
+          
+        } catch (error) {
+          console.error('❌ Video info command error:', error);
+          await interaction.editReply('❌ Error looking up video: ' + error.message);
+        }
+      }
+    });
+  }
+
   registerTranscriptTestCommand() {
     const command = new SlashCommandBuilder()
       .setName('transcript-test')
@@ -885,7 +1060,8 @@ class CommandService {
           const videoTitle = await discordService.getVideoTitle(videoId, videoUrl);
 
           // Get guild
-          const guild = discordService.client.guilds.cache.get(discordService.config.guildId);
+          const guild = interaction.guild;
+          const { prefixes } = await discordService.getGuildConfig(interaction.guildId);
           if (!guild) {
             throw new Error('Guild not found');
           }
@@ -893,8 +1069,8 @@ class CommandService {
           // Find available summary channels (with and without suffixes)
           const summaryChannels = guild.channels.cache.filter(
             ch => ch.name && (
-              ch.name.startsWith(discordService.config.prefixes.summariesOutput) || // yt-summaries-1, yt-summaries-2, etc.
-              ch.name === discordService.config.prefixes.summariesOutput.slice(0, -1) // yt-summaries (without dash)
+              ch.name.startsWith(prefixes.summariesOutput) || // yt-summaries-1, yt-summaries-2, etc.
+              ch.name === prefixes.summariesOutput.slice(0, -1) // yt-summaries (without dash)
             )
           );
           
@@ -905,8 +1081,8 @@ class CommandService {
           // Find the specific summary channel
           let summaryChannel = summaryChannels.find(ch => 
             ch.name.endsWith(`-${channelOption}`) ||
-            ch.name === `${discordService.config.prefixes.summariesOutput}${channelOption}` ||
-            (channelOption === '1' && ch.name === discordService.config.prefixes.summariesOutput.slice(0, -1)) // Handle base channel for option "1"
+            ch.name === `${prefixes.summariesOutput}${channelOption}` ||
+            (channelOption === '1' && ch.name === prefixes.summariesOutput.slice(0, -1)) // Handle base channel for option "1"
           );
           
           // If not found, use the first available channel
@@ -917,9 +1093,9 @@ class CommandService {
           
           // Find corresponding prompt channel
           let promptChannelName;
-          if (summaryChannel.name === discordService.config.prefixes.summariesOutput.slice(0, -1)) {
+          if (summaryChannel.name === prefixes.summariesOutput.slice(0, -1)) {
             // Base channel without suffix (yt-summaries -> yt-summary-prompt)
-            promptChannelName = discordService.config.prefixes.summaryPrompt.slice(0, -1);
+            promptChannelName = prefixes.summaryPrompt.slice(0, -1);
           } else {
             // Channel with suffix - use replace logic
             promptChannelName = summaryChannel.name.replace('summaries', 'summary-prompt');
@@ -930,6 +1106,8 @@ class CommandService {
             throw new Error(`Prompt channel ${promptChannelName} not found`);
           }
 
+          const pinnedPrompt = await discordService.prompts.getPinnedPrompt(promptChannel).catch(() => null);
+
           // Process the single summary channel
           await discordService.processSingleSummaryChannel(
             summaryChannel, 
@@ -937,7 +1115,9 @@ class CommandService {
             videoTitle, 
             transcript, 
             videoUrl, 
-            promptChannel
+            promptChannel,
+            null,
+            await discordService.getSummaryPromptVariables(videoId, videoTitle, interaction.member?.displayName || interaction.user.username, [pinnedPrompt?.content])
           );
           
           const embed = new EmbedBuilder()
@@ -982,12 +1162,13 @@ class CommandService {
           const results = [];
           
           // Summary prompts (dynamically detect all)
-          const guild = discordService.client.guilds.cache.get(discordService.config.guildId);
+          const guild = interaction.guild;
+          const { prefixes } = await discordService.getGuildConfig(interaction.guildId);
           if (guild) {
             const summaryPromptChannels = guild.channels.cache.filter(
               ch => ch.name && (
-                ch.name.startsWith(discordService.config.prefixes.summaryPrompt) || // yt-summary-prompt-1, yt-summary-prompt-2, etc.
-                ch.name === discordService.config.prefixes.summaryPrompt.slice(0, -1) // yt-summary-prompt (without dash)
+                ch.name.startsWith(prefixes.summaryPrompt) || // yt-summary-prompt-1, yt-summary-prompt-2, etc.
+                ch.name === prefixes.summaryPrompt.slice(0, -1) // yt-summary-prompt (without dash)
               )
             );
             
@@ -996,18 +1177,18 @@ class CommandService {
             } else {
               for (const [channelId, channel] of summaryPromptChannels) {
                 try {
-                  const prompt = await discordService.getCustomPromptFromChannel(channel.name);
+                  const prompt = await discordService.getCustomPromptFromChannel(channel.name, interaction.guildId);
                   let suffix;
-                  if (channel.name.startsWith(discordService.config.prefixes.summaryPrompt)) {
-                    suffix = channel.name.replace(discordService.config.prefixes.summaryPrompt, '');
+                  if (channel.name.startsWith(prefixes.summaryPrompt)) {
+                    suffix = channel.name.replace(prefixes.summaryPrompt, '');
                   } else {
                     suffix = '(base)';
                   }
                   results.push(`✅ Summary Prompt ${suffix}: ${prompt ? 'Loaded' : 'Not found'}`);
                 } catch (error) {
                   let suffix;
-                  if (channel.name.startsWith(discordService.config.prefixes.summaryPrompt)) {
-                    suffix = channel.name.replace(discordService.config.prefixes.summaryPrompt, '');
+                  if (channel.name.startsWith(prefixes.summaryPrompt)) {
+                    suffix = channel.name.replace(prefixes.summaryPrompt, '');
                   } else {
                     suffix = '(base)';
                   }
@@ -1020,8 +1201,8 @@ class CommandService {
           // Daily report prompts (dynamic detection - handle both with and without suffix)
           const dailyReportPromptChannels = guild.channels.cache.filter(
             ch => ch.name && (
-              ch.name.startsWith(discordService.config.prefixes.dailyReportPrompt) || // yt-daily-report-prompt-1, etc.
-              ch.name === discordService.config.prefixes.dailyReportPrompt.slice(0, -1) // yt-daily-report-prompt (without dash)
+              ch.name.startsWith(prefixes.dailyReportPrompt) || // yt-daily-report-prompt-1, etc.
+              ch.name === prefixes.dailyReportPrompt.slice(0, -1) // yt-daily-report-prompt (without dash)
             )
           );
           
@@ -1030,18 +1211,18 @@ class CommandService {
           } else {
             for (const [channelId, channel] of dailyReportPromptChannels) {
               try {
-                const prompt = await discordService.getCustomPromptFromChannel(channel.name);
+                const prompt = await discordService.getCustomPromptFromChannel(channel.name, interaction.guildId);
                 let suffix;
-                if (channel.name.startsWith(discordService.config.prefixes.dailyReportPrompt)) {
-                  suffix = channel.name.replace(discordService.config.prefixes.dailyReportPrompt, '');
+                if (channel.name.startsWith(prefixes.dailyReportPrompt)) {
+                  suffix = channel.name.replace(prefixes.dailyReportPrompt, '');
                 } else {
                   suffix = '(base)';
                 }
                 results.push(`✅ Daily Report Prompt ${suffix}: ${prompt ? 'Loaded' : 'Not found'}`);
               } catch (error) {
                 let suffix;
-                if (channel.name.startsWith(discordService.config.prefixes.dailyReportPrompt)) {
-                  suffix = channel.name.replace(discordService.config.prefixes.dailyReportPrompt, '');
+                if (channel.name.startsWith(prefixes.dailyReportPrompt)) {
+                  suffix = channel.name.replace(prefixes.dailyReportPrompt, '');
                 } else {
                   suffix = '(base)';
                 }
@@ -1053,8 +1234,8 @@ class CommandService {
           // Weekly report prompts (dynamic detection - handle both with and without suffix)
           const weeklyReportPromptChannels = guild.channels.cache.filter(
             ch => ch.name && (
-              ch.name.startsWith(discordService.config.prefixes.weeklyReportPrompt) || // yt-weekly-report-prompt-1, etc.
-              ch.name === discordService.config.prefixes.weeklyReportPrompt.slice(0, -1) // yt-weekly-report-prompt (without dash)
+              ch.name.startsWith(prefixes.weeklyReportPrompt) || // yt-weekly-report-prompt-1, etc.
+              ch.name === prefixes.weeklyReportPrompt.slice(0, -1) // yt-weekly-report-prompt (without dash)
             )
           );
           
@@ -1063,18 +1244,18 @@ class CommandService {
           } else {
             for (const [channelId, channel] of weeklyReportPromptChannels) {
               try {
-                const prompt = await discordService.getCustomPromptFromChannel(channel.name);
+                const prompt = await discordService.getCustomPromptFromChannel(channel.name, interaction.guildId);
                 let suffix;
-                if (channel.name.startsWith(discordService.config.prefixes.weeklyReportPrompt)) {
-                  suffix = channel.name.replace(discordService.config.prefixes.weeklyReportPrompt, '');
+                if (channel.name.startsWith(prefixes.weeklyReportPrompt)) {
+                  suffix = channel.name.replace(prefixes.weeklyReportPrompt, '');
                 } else {
                   suffix = '(base)';
                 }
                 results.push(`✅ Weekly Report Prompt ${suffix}: ${prompt ? 'Loaded' : 'Not found'}`);
               } catch (error) {
                 let suffix;
-                if (channel.name.startsWith(discordService.config.prefixes.weeklyReportPrompt)) {
-                  suffix = channel.name.replace(discordService.config.prefixes.weeklyReportPrompt, '');
+                if (channel.name.startsWith(prefixes.weeklyReportPrompt)) {
+                  suffix = channel.name.replace(prefixes.weeklyReportPrompt, '');
                 } else {
                   suffix = '(base)';
                 }
@@ -1086,8 +1267,8 @@ class CommandService {
           // Monthly report prompts (dynamic detection - handle both with and without suffix)
           const monthlyReportPromptChannels = guild.channels.cache.filter(
             ch => ch.name && (
-              ch.name.startsWith(discordService.config.prefixes.monthlyReportPrompt) || // yt-monthly-report-prompt-1, etc.
-              ch.name === discordService.config.prefixes.monthlyReportPrompt.slice(0, -1) // yt-monthly-report-prompt (without dash)
+              ch.name.startsWith(prefixes.monthlyReportPrompt) || // yt-monthly-report-prompt-1, etc.
+              ch.name === prefixes.monthlyReportPrompt.slice(0, -1) // yt-monthly-report-prompt (without dash)
             )
           );
           
@@ -1096,18 +1277,18 @@ class CommandService {
           } else {
             for (const [channelId, channel] of monthlyReportPromptChannels) {
               try {
-                const prompt = await discordService.getCustomPromptFromChannel(channel.name);
+                const prompt = await discordService.getCustomPromptFromChannel(channel.name, interaction.guildId);
                 let suffix;
-                if (channel.name.startsWith(discordService.config.prefixes.monthlyReportPrompt)) {
-                  suffix = channel.name.replace(discordService.config.prefixes.monthlyReportPrompt, '');
+                if (channel.name.startsWith(prefixes.monthlyReportPrompt)) {
+                  suffix = channel.name.replace(prefixes.monthlyReportPrompt, '');
                 } else {
                   suffix = '(base)';
                 }
                 results.push(`✅ Monthly Report Prompt ${suffix}: ${prompt ? 'Loaded' : 'Not found'}`);
               } catch (error) {
                 let suffix;
-                if (channel.name.startsWith(discordService.config.prefixes.monthlyReportPrompt)) {
-                  suffix = channel.name.replace(discordService.config.prefixes.monthlyReportPrompt, '');
+                if (channel.name.startsWith(prefixes.monthlyReportPrompt)) {
+                  suffix = channel.name.replace(prefixes.monthlyReportPrompt, '');
                 } else {
                   suffix = '(base)';
                 }
@@ -1412,7 +1593,7 @@ class CommandService {
           }
           
           // Get channel configuration
-          const channels = await discordService.getChannelStatus();
+          const channels = await discordService.getChannelStatus(interaction.guildId);
           
           const embed = new EmbedBuilder()
             .setTitle('📺 Channel Monitoring Status')
@@ -1510,7 +1691,7 @@ class CommandService {
             throw new Error('Discord service not available');
           }
           
-          const validation = await discordService.validateAllPrompts();
+          const validation = await discordService.validateAllPrompts(interaction.guildId);
           
           let description = '';
           validation.forEach(result => {
@@ -1622,29 +1803,41 @@ class CommandService {
           
           let description = '📋 **Summary Check Results:**\n\n';
           
+          // Only this server's summaries
+          const inGuild = summary => reportService.belongsToGuild(summary.guildId || summary.guild_id, interaction.guildId);
+          
           // Check today's summaries
-          const todaysSummaries = await cacheService.getTodaysSummaries();
+          // A video can have one summary per output channel
+          const todaysSummaries = (await cacheService.getTodaysSummaries()).filter(inGuild);
+          const todaysVideos = reportService.groupSummariesByVideo(todaysSummaries);
           const today = new Date().toISOString().split('T')[0];
-          description += `**Today (${today}):** ${todaysSummaries.length} summaries\n`;
-          
-          if (todaysSummaries.length > 0) {
-            todaysSummaries.forEach((summary, index) => {
-              const title = summary.videoTitle || summary.title || `Video ${summary.videoId}`;
-              description += `${index + 1}. ${title.substring(0, 50)}...\n`;
-            });
-          }
+          description += `**Today (${today}):** ${todaysSummaries.length} summaries across ${todaysVideos.length} videos\n`;
+          
+          todaysVideos.forEach((videoSummaries, index) => {
+            const [first] = videoSummaries;
+            const title = first.videoTitle || first.title || `Video ${first.videoId || first.video_id}`;
+            const channels = videoSummaries
+              .map(summary => summary.outputChannelName || summary.output_channel_name)
+              .filter(Boolean)
+              .map(name => `#${name}`);
+            description += `${index + 1}. ${title.substring(0, 50)}...${channels.length > 0 ? ` (${channels.join(', ')})` : ''}\n`;
+          });
           description += '\n';
           
           // Check recent summaries (what reports use)
-          const recentSummaries = await reportService.getRecentSummaries();
-          description += `**Recent (24hrs):** ${recentSummaries.length} summaries\n`;
+          const recentSummaries = await reportService.getRecentSummaries(interaction.guildId);
+          const recentVideos = reportService.groupSummariesByVideo(recentSummaries);
+          description += `**Recent (24hrs):** ${recentSummaries.length} summaries across ${recentVideos.length} videos\n`;
           
           if (showAll) {
             // Show all summary dates
             const allSummaries = await cacheService.listSummaries();
             description += '\n**All Dates:**\n';
             Object.entries(allSummaries).forEach(([date, summaries]) => {
-              description += `• ${date}: ${summaries.length} summaries\n`;
+              const guildSummaries = summaries.filter(inGuild);
+              if (guildSummaries.length > 0) {
+                description += `• ${date}: ${guildSummaries.length} summaries\n`;
+              }
             });
           }
           
@@ -1872,7 +2065,35 @@ class CommandService {
   registerConfigCommand() {
     const command = new SlashCommandBuilder()
       .setName('config')
-      .setDescription('View current bot configuration');
+      .setDescription('View or change this server\'s bot configuration')
+      .addStringOption(option =>
+        option.setName('setting')
+          .setDescription('Setting to change (leave empty to view the configuration)')
+          .setRequired(false)
+          .addChoices(
+            { name: 'Uploads channel', value: 'channels.uploads' },
+            { name: 'Transcripts channel', value: 'channels.transcripts' },
+            { name: 'Daily report channel', value: 'channels.dailyReport' },
+            { name: 'Admin channel', value: 'channels.admin' },
+            { name: 'Summary prompt prefix', value: 'prefixes.summaryPrompt' },
+            { name: 'Summaries output prefix', value: 'prefixes.summariesOutput' },
+            { name: 'Daily report prompt prefix', value: 'prefixes.dailyReportPrompt' },
+            { name: 'Weekly report prompt prefix', value: 'prefixes.weeklyReportPrompt' },
+            { name: 'Monthly report prompt prefix', value: 'prefixes.monthlyReportPrompt' },
+            { name: 'Timezone', value: 'timezone' },
+            { name: 'Attachment threshold (characters)', value: 'attachmentThreshold' }
+          )
+      )
+      .addStringOption(option =>
+        option.setName('value')
+          .setDescription('New value (leave empty to reset the setting to the default)')
+          .setRequired(false)
+      )
+      .addChannelOption(option =>
+        option.setName('channel')
+          .setDescription('Channel for per-channel settings (attachment threshold; server default if omitted)')
+          .setRequired(false)
+      );
     
     this.commands.set('config', {
       data: command,
@@ -1881,38 +2102,100 @@ class CommandService {
         
         try {
           const config = this.serviceManager.config;
+          const discordService = await this.serviceManager.getService('discord');
+          const setting = interaction.options.getString('setting');
+          
+          if (setting) {
+            if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+              await interaction.editReply('❌ You need the Manage Server permission to change the configuration');
+              return;
+            }
+            
+            const value = interaction.options.getString('value')?.trim() || null;
+            
+            if (setting === 'attachmentThreshold') {
+              const threshold = value === null ? null : Number(value);
+              if (value !== null && !(Number.isInteger(threshold) && threshold >= 0)) {
+                await interaction.editReply(`❌ \`${value}\` is not a number of characters`);
+                return;
+              }
+              
+              const channel = interaction.options.getChannel('channel');
+              await discordService.updateGuildConfig(interaction.guildId, {
+                attachmentThresholds: { [channel?.id || 'default']: threshold }
+              });
+              
+              const target = channel ? `<#${channel.id}>` : 'this server';
+              console.log(`🔧 Attachment threshold for ${channel ? `#${channel.name}` : 'default'} ${value ? `set to ${threshold}` : 'reset'} in guild ${interaction.guildId} by ${interaction.user.tag}`);
+              await interaction.editReply(value
+                ? `✅ Messages in ${target} are split up to ${threshold} characters, longer ones are attached as a file`
+                : `✅ Attachment threshold for ${target} reset to the default`);
+              return;
+            }
+            
+            if (setting === 'timezone' && value) {
+              try {
+                new Intl.DateTimeFormat('en-US', { timeZone: value });
+              } catch (error) {
+                await interaction.editReply(`❌ Unknown timezone \`${value}\` (use an IANA name such as Europe/Berlin)`);
+                return;
+              }
+            }
+            
+            // 'channels.uploads' -> { channels: { uploads: value } }, 'timezone' -> { timezone: value }
+            const [group, key] = setting.split('.');
+            await discordService.updateGuildConfig(interaction.guildId, key ? { [group]: { [key]: value } } : { [group]: value });
+            
+            console.log(`🔧 ${setting} ${value ? `set to ${value}` : 'reset'} for guild ${interaction.guildId} by ${interaction.user.tag}`);
+            await interaction.editReply(value ? `✅ \`${setting}\` set to \`${value}\`` : `✅ \`${setting}\` reset to the default`);
+            return;
+          }
+          
+          const guildConfig = await discordService.getGuildConfig(interaction.guildId);
+          const { channels, prefixes, schedule, timezone, attachmentThresholds } = guildConfig;
+          const time = (hour, minute) => `${hour}:${minute.toString().padStart(2, '0')}`;
+          const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+          const monthlyDay = schedule.monthlyReportDay === 'L' ? 'Last day' : schedule.monthlyReportDay === '15' ? '15th' : '1st';
           
           const embed = new EmbedBuilder()
             .setTitle('🔧 Bot Configuration')
+            .setDescription(`Settings for **${interaction.guild.name}**. Change them with \`/config setting:<name> value:<value>\`.`)
             .setColor(0x00AE86)
             .addFields(
               {
                 name: '🤖 OpenAI Settings',
-                value: `**Model**: ${config.openai.model}\n**Max Tokens**: ${config.openai.maxTokens}\n**API Key**: ${config.openai.apiKey ? '✅ Configured' : '❌ Missing'}`,
+                value: `**Model**: ${guildConfig.model}\n**Max Tokens**: ${config.openai.maxTokens}\n**API Key**: ${config.openai.apiKey ? '✅ Configured' : '❌ Missing'}`,
                 inline: true
               },
               {
-                name: '📅 Daily Report Schedule',
-                value: `**Time**: ${config.discord.schedule.dailyReportHour}:${config.discord.schedule.dailyReportMinute.toString().padStart(2, '0')} CEST`,
+                name: '📅 Report Schedules',
+                value: `**Daily**: ${time(schedule.dailyReportHour, schedule.dailyReportMinute)}\n**Weekly**: ${dayNames[schedule.weeklyReportDay]} ${time(schedule.weeklyReportHour, schedule.weeklyReportMinute)}\n**Monthly**: ${monthlyDay} of month ${time(schedule.monthlyReportHour, schedule.monthlyReportMinute)}\n**Timezone**: ${timezone}`,
                 inline: true
               },
               {
-                name: '📊 Report Schedules',
-                value: `**Weekly**: ${config.discord.schedule.weeklyReportDay !== undefined ? 
-                  `${['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][config.discord.schedule.weeklyReportDay]} ${config.discord.schedule.weeklyReportHour}:${config.discord.schedule.weeklyReportMinute.toString().padStart(2, '0')} CEST` : 
-                  'Sundays 19:00 CEST'}\n**Monthly**: ${config.discord.schedule.monthlyReportDay ? 
-                  (config.discord.schedule.monthlyReportDay === 'L' ? 'Last day' : 
-                   config.discord.schedule.monthlyReportDay === '15' ? '15th' : '1st') + ` of month ${config.discord.schedule.monthlyReportHour || 20}:${(config.discord.schedule.monthlyReportMinute || 0).toString().padStart(2, '0')} CEST` : 
-                  '1st of month 20:00 CEST'}`,
+                name: '📺 Channels',
+                value: `**Uploads**: #${channels.uploads}\n**Transcripts**: #${channels.transcripts}\n**Daily report**: #${channels.dailyReport}\n**Admin**: #${channels.admin}`,
                 inline: true
               },
+              {
+                name: '🏷️ Channel Prefixes',
+                value: Object.entries(prefixes).map(([name, prefix]) => `**${name}**: \`${prefix}\``).join('\n'),
+                inline: false
+              },
+              {
+                name: '📄 Long Messages',
+                value: Object.entries(attachmentThresholds)
+                  .map(([channelId, threshold]) => `**${channelId === 'default' ? 'Default' : `<#${channelId}>`}**: split up to ${threshold} chars, then attach as file`)
+                  .join('\n'),
+                inline: false
+              },
               {
                 name: '✅ Verified Working Models',
-                value: '**GPT-5** (2s) • **GPT-4o** (1.5s) • **GPT-4o Mini** (0.8s)\n**GPT-4 Turbo** (0.8s) • **o3 Mini** (1s) • **GPT-4** (1.6s)\n\nUse `/test-model` to test, `/set-model` to switch',
+                value: '**GPT-5** (2s) • **GPT-4o** (1.5s) • **GPT-4o Mini** (0.8s)\n**GPT-4 Turbo** (0.8s) • **o3 Mini** (1s) • **GPT-4** (1.6s)\n\nUse `/model action:test` to test, `/model action:set` to switch',
                 inline: false
               }
             )
-            .setFooter({ text: 'Use /test-model to safely test new models before switching' })
+            .setFooter({ text: 'Use /model action:test to safely test new models before switching' })
             .setTimestamp();
           
           await interaction.editReply({ embeds: [embed] });
@@ -1925,9 +2208,32 @@ class CommandService {
   }
 
   registerModelCommand() {
+    // Models from LLM_CONFIG_FILE are offered after the built-in ones (Discord allows 25 choices)
+    const builtInChoices = [
+      // Fast & Reliable Category
+      { name: '⚡ GPT-4o (Fast & Reliable)', value: 'gpt-4o' },
+      { name: '💨 GPT-4o Mini (Fastest)', value: 'gpt-4o-mini' },
+      
+      // Latest & Advanced
+      { name: '🚀 GPT-5 (Latest)', value: 'gpt-5' },
+      { name: '🧠 o3 Mini (Reasoning)', value: 'o3-mini' },
+      
+      // Balanced Options  
+      { name: '🎯 GPT-4 Turbo (Balanced)', value: 'gpt-4-turbo' },
+      { name: '📝 GPT-4 (Classic)', value: 'gpt-4' }
+    ];
+    const llmConfig = this.serviceManager.config.llm;
+    const configuredModels = Object.entries(llmConfig?.models || {})
+      .filter(([name]) => !builtInChoices.some(choice => choice.value === name))
+      .map(([name, settings]) => ({
+        name: `🔌 ${name} (${settings.provider || llmConfig.defaultProvider})`.substring(0, 100),
+        value: name.substring(0, 100)
+      }));
+    const modelChoices = [...builtInChoices, ...configuredModels].slice(0, 25);
+    
     const command = new SlashCommandBuilder()
       .setName('model')
-      .setDescription('Manage OpenAI models (set active model or test before switching)')
+      .setDescription('Manage LLM models (set active model or test before switching)')
       .addStringOption(option =>
         option.setName('action')
           .setDescription('Action to perform')
@@ -1940,21 +2246,9 @@ class CommandService {
       )
       .addStringOption(option =>
         option.setName('model')
-          .setDescription('Select OpenAI model')
+          .setDescription('Select model')
           .setRequired(false)
-          .addChoices(
-            // Fast & Reliable Category
-            { name: '⚡ GPT-4o (Fast & Reliable)', value: 'gpt-4o' },
-            { name: '💨 GPT-4o Mini (Fastest)', value: 'gpt-4o-mini' },
-            
-            // Latest & Advanced
-            { name: '🚀 GPT-5 (Latest)', value: 'gpt-5' },
-            { name: '🧠 o3 Mini (Reasoning)', value: 'o3-mini' },
-            
-            // Balanced Options  
-            { name: '🎯 GPT-4 Turbo (Balanced)', value: 'gpt-4-turbo' },
-            { name: '� GPT-4 (Classic)', value: 'gpt-4' }
-          )
+          .addChoices(...modelChoices)
       );
     
     this.commands.set('model', {
@@ -1970,10 +2264,11 @@ class CommandService {
           if (!summaryService) {
             throw new Error('Summary service not available');
           }
+          const discordService = await this.serviceManager.getService('discord');
           
           if (action === 'list') {
-            // List available models with current active
-            const currentModel = summaryService.config?.openai?.model || 'Unknown';
+            // List available models with this server's active model
+            const { model: currentModel } = await discordService.getGuildConfig(interaction.guildId);
             
             const modelInfo = {
               'gpt-4o': '⚡ **GPT-4o** - Fast & reliable, best overall choice',
@@ -1983,15 +2278,23 @@ class CommandService {
               'gpt-4-turbo': '🎯 **GPT-4 Turbo** - Balanced performance',
               'gpt-4': '📝 **GPT-4** - Classic, proven model'
             };
+            for (const name of summaryService.llm.getConfiguredModels()) {
+              modelInfo[name] = modelInfo[name] || `🔌 **${name}** - Configured in LLM_CONFIG_FILE`;
+            }
             
-            let description = `**Current Active Model:** ${currentModel}\n\n**Available Models:**\n\n`;
+            let description = `**Current Active Model:** ${currentModel}\n`;
+            const downgrade = await this.getBudgetDowngrade(discordService, currentModel);
+            if (downgrade) {
+              description += `${downgrade}\n`;
+            }
+            description += `\n**Available Models:**\n\n`;
             Object.entries(modelInfo).forEach(([key, info]) => {
               const current = key === currentModel ? ' ← *Current*' : '';
-              description += `${info}${current}\n`;
+              description += `${info} \`${summaryService.llm.describeModel(key).provider}\`${current}\n`;
             });
             
             const embed = new EmbedBuilder()
-              .setTitle('🤖 Available OpenAI Models')
+              .setTitle('🤖 Available Models')
               .setDescription(description)
               .setColor(0x5865f2)
               .setFooter({ text: 'Use /model action:test to safely test before switching' })
@@ -2005,14 +2308,18 @@ class CommandService {
               return;
             }
             
-            console.log(`� Testing model: ${model}`);
+            console.log(`🧪 Testing model: ${model}`);
             
             // Test the model with a sample
             const testPrompt = "Summarize this in one sentence: The sky is blue because of light scattering.";
             const startTime = Date.now();
             
             try {
-              const testResult = await summaryService.testModel(model, testPrompt);
+              const testResult = await summaryService.testModel(model, testPrompt, {
+                guildId: interaction.guildId,
+                channelId: interaction.channelId,
+                channelName: interaction.channel?.name
+              });
               const duration = Date.now() - startTime;
               
               const embed = new EmbedBuilder()
@@ -2021,7 +2328,9 @@ class CommandService {
                 .addFields(
                   { name: '✅ Status', value: 'Model working correctly', inline: true },
                   { name: '⏱️ Response Time', value: `${duration}ms`, inline: true },
-                  { name: '📝 Test Response', value: testResult || 'No response received', inline: false }
+                  { name: '🔌 Provider', value: `${testResult.provider} (\`${testResult.model}\`)`, inline: true },
+                  { name: '💰 Cost', value: formatCost(testResult.cost), inline: true },
+                  { name: '📝 Test Response', value: (testResult.text || 'No response received').substring(0, 1024), inline: false }
                 )
                 .setFooter({ text: 'Model is safe to use. Use /model action:set to switch.' })
                 .setTimestamp();
@@ -2032,7 +2341,7 @@ class CommandService {
                 .setTitle(`❌ Model Test Failed: ${model}`)
                 .setColor(0xff6b6b)
                 .addFields(
-                  { name: '❌ Error', value: error.message, inline: false },
+                  { name: '❌ Error', value: error.message.substring(0, 1024), inline: false },
                   { name: '⚠️ Recommendation', value: 'Try a different model or check API configuration', inline: false }
                 )
                 .setTimestamp();
@@ -2046,21 +2355,30 @@ class CommandService {
               return;
             }
             
-            console.log(`🔄 Setting model to: ${model}`);
+            if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+              await interaction.editReply('❌ You need the Manage Server permission to change the model');
+              return;
+            }
+            
+            console.log(`🔄 Setting model to: ${model} for guild ${interaction.guildId}`);
             
             try {
-              // Update the model
-              await summaryService.updateModel(model);
+              // Update this server's model
+              await discordService.updateGuildConfig(interaction.guildId, { model });
               
               const embed = new EmbedBuilder()
                 .setTitle('✅ Model Updated Successfully')
                 .setColor(0x51cf66)
                 .addFields(
                   { name: '🤖 New Active Model', value: model, inline: true },
-                  { name: '📊 Status', value: 'All future summaries will use this model', inline: true }
+                  { name: '📊 Status', value: 'All future summaries and reports in this server will use this model', inline: true }
                 )
                 .setFooter({ text: 'Model change effective immediately' })
                 .setTimestamp();
+              const downgrade = await this.getBudgetDowngrade(discordService, model);
+              if (downgrade) {
+                embed.addFields({ name: '💸 Budget', value: downgrade, inline: false });
+              }
               
               await interaction.editReply({ embeds: [embed] });
             } catch (error) {
@@ -2080,6 +2398,7 @@ class CommandService {
     const command = new SlashCommandBuilder()
       .setName('schedule')
       .setDescription('Update report schedules (daily/weekly/monthly)')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
       .addStringOption(option =>
         option.setName('report-type')
           .setDescription('Which report schedule to update')
@@ -2092,7 +2411,7 @@ class CommandService {
       )
       .addIntegerOption(option =>
         option.setName('hour')
-          .setDescription('Hour (0-23, CEST timezone)')
+          .setDescription('Hour (0-23, in the server\'s timezone - see /config)')
           .setRequired(true)
           .setMinValue(0)
           .setMaxValue(23)
@@ -2145,150 +2464,50 @@ class CommandService {
           };
           
           const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-          let embed;
+          const describeMonthlyDay = (day) => day === 'L' ? 'Last day of month' : day === '15' ? '15th of month' : '1st of month';
+          const time = (hour, minute) => `${hour}:${minute.toString().padStart(2, '0')}`;
+          
+          const discordService = await this.serviceManager.getService('discord');
+          const { schedule: oldSchedule, timezone } = await discordService.getGuildConfig(interaction.guildId);
           
+          let changes;
+          let describe;
           if (reportType === 'daily') {
-            // Handle daily report schedule update
-            const oldHour = this.serviceManager.config.discord.schedule.dailyReportHour;
-            const oldMinute = this.serviceManager.config.discord.schedule.dailyReportMinute;
-            
-            // Update the configuration
-            this.serviceManager.config.discord.schedule.dailyReportHour = newHour;
-            this.serviceManager.config.discord.schedule.dailyReportMinute = newMinute;
-            
-            embed = new EmbedBuilder()
-              .setTitle('⏰ Daily Schedule Updated')
-              .setColor(0x00AE86)
-              .addFields(
-                {
-                  name: 'Previous Daily Schedule',
-                  value: `${oldHour}:${oldMinute.toString().padStart(2, '0')} CEST`,
-                  inline: true
-                },
-                {
-                  name: 'New Daily Schedule',
-                  value: `${newHour}:${newMinute.toString().padStart(2, '0')} CEST`,
-                  inline: true
-                },
-                {
-                  name: '⚠️ Important Note',
-                  value: 'Schedule change requires bot restart to take effect. The new schedule will be active after the next deployment.',
-                  inline: false
-                }
-              )
-              .setFooter({ text: 'For permanent changes, update DAILY_REPORT_HOUR and DAILY_REPORT_MINUTE environment variables.' })
-              .setTimestamp();
-            
-            this.logger.info(`Daily report schedule changed from ${oldHour}:${oldMinute.toString().padStart(2, '0')} to ${newHour}:${newMinute.toString().padStart(2, '0')} CEST by ${interaction.user.tag}`);
-            
+            changes = { dailyReportHour: newHour, dailyReportMinute: newMinute };
+            describe = (schedule) => `${time(schedule.dailyReportHour, schedule.dailyReportMinute)} ${timezone}`;
           } else if (reportType === 'weekly') {
-            // Handle weekly report schedule update
-            const newDay = dayOption ? getDayNumber(dayOption) : 0; // Default to Sunday
-            
-            // Initialize weekly schedule if not exists
-            if (!this.serviceManager.config.discord.schedule.weeklyReportHour) {
-              this.serviceManager.config.discord.schedule.weeklyReportHour = 19;
-              this.serviceManager.config.discord.schedule.weeklyReportMinute = 0;
-              this.serviceManager.config.discord.schedule.weeklyReportDay = 0;
-            }
-            
-            const oldHour = this.serviceManager.config.discord.schedule.weeklyReportHour;
-            const oldMinute = this.serviceManager.config.discord.schedule.weeklyReportMinute;
-            const oldDay = this.serviceManager.config.discord.schedule.weeklyReportDay || 0;
-            
-            // Update the configuration
-            this.serviceManager.config.discord.schedule.weeklyReportHour = newHour;
-            this.serviceManager.config.discord.schedule.weeklyReportMinute = newMinute;
-            this.serviceManager.config.discord.schedule.weeklyReportDay = newDay;
-            
-            embed = new EmbedBuilder()
-              .setTitle('📊 Weekly Schedule Updated')
-              .setColor(0x00AE86)
-              .addFields(
-                {
-                  name: 'Previous Weekly Schedule',
-                  value: `${dayNames[oldDay]}s at ${oldHour}:${oldMinute.toString().padStart(2, '0')} CEST`,
-                  inline: true
-                },
-                {
-                  name: 'New Weekly Schedule',
-                  value: `${dayNames[newDay]}s at ${newHour}:${newMinute.toString().padStart(2, '0')} CEST`,
-                  inline: true
-                },
-                {
-                  name: '⚠️ Important Note',
-                  value: 'Weekly schedule change requires bot restart to take effect. The new schedule will be active after the next deployment.',
-                  inline: false
-                }
-              )
-              .setFooter({ text: 'Weekly schedules are temporary until restart. For permanent changes, update deployment configuration.' })
-              .setTimestamp();
-            
-            this.logger.info(`Weekly report schedule changed from ${dayNames[oldDay]}s ${oldHour}:${oldMinute.toString().padStart(2, '0')} to ${dayNames[newDay]}s ${newHour}:${newMinute.toString().padStart(2, '0')} CEST by ${interaction.user.tag}`);
-            
-          } else if (reportType === 'monthly') {
-            // Handle monthly report schedule update
-            let dayDescription = '1st of month';
-            let cronDay = '1';
-            
-            if (dayOption) {
-              if (dayOption === 'last') {
-                dayDescription = 'Last day of month';
-                cronDay = 'L'; // Last day cron syntax
-              } else if (dayOption === '15') {
-                dayDescription = '15th of month';
-                cronDay = '15';
-              } else if (dayOption === '1') {
-                dayDescription = '1st of month';
-                cronDay = '1';
-              }
-            }
-            
-            // Initialize monthly schedule if not exists
-            if (!this.serviceManager.config.discord.schedule.monthlyReportHour) {
-              this.serviceManager.config.discord.schedule.monthlyReportHour = 20;
-              this.serviceManager.config.discord.schedule.monthlyReportMinute = 0;
-              this.serviceManager.config.discord.schedule.monthlyReportDay = '1';
-            }
-            
-            const oldHour = this.serviceManager.config.discord.schedule.monthlyReportHour;
-            const oldMinute = this.serviceManager.config.discord.schedule.monthlyReportMinute;
-            const oldDay = this.serviceManager.config.discord.schedule.monthlyReportDay || '1';
-            
-            // Update the configuration
-            this.serviceManager.config.discord.schedule.monthlyReportHour = newHour;
-            this.serviceManager.config.discord.schedule.monthlyReportMinute = newMinute;
-            this.serviceManager.config.discord.schedule.monthlyReportDay = cronDay;
-            
-            const oldDayDesc = oldDay === 'L' ? 'Last day of month' : 
-                              oldDay === '15' ? '15th of month' : '1st of month';
-            
-            embed = new EmbedBuilder()
-              .setTitle('📅 Monthly Schedule Updated')
-              .setColor(0x00AE86)
-              .addFields(
-                {
-                  name: 'Previous Monthly Schedule',
-                  value: `${oldDayDesc} at ${oldHour}:${oldMinute.toString().padStart(2, '0')} CEST`,
-                  inline: true
-                },
-                {
-                  name: 'New Monthly Schedule',
-                  value: `${dayDescription} at ${newHour}:${newMinute.toString().padStart(2, '0')} CEST`,
-                  inline: true
-                },
-                {
-                  name: '⚠️ Important Note',
-                  value: 'Monthly schedule change requires bot restart to take effect. The new schedule will be active after the next deployment.',
-                  inline: false
-                }
-              )
-              .setFooter({ text: 'Monthly schedules are temporary until restart. For permanent changes, update deployment configuration.' })
-              .setTimestamp();
-            
-            this.logger.info(`Monthly report schedule changed from ${oldDayDesc} ${oldHour}:${oldMinute.toString().padStart(2, '0')} to ${dayDescription} ${newHour}:${newMinute.toString().padStart(2, '0')} CEST by ${interaction.user.tag}`);
+            changes = { weeklyReportHour: newHour, weeklyReportMinute: newMinute, weeklyReportDay: dayOption ? getDayNumber(dayOption) : 0 }; // Default to Sunday
+            describe = (schedule) => `${dayNames[schedule.weeklyReportDay]}s at ${time(schedule.weeklyReportHour, schedule.weeklyReportMinute)} ${timezone}`;
+          } else {
+            const cronDay = dayOption === 'last' ? 'L' : dayOption === '15' ? '15' : '1';
+            changes = { monthlyReportHour: newHour, monthlyReportMinute: newMinute, monthlyReportDay: cronDay };
+            describe = (schedule) => `${describeMonthlyDay(schedule.monthlyReportDay)} at ${time(schedule.monthlyReportHour, schedule.monthlyReportMinute)} ${timezone}`;
           }
           
+          // Stored per server; the report jobs are rescheduled immediately
+          const { schedule: newSchedule } = await discordService.updateGuildConfig(interaction.guildId, { schedule: changes });
+          const label = reportType.charAt(0).toUpperCase() + reportType.slice(1);
+          
+          const embed = new EmbedBuilder()
+            .setTitle(`⏰ ${label} Schedule Updated`)
+            .setColor(0x00AE86)
+            .addFields(
+              {
+                name: `Previous ${label} Schedule`,
+                value: describe(oldSchedule),
+                inline: true
+              },
+              {
+                name: `New ${label} Schedule`,
+                value: describe(newSchedule),
+                inline: true
+              }
+            )
+            .setFooter({ text: 'Change the timezone with /config setting:Timezone' })
+            .setTimestamp();
+          
+          this.logger.info(`${label} report schedule for guild ${interaction.guildId} changed from ${describe(oldSchedule)} to ${describe(newSchedule)} by ${interaction.user.tag}`);
+          
           await interaction.editReply({ embeds: [embed] });
           
         } catch (error) {
@@ -2443,7 +2662,7 @@ class CommandService {
   registerPromptsCommand() {
     const command = new SlashCommandBuilder()
       .setName('prompts')
-      .setDescription('Manage Discord prompts (reload from pinned messages or validate)')
+      .setDescription('Manage Discord prompts (reload from pinned messages, validate, show history or test)')
       .addStringOption(option =>
         option.setName('action')
           .setDescription('Prompt action to perform')
@@ -2451,13 +2670,37 @@ class CommandService {
           .addChoices(
             { name: '🔄 Reload All Prompts', value: 'reload' },
             { name: '✅ Validate Prompts', value: 'validate' },
-            { name: '📋 List Prompt Channels', value: 'list' }
+            { name: '📋 List Prompt Channels', value: 'list' },
+            { name: '🕘 Prompt History', value: 'history' },
+            { name: '🧪 Test Prompt', value: 'test' }
           )
+      )
+      .addChannelOption(option =>
+        option.setName('channel')
+          .setDescription('Prompt channel (for history and test)')
+          .addChannelTypes(ChannelType.GuildText)
+          .setRequired(false)
+      )
+      .addStringOption(option =>
+        option.setName('video')
+          .setDescription('YouTube video ID or URL with a stored transcript (for test)')
+          .setRequired(false)
+      )
+      .addBooleanOption(option =>
+        option.setName('paste')
+          .setDescription('Paste the prompt text in a form instead of using a pinned prompt (for test)')
+          .setRequired(false)
       );
     
     this.commands.set('prompts', {
       data: command,
       execute: async (interaction) => {
+        // Tests reply privately (and may open a form), so they don't share the public deferred reply
+        if (interaction.options.getString('action') === 'test') {
+          await this.executePromptTest(interaction);
+          return;
+        }
+        
         await interaction.deferReply();
         
         try {
@@ -2473,50 +2716,23 @@ class CommandService {
             
             const results = [];
             
-            // Reload prompts for all channels
-            const guild = discordService.client.guilds.cache.get(discordService.config.guildId);
+            // Re-read the pinned prompt of every prompt channel into the prompt registry
+            const guild = interaction.guild;
             if (guild) {
-              const summaryPromptChannels = guild.channels.cache.filter(
-                ch => ch.name && (
-                  ch.name.startsWith(discordService.config.prefixes.summaryPrompt) ||
-                  ch.name === 'yt-summary-prompt'
-                )
-              );
-              
-              for (const [channelId, channel] of summaryPromptChannels) {
+              for (const channel of await discordService.getPromptChannels(guild)) {
                 try {
-                  const prompt = await discordService.getPromptFromChannel(channel.name);
-                  let suffix;
-                  if (channel.name.startsWith(discordService.config.prefixes.summaryPrompt)) {
-                    suffix = channel.name.replace(discordService.config.prefixes.summaryPrompt, '');
-                  } else {
-                    suffix = '(base)';
-                  }
-                  results.push(`✅ Summary Prompt ${suffix}: ${prompt ? 'Reloaded' : 'Not found'}`);
+                  const prompt = await discordService.prompts.load(channel);
+                  results.push(prompt
+                    ? `✅ #${channel.name}: Reloaded (${prompt.content.length} chars)`
+                    : `⚠️ #${channel.name}: No pinned prompt`);
                 } catch (error) {
-                  let suffix;
-                  if (channel.name.startsWith(discordService.config.prefixes.summaryPrompt)) {
-                    suffix = channel.name.replace(discordService.config.prefixes.summaryPrompt, '');
-                  } else {
-                    suffix = '(base)';
-                  }
-                  results.push(`❌ Summary Prompt ${suffix}: ${error.message}`);
+                  results.push(`❌ #${channel.name}: ${error.message}`);
                 }
               }
-              
-              // Reload weekly/monthly report prompts
-              ['weekly', 'monthly'].forEach(reportType => {
-                const channelName = `yt-${reportType}-report-prompt`;
-                const channel = guild.channels.cache.find(ch => ch.name === channelName);
-                if (channel) {
-                  try {
-                    discordService.getPromptFromChannel(channelName);
-                    results.push(`✅ ${reportType.charAt(0).toUpperCase() + reportType.slice(1)} Report Prompt: Reloaded`);
-                  } catch (error) {
-                    results.push(`❌ ${reportType.charAt(0).toUpperCase() + reportType.slice(1)} Report Prompt: ${error.message}`);
-                  }
-                }
-              });
+            }
+            
+            if (results.length === 0) {
+              results.push('📭 No prompt channels found');
             }
             
             const embed = new EmbedBuilder()
@@ -2530,7 +2746,7 @@ class CommandService {
           } else if (action === 'validate') {
             console.log('✅ Validating prompts via command...');
             
-            const validation = await discordService.validateAllPrompts();
+            const validation = await discordService.validateAllPrompts(interaction.guildId);
             
             let description = '';
             validation.forEach(result => {
@@ -2549,7 +2765,8 @@ class CommandService {
           } else if (action === 'list') {
             console.log('📋 Listing prompt channels via command...');
             
-            const guild = discordService.client.guilds.cache.get(discordService.config.guildId);
+            const guild = interaction.guild;
+            const { prefixes } = await discordService.getGuildConfig(interaction.guildId);
             if (!guild) {
               throw new Error('Guild not found');
             }
@@ -2557,7 +2774,7 @@ class CommandService {
             const promptChannels = guild.channels.cache.filter(
               ch => ch.name && (
                 ch.name.includes('prompt') ||
-                ch.name.startsWith(discordService.config.prefixes.summaryPrompt)
+                ch.name.startsWith(prefixes.summaryPrompt)
               )
             );
             
@@ -2580,6 +2797,50 @@ class CommandService {
               .setTimestamp();
             
             await interaction.editReply({ embeds: [embed] });
+            
+          } else if (action === 'history') {
+            const channel = interaction.options.getChannel('channel');
+            if (!channel) {
+              await interaction.editReply('❌ Choose the prompt channel with the `channel` option');
+              return;
+            }
+            console.log(`🕘 Prompt history via command: #${channel.name}`);
+            
+            const databaseService = await this.serviceManager.getService('database');
+            if (!databaseService) {
+              throw new Error('Database service not available');
+            }
+            
+            // One extra version so the oldest one shown can be diffed against its predecessor
+            const shown = 5;
+            const versions = await databaseService.getPromptVersions(channel.id, shown + 1);
+            if (versions.length === 0) {
+              await interaction.editReply(`📭 No prompt versions recorded for <#${channel.id}> yet. A version is saved the first time its pinned prompt is used.`);
+              return;
+            }
+            
+            const toTimestamp = (date) => `<t:${Math.floor(new Date(`${date}Z`).getTime() / 1000)}:R>`;
+            const codeBlock = (text) => `\`\`\`diff\n${text.replace(/```/g, "'''").substring(0, 850)}\n\`\`\``;
+            
+            const embed = new EmbedBuilder()
+              .setTitle(`🕘 Prompt History: #${channel.name}`)
+              .setDescription(`Latest is **v${versions[0].version}**. Each version lists the changes from the one before it.`)
+              .setColor(0x5865f2)
+              .setTimestamp();
+            
+            versions.slice(0, shown).forEach((version, index) => {
+              const previous = versions[index + 1];
+              const changes = previous
+                ? formatDiff(previous.content, version.content) || '  (no text changes)'
+                : version.content.split('\n').map(line => `+ ${line}`).join('\n');
+              embed.addFields({
+                name: `v${version.version} · ${version.content_hash.slice(0, 7)} · ${version.summary_count} summaries`,
+                value: `${toTimestamp(version.created_at)}\n${codeBlock(changes)}`,
+                inline: false
+              });
+            });
+            
+            await interaction.editReply({ embeds: [embed] });
           }
           
         } catch (error) {
@@ -2589,6 +2850,480 @@ class CommandService {
       }
     });
   }
+
+  /**
+   * /prompts action:test - run a prompt on a stored transcript and show the result only to the caller
+   */
+  async executePromptTest(interaction) {
+    try {
+      // Every test is a paid LLM call on the guild's model
+      if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        await interaction.reply({ content: '❌ You need the Manage Server permission to test prompts', ephemeral: true });
+        return;
+      }
+
+      const input = interaction.options.getString('video')?.trim();
+      const videoId = input && (/^[a-zA-Z0-9_-]{11}$/.test(input) ? input : extractVideoId(input));
+      if (!videoId) {
+        await interaction.reply({ content: '❌ Give the video to test on with the `video` option (ID or URL)', ephemeral: true });
+        return;
+      }
+      
+      const discordService = await this.serviceManager.getService('discord');
+      if (!discordService) {
+        throw new Error('Discord service not available');
+      }
+      
+      // The form has to be the first response, so it's shown before anything is looked up
+      if (interaction.options.getBoolean('paste')) {
+        await discordService.showPromptTestModal(interaction, videoId);
+        return;
+      }
+      
+      const channel = interaction.options.getChannel('channel');
+      let promptText = null;
+      if (channel) {
+        const pinnedMessage = await discordService.prompts.getPinnedPrompt(channel);
+        if (!pinnedMessage) {
+          await interaction.reply({ content: `❌ <#${channel.id}> has no pinned prompt`, ephemeral: true });
+          return;
+        }
+        promptText = pinnedMessage.content;
+      }
+      
+      console.log(`🧪 Prompt test via command: ${channel ? `#${channel.name}` : 'default prompt'} on ${videoId}`);
+      await discordService.runPromptTest(interaction, videoId, promptText, channel ? `#${channel.name}` : 'Default prompt');
+      
+    } catch (error) {
+      console.error('❌ Prompt test command error:', error);
+      const message = '❌ Error testing prompt: ' + error.message;
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply(message).catch(() => {});
+      } else {
+        await interaction.reply({ content: message, ephemeral: true }).catch(() => {});
+      }
+    }
+  }
+
+  registerRouteCommand() {
+    const command = new SlashCommandBuilder()
+      .setName('route')
+      .setDescription('Manage which summary channels videos from a source channel go to')
+      .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+      .addSubcommand(subcommand =>
+        subcommand.setName('add')
+          .setDescription('Send summaries of videos posted in a source channel to an output channel')
+          .addChannelOption(option =>
+            option.setName('source')
+              .setDescription('Channel where YouTube links are posted')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(true)
+          )
+          .addChannelOption(option =>
+            option.setName('output')
+              .setDescription('Channel the summaries are posted to')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(true)
+          )
+          .addChannelOption(option =>
+            option.setName('prompt')
+              .setDescription('Channel whose pinned message is the prompt (default prompt if omitted)')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false)
+          )
+          .addBooleanOption(option =>
+            option.setName('thread')
+              .setDescription('Also post the transcript and summary in a thread on the source message')
+              .setRequired(false)
+          )
+          .addIntegerOption(option =>
+            option.setName('archive')
+              .setDescription('Auto-archive the thread after this much inactivity')
+              .setRequired(false)
+              .addChoices(
+                { name: '1 hour', value: 60 },
+                { name: '1 day', value: 1440 },
+                { name: '3 days', value: 4320 },
+                { name: '1 week', value: 10080 }
+              )
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('remove')
+          .setDescription('Remove a route')
+          .addChannelOption(option =>
+            option.setName('source')
+              .setDescription('Source channel of the route')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(true)
+          )
+          .addChannelOption(option =>
+            option.setName('output')
+              .setDescription('Output channel of the route')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(true)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('list')
+          .setDescription('List the routes configured for this server')
+      );
+    
+    this.commands.set('route', {
+      data: command,
+      execute: async (interaction) => {
+        await interaction.deferReply();
+        
+        try {
+          const subcommand = interaction.options.getSubcommand();
+          const databaseService = await this.serviceManager.getService('database');
+          if (!databaseService) {
+            throw new Error('Database service not available');
+          }
+          
+          if (subcommand === 'add') {
+            const source = interaction.options.getChannel('source');
+            const output = interaction.options.getChannel('output');
+            const prompt = interaction.options.getChannel('prompt');
+            const thread = interaction.options.getBoolean('thread') || false;
+            const archive = interaction.options.getInteger('archive');
+            console.log(`🧭 Adding route via command: #${source.name} -> #${output.name}${thread ? ' (thread mode)' : ''}`);
+            
+            const options = {};
+            if (thread) {
+              options.thread = true;
+              if (archive) {
+                options.threadArchiveMinutes = archive;
+              }
+            }
+            
+            const saved = await databaseService.saveRoute({
+              guildId: interaction.guildId,
+              sourceChannelId: source.id,
+              outputChannelId: output.id,
+              promptChannelId: prompt?.id || null,
+              options
+            });
+            if (!saved) {
+              throw new Error('Could not save route');
+            }
+            
+            await interaction.editReply(`✅ Route added: ${this.formatRoute({
+              source_channel_id: source.id,
+              output_channel_id: output.id,
+              prompt_channel_id: prompt?.id || null,
+              options
+            })}`);
+            
+          } else if (subcommand === 'remove') {
+            const source = interaction.options.getChannel('source');
+            const output = interaction.options.getChannel('output');
+            console.log(`🧭 Removing route via command: #${source.name} -> #${output.name}`);
+            
+            const removed = await databaseService.removeRoute(source.id, output.id);
+            await interaction.editReply(removed
+              ? `🗑️ Route removed: <#${source.id}> → <#${output.id}>`
+              : `⚠️ No route from <#${source.id}> to <#${output.id}>`);
+            
+          } else if (subcommand === 'list') {
+            const routes = await databaseService.getRoutes(interaction.guildId);
+            
+            const description = routes.length > 0
+              ? routes.map(route => this.formatRoute(route)).join('\n')
+              : 'No routes configured. Channel name conventions are used (`yt-summaries-N` paired with `yt-summary-prompt-N`).';
+            
+            const embed = new EmbedBuilder()
+              .setTitle('🧭 Summary Routes')
+              .setDescription(description)
+              .setColor(0x5865f2)
+              .setTimestamp();
+            
+            await interaction.editReply({ embeds: [embed] });
+          }
+          
+        } catch (error) {
+          console.error('❌ Route command error:', error);
+          await interaction.editReply('❌ Error managing routes: ' + error.message);
+        }
+      }
+    });
+  }
+
+  registerCompareCommand() {
+    const command = new SlashCommandBuilder()
+      .setName('compare-summaries')
+      .setDescription('Compare two models or prompts on the same video and vote on the better summary')
+      .addSubcommand(subcommand =>
+        subcommand.setName('run')
+          .setDescription('Summarize a stored transcript two ways and post both with vote buttons')
+          .addStringOption(option =>
+            option.setName('video')
+              .setDescription('YouTube video ID or URL (must have a stored transcript)')
+              .setRequired(true)
+          )
+          .addStringOption(option =>
+            option.setName('a')
+              .setDescription('Side A: a model, a prompt version and/or a prompt channel, e.g. "gpt-4o v3"')
+              .setRequired(true)
+          )
+          .addStringOption(option =>
+            option.setName('b')
+              .setDescription('Side B: a model, a prompt version and/or a prompt channel, e.g. "gpt-4o-mini v3"')
+              .setRequired(true)
+          )
+          .addChannelOption(option =>
+            option.setName('prompt')
+              .setDescription('Prompt channel for sides that only name a model or a version (default prompt if omitted)')
+              .addChannelTypes(ChannelType.GuildText)
+              .setRequired(false)
+          )
+      )
+      .addSubcommand(subcommand =>
+        subcommand.setName('results')
+          .setDescription('Wins per model and per prompt version from the votes so far')
+      );
+    
+    this.commands.set('compare-summaries', {
+      data: command,
+      execute: async (interaction) => {
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'run') {
+          await this.executeCompareRun(interaction);
+        } else if (subcommand === 'results') {
+          await this.executeCompareResults(interaction);
+        }
+      }
+    });
+  }
+
+  /**
+   * /compare-summaries run - generate both sides and post them for voting
+   */
+  async executeCompareRun(interaction) {
+    try {
+      // Both sides are paid LLM calls; results stay open to everyone
+      if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        await interaction.reply({ content: '❌ You need the Manage Server permission to run comparisons', ephemeral: true });
+        return;
+      }
+
+      const input = interaction.options.getString('video').trim();
+      const videoId = /^[a-zA-Z0-9_-]{11}$/.test(input) ? input : extractVideoId(input);
+      if (!videoId) {
+        await interaction.reply({ content: '❌ Invalid YouTube video ID or URL', ephemeral: true });
+        return;
+      }
+      
+      const variants = {};
+      for (const key of ['a', 'b']) {
+        try {
+          variants[key] = parseComparisonVariant(interaction.options.getString(key));
+        } catch (error) {
+          await interaction.reply({ content: `❌ Side ${key.toUpperCase()}: ${error.message}`, ephemeral: true });
+          return;
+        }
+      }
+      
+      const discordService = await this.serviceManager.getService('discord');
+      if (!discordService) {
+        throw new Error('Discord service not available');
+      }
+      
+      const promptChannel = interaction.options.getChannel('prompt');
+      console.log(`⚖️ Comparison via command on ${videoId}: "${interaction.options.getString('a')}" vs "${interaction.options.getString('b')}"`);
+      await discordService.runSummaryComparison(interaction, videoId, variants, promptChannel);
+      
+    } catch (error) {
+      console.error('❌ Compare command error:', error);
+      const message = '❌ Comparison failed: ' + error.message;
+      if (interaction.deferred || interaction.replied) {
+        await interaction.editReply({ content: message, embeds: [], components: [] });
+      } else {
+        await interaction.reply({ content: message, ephemeral: true });
+      }
+    }
+  }
+
+  /**
+   * /compare-summaries results - aggregate votes per model and per prompt version
+   */
+  async executeCompareResults(interaction) {
+    await interaction.deferReply();
+    
+    try {
+      const databaseService = await this.serviceManager.getService('database');
+      if (!databaseService) {
+        throw new Error('Database service not available');
+      }
+      
+      const comparisons = await databaseService.getComparisonResults(interaction.guildId);
+      const { models, prompts, decided } = tallyComparisonResults(comparisons);
+      
+      const formatEntries = (entries, none) => entries.length > 0
+        ? entries.slice(0, 10).map(entry => `**${entry.name}** — ${entry.wins} wins / ${entry.losses} losses / ${entry.ties} ties`).join('\n')
+        : none;
+      
+      const embed = new EmbedBuilder()
+        .setTitle('⚖️ Comparison Results')
+        .setDescription(`${decided} of ${comparisons.length} comparison${comparisons.length === 1 ? '' : 's'} have votes. Each comparison counts once, for its majority.`)
+        .addFields(
+          { name: '🤖 Models', value: formatEntries(models, 'No votes between different models yet'), inline: false },
+          { name: '📝 Prompt versions', value: formatEntries(prompts, 'No votes between different prompts yet'), inline: false }
+        )
+        .setColor(0x5865f2)
+        .setTimestamp();
+      
+      await interaction.editReply({ embeds: [embed] });
+      
+    } catch (error) {
+      console.error('❌ Compare results error:', error);
+      await interaction.editReply('❌ Error loading comparison results: ' + error.message);
+    }
+  }
+
+  // === USAGE ===
+
+  registerUsageCommand() {
+    const command = new SlashCommandBuilder()
+      .setName('usage')
+      .setDescription('LLM tokens and cost for this server, by model and channel')
+      .addStringOption(option =>
+        option.setName('period')
+          .setDescription('Period for the model and channel breakdown (default: this month)')
+          .setRequired(false)
+          .addChoices(
+            { name: '📅 Today', value: 'day' },
+            { name: '🗓️ This week', value: 'week' },
+            { name: '📆 This month', value: 'month' }
+          )
+      );
+    
+    this.commands.set('usage', {
+      data: command,
+      execute: async (interaction) => {
+        await interaction.deferReply();
+        
+        try {
+          const databaseService = await this.serviceManager.getService('database');
+          if (!databaseService) {
+            throw new Error('Database service not available');
+          }
+          const discordService = await this.serviceManager.getService('discord');
+          
+          const period = interaction.options.getString('period') || 'month';
+          const guildId = interaction.guildId;
+          const timezone = discordService
+            ? (await discordService.getGuildConfig(guildId)).timezone
+            : this.serviceManager.config.app.timezone;
+          const periods = this.getUsagePeriods(timezone);
+          
+          const totals = {};
+          for (const [key, { start, end }] of Object.entries(periods)) {
+            [totals[key]] = await databaseService.getLLMUsage(start, end, { guildId });
+          }
+          const { start, end, label } = periods[period];
+          const byModel = await databaseService.getLLMUsage(start, end, { guildId, groupBy: 'model' });
+          const byChannel = await databaseService.getLLMUsage(start, end, { guildId, groupBy: 'channel' });
+          
+          const formatTotal = (usage) => usage?.calls
+            ? `**${formatCost(usage.cost)}**\n${usage.calls} calls, ${formatTokens(usage.prompt_tokens + usage.completion_tokens)} tokens`
+            : 'No calls';
+          const formatRows = (rows, nameOf) => rows.length > 0
+            ? rows.slice(0, 10).map(row =>
+              `${nameOf(row)} — ${formatCost(row.cost)} (${row.calls} calls, ${formatTokens(row.prompt_tokens)} in / ${formatTokens(row.completion_tokens)} out)`
+            ).join('\n').substring(0, 1024)
+            : 'No calls';
+          
+          const unpriced = totals.month?.unpriced_calls || 0;
+          const embed = new EmbedBuilder()
+            .setTitle('💰 LLM Usage')
+            .setColor(0x5865f2)
+            .addFields(
+              { name: `📅 ${periods.day.label}`, value: formatTotal(totals.day), inline: true },
+              { name: `🗓️ ${periods.week.label}`, value: formatTotal(totals.week), inline: true },
+              { name: `📆 ${periods.month.label}`, value: formatTotal(totals.month), inline: true },
+              { name: `🤖 By model (${label.toLowerCase()})`, value: formatRows(byModel, row => `**${row.name}**`), inline: false },
+              {
+                name: `📺 By channel (${label.toLowerCase()})`,
+                value: formatRows(byChannel, row => row.name ? `<#${row.name}>` : '**No channel** (default reports)'),
+                inline: false
+              }
+            )
+            .setFooter({ text: unpriced > 0
+              ? `${unpriced} call(s) this month have no price and are not included in the cost. Add them to "prices" in LLM_CONFIG_FILE.`
+              : 'Costs are computed from the price table at the time of each call' })
+            .setTimestamp();
+          
+          // The caps cover the spend of every server
+          const budget = discordService?.budget;
+          if (budget?.isEnabled()) {
+            embed.addFields({ name: '💸 Budget (all servers)', value: this.formatBudgetStatus(await budget.getStatus(), budget.config), inline: false });
+          }
+          
+          await interaction.editReply({ embeds: [embed] });
+          
+        } catch (error) {
+          console.error('❌ Usage command error:', error);
+          await interaction.editReply('❌ Error loading LLM usage: ' + error.message);
+        }
+      }
+    });
+  }
+
+  /**
+   * Remaining budget per capped period, and what happens at the cap
+   * @param {Object} status - From BudgetService.getStatus
+   * @param {Object} budgetConfig - config.budget
+   */
+  formatBudgetStatus(status, budgetConfig) {
+    const lines = status.periods.map(entry => {
+      const icon = entry.level === 'exceeded' ? '🛑' : entry.level === 'warning' ? '⚠️' : '✅';
+      return `${icon} ${formatBudgetPeriod(entry)}`;
+    });
+    if (status.level === 'exceeded') {
+      lines.push(`Summaries use **${budgetConfig.fallbackModel}**; comparisons, regenerations and prompt tests are paused.`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Notice for /model when a reached budget cap replaces a model with the fallback model
+   * @returns {Promise<string|null>}
+   */
+  async getBudgetDowngrade(discordService, model) {
+    if (!discordService?.budget) {
+      return null;
+    }
+    const { downgradedFrom, model: fallbackModel } = await discordService.budget.getSummaryModel(model);
+    return downgradedFrom
+      ? `⬇️ **Downgrade active:** the LLM budget is used up, so summaries use **${fallbackModel}** instead of ${downgradedFrom} until it resets`
+      : null;
+  }
+
+  /**
+   * Start and end (exclusive) of today, this week and this month in the guild's timezone, for /usage
+   * @param {string} timezone - The guild's configured timezone
+   */
+  getUsagePeriods(timezone, now = new Date()) {
+    const { day, week, month } = getZonedPeriods(timezone, now);
+    return {
+      day: { label: 'Today', ...day },
+      week: { label: 'This week', ...week },
+      month: { label: 'This month', ...month }
+    };
+  }
+
+  /**
+   * One-line description of a route for command replies
+   */
+  formatRoute(route) {
+    let line = `<#${route.source_channel_id}> → <#${route.output_channel_id}> (prompt ${route.prompt_channel_id ? `<#${route.prompt_channel_id}>` : 'default'})`;
+    if (route.options?.thread) {
+      const archive = route.options.threadArchiveMinutes;
+      line += ` 🧵 thread${archive ? `, archives after ${archive} min` : ''}`;
+    }
+    return line;
+  }
 }
 
 module.exports = CommandService;
@@ -7,6 +7,13 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
 
+// Report tables rebuilt with a guild_id column by migrateLegacyTables, with the columns copied across
+const REPORT_TABLES = [
+  { table: 'daily_reports', index: 'idx_daily_reports_date', columns: 'date, content, summary_count, word_count, created_at' },
+  { table: 'weekly_reports', index: 'idx_weekly_reports_week_start', columns: 'week_start, week_end, content, summary_count, word_count, total_videos, top_channels, created_at' },
+  { table: 'monthly_reports', index: 'idx_monthly_reports_year_month', columns: 'year, month, month_name, content, summary_count, word_count, total_videos, top_channels, daily_average, weekly_breakdown, created_at' }
+];
+
 class DatabaseService {
   constructor(serviceManager, dependencies) {
     this.serviceManager = serviceManager;
@@ -42,7 +49,8 @@ class DatabaseService {
       await this.runQuery('PRAGMA journal_mode = WAL');
       await this.runQuery('PRAGMA synchronous = NORMAL');
 
-      // Create tables
+      // Upgrade tables from older schema versions, then create anything missing
+      await this.migrateLegacyTables();
       await this.createTables();
 
       this.isInitialized = true;
@@ -59,17 +67,25 @@ class DatabaseService {
    */
   async createTables() {
     const tables = [
-      // Video summaries table
+      // Video summaries table - one row per (video, output channel); '' = channel unknown (migrated rows)
       `CREATE TABLE IF NOT EXISTS summaries (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        video_id TEXT NOT NULL UNIQUE,
+        video_id TEXT NOT NULL,
+        guild_id TEXT,
+        output_channel_id TEXT NOT NULL DEFAULT '',
+        output_channel_name TEXT,
         title TEXT NOT NULL,
         content TEXT NOT NULL,
         url TEXT,
         prompt_type TEXT DEFAULT 'default',
+        prompt_hash TEXT,
+        prompt_version_id INTEGER, -- prompt_versions row of the pinned prompt used (NULL = default prompt)
+        model TEXT,
+        posted_by TEXT, -- member who posted the video, for {{posted_by}} when the summary is re-run
         word_count INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(video_id, output_channel_id)
       )`,
 
       // Video transcripts table - NEW!
@@ -84,32 +100,37 @@ class DatabaseService {
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
-      // Daily reports table
+      // Daily reports table (one report per guild and day)
       `CREATE TABLE IF NOT EXISTS daily_reports (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        date TEXT NOT NULL UNIQUE,
+        guild_id TEXT NOT NULL DEFAULT '',
+        date TEXT NOT NULL,
         content TEXT NOT NULL,
         summary_count INTEGER DEFAULT 0,
         word_count INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(guild_id, date)
       )`,
 
       // Weekly reports table
       `CREATE TABLE IF NOT EXISTS weekly_reports (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        week_start TEXT NOT NULL UNIQUE, -- YYYY-MM-DD format for week start (Monday)
+        guild_id TEXT NOT NULL DEFAULT '',
+        week_start TEXT NOT NULL, -- YYYY-MM-DD format for week start (Monday)
         week_end TEXT NOT NULL,
         content TEXT NOT NULL,
         summary_count INTEGER DEFAULT 0,
         word_count INTEGER,
         total_videos INTEGER DEFAULT 0,
         top_channels TEXT, -- JSON array of top channels
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(guild_id, week_start)
       )`,
 
       // Monthly reports table
       `CREATE TABLE IF NOT EXISTS monthly_reports (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL DEFAULT '',
         year INTEGER NOT NULL,
         month INTEGER NOT NULL,
         month_name TEXT NOT NULL, -- e.g., "October 2025"
@@ -121,7 +142,7 @@ class DatabaseService {
         daily_average REAL DEFAULT 0,
         weekly_breakdown TEXT, -- JSON object with weekly stats
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(year, month)
+        UNIQUE(guild_id, year, month)
       )`,
 
       // Video metadata table
@@ -133,8 +154,7 @@ class DatabaseService {
         channel_id TEXT,
         published_at DATETIME,
         processed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        transcript_length INTEGER,
-        FOREIGN KEY (video_id) REFERENCES summaries(video_id)
+        transcript_length INTEGER
       )`,
 
       // Analytics table for tracking bot performance
@@ -149,6 +169,114 @@ class DatabaseService {
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )`,
 
+      // Durable video processing queue
+      `CREATE TABLE IF NOT EXISTS jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        video_id TEXT NOT NULL,
+        guild_id TEXT,
+        source_channel_id TEXT,
+        source_message_id TEXT,
+        source_content TEXT,
+        target_channels TEXT, -- JSON array of output channel IDs still to post to (NULL = all)
+        stage TEXT NOT NULL DEFAULT 'transcript', -- transcript, summary, posted
+        status TEXT NOT NULL DEFAULT 'pending', -- pending, running, completed, failed
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        meta TEXT, -- JSON object with extra job context (title, playlist progress)
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(source_message_id, video_id)
+      )`,
+
+      // Discord messages the bot posted (for edits, deletions and jump links)
+      `CREATE TABLE IF NOT EXISTS posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        message_id TEXT NOT NULL UNIQUE,
+        kind TEXT NOT NULL, -- transcript, summary, report
+        video_id TEXT,
+        report_key TEXT, -- e.g. daily_report_2025-10-06, weekly_report_2025-10-06, monthly_report_2025-10
+        parent_message_id TEXT, -- first message of a content split over several messages
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Channel routing: source channel -> output channel, by Discord channel ID
+      `CREATE TABLE IF NOT EXISTS routes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        source_channel_id TEXT NOT NULL,
+        output_channel_id TEXT NOT NULL,
+        prompt_channel_id TEXT, -- channel whose first pinned message is the prompt (NULL = default prompt)
+        options TEXT, -- JSON object with per-route options
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(source_channel_id, output_channel_id)
+      )`,
+
+      // Per-guild overrides of the environment configuration (channels, prefixes, schedules, model, timezone)
+      `CREATE TABLE IF NOT EXISTS guild_settings (
+        guild_id TEXT PRIMARY KEY,
+        settings TEXT NOT NULL DEFAULT '{}', -- JSON object, merged over the defaults
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Snapshots of pinned prompts, one row per distinct content of a prompt channel's prompt
+      `CREATE TABLE IF NOT EXISTS prompt_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT,
+        channel_id TEXT NOT NULL, -- prompt channel
+        channel_name TEXT,
+        version INTEGER NOT NULL, -- 1, 2, ... per prompt channel
+        content_hash TEXT NOT NULL,
+        content TEXT NOT NULL, -- full pinned message, front-matter included
+        message_id TEXT, -- pinned message the prompt was read from
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // Side-by-side summaries of one video from two models and/or prompts (/compare-summaries)
+      `CREATE TABLE IF NOT EXISTS comparisons (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT NOT NULL,
+        channel_id TEXT NOT NULL,
+        message_id TEXT, -- set once the comparison is posted
+        video_id TEXT NOT NULL,
+        a_model TEXT NOT NULL,
+        a_prompt_version_id INTEGER, -- NULL = default prompt
+        b_model TEXT NOT NULL,
+        b_prompt_version_id INTEGER,
+        created_by TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      // One vote per user and comparison; voting again changes the vote
+      `CREATE TABLE IF NOT EXISTS comparison_votes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        comparison_id INTEGER NOT NULL,
+        user_id TEXT NOT NULL,
+        choice TEXT NOT NULL, -- a, b or tie
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(comparison_id, user_id)
+      )`,
+
+      // Tokens and cost of every LLM call, linked to what it was for
+      `CREATE TABLE IF NOT EXISTS llm_calls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        guild_id TEXT,
+        purpose TEXT NOT NULL, -- summary, chunk, revision, report, comparison, prompt_test, model_test
+        provider TEXT,
+        model TEXT NOT NULL,
+        prompt_tokens INTEGER DEFAULT 0,
+        completion_tokens INTEGER DEFAULT 0,
+        cost REAL, -- USD from the price table (utils/llm-pricing.js); NULL = model has no price
+        video_id TEXT,
+        channel_id TEXT, -- summary output channel, or the prompt channel of a report
+        channel_name TEXT,
+        report_key TEXT, -- e.g. monthly_report_2025-10, as in posts
+        latency_ms INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
       // System logs table for better debugging
       `CREATE TABLE IF NOT EXISTS system_logs (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -164,17 +292,29 @@ class DatabaseService {
       await this.runQuery(tableSQL);
     }
 
+    await this.addMissingColumns();
+
     // Create indexes for better performance
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_summaries_created_at ON summaries(created_at)',
       'CREATE INDEX IF NOT EXISTS idx_summaries_video_id ON summaries(video_id)',
+      'CREATE INDEX IF NOT EXISTS idx_summaries_guild ON summaries(guild_id, created_at)',
       'CREATE INDEX IF NOT EXISTS idx_transcripts_video_id ON transcripts(video_id)',
       'CREATE INDEX IF NOT EXISTS idx_transcripts_created_at ON transcripts(created_at)',
-      'CREATE INDEX IF NOT EXISTS idx_daily_reports_date ON daily_reports(date)',
-      'CREATE INDEX IF NOT EXISTS idx_weekly_reports_week_start ON weekly_reports(week_start)',
-      'CREATE INDEX IF NOT EXISTS idx_monthly_reports_year_month ON monthly_reports(year, month)',
+      'CREATE INDEX IF NOT EXISTS idx_daily_reports_date ON daily_reports(guild_id, date)',
+      'CREATE INDEX IF NOT EXISTS idx_weekly_reports_week_start ON weekly_reports(guild_id, week_start)',
+      'CREATE INDEX IF NOT EXISTS idx_monthly_reports_year_month ON monthly_reports(guild_id, year, month)',
       'CREATE INDEX IF NOT EXISTS idx_analytics_date ON analytics(date)',
-      'CREATE INDEX IF NOT EXISTS idx_system_logs_level ON system_logs(level, created_at)'
+      'CREATE INDEX IF NOT EXISTS idx_system_logs_level ON system_logs(level, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, next_attempt_at)',
+      'CREATE INDEX IF NOT EXISTS idx_jobs_source_message ON jobs(source_message_id)',
+      'CREATE INDEX IF NOT EXISTS idx_posts_video_id ON posts(video_id)',
+      'CREATE INDEX IF NOT EXISTS idx_posts_report_key ON posts(report_key)',
+      'CREATE INDEX IF NOT EXISTS idx_routes_guild ON routes(guild_id)',
+      'CREATE INDEX IF NOT EXISTS idx_prompt_versions_channel ON prompt_versions(channel_id, version)',
+      'CREATE INDEX IF NOT EXISTS idx_comparisons_guild ON comparisons(guild_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_llm_calls_guild ON llm_calls(guild_id, created_at)',
+      'CREATE INDEX IF NOT EXISTS idx_llm_calls_video ON llm_calls(video_id)'
     ];
 
     for (const indexSQL of indexes) {
@@ -184,6 +324,127 @@ class DatabaseService {
     this.logger.info('Database tables and indexes created successfully');
   }
 
+  /**
+   * Add columns introduced after a table was first created (plain ALTER TABLE ADD COLUMN)
+   * Summaries saved before multi-guild support belong to the configured DISCORD_GUILD_ID.
+   */
+  async addMissingColumns() {
+    const summaryColumns = await this.getAllQuery('PRAGMA table_info(summaries)');
+    if (!summaryColumns.some(column => column.name === 'guild_id')) {
+      await this.runQuery('ALTER TABLE summaries ADD COLUMN guild_id TEXT');
+      this.logger.info('Added guild_id column to summaries');
+    }
+    if (!summaryColumns.some(column => column.name === 'prompt_version_id')) {
+      await this.runQuery('ALTER TABLE summaries ADD COLUMN prompt_version_id INTEGER');
+      this.logger.info('Added prompt_version_id column to summaries');
+    }
+    if (!summaryColumns.some(column => column.name === 'posted_by')) {
+      await this.runQuery('ALTER TABLE summaries ADD COLUMN posted_by TEXT');
+      this.logger.info('Added posted_by column to summaries');
+    }
+
+    const defaultGuildId = this.config.discord?.guildId;
+    if (defaultGuildId) {
+      await this.runQuery('UPDATE summaries SET guild_id = ? WHERE guild_id IS NULL', [defaultGuildId]);
+    }
+
+    const postColumns = await this.getAllQuery('PRAGMA table_info(posts)');
+    if (!postColumns.some(column => column.name === 'parent_message_id')) {
+      await this.runQuery('ALTER TABLE posts ADD COLUMN parent_message_id TEXT');
+      this.logger.info('Added parent_message_id column to posts');
+    }
+  }
+
+  /**
+   * Rebuild tables whose schema changed in ways SQLite can't ALTER in place:
+   * - summaries: UNIQUE(video_id) -> UNIQUE(video_id, output_channel_id), plus prompt_hash and model;
+   *   rows go to DISCORD_GUILD_ID with no output channel until saveSummary assigns one
+   * - video_metadata: drop the foreign key to summaries(video_id), which is no longer unique
+   * - daily/weekly/monthly reports: add guild_id to the unique period, rows going to DISCORD_GUILD_ID
+   * Old tables are renamed, the current schema is created and rows are copied across.
+   */
+  async migrateLegacyTables() {
+    const summaryColumns = await this.getAllQuery('PRAGMA table_info(summaries)');
+    const migrateSummaries = summaryColumns.length > 0 &&
+      !summaryColumns.some(column => column.name === 'output_channel_id');
+    const metadataForeignKeys = await this.getAllQuery('PRAGMA foreign_key_list(video_metadata)');
+    const migrateMetadata = metadataForeignKeys.length > 0;
+    const migrateReports = [];
+    for (const { table } of REPORT_TABLES) {
+      const columns = await this.getAllQuery(`PRAGMA table_info(${table})`);
+      if (columns.length > 0 && !columns.some(column => column.name === 'guild_id')) {
+        migrateReports.push(table);
+      }
+    }
+
+    if (!migrateSummaries && !migrateMetadata && migrateReports.length === 0) {
+      return false;
+    }
+
+    this.logger.info('Migrating database schema (summaries per output channel, reports per guild)...');
+
+    // Foreign keys can only be toggled outside a transaction; legacy_alter_table keeps
+    // RENAME from rewriting references in other tables to point at the old copies
+    await this.runQuery('PRAGMA foreign_keys = OFF');
+    await this.runQuery('PRAGMA legacy_alter_table = ON');
+
+    try {
+      await this.runQuery('BEGIN TRANSACTION');
+
+      if (migrateSummaries) {
+        // Index names move with a renamed table, so drop them to let createTables rebuild them
+        await this.runQuery('DROP INDEX IF EXISTS idx_summaries_created_at');
+        await this.runQuery('DROP INDEX IF EXISTS idx_summaries_video_id');
+        await this.runQuery('ALTER TABLE summaries RENAME TO summaries_legacy');
+      }
+      if (migrateMetadata) {
+        await this.runQuery('ALTER TABLE video_metadata RENAME TO video_metadata_legacy');
+      }
+      for (const { table, index } of REPORT_TABLES.filter(({ table }) => migrateReports.includes(table))) {
+        await this.runQuery(`DROP INDEX IF EXISTS ${index}`);
+        await this.runQuery(`ALTER TABLE ${table} RENAME TO ${table}_legacy`);
+      }
+
+      await this.createTables();
+
+      if (migrateSummaries) {
+        // The output channel was never stored: saveSummary hands each row to the first channel of its
+        // guild that summarizes the video again
+        const result = await this.runQuery(`
+          INSERT INTO summaries (video_id, guild_id, output_channel_id, title, content, url, prompt_type, word_count, created_at, updated_at)
+          SELECT video_id, ?, '', title, content, url, prompt_type, word_count, created_at, updated_at FROM summaries_legacy
+        `, [this.config.discord?.guildId || null]);
+        await this.runQuery('DROP TABLE summaries_legacy');
+        this.logger.info(`Migrated ${result.changes} summaries to per-channel storage`);
+      }
+      if (migrateMetadata) {
+        await this.runQuery(`
+          INSERT INTO video_metadata (video_id, title, duration, channel_name, channel_id, published_at, processed_at, transcript_length)
+          SELECT video_id, title, duration, channel_name, channel_id, published_at, processed_at, transcript_length FROM video_metadata_legacy
+        `);
+        await this.runQuery('DROP TABLE video_metadata_legacy');
+      }
+      for (const { table, columns } of REPORT_TABLES.filter(({ table }) => migrateReports.includes(table))) {
+        const result = await this.runQuery(`
+          INSERT INTO ${table} (guild_id, ${columns})
+          SELECT ?, ${columns} FROM ${table}_legacy
+        `, [this.getReportGuildId(null)]);
+        await this.runQuery(`DROP TABLE ${table}_legacy`);
+        this.logger.info(`Migrated ${result.changes} ${table} to per-guild storage`);
+      }
+
+      await this.runQuery('COMMIT');
+      return true;
+    } catch (error) {
+      await this.runQuery('ROLLBACK').catch(() => {});
+      this.logger.error('Database schema migration failed:', error);
+      throw error;
+    } finally {
+      await this.runQuery('PRAGMA legacy_alter_table = OFF');
+      await this.runQuery('PRAGMA foreign_keys = ON');
+    }
+  }
+
   /**
    * Promisified database query execution
    */
@@ -240,7 +501,14 @@ class DatabaseService {
         summaryContent,
         summary: summaryText, // Alternative field name
         videoUrl,
-        promptType = 'default'
+        promptType = 'default',
+        guildId = null,
+        outputChannelId = '',
+        outputChannelName = null,
+        promptHash = null,
+        promptVersionId = null,
+        model = null,
+        postedBy = null
       } = summary;
 
       // Use summaryContent or summary field, whichever is available
@@ -253,13 +521,36 @@ class DatabaseService {
 
       const wordCount = content.split(' ').length;
 
-      await this.runQuery(`
-        INSERT OR REPLACE INTO summaries 
-        (video_id, title, content, url, prompt_type, word_count, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-      `, [videoId, videoTitle, content, videoUrl, promptType, wordCount]);
+      // A summary migrated without its channel becomes this channel's, so it is replaced instead of kept alongside
+      if (outputChannelId) {
+        await this.runQuery(`
+          UPDATE summaries SET output_channel_id = ?
+          WHERE video_id = ? AND output_channel_id = '' AND (guild_id IS NULL OR guild_id = ?)
+            AND NOT EXISTS (SELECT 1 FROM summaries WHERE video_id = ? AND output_channel_id = ?)
+        `, [outputChannelId, videoId, guildId, videoId, outputChannelId]);
+      }
 
-      this.logger.info(`Summary saved to database: ${videoId}`);
+      // Re-running a video in the same channel replaces that channel's summary only
+      await this.runQuery(`
+        INSERT INTO summaries 
+        (video_id, guild_id, output_channel_id, output_channel_name, title, content, url, prompt_type, prompt_hash, prompt_version_id, model, posted_by, word_count, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(video_id, output_channel_id) DO UPDATE SET
+          guild_id = COALESCE(excluded.guild_id, guild_id),
+          output_channel_name = excluded.output_channel_name,
+          title = excluded.title,
+          content = excluded.content,
+          url = excluded.url,
+          prompt_type = excluded.prompt_type,
+          prompt_hash = excluded.prompt_hash,
+          prompt_version_id = excluded.prompt_version_id,
+          model = excluded.model,
+          posted_by = COALESCE(excluded.posted_by, posted_by),
+          word_count = excluded.word_count,
+          updated_at = CURRENT_TIMESTAMP
+      `, [videoId, guildId, outputChannelId || '', outputChannelName, videoTitle, content, videoUrl, promptType, promptHash, promptVersionId, model, postedBy, wordCount]);
+
+      this.logger.info(`Summary saved to database: ${videoId}${outputChannelName ? ` (#${outputChannelName})` : ''}`);
       return true;
     } catch (error) {
       this.logger.error('Error saving summary to database:', error);
@@ -323,12 +614,18 @@ class DatabaseService {
 
   /**
    * Get summary by video ID
+   * @param {string} videoId - YouTube video ID
+   * @param {string} [outputChannelId] - Summary channel; omitted = most recently updated summary
    */
-  async getSummary(videoId) {
+  async getSummary(videoId, outputChannelId = null) {
     try {
-      const row = await this.getQuery(`
-        SELECT * FROM summaries WHERE video_id = ?
-      `, [videoId]);
+      const row = outputChannelId
+        ? await this.getQuery(`
+          SELECT * FROM summaries WHERE video_id = ? AND output_channel_id = ?
+        `, [videoId, outputChannelId])
+        : await this.getQuery(`
+          SELECT * FROM summaries WHERE video_id = ? ORDER BY updated_at DESC LIMIT 1
+        `, [videoId]);
 
       return row || null;
     } catch (error) {
@@ -337,6 +634,23 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get every summary generated for a video (one per output channel)
+   */
+  async getSummariesForVideo(videoId) {
+    try {
+      return await this.getAllQuery(`
+        SELECT s.*, pv.version AS prompt_version, pv.channel_name AS prompt_channel_name
+        FROM summaries s
+        LEFT JOIN prompt_versions pv ON pv.id = s.prompt_version_id
+        WHERE s.video_id = ? ORDER BY s.created_at ASC
+      `, [videoId]);
+    } catch (error) {
+      this.logger.error('Error getting summaries for video:', error);
+      return [];
+    }
+  }
+
   /**
    * Search transcripts by content
    */
@@ -346,7 +660,9 @@ class DatabaseService {
         SELECT t.video_id, t.transcript_text, t.word_count, t.created_at,
                s.title, s.url
         FROM transcripts t
-        LEFT JOIN summaries s ON t.video_id = s.video_id
+        LEFT JOIN summaries s ON s.id = (
+          SELECT id FROM summaries WHERE video_id = t.video_id ORDER BY updated_at DESC LIMIT 1
+        )
         WHERE t.transcript_text LIKE ? 
         ORDER BY t.created_at DESC
         LIMIT ?
@@ -378,15 +694,18 @@ class DatabaseService {
   }
 
   /**
-   * Get recent summaries (last N hours)
+   * Get recent summaries (last N hours), optionally only those posted in one guild
    */
-  async getRecentSummaries(hours = 24) {
+  async getRecentSummaries(hours = 24, guildId = null) {
     try {
       const rows = await this.getAllQuery(`
-        SELECT * FROM summaries 
-        WHERE created_at >= datetime('now', '-${hours} hours')
-        ORDER BY created_at DESC
-      `, []);
+        SELECT s.*, pv.version AS prompt_version, pv.channel_name AS prompt_channel_name
+        FROM summaries s
+        LEFT JOIN prompt_versions pv ON pv.id = s.prompt_version_id
+        WHERE s.created_at >= datetime('now', '-${hours} hours')
+        ${guildId ? 'AND s.guild_id = ?' : ''}
+        ORDER BY s.created_at DESC
+      `, guildId ? [guildId] : []);
 
       return rows;
     } catch (error) {
@@ -395,12 +714,20 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Guild a report is stored under: reports without a guild belong to the default guild (DISCORD_GUILD_ID)
+   */
+  getReportGuildId(guildId) {
+    return guildId || this.config.discord?.guildId || '';
+  }
+
   /**
    * Save daily report to database
    */
   async saveDailyReport(report) {
     try {
       const {
+        guildId = null,
         date,
         content,
         summaryCount = 0
@@ -410,11 +737,11 @@ class DatabaseService {
 
       await this.runQuery(`
         INSERT OR REPLACE INTO daily_reports 
-        (date, content, summary_count, word_count)
-        VALUES (?, ?, ?, ?)
-      `, [date, content, summaryCount, wordCount]);
+        (guild_id, date, content, summary_count, word_count)
+        VALUES (?, ?, ?, ?, ?)
+      `, [this.getReportGuildId(guildId), date, content, summaryCount, wordCount]);
 
-      this.logger.info(`Daily report saved to database: ${date}`);
+      this.logger.info(`Daily report saved to database: ${date}${guildId ? ` (guild ${guildId})` : ''}`);
       return true;
     } catch (error) {
       this.logger.error('Error saving daily report to database:', error);
@@ -423,14 +750,14 @@ class DatabaseService {
   }
 
   /**
-   * Get daily report by date
+   * Get a guild's daily report by date
    */
-  async getDailyReport(date) {
+  async getDailyReport(date, guildId = null) {
     try {
       const row = await this.getQuery(`
         SELECT * FROM daily_reports 
-        WHERE date = ?
-      `, [date]);
+        WHERE guild_id = ? AND date = ?
+      `, [this.getReportGuildId(guildId), date]);
 
       return row;
     } catch (error) {
@@ -445,6 +772,7 @@ class DatabaseService {
   async saveWeeklyReport(report) {
     try {
       const {
+        guildId = null,
         weekStart,
         weekEnd,
         content,
@@ -457,11 +785,11 @@ class DatabaseService {
 
       await this.runQuery(`
         INSERT OR REPLACE INTO weekly_reports 
-        (week_start, week_end, content, summary_count, word_count, total_videos, top_channels)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `, [weekStart, weekEnd, content, summaryCount, wordCount, totalVideos, JSON.stringify(topChannels)]);
+        (guild_id, week_start, week_end, content, summary_count, word_count, total_videos, top_channels)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [this.getReportGuildId(guildId), weekStart, weekEnd, content, summaryCount, wordCount, totalVideos, JSON.stringify(topChannels)]);
 
-      this.logger.info(`Weekly report saved to database: ${weekStart} to ${weekEnd}`);
+      this.logger.info(`Weekly report saved to database: ${weekStart} to ${weekEnd}${guildId ? ` (guild ${guildId})` : ''}`);
       return true;
     } catch (error) {
       this.logger.error('Error saving weekly report to database:', error);
@@ -470,14 +798,14 @@ class DatabaseService {
   }
 
   /**
-   * Get weekly report by week start date
+   * Get a guild's weekly report by week start date
    */
-  async getWeeklyReport(weekStart) {
+  async getWeeklyReport(weekStart, guildId = null) {
     try {
       const row = await this.getQuery(`
         SELECT * FROM weekly_reports 
-        WHERE week_start = ?
-      `, [weekStart]);
+        WHERE guild_id = ? AND week_start = ?
+      `, [this.getReportGuildId(guildId), weekStart]);
 
       if (row && row.top_channels) {
         row.top_channels = JSON.parse(row.top_channels);
@@ -495,6 +823,7 @@ class DatabaseService {
   async saveMonthlyReport(report) {
     try {
       const {
+        guildId = null,
         year,
         month,
         monthName,
@@ -510,13 +839,13 @@ class DatabaseService {
 
       await this.runQuery(`
         INSERT OR REPLACE INTO monthly_reports 
-        (year, month, month_name, content, summary_count, word_count, total_videos, 
+        (guild_id, year, month, month_name, content, summary_count, word_count, total_videos, 
          top_channels, daily_average, weekly_breakdown)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [year, month, monthName, content, summaryCount, wordCount, totalVideos, 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [this.getReportGuildId(guildId), year, month, monthName, content, summaryCount, wordCount, totalVideos, 
           JSON.stringify(topChannels), dailyAverage, JSON.stringify(weeklyBreakdown)]);
 
-      this.logger.info(`Monthly report saved to database: ${monthName}`);
+      this.logger.info(`Monthly report saved to database: ${monthName}${guildId ? ` (guild ${guildId})` : ''}`);
       return true;
     } catch (error) {
       this.logger.error('Error saving monthly report to database:', error);
@@ -525,14 +854,14 @@ class DatabaseService {
   }
 
   /**
-   * Get monthly report by year and month
+   * Get a guild's monthly report by year and month
    */
-  async getMonthlyReport(year, month) {
+  async getMonthlyReport(year, month, guildId = null) {
     try {
       const row = await this.getQuery(`
         SELECT * FROM monthly_reports 
-        WHERE year = ? AND month = ?
-      `, [year, month]);
+        WHERE guild_id = ? AND year = ? AND month = ?
+      `, [this.getReportGuildId(guildId), year, month]);
 
       if (row) {
         if (row.top_channels) row.top_channels = JSON.parse(row.top_channels);
@@ -547,8 +876,9 @@ class DatabaseService {
 
   /**
    * Get all reports of a specific type for analytics
+   * @param {string|null} guildId - Only this guild's reports (null = every guild)
    */
-  async getAllReports(type = 'daily', limit = 50) {
+  async getAllReports(type = 'daily', limit = 50, guildId = null) {
     try {
       let table = 'daily_reports';
       let orderBy = 'date DESC';
@@ -563,9 +893,10 @@ class DatabaseService {
 
       const rows = await this.getAllQuery(`
         SELECT * FROM ${table}
+        ${guildId ? 'WHERE guild_id = ?' : ''}
         ORDER BY ${orderBy}
         LIMIT ?
-      `, [limit]);
+      `, [...(guildId ? [guildId] : []), limit]);
 
       // Parse JSON fields for weekly and monthly reports
       if (type === 'weekly' || type === 'monthly') {
@@ -610,6 +941,42 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Get video metadata by video ID
+   */
+  async getVideoMetadata(videoId) {
+    try {
+      const row = await this.getQuery('SELECT * FROM video_metadata WHERE video_id = ?', [videoId]);
+      return row || null;
+    } catch (error) {
+      this.logger.error('Error getting video metadata:', error);
+      return null;
+    }
+  }
+
+  /**
+   * YouTube channels with the most videos among the given videos
+   * @param {Array<string>} videoIds - YouTube video IDs
+   * @param {number} limit - Maximum number of channels
+   * @returns {Promise<Array<{creator: string, videos: number}>>}
+   */
+  async getTopCreators(videoIds, limit = 5) {
+    try {
+      const placeholders = videoIds.map(() => '?').join(', ');
+      return await this.getAllQuery(`
+        SELECT channel_name AS creator, COUNT(*) AS videos
+        FROM video_metadata
+        WHERE video_id IN (${placeholders}) AND channel_name IS NOT NULL
+        GROUP BY channel_name
+        ORDER BY videos DESC, creator ASC
+        LIMIT ?
+      `, [...videoIds, limit]);
+    } catch (error) {
+      this.logger.error('Error getting top creators:', error);
+      return [];
+    }
+  }
+
   /**
    * Record daily analytics
    */
@@ -673,6 +1040,610 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Parse JSON columns of a job row
+   */
+  parseJobRow(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      target_channels: row.target_channels ? JSON.parse(row.target_channels) : null,
+      meta: row.meta ? JSON.parse(row.meta) : {}
+    };
+  }
+
+  /**
+   * Create a processing job (ignored if the same video was already queued from the same message)
+   * @returns {Promise<Object|null>} The created job, or null if it already existed
+   */
+  async createJob(job) {
+    try {
+      const {
+        videoId,
+        guildId = null,
+        sourceChannelId = null,
+        sourceMessageId = null,
+        sourceContent = null,
+        targetChannels = null,
+        meta = {}
+      } = job;
+
+      const result = await this.runQuery(`
+        INSERT OR IGNORE INTO jobs
+        (video_id, guild_id, source_channel_id, source_message_id, source_content, target_channels, meta)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [videoId, guildId, sourceChannelId, sourceMessageId, sourceContent,
+          targetChannels ? JSON.stringify(targetChannels) : null, JSON.stringify(meta)]);
+
+      if (result.changes === 0) {
+        return null;
+      }
+
+      return await this.getJob(result.lastID);
+    } catch (error) {
+      this.logger.error('Error creating job:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get job by ID
+   */
+  async getJob(id) {
+    try {
+      const row = await this.getQuery('SELECT * FROM jobs WHERE id = ?', [id]);
+      return this.parseJobRow(row);
+    } catch (error) {
+      this.logger.error('Error getting job:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get pending jobs whose retry delay has elapsed, oldest first
+   */
+  async getDueJobs(limit = 1) {
+    try {
+      const rows = await this.getAllQuery(`
+        SELECT * FROM jobs
+        WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+        ORDER BY next_attempt_at ASC, id ASC
+        LIMIT ?
+      `, [limit]);
+
+      return rows.map(row => this.parseJobRow(row));
+    } catch (error) {
+      this.logger.error('Error getting due jobs:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get all jobs created from a Discord message
+   */
+  async getJobsForMessage(messageId) {
+    try {
+      const rows = await this.getAllQuery(`
+        SELECT * FROM jobs WHERE source_message_id = ? ORDER BY id ASC
+      `, [messageId]);
+
+      return rows.map(row => this.parseJobRow(row));
+    } catch (error) {
+      this.logger.error('Error getting jobs for message:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Update job fields
+   * @param {number} id - Job ID
+   * @param {Object} fields - Any of stage, status, attempts, lastError, targetChannels, meta, retryInSeconds
+   */
+  async updateJob(id, fields) {
+    try {
+      const columns = {
+        stage: 'stage',
+        status: 'status',
+        attempts: 'attempts',
+        lastError: 'last_error'
+      };
+
+      const sets = [];
+      const params = [];
+
+      for (const [key, column] of Object.entries(columns)) {
+        if (fields[key] !== undefined) {
+          sets.push(`${column} = ?`);
+          params.push(fields[key]);
+        }
+      }
+
+      if (fields.targetChannels !== undefined) {
+        sets.push('target_channels = ?');
+        params.push(fields.targetChannels ? JSON.stringify(fields.targetChannels) : null);
+      }
+
+      if (fields.meta !== undefined) {
+        sets.push('meta = ?');
+        params.push(JSON.stringify(fields.meta || {}));
+      }
+
+      if (fields.retryInSeconds !== undefined) {
+        sets.push(`next_attempt_at = datetime('now', ?)`);
+        params.push(`+${Math.max(0, Math.round(fields.retryInSeconds))} seconds`);
+      }
+
+      sets.push('updated_at = CURRENT_TIMESTAMP');
+      params.push(id);
+
+      await this.runQuery(`UPDATE jobs SET ${sets.join(', ')} WHERE id = ?`, params);
+      return true;
+    } catch (error) {
+      this.logger.error('Error updating job:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Return jobs left running by a previous process to the pending state
+   * @returns {Promise<number>} Number of jobs resumed
+   */
+  async resetRunningJobs() {
+    try {
+      const result = await this.runQuery(`
+        UPDATE jobs
+        SET status = 'pending', next_attempt_at = datetime('now'), updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'running'
+      `);
+      return result.changes;
+    } catch (error) {
+      this.logger.error('Error resetting running jobs:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Pending or running job for a video in a guild, if there is one
+   */
+  async getOpenJobForVideo(videoId, guildId) {
+    try {
+      const row = await this.getQuery(`
+        SELECT * FROM jobs
+        WHERE video_id = ? AND guild_id = ? AND status IN ('pending', 'running')
+        ORDER BY id ASC LIMIT 1
+      `, [videoId, guildId]);
+
+      return this.parseJobRow(row);
+    } catch (error) {
+      this.logger.error('Error getting open job for video:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the most recent job created from a channel (used to find where a backlog scan can stop)
+   */
+  async getLatestJobForChannel(channelId) {
+    try {
+      const row = await this.getQuery(`
+        SELECT * FROM jobs WHERE source_channel_id = ?
+        ORDER BY CAST(source_message_id AS INTEGER) DESC LIMIT 1
+      `, [channelId]);
+
+      return this.parseJobRow(row);
+    } catch (error) {
+      this.logger.error('Error getting latest job for channel:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a Discord message posted by the bot
+   * @param {Object} post - guildId, channelId, messageId, kind (transcript/summary/report), videoId, reportKey
+   */
+  async savePost(post) {
+    try {
+      const { guildId, channelId, messageId, kind, videoId = null, reportKey = null, parentMessageId = null } = post;
+
+      await this.runQuery(`
+        INSERT OR IGNORE INTO posts (guild_id, channel_id, message_id, kind, video_id, report_key, parent_message_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [guildId, channelId, messageId, kind, videoId, reportKey, parentMessageId]);
+
+      return true;
+    } catch (error) {
+      this.logger.error('Error saving post:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get every message posted for a video, oldest first
+   */
+  async getPostsForVideo(videoId) {
+    try {
+      return await this.getAllQuery(`
+        SELECT * FROM posts WHERE video_id = ? ORDER BY created_at ASC, id ASC
+      `, [videoId]);
+    } catch (error) {
+      this.logger.error('Error getting posts for video:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get every message posted for a report key
+   */
+  async getPostsForReport(reportKey) {
+    try {
+      return await this.getAllQuery(`
+        SELECT * FROM posts WHERE report_key = ? ORDER BY created_at ASC, id ASC
+      `, [reportKey]);
+    } catch (error) {
+      this.logger.error('Error getting posts for report:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get every message of the split content a message belongs to (just the message itself if it wasn't split)
+   */
+  async getPostParts(messageId) {
+    try {
+      return await this.getAllQuery(`
+        SELECT * FROM posts
+        WHERE COALESCE(parent_message_id, message_id) = (
+          SELECT COALESCE(parent_message_id, message_id) FROM posts WHERE message_id = ?
+        )
+        ORDER BY id ASC
+      `, [messageId]);
+    } catch (error) {
+      this.logger.error('Error getting post parts:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Forget a post after its Discord message was deleted
+   */
+  async deletePost(messageId) {
+    try {
+      const result = await this.runQuery('DELETE FROM posts WHERE message_id = ?', [messageId]);
+      return result.changes > 0;
+    } catch (error) {
+      this.logger.error('Error deleting post:', error);
+      return false;
+    }
+  }
+
+  parseRouteRow(row) {
+    if (!row) return null;
+    return {
+      ...row,
+      options: row.options ? JSON.parse(row.options) : {}
+    };
+  }
+
+  /**
+   * Add or update a route from a source channel to an output channel
+   * @param {Object} route - guildId, sourceChannelId, outputChannelId, promptChannelId, options
+   */
+  async saveRoute(route) {
+    try {
+      const { guildId, sourceChannelId, outputChannelId, promptChannelId = null, options = {} } = route;
+
+      await this.runQuery(`
+        INSERT INTO routes (guild_id, source_channel_id, output_channel_id, prompt_channel_id, options)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(source_channel_id, output_channel_id) DO UPDATE SET
+          prompt_channel_id = excluded.prompt_channel_id,
+          options = excluded.options
+      `, [guildId, sourceChannelId, outputChannelId, promptChannelId, JSON.stringify(options)]);
+
+      return true;
+    } catch (error) {
+      this.logger.error('Error saving route:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a route
+   * @returns {Promise<boolean>} Whether a route was removed
+   */
+  async removeRoute(sourceChannelId, outputChannelId) {
+    try {
+      const result = await this.runQuery(`
+        DELETE FROM routes WHERE source_channel_id = ? AND output_channel_id = ?
+      `, [sourceChannelId, outputChannelId]);
+
+      return result.changes > 0;
+    } catch (error) {
+      this.logger.error('Error removing route:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get all routes configured for a guild
+   */
+  async getRoutes(guildId) {
+    try {
+      const rows = await this.getAllQuery(`
+        SELECT * FROM routes WHERE guild_id = ? ORDER BY source_channel_id, id
+      `, [guildId]);
+
+      return rows.map(row => this.parseRouteRow(row));
+    } catch (error) {
+      this.logger.error('Error getting routes:', error);
+      return [];
+    }
+  }
+  /**
+   * Snapshot a prompt channel's prompt, adding a version when the content differs from the latest one
+   * @param {Object} prompt - guildId, channelId, channelName, content, contentHash, messageId
+   * @returns {Promise<Object|null>} - The prompt_versions row for this content
+   */
+  async savePromptVersion(prompt) {
+    try {
+      const { guildId = null, channelId, channelName = null, content, contentHash, messageId = null } = prompt;
+
+      const latest = await this.getQuery(`
+        SELECT * FROM prompt_versions WHERE channel_id = ? ORDER BY version DESC LIMIT 1
+      `, [channelId]);
+      if (latest && latest.content_hash === contentHash) {
+        return latest;
+      }
+
+      const result = await this.runQuery(`
+        INSERT INTO prompt_versions (guild_id, channel_id, channel_name, version, content_hash, content, message_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [guildId, channelId, channelName, (latest?.version || 0) + 1, contentHash, content, messageId]);
+
+      return await this.getQuery('SELECT * FROM prompt_versions WHERE id = ?', [result.lastID]);
+    } catch (error) {
+      this.logger.error('Error saving prompt version:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Versions of a prompt channel's prompt, newest first, with how many summaries each produced
+   */
+  async getPromptVersions(channelId, limit = 10) {
+    try {
+      return await this.getAllQuery(`
+        SELECT pv.*, (SELECT COUNT(*) FROM summaries s WHERE s.prompt_version_id = pv.id) AS summary_count
+        FROM prompt_versions pv
+        WHERE pv.channel_id = ?
+        ORDER BY pv.version DESC
+        LIMIT ?
+      `, [channelId, limit]);
+    } catch (error) {
+      this.logger.error('Error getting prompt versions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * A specific version of a prompt channel's prompt
+   * @param {string} channelId - Prompt channel
+   * @param {number} version - Version number (1, 2, ...)
+   */
+  async getPromptVersion(channelId, version) {
+    try {
+      const row = await this.getQuery('SELECT * FROM prompt_versions WHERE channel_id = ? AND version = ?', [channelId, version]);
+      return row || null;
+    } catch (error) {
+      this.logger.error('Error getting prompt version:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record a summary comparison
+   * @param {Object} comparison - guildId, channelId, videoId, a/b: { model, promptVersionId }, createdBy
+   * @returns {Promise<number|null>} - Comparison ID
+   */
+  async createComparison(comparison) {
+    try {
+      const { guildId, channelId, videoId, a, b, createdBy = null } = comparison;
+      const result = await this.runQuery(`
+        INSERT INTO comparisons (guild_id, channel_id, video_id, a_model, a_prompt_version_id, b_model, b_prompt_version_id, created_by)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [guildId, channelId, videoId, a.model, a.promptVersionId || null, b.model, b.promptVersionId || null, createdBy]);
+
+      return result.lastID;
+    } catch (error) {
+      this.logger.error('Error creating comparison:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the message a comparison was posted as
+   */
+  async setComparisonMessage(comparisonId, messageId) {
+    try {
+      await this.runQuery('UPDATE comparisons SET message_id = ? WHERE id = ?', [messageId, comparisonId]);
+      return true;
+    } catch (error) {
+      this.logger.error('Error saving comparison message:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Record (or change) a user's vote on a comparison
+   * @param {number} comparisonId - Comparison ID
+   * @param {string} userId - Discord user ID
+   * @param {string} choice - a, b or tie
+   * @returns {Promise<boolean>} Whether the vote was saved (false for unknown comparisons)
+   */
+  async saveComparisonVote(comparisonId, userId, choice) {
+    try {
+      const comparison = await this.getQuery('SELECT id FROM comparisons WHERE id = ?', [comparisonId]);
+      if (!comparison) {
+        return false;
+      }
+
+      await this.runQuery(`
+        INSERT INTO comparison_votes (comparison_id, user_id, choice)
+        VALUES (?, ?, ?)
+        ON CONFLICT(comparison_id, user_id) DO UPDATE SET
+          choice = excluded.choice,
+          created_at = CURRENT_TIMESTAMP
+      `, [comparisonId, userId, choice]);
+
+      return true;
+    } catch (error) {
+      this.logger.error('Error saving comparison vote:', error);
+      return false;
+    }
+  }
+
+  /**
+   * A guild's comparisons with their vote counts and prompt version names (e.g. "#yt-summary-prompt v3")
+   */
+  async getComparisonResults(guildId) {
+    try {
+      return await this.getAllQuery(`
+        SELECT c.*,
+          (SELECT COUNT(*) FROM comparison_votes v WHERE v.comparison_id = c.id AND v.choice = 'a') AS a_votes,
+          (SELECT COUNT(*) FROM comparison_votes v WHERE v.comparison_id = c.id AND v.choice = 'b') AS b_votes,
+          (SELECT COUNT(*) FROM comparison_votes v WHERE v.comparison_id = c.id AND v.choice = 'tie') AS tie_votes,
+          CASE WHEN pa.id IS NOT NULL THEN '#' || pa.channel_name || ' v' || pa.version END AS a_prompt,
+          CASE WHEN pb.id IS NOT NULL THEN '#' || pb.channel_name || ' v' || pb.version END AS b_prompt
+        FROM comparisons c
+        LEFT JOIN prompt_versions pa ON pa.id = c.a_prompt_version_id
+        LEFT JOIN prompt_versions pb ON pb.id = c.b_prompt_version_id
+        WHERE c.guild_id = ?
+        ORDER BY c.created_at DESC
+      `, [guildId]);
+    } catch (error) {
+      this.logger.error('Error getting comparison results:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Record an LLM call (see LLMService.complete)
+   * @param {Object} call - purpose, provider, model, usage ({prompt_tokens, completion_tokens}), cost,
+   *   latencyMs and the optional links guildId, videoId, channelId, channelName, reportKey
+   * @returns {Promise<number|null>} Row ID
+   */
+  async saveLLMCall(call) {
+    try {
+      const result = await this.runQuery(`
+        INSERT INTO llm_calls (guild_id, purpose, provider, model, prompt_tokens, completion_tokens, cost,
+          video_id, channel_id, channel_name, report_key, latency_ms)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        call.guildId || null,
+        call.purpose || 'other',
+        call.provider || null,
+        call.model,
+        call.usage?.prompt_tokens || 0,
+        call.usage?.completion_tokens || 0,
+        call.cost ?? null,
+        call.videoId || null,
+        call.channelId || null,
+        call.channelName || null,
+        call.reportKey || null,
+        call.latencyMs ?? null
+      ]);
+
+      return result.lastID;
+    } catch (error) {
+      this.logger.error('Error saving LLM call:', error);
+      return null;
+    }
+  }
+
+  /**
+   * LLM usage in a period, in total or grouped by model, channel or purpose
+   * Calls without a channel (default reports, which have no prompt channel) group under a NULL channel.
+   * @param {Date} startDate - Inclusive
+   * @param {Date} endDate - Exclusive
+   * @param {Object} options - guildId (all guilds when omitted), groupBy: null | 'model' | 'channel' | 'purpose'
+   * @returns {Promise<Array<{name: string|null, calls: number, prompt_tokens: number, completion_tokens: number,
+   *   cost: number, unpriced_calls: number}>>} - One row per group, most expensive first (one row without groupBy)
+   */
+  async getLLMUsage(startDate, endDate, options = {}) {
+    const { guildId = null, groupBy = null } = options;
+    const groupColumns = { model: 'model', channel: 'channel_id', purpose: 'purpose' };
+    const column = groupColumns[groupBy];
+    try {
+      return await this.getAllQuery(`
+        SELECT ${column ? `${column} AS name,` : ''}
+          ${groupBy === 'channel' ? 'MAX(channel_name) AS channel_name,' : ''}
+          COUNT(*) AS calls,
+          COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+          COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+          COALESCE(SUM(cost), 0) AS cost,
+          SUM(CASE WHEN cost IS NULL THEN 1 ELSE 0 END) AS unpriced_calls
+        FROM llm_calls
+        WHERE created_at >= datetime(?) AND created_at < datetime(?)
+        ${guildId ? 'AND guild_id = ?' : ''}
+        ${column ? `GROUP BY ${column} ORDER BY cost DESC, calls DESC` : ''}
+      `, [startDate.toISOString(), endDate.toISOString(), ...(guildId ? [guildId] : [])]);
+    } catch (error) {
+      this.logger.error('Error getting LLM usage:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Stored settings overrides for a guild
+   * @returns {Promise<Object>} Settings object ({} when nothing is stored)
+   */
+  async getGuildSettings(guildId) {
+    try {
+      const row = await this.getQuery('SELECT settings FROM guild_settings WHERE guild_id = ?', [guildId]);
+      return row ? JSON.parse(row.settings) : {};
+    } catch (error) {
+      this.logger.error('Error getting guild settings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Replace the stored settings overrides for a guild
+   */
+  async saveGuildSettings(guildId, settings) {
+    try {
+      await this.runQuery(`
+        INSERT INTO guild_settings (guild_id, settings, updated_at)
+        VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(guild_id) DO UPDATE SET
+          settings = excluded.settings,
+          updated_at = CURRENT_TIMESTAMP
+      `, [guildId, JSON.stringify(settings)]);
+
+      return true;
+    } catch (error) {
+      this.logger.error('Error saving guild settings:', error);
+      return false;
+    }
+  }
+
+
+  /**
+   * Count jobs by status
+   */
+  async getJobStats() {
+    try {
+      const rows = await this.getAllQuery('SELECT status, COUNT(*) as count FROM jobs GROUP BY status');
+      return rows.reduce((stats, row) => {
+        stats[row.status] = row.count;
+        return stats;
+      }, { pending: 0, running: 0, completed: 0, failed: 0 });
+    } catch (error) {
+      this.logger.error('Error getting job stats:', error);
+      return {};
+    }
+  }
+
   /**
    * Get database statistics
    */
@@ -682,6 +1653,7 @@ class DatabaseService {
 
       // Count records in each table
       const summariesCount = await this.getQuery('SELECT COUNT(*) as count FROM summaries');
+      const summarizedVideosCount = await this.getQuery('SELECT COUNT(DISTINCT video_id) as count FROM summaries');
       const dailyReportsCount = await this.getQuery('SELECT COUNT(*) as count FROM daily_reports');
       const weeklyReportsCount = await this.getQuery('SELECT COUNT(*) as count FROM weekly_reports');
       const monthlyReportsCount = await this.getQuery('SELECT COUNT(*) as count FROM monthly_reports');
@@ -689,6 +1661,7 @@ class DatabaseService {
       const transcriptsCount = await this.getQuery('SELECT COUNT(*) as count FROM transcripts');
 
       stats.totalSummaries = summariesCount.count;
+      stats.summarizedVideos = summarizedVideosCount.count;
       stats.dailyReports = dailyReportsCount.count;
       stats.weeklyReports = weeklyReportsCount.count;
       stats.monthlyReports = monthlyReportsCount.count;
@@ -2,9 +2,29 @@
  * Discord Service - Discord bot management and message handling
  */
 
-const { Client, GatewayIntentBits, Events, REST, Routes, AttachmentBuilder } = require('discord.js');
+const {
+  Client, GatewayIntentBits, Events, REST, Routes, AttachmentBuilder, ChannelType,
+  ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, PermissionFlagsBits, EmbedBuilder
+} = require('discord.js');
+const crypto = require('crypto');
 const cron = require('node-cron');
 const CommandService = require('./command.service');
+const PromptRegistryService = require('./prompt-registry.service');
+const { extractVideoLinks, extractPlaylistIds, getYouTubeUrl, isYouTubeShort } = require('../../utils/youtube');
+const { getPlaylistVideoIds } = require('../../utils/youtube-playlist');
+const { renderSummaryEmbed, renderMarkdownEmbed } = require('../../utils/summary-embed');
+const { parsePromptOptions, describePromptOptions } = require('../../utils/prompt-options');
+const { splitMarkdownMessage, DISCORD_MESSAGE_LIMIT } = require('../../utils/message-split');
+const { getYouTubeMetadata } = require('../../utils/youtube-metadata');
+const { formatBudgetPeriod } = require('../../utils/budget');
+const {
+  SUMMARY_PROMPT_VARIABLES,
+  METADATA_PROMPT_VARIABLES,
+  REPORT_PROMPT_VARIABLES,
+  renderPromptTemplate,
+  formatDuration,
+  findPromptVariables
+} = require('../../utils/prompt-template');
 
 class DiscordService {
   constructor(serviceManager, dependencies) {
@@ -12,12 +32,25 @@ class DiscordService {
     this.transcript = dependencies.transcript;
     this.summary = dependencies.summary;
     this.report = dependencies.report;
+    // Optional: without a queue, videos are processed inline (legacy scripts)
+    this.queue = dependencies.queue || null;
+    // Optional: without a budget, models are never downgraded and nothing is paused
+    this.budget = dependencies.budget || null;
     this.logger = serviceManager.logger;
     this.config = serviceManager.config.discord;
     
     // Track processed messages to prevent duplicates
     this.processedMessages = new Set();
     
+    // Effective per-guild configuration (environment defaults + stored overrides)
+    this.guildConfigs = new Map();
+    // Scheduled report cron tasks per guild
+    this.reportTasks = new Map();
+    // Messages of a split send, keyed by the first message (see sendLongMessage/recordPost)
+    this.messageParts = new WeakMap();
+    // Pinned prompts, kept in memory and refreshed from pin/channel events
+    this.prompts = new PromptRegistryService(serviceManager, {});
+    
     this.client = new Client({
       intents: [
         GatewayIntentBits.Guilds,
@@ -50,6 +83,11 @@ class DiscordService {
     try {
       console.log('🤖 Initializing Discord service...');
       
+      // Listen before logging in so a threshold crossed while connecting is still announced
+      if (this.budget) {
+        this.budget.on('budget:threshold', (alert) => this.postBudgetAlert(alert));
+      }
+      
       await this.client.login(this.config.token);
       
       console.log('✅ Discord service initialized');
@@ -80,17 +118,20 @@ class DiscordService {
         logger: console
       });
       
-      // Register slash commands with Discord
-      const rest = new REST({ version: '10' }).setToken(this.config.token);
-      
+      // Register slash commands with every guild the bot is in
       const commands = this.commandService.getCommandData();
+      let registered = 0;
       
-      await rest.put(
-        Routes.applicationGuildCommands(this.client.user.id, this.config.guildId),
-        { body: commands }
-      );
+      for (const guild of this.client.guilds.cache.values()) {
+        try {
+          await this.registerGuildCommands(guild.id, commands);
+          registered++;
+        } catch (error) {
+          console.error(`❌ Failed to register slash commands in guild ${guild.name}:`, error);
+        }
+      }
       
-      console.log(`✅ Successfully registered ${commands.length} slash commands`);
+      console.log(`✅ Successfully registered ${commands.length} slash commands in ${registered} guild(s)`);
       
     } catch (error) {
       console.error('❌ Failed to register slash commands:', error);
@@ -98,12 +139,38 @@ class DiscordService {
     }
   }
 
+  /**
+   * Register the slash commands with one guild
+   */
+  async registerGuildCommands(guildId, commands = this.commandService.getCommandData()) {
+    const rest = new REST({ version: '10' }).setToken(this.config.token);
+    
+    await rest.put(
+      Routes.applicationGuildCommands(this.client.user.id, guildId),
+      { body: commands }
+    );
+  }
+
   setupEventHandlers() {
     this.client.once('ready', async () => {
       this.logger.info(`Discord bot logged in as ${this.client.user.tag}`);
       
       // Register slash commands after client is ready
       await this.initializeCommands();
+      
+      // Load every pinned prompt once; pin and channel events keep them current
+      for (const guild of this.client.guilds.cache.values()) {
+        await this.preloadPrompts(guild);
+      }
+      
+      // Start draining queued video jobs (including ones left over from a previous run)
+      if (this.queue) {
+        this.queue.on('job:settled', (job) => this.handleSettledJob(job));
+        this.queue.start((job) => this.runVideoJob(job));
+        
+        // Pick up links posted while the bot was offline
+        await this.scanBacklog();
+      }
     });
 
     this.client.on('messageCreate', async (message) => {
@@ -126,6 +193,12 @@ class DiscordService {
     this.client.on('interactionCreate', async (interaction) => {
       console.log(`🔍 Received interaction: ${interaction.type} - Command: ${interaction.commandName}`);
       
+      // Buttons and modals attached to posted summaries
+      if (interaction.isButton() || interaction.isModalSubmit()) {
+        await this.handleComponentInteraction(interaction);
+        return;
+      }
+      
       if (!interaction.isChatInputCommand()) return;
       
       try {
@@ -148,11 +221,135 @@ class DiscordService {
       }
     });
 
+    // Guilds joined while running get commands and report schedules right away
+    this.client.on('guildCreate', async (guild) => {
+      this.logger.info(`Joined guild ${guild.name} (${guild.id})`);
+      
+      if (this.commandService) {
+        await this.registerGuildCommands(guild.id).catch(error => 
+          this.logger.error(`Failed to register slash commands in guild ${guild.name}`, error)
+        );
+      }
+      await this.setupGuildReportSchedules(guild.id);
+      await this.preloadPrompts(guild);
+    });
+
+    this.client.on('guildDelete', (guild) => {
+      this.logger.info(`Removed from guild ${guild.id}`);
+      this.stopGuildReportSchedules(guild.id);
+      this.guildConfigs.delete(guild.id);
+      this.prompts.invalidateGuild(guild.id);
+    });
+
+    // Pinning or unpinning a message changes which prompt a channel has
+    this.client.on('channelPinsUpdate', async (channel) => {
+      try {
+        if (this.prompts.has(channel.id) || await this.isPromptChannel(channel)) {
+          await this.refreshPrompt(channel);
+        }
+      } catch (error) {
+        this.logger.error(`Pin update handling error in channel ${channel.id}`, error);
+      }
+    });
+
+    // Editing the pinned prompt changes its text without a pin event
+    this.client.on('messageUpdate', async (oldMessage, newMessage) => {
+      try {
+        if (newMessage.pinned && this.prompts.has(newMessage.channelId)) {
+          await this.refreshPrompt(newMessage.channel);
+        }
+      } catch (error) {
+        this.logger.error(`Message update handling error in channel ${newMessage.channelId}`, error);
+      }
+    });
+
+    this.client.on('channelCreate', async (channel) => {
+      try {
+        if (await this.isPromptChannel(channel)) {
+          await this.refreshPrompt(channel);
+        }
+      } catch (error) {
+        this.logger.error(`Channel create handling error for channel ${channel.id}`, error);
+      }
+    });
+
+    this.client.on('channelDelete', (channel) => {
+      this.prompts.invalidate(channel.id);
+    });
+
     this.client.on('error', (error) => {
       this.logger.error('Discord client error', error);
     });
   }
 
+  /**
+   * Effective configuration for a guild: environment defaults with the guild's stored overrides on top
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<{guildId: string, channels: Object, prefixes: Object, allowedChannelPatterns: string[], schedule: Object, model: string, timezone: string, attachmentThresholds: Object}>}
+   */
+  async getGuildConfig(guildId) {
+    if (this.guildConfigs.has(guildId)) {
+      return this.guildConfigs.get(guildId);
+    }
+
+    let settings = {};
+    try {
+      const database = await this.serviceManager.getService('database');
+      settings = await database.getGuildSettings(guildId);
+    } catch (error) {
+      this.logger.warn(`Could not load settings for guild ${guildId}: ${error.message}`);
+    }
+
+    const guildConfig = {
+      guildId,
+      channels: { ...this.config.channels, ...settings.channels },
+      prefixes: { ...this.config.prefixes, ...settings.prefixes },
+      allowedChannelPatterns: settings.allowedChannelPatterns || this.config.allowedChannelPatterns,
+      schedule: { ...this.config.schedule, ...settings.schedule },
+      model: settings.model || this.serviceManager.config.openai.model,
+      timezone: settings.timezone || this.serviceManager.config.app.timezone,
+      // Longest content split into several messages, per channel ID or 'default'; longer content is attached as a file
+      attachmentThresholds: { default: this.config.messages.attachmentThreshold, ...settings.attachmentThresholds }
+    };
+
+    this.guildConfigs.set(guildId, guildConfig);
+    return guildConfig;
+  }
+
+  /**
+   * Store setting overrides for a guild and apply them (its report schedules are rebuilt)
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} changes - channels/prefixes/schedule/attachmentThresholds are merged key by key; model, timezone replace.
+   *   A null value removes the override so the environment default applies again.
+   * @returns {Promise<Object>} - The guild's new effective configuration
+   */
+  async updateGuildConfig(guildId, changes) {
+    const database = await this.serviceManager.getService('database');
+    const settings = await database.getGuildSettings(guildId);
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const merged = { ...settings[key], ...value };
+        Object.keys(merged).forEach(nestedKey => merged[nestedKey] === null && delete merged[nestedKey]);
+        settings[key] = merged;
+      } else if (value === null) {
+        delete settings[key];
+      } else {
+        settings[key] = value;
+      }
+    }
+
+    if (!await database.saveGuildSettings(guildId, settings)) {
+      throw new Error('Could not save guild settings');
+    }
+
+    this.guildConfigs.delete(guildId);
+    await this.setupGuildReportSchedules(guildId);
+    this.logger.info(`Updated settings for guild ${guildId}: ${Object.keys(changes).join(', ')}`);
+
+    return this.getGuildConfig(guildId);
+  }
+
   /**
    * Check if a bot user is in the trusted bots list
    * @param {import('discord.js').User} botUser - The bot user to check
@@ -178,429 +375,2205 @@ class DiscordService {
       return;
     }
     
-    // Check if message contains YouTube link
-    const youtubeRegex = /(?:youtube\.com\/watch\?v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/;
-    const match = message.content.match(youtubeRegex);
+    // Collect every YouTube video linked in the message (watch, youtu.be, Shorts, live, embed, mobile)
+    const videoLinks = extractVideoLinks(message.content);
+    const playlistIds = extractPlaylistIds(message.content);
     
-    if (match) {
-      const videoId = match[1];
-      const channelName = message.channel.name;
-      const authorInfo = message.author.bot ? `Bot: ${message.author.username}` : `User: ${message.author.username}`;
-      
-      this.logger.info(`Found YouTube link in message from ${authorInfo} in channel: ${channelName}`);
-      
-      // Mark message as being processed
-      this.processedMessages.add(message.id);
-      
-      this.logger.info(`Processing YouTube video: ${videoId} in channel: ${channelName}`);
-      
-      // Check if we should process this channel
-      const shouldProcess = this.shouldProcessChannel(channelName);
-      if (!shouldProcess) {
-        this.logger.info(`Ignoring video in non-monitored channel: ${channelName}`);
-        return;
+    if (videoLinks.length === 0 && playlistIds.length === 0) {
+      return;
+    }
+    
+    const channelName = message.channel.name;
+    const authorInfo = message.author.bot ? `Bot: ${message.author.username}` : `User: ${message.author.username}`;
+    
+    this.logger.info(`Found ${videoLinks.length} YouTube link(s) and ${playlistIds.length} playlist(s) in message from ${authorInfo} in channel: ${channelName}`);
+    
+    // Mark message as being processed
+    this.processedMessages.add(message.id);
+    
+    // Check if we should process this channel (routes first, then the guild's channel name patterns)
+    if (!message.guild) {
+      this.logger.debug(`Ignoring video outside a guild: ${message.id}`);
+      return;
+    }
+    const guildConfig = await this.getGuildConfig(message.guild.id);
+    const routes = await this.getGuildRoutes(message.guild.id);
+    const shouldProcess = this.isMonitoredChannel(message.channel, routes, guildConfig);
+    if (!shouldProcess) {
+      this.logger.info(`Ignoring video in non-monitored channel: ${channelName}`);
+      return;
+    }
+    
+    // Add processing reaction
+    await this.safeReact(message, '🤖');
+    
+    // Playlist links (or watch URLs carrying &list=) are expanded into per-video jobs
+    const results = [];
+    for (const playlistId of playlistIds) {
+      results.push(...await this.processPlaylist(message, playlistId));
+    }
+    
+    // Process each video as its own job so one failure doesn't block the others
+    for (const { videoId, url } of videoLinks) {
+      const videoKey = `${message.id}:${videoId}`;
+      if (this.processedMessages.has(videoKey)) {
+        this.logger.debug(`Skipping already processed video ${videoId} in message ${message.id}`);
+        continue;
       }
+      this.processedMessages.add(videoKey);
       
-      try {
-        // Add processing reaction
-        await message.react('🤖');
-        
-        // Get transcript
-        const transcript = await this.transcript.getTranscript(videoId);
-        if (!transcript) {
-          await message.react('❌');
-          await message.reply('Sorry, I could not extract the transcript for this video.');
-          return;
-        }
+      const kind = isYouTubeShort(url) ? 'YouTube Short' : 'YouTube video';
+      this.logger.info(`Processing ${kind}: ${videoId} in channel: ${channelName}`);
 
-        // Save transcript to database for persistence
-        try {
-          console.log(`🔄 Attempting to save transcript for video: ${videoId}`);
-          console.log(`   Transcript length: ${transcript.length} characters`);
-          
-          const database = await this.serviceManager.getService('database');
-          await database.saveTranscript(videoId, transcript);
-          
-          console.log(`✅ Transcript saved successfully for video: ${videoId}`);
-          this.logger.info(`Transcript saved to database: ${videoId}`);
-        } catch (error) {
-          console.error(`❌ Failed to save transcript for video ${videoId}:`, error);
-          this.logger.error(`Failed to save transcript to database: ${videoId}`, error);
-          // Continue processing even if transcript save fails
-        }
-
-        // Add reaction for successful transcript extraction
-        await message.react('🗒️');
+      // Queued jobs report their outcome from handleSettledJob
+      if (this.queue) {
+        await this.enqueueVideo(message, videoId, { isBatch: videoLinks.length > 1 });
+        continue;
+      }
 
-        // Get video title (try to extract from message or use video ID)
-        const videoTitle = await this.getVideoTitle(videoId, message.content);
-        
-        // 1. Send transcript file to yt-transcripts channel
-        await this.sendTranscriptFile(message.guild, videoId, videoTitle, transcript);
-        
-        // 2. Generate and send summaries to summary channels
-        await this.processSummaryChannels(message.guild, videoId, videoTitle, transcript, message.content);
-        
-        // Add reaction for successful summary execution
-        await message.react('✅');
-        
-      } catch (error) {
-        this.logger.error('Video processing error', error);
-        await message.react('⚠️');
-        await message.reply('Sorry, there was an error processing this video.');
+      const status = await this.processVideo(message, videoId, videoLinks.length > 1);
+      results.push({ videoId, status });
+    }
+    
+    if (results.length === 0) {
+      return;
+    }
+    
+    // Add reaction for the overall outcome
+    const failed = results.filter(result => result.status !== 'success');
+    if (failed.length === 0) {
+      await this.safeReact(message, '✅');
+    } else {
+      if (failed.length < results.length) {
+        await this.safeReact(message, '✅');
       }
+      await this.safeReact(message, '⚠️');
+      this.logger.warn(`${failed.length}/${results.length} video(s) failed in message ${message.id}: ${failed.map(result => `${result.videoId} (${result.status})`).join(', ')}`);
     }
   }
 
   /**
-   * Determine if a channel should be processed for YouTube links
-   * @param {string} channelName - The name of the channel
-   * @returns {boolean} - Whether to process this channel
+   * Expand a playlist into per-video jobs and report progress in a single reply
+   * @param {import('discord.js').Message} message - Source message
+   * @param {string} playlistId - YouTube playlist ID
+   * @returns {Promise<Array<{videoId: string, status: string}>>} - Outcome for each processed video
    */
-  shouldProcessChannel(channelName) {
-    if (!channelName) return false;
+  async processPlaylist(message, playlistId) {
+    const { apiKey, playlist: playlistConfig } = this.serviceManager.config.youtube;
+    const maxVideos = playlistConfig.maxVideos;
     
-    // Primary channel (exact match or contains)
-    if (channelName.includes(this.config.channels.uploads)) {
-      return true;
+    this.logger.info(`Expanding playlist ${playlistId} (max ${maxVideos} videos)`);
+    
+    // One more than the cap tells whether the playlist was cut off
+    const resolvedIds = await getPlaylistVideoIds(playlistId, { apiKey, maxVideos: maxVideos + 1 });
+    if (resolvedIds.length === 0) {
+      await message.reply(`Sorry, I could not read the videos in playlist \`${playlistId}\`.`);
+      return [{ videoId: playlistId, status: 'error' }];
     }
     
-    // Use configured allowed patterns or defaults
-    const allowedPatterns = this.config.allowedChannelPatterns || [
-      'youtube',
-      'videos', 
-      'media', 
-      'links',
-      'general',
-      'bot-spam',
-      'feeds',
-      'notifications'
-    ];
+    const limitedTo = resolvedIds.length > maxVideos ? maxVideos : null;
+    const videoIds = resolvedIds.slice(0, maxVideos);
+    const progress = { total: videoIds.length, done: 0, skipped: 0, failed: 0 };
+    const renderProgress = (finished = false) => this.renderPlaylistProgress(playlistId, progress, limitedTo, finished);
+
+    let progressMessage = null;
+    try {
+      progressMessage = await message.reply(renderProgress());
+    } catch (error) {
+      this.logger.warn(`Could not post playlist progress message: ${error.message}`);
+    }
     
-    const lowerChannelName = channelName.toLowerCase();
-    return allowedPatterns.some(pattern => lowerChannelName.includes(pattern));
-  }
+    const updateProgress = async (finished = false) => {
+      if (!progressMessage) return;
+      try {
+        await progressMessage.edit(renderProgress(finished));
+      } catch (error) {
+        this.logger.debug(`Could not update playlist progress message: ${error.message}`);
+      }
+    };
+    
+    const database = playlistConfig.skipSummarized
+      ? await this.serviceManager.getService('database').catch(() => null)
+      : null;
+    
+    const results = [];
+    let queued = 0;
+    for (const videoId of videoIds) {
+      const videoKey = `${message.id}:${videoId}`;
+      if (this.processedMessages.has(videoKey)) {
+        progress.skipped++;
+        await updateProgress();
+        continue;
+      }
+      this.processedMessages.add(videoKey);
+      
+      // Skip videos we've already summarized in this guild
+      if (database && await this.hasGuildSummary(database, videoId, message.guild.id)) {
+        this.logger.info(`Skipping playlist video ${videoId}: summary already exists`);
+        progress.skipped++;
+        await updateProgress();
+        continue;
+      }
+
+      if (this.queue) {
+        const job = await this.enqueueVideo(message, videoId, {
+          isBatch: true,
+          playlistId,
+          progressMessageId: progressMessage?.id || null,
+          playlistTotal: videoIds.length,
+          playlistLimit: limitedTo
+        });
+        if (job) queued++;
+        continue;
+      }
 
-  extractTitleFromMessage(content) {
-    // Try to extract a title from the message content (line without YouTube URL)
-    if (!content) return null;
+      const status = await this.processVideo(message, videoId, true);
+      results.push({ videoId, status });
+      
+      if (status === 'success') {
+        progress.done++;
+      } else {
+        progress.failed++;
+      }
+      await updateProgress();
+    }
     
-    const lines = content.split('\n');
-    const titleLine = lines.find(line => {
-      const trimmed = line.trim();
-      return trimmed && 
-             trimmed.length > 3 && // Must be meaningful length
-             !trimmed.includes('youtube.com') && 
-             !trimmed.includes('youtu.be') &&
-             !trimmed.match(/^[-\s]*$/) && // Not just dashes/spaces
-             !trimmed.match(/^[#@<>]*$/) // Not just symbols
-    });
+    // Queued videos update the progress message as their jobs settle
+    if (queued > 0) {
+      await updateProgress();
+      this.logger.info(`Playlist ${playlistId}: ${queued} video(s) queued, ${progress.skipped} skipped`);
+      return results;
+    }
+
+    await updateProgress(true);
+    this.logger.info(`Playlist ${playlistId} finished: ${progress.done} summarized, ${progress.skipped} skipped, ${progress.failed} failed`);
     
-    return titleLine ? titleLine.trim() : null;
+    return results;
   }
 
-  async getVideoTitle(videoId, messageContent) {
+  /**
+   * Run the transcript → summary pipeline for a single video from a message
+   * @param {import('discord.js').Message} message - Source message
+   * @param {string} videoId - YouTube video ID
+   * @param {boolean} isBatch - Whether the message contained several videos
+   * @returns {Promise<'success'|'no_transcript'|'error'>} - Outcome for this video
+   */
+  async processVideo(message, videoId, isBatch = false) {
+    // Name the video in replies when a message links more than one
+    const videoLabel = isBatch ? ` (${getYouTubeUrl(videoId)})` : '';
+    
     try {
-      console.log(`🎯 Getting title for video ${videoId}`);
-      console.log(`📝 Message content: "${messageContent}"`);
-      
-      // First try direct YouTube Transcript IO API (most reliable)
-      try {
-        if (process.env.YOUTUBE_TRANSCRIPT_IO_TOKEN) {
-          console.log(`🔄 Trying direct YouTube Transcript IO API...`);
-          const YouTubeTranscriptIOService = require('./youtube-transcript-io.service');
-          const ioService = new YouTubeTranscriptIOService();
-          const apiTitle = await ioService.getVideoTitle(videoId);
-          console.log(`🎬 Direct Transcript API title result: "${apiTitle}"`);
-          if (apiTitle && apiTitle.length > 3) {
-            const sanitized = this.sanitizeFilename(apiTitle);
-            if (sanitized) {
-              console.log(`✅ Using Direct Transcript API title: "${sanitized}"`);
-              return sanitized;
-            }
-          }
-        }
-      } catch (error) {
-        console.log(`⚠️ Direct Transcript API title failed: ${error.message}`);
+      // Get transcript
+      const transcript = await this.transcript.getTranscript(videoId);
+      if (!transcript) {
+        await this.safeReact(message, '❌');
+        await message.reply(`Sorry, I could not extract the transcript for this video${videoLabel}.`);
+        return 'no_transcript';
       }
-      
-      // Try via service manager (fallback)
+
+      // Save transcript to database for persistence
       try {
-        const transcriptService = this.serviceManager.getService('transcript');
-        if (transcriptService && transcriptService.transcriptIO) {
-          const apiTitle = await transcriptService.transcriptIO.getVideoTitle(videoId);
-          console.log(`🎬 Service Manager Transcript API title result: "${apiTitle}"`);
-          if (apiTitle && apiTitle.length > 3) {
-            const sanitized = this.sanitizeFilename(apiTitle);
-            if (sanitized) {
-              console.log(`✅ Using Service Manager Transcript API title: "${sanitized}"`);
-              return sanitized;
-            }
-          }
-        }
+        console.log(`🔄 Attempting to save transcript for video: ${videoId}`);
+        console.log(`   Transcript length: ${transcript.length} characters`);
+        
+        const database = await this.serviceManager.getService('database');
+        await database.saveTranscript(videoId, transcript);
+        
+        console.log(`✅ Transcript saved successfully for video: ${videoId}`);
+        this.logger.info(`Transcript saved to database: ${videoId}`);
       } catch (error) {
-        console.log(`⚠️ Service Manager Transcript API title failed: ${error.message}`);
+        console.error(`❌ Failed to save transcript for video ${videoId}:`, error);
+        this.logger.error(`Failed to save transcript to database: ${videoId}`, error);
+        // Continue processing even if transcript save fails
       }
+
+      // Add reaction for successful transcript extraction
+      await this.safeReact(message, '🗒️');
+
+      // Get video title (try to extract from message or use video ID)
+      const videoTitle = await this.getVideoTitle(videoId, message.content);
       
-      // Fallback to page scraping
-      console.log(`🔄 Falling back to page scraping...`);
-      const { getYouTubeTitle } = require('../../utils/youtube-title');
-      const scrapedTitle = await getYouTubeTitle(videoId);
-      console.log(`🔍 Scraped title result: "${scrapedTitle}"`);
-      if (scrapedTitle && scrapedTitle.length > 3) {
-        const sanitized = this.sanitizeFilename(scrapedTitle);
-        if (sanitized) {
-          console.log(`✅ Using scraped title: "${sanitized}"`);
-          return sanitized;
-        }
-      }
+      // Thread on the uploads message, when a route from this channel uses thread mode
+      const thread = await this.getVideoThread(message, videoTitle);
       
-      // Fallback to extracting from message
-      console.log(`🔄 Falling back to message extraction...`);
-      const extractedTitle = this.extractTitleFromMessage(messageContent);
-      console.log(`📑 Extracted from message: "${extractedTitle}"`);
-      if (extractedTitle && extractedTitle.length > 3) {
-        const sanitized = this.sanitizeFilename(extractedTitle);
-        if (sanitized) {
-          console.log(`✅ Using extracted title: "${sanitized}"`);
-          return sanitized;
-        }
-      }
+      // 1. Send transcript file to yt-transcripts channel
+      await this.sendTranscriptFile(message.guild, videoId, videoTitle, transcript, thread);
       
-      // Final fallback to video ID
-      console.log(`⚠️ Using video ID fallback for ${videoId}`);
-      this.logger.info(`Using fallback title for ${videoId}`);
-      return `YouTube_Video_${videoId}`;
+      // 2. Generate and send summaries to summary channels
+      await this.processSummaryChannels(
+        message.guild, videoId, videoTitle, transcript, message.content, null, message.channel.id, thread, this.getPosterName(message)
+      );
+      
+      return 'success';
     } catch (error) {
-      console.log(`❌ Error in getVideoTitle: ${error.message}`);
-      this.logger.error('Error getting video title', error);
-      return `YouTube_Video_${videoId}`;
+      this.logger.error(`Video processing error for ${videoId}`, error);
+      await message.reply(`Sorry, there was an error processing this video${videoLabel}.`).catch(() => {});
+      return 'error';
     }
   }
 
-  extractVideoUrl(messageContent) {
-    const youtubeRegex = /(https?:\/\/)?(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/;
-    const match = messageContent.match(youtubeRegex);
-    return match ? match[0] : null;
+  /**
+   * Render the playlist progress reply
+   * @param {string} playlistId - YouTube playlist ID
+   * @param {{total: number, done: number, skipped: number, failed: number}} progress - Video counts
+   * @param {number|null} limitedTo - Playlist size cap, when the playlist was truncated
+   * @param {boolean} finished - Whether every video has been handled
+   */
+  renderPlaylistProgress(playlistId, progress, limitedTo, finished = false) {
+    const header = finished ? '📃 Playlist processed' : '📃 Processing playlist';
+    let text = `${header} \`${playlistId}\`: ${progress.done + progress.skipped + progress.failed}/${progress.total} videos`;
+    text += `\n✅ ${progress.done} summarized • ⏭️ ${progress.skipped} skipped • ❌ ${progress.failed} failed`;
+    if (limitedTo) {
+      text += `\n_Limited to the first ${limitedTo} videos_`;
+    }
+    return text;
   }
 
-  sanitizeFilename(title) {
-    if (!title || title.length < 3) {
-      return null; // Return null for invalid titles so fallback can be used
+  /**
+   * Status text for a chunked summary in progress
+   * @param {string} videoTitle - Video being summarized
+   * @param {{stage: string, round?: number, done?: number, total?: number}} progress - Update from SummaryService
+   */
+  renderSummaryProgress(videoTitle, progress) {
+    if (progress.stage === 'combining') {
+      return `⏳ **${videoTitle}**: combining the notes into the summary...`;
+    }
+    const what = progress.round > 1 ? 'condensed notes' : 'summarized part';
+    return `⏳ **${videoTitle}** is long, summarizing it in parts: ${what} ${progress.done}/${progress.total}...`;
+  }
+
+  /**
+   * Progress reporter for a chunked summary posted to a channel
+   * A status message is posted with the first update, edited as parts finish and deleted by `finish()`;
+   * summaries that fit the context window send no updates, so nothing is posted for them.
+   * @param {import('discord.js').TextChannel} channel - Channel the summary goes to
+   * @param {string} videoTitle - Video being summarized
+   * @returns {{onProgress: Function, finish: Function}}
+   */
+  createSummaryProgress(channel, videoTitle) {
+    let statusMessage = null;
+    return {
+      onProgress: async (progress) => {
+        const text = this.renderSummaryProgress(videoTitle, progress);
+        if (statusMessage) {
+          await statusMessage.edit(text);
+        } else {
+          statusMessage = await channel.send(text);
+        }
+      },
+      finish: async () => {
+        if (statusMessage) {
+          await statusMessage.delete().catch(() => {});
+        }
+      }
+    };
+  }
+
+  /**
+   * Record a video from a message as a durable job
+   * @param {import('discord.js').Message} message - Source message
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} meta - Extra job context (isBatch, playlist progress details)
+   * @returns {Promise<Object|null>} - The job, or null if it was already queued
+   */
+  async enqueueVideo(message, videoId, meta = {}) {
+    return this.queue.enqueue({
+      videoId,
+      guildId: message.guild.id,
+      sourceChannelId: message.channel.id,
+      sourceMessageId: message.id,
+      sourceContent: message.content,
+      // Kept for {{posted_by}} in case the source message is gone when the job runs
+      meta: { ...meta, postedBy: this.getPosterName(message) }
+    });
+  }
+
+  /**
+   * Queue handler: run the remaining stages of a video job
+   * Each stage is persisted before moving on, so a retry or restart resumes where it stopped.
+   * Throwing hands the job back to the queue for a retry with backoff.
+   * @param {Object} job - Job row from the database
+   */
+  async runVideoJob(job) {
+    const videoId = job.video_id;
+    const database = await this.serviceManager.getService('database');
+    const message = await this.fetchJobMessage(job);
+    const guild = message?.guild || this.client.guilds.cache.get(job.guild_id || this.config.guildId);
+    if (!guild) {
+      throw new Error(`Guild ${job.guild_id} not available`);
+    }
+
+    if (job.stage === 'transcript') {
+      const transcript = await this.transcript.getTranscript(videoId);
+      if (!transcript) {
+        throw new Error('Transcript not available');
+      }
+
+      // The summary stage reloads the transcript from the database
+      if (!await database.saveTranscript(videoId, transcript)) {
+        throw new Error('Failed to save transcript');
+      }
+
+      if (message) {
+        await this.safeReact(message, '🗒️');
+      }
+
+      const videoTitle = await this.getVideoTitle(videoId, job.source_content || '');
+      const thread = await this.getVideoThread(message, videoTitle);
+      await this.sendTranscriptFile(guild, videoId, videoTitle, transcript, thread);
+
+      await this.queue.advance(job, 'summary', { meta: { ...job.meta, videoTitle } });
+    }
+
+    if (job.stage === 'summary') {
+      const stored = await database.getTranscript(videoId);
+      if (!stored) {
+        await this.queue.advance(job, 'transcript');
+        throw new Error('Stored transcript missing, restarting from transcript stage');
+      }
+
+      const videoTitle = job.meta.videoTitle || `YouTube_Video_${videoId}`;
+      const thread = await this.getVideoThread(message, videoTitle);
+      const postedBy = message ? this.getPosterName(message) : job.meta.postedBy;
+      const failedChannels = await this.processSummaryChannels(
+        guild, videoId, videoTitle, stored.transcript_text, job.source_content || '', job.target_channels, job.source_channel_id, thread, postedBy
+      );
+
+      // Only the channels that failed are retried
+      if (failedChannels.length > 0) {
+        await this.queue.advance(job, 'summary', { targetChannels: failedChannels });
+        throw new Error(`Summary failed for ${failedChannels.length} channel(s)`);
+      }
+    }
+  }
+
+  /**
+   * Thread on a source message for routes in thread mode
+   * The thread is opened on first use and named after the video title; later videos from the
+   * same message (batches, playlists, job retries) reuse it.
+   * @param {import('discord.js').Message|null} message - Message the video was posted in
+   * @param {string} videoTitle - Title used to name a new thread
+   * @returns {Promise<import('discord.js').ThreadChannel|null>} - The thread, or null when no route from the channel uses thread mode
+   */
+  async getVideoThread(message, videoTitle) {
+    if (!message?.guild) {
+      return null;
+    }
+
+    const routes = await this.getGuildRoutes(message.guild.id);
+    const threadRoute = routes.find(route => route.source_channel_id === message.channel.id && route.options.thread);
+    if (!threadRoute) {
+      return null;
+    }
+
+    if (message.thread) {
+      return message.thread;
+    }
+
+    try {
+      const thread = await message.startThread({
+        name: (videoTitle || 'YouTube video').substring(0, 100),
+        autoArchiveDuration: threadRoute.options.threadArchiveMinutes || this.config.threads.autoArchiveMinutes
+      });
+      this.logger.info(`Opened thread "${thread.name}" on message ${message.id}`);
+      return thread;
+    } catch (error) {
+      // Another job from the same message may have opened it first
+      const existing = await message.channel.threads?.fetch(message.id).catch(() => null);
+      if (existing) {
+        return existing;
+      }
+      this.logger.warn(`Could not open a thread on message ${message.id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch the Discord message a job was created from
+   * @returns {Promise<import('discord.js').Message|null>} - The message, or null if it's gone
+   */
+  async fetchJobMessage(job) {
+    try {
+      const channel = await this.client.channels.fetch(job.source_channel_id);
+      return await channel.messages.fetch(job.source_message_id);
+    } catch (error) {
+      this.logger.debug(`Source message ${job.source_message_id} for job ${job.id} unavailable: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Report a finished (completed or permanently failed) job back to its source message
+   * @param {Object} job - Settled job
+   */
+  async handleSettledJob(job) {
+    try {
+      const message = await this.fetchJobMessage(job);
+      if (!message) return;
+
+      if (job.status === 'failed') {
+        const videoLabel = job.meta.isBatch ? ` (${getYouTubeUrl(job.video_id)})` : '';
+        const reason = job.stage === 'transcript'
+          ? 'I could not extract the transcript for this video'
+          : 'there was an error processing this video';
+        await message.reply(`Sorry, ${reason}${videoLabel}.`).catch(() => {});
+      }
+
+      const database = await this.serviceManager.getService('database');
+      const jobs = await database.getJobsForMessage(job.source_message_id);
+
+      if (job.meta.playlistId && job.meta.progressMessageId) {
+        await this.updateQueuedPlaylistProgress(message, job.meta, jobs);
+      }
+
+      // React once every job from this message has settled
+      if (jobs.some(entry => entry.status === 'pending' || entry.status === 'running')) {
+        return;
+      }
+
+      const failed = jobs.filter(entry => entry.status === 'failed');
+      if (failed.length === 0) {
+        await this.safeReact(message, '✅');
+      } else {
+        if (failed.length < jobs.length) {
+          await this.safeReact(message, '✅');
+        }
+        await this.safeReact(message, '⚠️');
+        this.logger.warn(`${failed.length}/${jobs.length} video(s) failed in message ${message.id}: ${failed.map(entry => `${entry.video_id} (${entry.last_error})`).join(', ')}`);
+      }
+    } catch (error) {
+      this.logger.error(`Error reporting result of job ${job.id}`, error);
+    }
+  }
+
+  /**
+   * Recompute a playlist progress reply from the state of its queued jobs
+   */
+  async updateQueuedPlaylistProgress(message, meta, jobs) {
+    const playlistJobs = jobs.filter(entry => entry.meta.playlistId === meta.playlistId);
+    const progress = {
+      total: meta.playlistTotal,
+      done: playlistJobs.filter(entry => entry.status === 'completed').length,
+      failed: playlistJobs.filter(entry => entry.status === 'failed').length,
+      // Videos without a job were skipped when the playlist was expanded
+      skipped: meta.playlistTotal - playlistJobs.length
+    };
+    const finished = progress.done + progress.failed + progress.skipped >= progress.total;
+
+    try {
+      const progressMessage = await message.channel.messages.fetch(meta.progressMessageId);
+      await progressMessage.edit(this.renderPlaylistProgress(meta.playlistId, progress, meta.playlistLimit, finished));
+    } catch (error) {
+      this.logger.debug(`Could not update playlist progress message: ${error.message}`);
+    }
+  }
+
+  /**
+   * Page back through monitored channels and queue videos posted while the bot was offline
+   * Each channel is scanned back to the last message that produced a job, bounded by the
+   * configured lookback window and message limit. Videos that already have a summary are skipped.
+   */
+  async scanBacklog() {
+    if (!this.config.backlog.enabled) {
+      this.logger.info('Backlog scan disabled');
+      return;
+    }
+
+    for (const guild of this.client.guilds.cache.values()) {
+      await this.scanGuildBacklog(guild);
+    }
+  }
+
+  /**
+   * Backlog scan for the monitored channels of one guild, reported to that guild's admin channel
+   * @param {import('discord.js').Guild} guild - Guild to scan
+   */
+  async scanGuildBacklog(guild) {
+    const backlogConfig = this.config.backlog;
+
+    try {
+      const database = await this.serviceManager.getService('database');
+      const guildConfig = await this.getGuildConfig(guild.id);
+      const cutoff = Date.now() - backlogConfig.lookbackHours * 60 * 60 * 1000;
+      const routes = await this.getGuildRoutes(guild.id);
+      const channels = guild.channels.cache.filter(
+        channel => channel.type === ChannelType.GuildText && this.isMonitoredChannel(channel, routes, guildConfig)
+      );
+
+      const totals = { channels: channels.size, messages: 0, queued: 0, summarized: 0 };
+      const seenVideos = new Set();
+
+      for (const [, channel] of channels) {
+        try {
+          const lastJob = await database.getLatestJobForChannel(channel.id);
+          const messages = await this.fetchBacklogMessages(channel, lastJob?.source_message_id, cutoff);
+          totals.messages += messages.length;
+
+          // Oldest first, so jobs run in the order the links were posted
+          for (const message of messages.reverse()) {
+            if (message.author.id === this.client.user.id) continue;
+            if (message.author.bot && !this.isTrustedBot(message.author)) continue;
+
+            const videoLinks = extractVideoLinks(message.content);
+            let queuedFromMessage = 0;
+
+            for (const { videoId } of videoLinks) {
+              if (seenVideos.has(videoId)) continue;
+              seenVideos.add(videoId);
+
+              if (await this.hasGuildSummary(database, videoId, guild.id)) {
+                totals.summarized++;
+                continue;
+              }
+              // Still waiting in the queue from an earlier message
+              if (await database.getOpenJobForVideo(videoId, guild.id)) {
+                continue;
+              }
+
+              const job = await this.enqueueVideo(message, videoId, { isBatch: videoLinks.length > 1, backlog: true });
+              if (job) {
+                queuedFromMessage++;
+                this.processedMessages.add(`${message.id}:${videoId}`);
+              }
+            }
+
+            if (queuedFromMessage > 0) {
+              this.processedMessages.add(message.id);
+              totals.queued += queuedFromMessage;
+              await this.safeReact(message, '🤖');
+            }
+          }
+        } catch (error) {
+          this.logger.error(`Backlog scan failed for channel ${channel.name}`, error);
+        }
+      }
+
+      const summaryLine = `🔎 Backlog scan (${guild.name}): checked ${totals.messages} message(s) in ${totals.channels} channel(s) from the last ${backlogConfig.lookbackHours}h, queued ${totals.queued} video(s), ${totals.summarized} already summarized`;
+      this.logger.info(summaryLine);
+
+      const adminChannel = guild.channels.cache.find(channel => channel.name === guildConfig.channels.admin);
+      if (adminChannel) {
+        await adminChannel.send(summaryLine);
+      }
+    } catch (error) {
+      this.logger.error(`Backlog scan failed for guild ${guild.name}`, error);
+    }
+  }
+
+  /**
+   * Whether a video already has a summary posted in a guild
+   */
+  async hasGuildSummary(database, videoId, guildId) {
+    const summaries = await database.getSummariesForVideo(videoId);
+    return summaries.some(summary => summary.guild_id === guildId);
+  }
+
+  /**
+   * Fetch a channel's messages newest-first, stopping at the last processed message,
+   * the lookback cutoff or the configured message limit
+   * @param {import('discord.js').TextChannel} channel - Channel to scan
+   * @param {string|null} lastProcessedId - Newest message that already produced a job
+   * @param {number} cutoff - Oldest timestamp (ms) to include
+   * @returns {Promise<Array<import('discord.js').Message>>} - Messages, newest first
+   */
+  async fetchBacklogMessages(channel, lastProcessedId, cutoff) {
+    const { maxMessages } = this.config.backlog;
+    const collected = [];
+    let before;
+
+    while (collected.length < maxMessages) {
+      const batch = await channel.messages.fetch({ limit: Math.min(100, maxMessages - collected.length), before });
+      if (batch.size === 0) break;
+
+      for (const message of batch.values()) {
+        const reachedLastProcessed = lastProcessedId && BigInt(message.id) <= BigInt(lastProcessedId);
+        if (reachedLastProcessed || message.createdTimestamp < cutoff) {
+          return collected;
+        }
+        collected.push(message);
+      }
+
+      before = batch.last().id;
+    }
+
+    return collected;
+  }
+
+  /**
+   * Remember a message the bot posted so it can be edited, deleted or linked later
+   * @param {import('discord.js').Message} sentMessage - Message returned by send/reply
+   * @param {'transcript'|'summary'|'report'} kind - What was posted
+   * @param {Object} refs - videoId and/or reportKey the message belongs to
+   */
+  async recordPost(sentMessage, kind, refs = {}) {
+    if (!sentMessage) return;
+
+    try {
+      const database = await this.serviceManager.getService('database');
+      // Content split by sendLongMessage is recorded part by part, linked to its first message
+      for (const message of this.messageParts.get(sentMessage) || [sentMessage]) {
+        await database.savePost({
+          guildId: message.guildId,
+          channelId: message.channelId,
+          messageId: message.id,
+          kind,
+          parentMessageId: message === sentMessage ? null : sentMessage.id,
+          ...refs
+        });
+      }
+    } catch (error) {
+      this.logger.warn(`Could not record ${kind} post ${sentMessage.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Jump link for a recorded post
+   * @param {Object} post - Row from the posts table
+   * @returns {string} - Discord message URL
+   */
+  getPostUrl(post) {
+    return `https://discord.com/channels/${post.guild_id}/${post.channel_id}/${post.message_id}`;
+  }
+
+  /**
+   * Warn the default guild's admin channel that a budget cap is close or reached. The caps cover
+   * the bot's spend across all guilds, so only its operator's server hears about them.
+   * @param {Object} alert - Period status from utils/budget.js, with the fallbackModel
+   */
+  async postBudgetAlert(alert) {
+    const until = alert.period === 'day' ? 'the end of the day' : 'the end of the month';
+    const text = alert.level === 'exceeded'
+      ? `🛑 **LLM ${alert.cap} budget reached** - ${formatBudgetPeriod(alert)}\n` +
+        `Summaries now use **${alert.fallbackModel}**; comparisons, regenerations and prompt tests are paused until ${until}.`
+      : `⚠️ **LLM ${alert.cap} budget at ${Math.floor(alert.ratio * 100)}%** - ${formatBudgetPeriod(alert)}\n` +
+        `At 100%, summaries switch to **${alert.fallbackModel}** and comparisons, regenerations and prompt tests pause.`;
+
+    const guild = this.client.guilds.cache.get(this.config.guildId);
+    if (!guild) {
+      this.logger.warn(`Budget alert not posted: default guild ${this.config.guildId} not found`);
+      return;
+    }
+
+    try {
+      const guildConfig = await this.getGuildConfig(guild.id);
+      const adminChannel = guild.channels.cache.find(channel => channel.name === guildConfig.channels.admin);
+      if (adminChannel) {
+        await adminChannel.send(text);
+      } else {
+        this.logger.warn(`Budget alert not posted: no ${guildConfig.channels.admin} channel in ${guild.name}`);
+      }
+    } catch (error) {
+      this.logger.error(`Could not post budget alert in guild ${guild.name}`, error);
+    }
+  }
+
+  /**
+   * Model a summary runs with: the prompt's model or the guild's, unless a reached budget cap
+   * replaces it with the fallback model
+   * @param {string} guildId - Guild the summary is for
+   * @param {string|null} promptModel - Model named in the prompt's front-matter
+   * @returns {Promise<{model: string, downgradedFrom: string|null}>}
+   */
+  async resolveSummaryModel(guildId, promptModel = null) {
+    const { model: guildModel } = await this.getGuildConfig(guildId);
+    const model = promptModel || guildModel;
+    return this.budget ? this.budget.getSummaryModel(model) : { model, downgradedFrom: null };
+  }
+
+  /**
+   * Turn away non-essential work (comparisons, regenerations, prompt tests) once a budget cap is reached
+   * @param {string} work - What is paused, for the reply
+   * @returns {Promise<boolean>} true when the interaction was answered and the work should not run
+   */
+  async replyIfBudgetPaused(interaction, work) {
+    if (!this.budget || !(await this.budget.isPaused())) {
+      return false;
+    }
+    const content = `⏸️ ${work} are paused: the LLM budget is used up. See \`/usage\` for when it resets.`;
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content });
+    } else {
+      await interaction.reply({ content, ephemeral: true });
+    }
+    return true;
+  }
+
+  /**
+   * Add a reaction without letting a missing permission or duplicate abort processing
+   */
+  async safeReact(message, emoji) {
+    try {
+      await message.react(emoji);
+    } catch (error) {
+      this.logger.debug(`Could not add reaction ${emoji} to message ${message.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Determine if a channel should be processed for YouTube links
+   * @param {string} channelName - The name of the channel
+   * @param {Object} guildConfig - The guild's configuration (defaults to the environment configuration)
+   * @returns {boolean} - Whether to process this channel
+   */
+  shouldProcessChannel(channelName, guildConfig = this.config) {
+    if (!channelName) return false;
+    
+    // Primary channel (exact match or contains)
+    if (channelName.includes(guildConfig.channels.uploads)) {
+      return true;
+    }
+    
+    // Use configured allowed patterns or defaults
+    const allowedPatterns = guildConfig.allowedChannelPatterns || [
+      'youtube',
+      'videos', 
+      'media', 
+      'links',
+      'general',
+      'bot-spam',
+      'feeds',
+      'notifications'
+    ];
+    
+    const lowerChannelName = channelName.toLowerCase();
+    return allowedPatterns.some(pattern => lowerChannelName.includes(pattern));
+  }
+
+  extractTitleFromMessage(content) {
+    // Try to extract a title from the message content (line without YouTube URL)
+    if (!content) return null;
+    
+    const lines = content.split('\n');
+    const titleLine = lines.find(line => {
+      const trimmed = line.trim();
+      return trimmed && 
+             trimmed.length > 3 && // Must be meaningful length
+             !trimmed.includes('youtube.com') && 
+             !trimmed.includes('youtu.be') &&
+             !trimmed.match(/^[-\s]*$/) && // Not just dashes/spaces
+             !trimmed.match(/^[#@<>]*$/) // Not just symbols
+    });
+    
+    return titleLine ? titleLine.trim() : null;
+  }
+
+  /**
+   * Name of the member who posted a message, as shown in the server
+   */
+  getPosterName(message) {
+    return message.member?.displayName || message.author?.username || null;
+  }
+
+  /**
+   * Name of the member who posted a video, from its stored summaries (for re-runs, which have no source message)
+   * @returns {Promise<string|null>}
+   */
+  async getVideoPoster(videoId, guildId) {
+    const database = await this.serviceManager.getService('database');
+    const summaries = await database.getSummariesForVideo(videoId);
+    return summaries.find(summary => summary.guild_id === guildId && summary.posted_by)?.posted_by || null;
+  }
+
+  /**
+   * Creator, duration and publish date of a video, fetched from YouTube once and then read from video_metadata
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} options - fetch: false to only read what is stored
+   * @returns {Promise<Object|null>} - video_metadata row, or null if YouTube couldn't be reached (or wasn't asked)
+   */
+  async getVideoMetadata(videoId, { fetch = true } = {}) {
+    try {
+      const database = await this.serviceManager.getService('database');
+      const stored = await database.getVideoMetadata(videoId);
+      if (stored || !fetch) {
+        return stored || null;
+      }
+
+      const metadata = await getYouTubeMetadata(videoId, this.logger);
+      if (!metadata) {
+        return null;
+      }
+
+      const transcript = await database.getTranscript(videoId);
+      await database.saveVideoMetadata({
+        videoId,
+        ...metadata,
+        transcriptLength: transcript?.transcript_text?.length || null
+      });
+      return await database.getVideoMetadata(videoId);
+    } catch (error) {
+      this.logger.warn(`Could not load metadata for video ${videoId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Values for the {{placeholders}} of summary prompts (see utils/prompt-template.js)
+   * @param {string} videoId - YouTube video ID
+   * @param {string} videoTitle - Video title
+   * @param {string|null} postedBy - Name of the member who posted the video
+   * @param {Array<string|null>} prompts - Prompts the variables are for; YouTube is only asked for the
+   *   video's details when one of them uses {{creator}}, {{duration}} or {{date}}
+   * @returns {Promise<Object>} - Variables by name; the transcript is added by the summary service
+   */
+  async getSummaryPromptVariables(videoId, videoTitle, postedBy = null, prompts = []) {
+    const fetch = prompts.some(prompt => findPromptVariables(prompt).some(name => METADATA_PROMPT_VARIABLES.includes(name)));
+    const metadata = await this.getVideoMetadata(videoId, { fetch });
+    return {
+      title: metadata?.title || videoTitle,
+      url: getYouTubeUrl(videoId),
+      creator: metadata?.channel_name,
+      duration: formatDuration(metadata?.duration),
+      posted_by: postedBy,
+      date: metadata?.published_at
+    };
+  }
+
+  async getVideoTitle(videoId, messageContent) {
+    try {
+      console.log(`🎯 Getting title for video ${videoId}`);
+      console.log(`📝 Message content: "${messageContent}"`);
+      
+      // First try direct YouTube Transcript IO API (most reliable)
+      try {
+        if (process.env.YOUTUBE_TRANSCRIPT_IO_TOKEN) {
+          console.log(`🔄 Trying direct YouTube Transcript IO API...`);
+          const YouTubeTranscriptIOService = require('./youtube-transcript-io.service');
+          const ioService = new YouTubeTranscriptIOService();
+          const apiTitle = await ioService.getVideoTitle(videoId);
+          console.log(`🎬 Direct Transcript API title result: "${apiTitle}"`);
+          if (apiTitle && apiTitle.length > 3) {
+            const sanitized = this.sanitizeFilename(apiTitle);
+            if (sanitized) {
+              console.log(`✅ Using Direct Transcript API title: "${sanitized}"`);
+              return sanitized;
+            }
+          }
+        }
+      } catch (error) {
+        console.log(`⚠️ Direct Transcript API title failed: ${error.message}`);
+      }
+      
+      // Try via service manager (fallback)
+      try {
+        const transcriptService = this.serviceManager.getService('transcript');
+        if (transcriptService && transcriptService.transcriptIO) {
+          const apiTitle = await transcriptService.transcriptIO.getVideoTitle(videoId);
+          console.log(`🎬 Service Manager Transcript API title result: "${apiTitle}"`);
+          if (apiTitle && apiTitle.length > 3) {
+            const sanitized = this.sanitizeFilename(apiTitle);
+            if (sanitized) {
+              console.log(`✅ Using Service Manager Transcript API title: "${sanitized}"`);
+              return sanitized;
+            }
+          }
+        }
+      } catch (error) {
+        console.log(`⚠️ Service Manager Transcript API title failed: ${error.message}`);
+      }
+      
+      // Fallback to page scraping
+      console.log(`🔄 Falling back to page scraping...`);
+      const { getYouTubeTitle } = require('../../utils/youtube-title');
+      const scrapedTitle = await getYouTubeTitle(videoId);
+      console.log(`🔍 Scraped title result: "${scrapedTitle}"`);
+      if (scrapedTitle && scrapedTitle.length > 3) {
+        const sanitized = this.sanitizeFilename(scrapedTitle);
+        if (sanitized) {
+          console.log(`✅ Using scraped title: "${sanitized}"`);
+          return sanitized;
+        }
+      }
+      
+      // Fallback to extracting from message
+      console.log(`🔄 Falling back to message extraction...`);
+      const extractedTitle = this.extractTitleFromMessage(messageContent);
+      console.log(`📑 Extracted from message: "${extractedTitle}"`);
+      if (extractedTitle && extractedTitle.length > 3) {
+        const sanitized = this.sanitizeFilename(extractedTitle);
+        if (sanitized) {
+          console.log(`✅ Using extracted title: "${sanitized}"`);
+          return sanitized;
+        }
+      }
+      
+      // Final fallback to video ID
+      console.log(`⚠️ Using video ID fallback for ${videoId}`);
+      this.logger.info(`Using fallback title for ${videoId}`);
+      return `YouTube_Video_${videoId}`;
+    } catch (error) {
+      console.log(`❌ Error in getVideoTitle: ${error.message}`);
+      this.logger.error('Error getting video title', error);
+      return `YouTube_Video_${videoId}`;
+    }
+  }
+
+  extractVideoUrl(messageContent) {
+    const youtubeRegex = /(https?:\/\/)?(www\.)?(youtube\.com\/watch\?v=|youtu\.be\/)([a-zA-Z0-9_-]{11})/;
+    const match = messageContent.match(youtubeRegex);
+    return match ? match[0] : null;
+  }
+
+  sanitizeFilename(title) {
+    if (!title || title.length < 3) {
+      return null; // Return null for invalid titles so fallback can be used
+    }
+    
+    // Remove invalid characters for filenames and clean up
+    return title
+      .replace(/[<>:"/\\|?*]/g, '') // Remove invalid filesystem characters
+      .replace(/[^\w\s\-\(\)\.]/g, '') // Keep only word chars, spaces, hyphens, parentheses, and dots
+      .replace(/\s+/g, '-') // Replace spaces with hyphens (more readable than underscores)
+      .replace(/-+/g, '-') // Replace multiple hyphens with single
+      .replace(/^-+|-+$/g, '') // Remove leading/trailing hyphens
+      .substring(0, 150) // Allow longer titles but still reasonable
+      .trim();
+  }
+
+  /**
+   * Post the transcript file to the guild's transcripts channel (and the video thread, if any)
+   * @param {import('discord.js').ThreadChannel|null} thread - Video thread for thread-mode routes
+   */
+  async sendTranscriptFile(guild, videoId, videoTitle, transcript, thread = null) {
+    try {
+      if (!guild) {
+        throw new Error('No guild to post the transcript in');
+      }
+
+      const guildConfig = await this.getGuildConfig(guild.id);
+      const transcriptChannel = guild.channels.cache.find(
+        channel => channel.name && channel.name.includes(guildConfig.channels.transcripts)
+      );
+
+      if (!transcriptChannel && !thread) {
+        this.logger.warn(`${guildConfig.channels.transcripts} channel not found in guild ${guild.name}`);
+        return;
+      }
+
+      // Create transcript file content
+      const fileContent = `# YouTube Video Transcript
+# Video ID: ${videoId}
+# Title: ${videoTitle}
+# Generated: ${new Date().toISOString()}
+
+${transcript}`;
+
+      // Create file buffer
+      const buffer = Buffer.from(fileContent, 'utf8');
+      const filename = `transcription_${videoTitle}.txt`;
+
+      // Send file without extra headers
+      for (const target of [transcriptChannel, thread]) {
+        if (!target) continue;
+        const sent = await target.send({
+          files: [{
+            attachment: buffer,
+            name: filename
+          }]
+        });
+        await this.recordPost(sent, 'transcript', { videoId });
+      }
+
+      this.logger.info(`Transcript file sent: ${filename}`);
+    } catch (error) {
+      this.logger.error('Error sending transcript file', error);
+    }
+  }
+
+  /**
+   * Cross-post a summary into the video thread, linking back to the summary channel post
+   * A failure here doesn't fail the summary, which is already in its channel.
+   * @param {import('discord.js').ThreadChannel} thread - Video thread
+   * @param {import('discord.js').Message|null} summaryMessage - Summary posted in the output channel
+   * @param {string|null} output - The prompt's output format option
+   */
+  async postSummaryToThread(thread, summaryMessage, summaryContent, videoId, videoTitle, output = null) {
+    try {
+      if (summaryMessage) {
+        await thread.send(`📝 Summary from <#${summaryMessage.channelId}>: ${summaryMessage.url}`);
+      }
+      const sent = await this.sendLongMessage(thread, summaryContent, this.getSummarySendOptions(videoId, videoTitle, output));
+      await this.recordPost(sent, 'summary', { videoId });
+    } catch (error) {
+      this.logger.warn(`Could not post summary to thread ${thread.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Channels whose pinned message is a prompt: summary and report prompt channels by name, plus route prompt channels
+   * @param {import('discord.js').Guild} guild - Guild to look in
+   * @returns {Promise<Array<import('discord.js').TextChannel>>}
+   */
+  async getPromptChannels(guild) {
+    const { prefixes } = await this.getGuildConfig(guild.id);
+    const promptPrefixes = [prefixes.summaryPrompt, prefixes.dailyReportPrompt, prefixes.weeklyReportPrompt, prefixes.monthlyReportPrompt];
+    const routePromptChannelIds = new Set(
+      (await this.getGuildRoutes(guild.id)).map(route => route.prompt_channel_id).filter(Boolean)
+    );
+
+    return [...guild.channels.cache.filter(channel =>
+      channel.type === ChannelType.GuildText && (
+        routePromptChannelIds.has(channel.id) ||
+        promptPrefixes.some(prefix => channel.name.startsWith(prefix) || channel.name === prefix.slice(0, -1))
+      )
+    ).values()];
+  }
+
+  /**
+   * Whether a channel is one of its guild's prompt channels
+   */
+  async isPromptChannel(channel) {
+    if (!channel.guild || channel.type !== ChannelType.GuildText) {
+      return false;
+    }
+    const promptChannels = await this.getPromptChannels(channel.guild);
+    return promptChannels.some(promptChannel => promptChannel.id === channel.id);
+  }
+
+  /**
+   * Load every prompt channel of a guild into the prompt registry
+   */
+  async preloadPrompts(guild) {
+    try {
+      const channels = await this.getPromptChannels(guild);
+      const loaded = await this.prompts.preload(channels);
+      this.logger.info(`Loaded ${loaded} prompt channel(s) in ${guild.name}`);
+    } catch (error) {
+      this.logger.error(`Failed to load prompts in ${guild.name}`, error);
+    }
+  }
+
+  /**
+   * Re-read a prompt channel's pinned prompt after a pin, edit or channel event
+   * @returns {Promise<{id: string, content: string}|null>} - The prompt now pinned
+   */
+  async refreshPrompt(channel) {
+    try {
+      const prompt = await this.prompts.load(channel);
+      this.logger.info(`Prompt in #${channel.name} refreshed: ${prompt ? `${prompt.content.length} chars` : 'nothing pinned'}`);
+      return prompt;
+    } catch (error) {
+      this.logger.warn(`Could not refresh prompt in #${channel.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read a prompt channel's first pinned message, split into front-matter options and prompt text
+   * Header errors are logged; the options that parsed are still used.
+   * @param {import('discord.js').TextChannel} promptChannel - Prompt channel
+   * @returns {Promise<{prompt: string, options: Object, errors: string[], version: Object|null}|null>} - null when nothing is pinned;
+   *   `version` is the prompt_versions snapshot of the message
+   */
+  async loadPinnedPrompt(promptChannel) {
+    const pinnedMessage = await this.prompts.getPinnedPrompt(promptChannel);
+    if (!pinnedMessage) {
+      return null;
+    }
+
+    const parsed = parsePromptOptions(pinnedMessage.content);
+    if (parsed.errors.length > 0) {
+      this.logger.warn(`Prompt header in ${promptChannel.name} has errors: ${parsed.errors.join('; ')}`);
+    }
+    return { ...parsed, version: await this.recordPromptVersion(promptChannel, pinnedMessage) };
+  }
+
+  /**
+   * Snapshot the prompt a channel currently has pinned, so summaries and reports can name the version they used
+   * @param {import('discord.js').TextChannel} promptChannel - Prompt channel
+   * @param {{id: string, content: string}} pinnedMessage - The pinned prompt message (from the prompt registry)
+   * @returns {Promise<Object|null>} - prompt_versions row, or null if it couldn't be saved
+   */
+  async recordPromptVersion(promptChannel, pinnedMessage) {
+    try {
+      const database = await this.serviceManager.getService('database');
+      const version = await database.savePromptVersion({
+        guildId: promptChannel.guild?.id,
+        channelId: promptChannel.id,
+        channelName: promptChannel.name,
+        content: pinnedMessage.content,
+        contentHash: crypto.createHash('sha256').update(pinnedMessage.content).digest('hex').slice(0, 16),
+        messageId: pinnedMessage.id
+      });
+      if (version) {
+        this.logger.info(`Prompt in ${promptChannel.name} is v${version.version} (${version.content_hash})`);
+      }
+      return version;
+    } catch (error) {
+      this.logger.warn(`Could not record prompt version for ${promptChannel.name}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Name a prompt version, e.g. "#yt-daily-report-prompt v3 (1a2b3c4)"
+   */
+  formatPromptVersion(version) {
+    return `#${version.channel_name} v${version.version} (${version.content_hash.slice(0, 7)})`;
+  }
+
+  /**
+   * Append the prompt version a report was generated from
+   */
+  withPromptVersion(report, version) {
+    return version ? `${report}\n\n_Prompt: ${this.formatPromptVersion(version)}_` : report;
+  }
+
+  /**
+   * sendLongMessage options for a summary
+   * @param {string|null} output - The prompt's output format option (embed, markdown or file)
+   */
+  getSummarySendOptions(videoId, videoTitle, output = null) {
+    return {
+      fileName: `summary_${videoTitle}`,
+      fileFormat: 'txt',
+      video: { videoId, videoTitle },
+      output,
+      forceFile: output === 'file'
+    };
+  }
+
+  /**
+   * Name of the prompt channel paired with a summary channel
+   * e.g. yt-summaries-1 -> yt-summary-prompt-1, yt-summaries -> yt-summary-prompt
+   * @param {string} summaryChannelName - Summary output channel name
+   * @param {Object} prefixes - The guild's channel prefixes (defaults to the environment configuration)
+   * @returns {string|null} - Prompt channel name, or null if the name isn't a summary channel
+   */
+  getPromptChannelName(summaryChannelName, prefixes = this.config.prefixes) {
+    const { summariesOutput, summaryPrompt } = prefixes;
+
+    if (summaryChannelName.startsWith(summariesOutput)) {
+      return `${summaryPrompt}${summaryChannelName.replace(summariesOutput, '')}`;
+    }
+    if (summaryChannelName === summariesOutput.slice(0, -1)) {
+      return summaryPrompt.slice(0, -1);
+    }
+    return null;
+  }
+
+  /**
+   * Generate and post summaries to every summary channel that has a pinned prompt
+   * @param {Array<string>|null} channelIds - Restrict to these summary channels (null = all)
+   * @param {string|null} sourceChannelId - Channel the video was posted in
+   * @param {import('discord.js').ThreadChannel|null} thread - Video thread; summaries of thread-mode routes are also posted there
+   * @param {string|null} postedBy - Name of the member who posted the video, for {{posted_by}} in prompts
+   * @returns {Promise<Array<string>>} - IDs of summary channels that failed
+   */
+  async processSummaryChannels(guild, videoId, videoTitle, transcript, originalMessage, channelIds = null, sourceChannelId = null, thread = null, postedBy = null) {
+    const failedChannels = [];
+    try {
+      if (!guild) {
+        throw new Error('No guild to post summaries in');
+      }
+
+      const targets = await this.resolveSummaryTargets(guild, sourceChannelId);
+      if (targets.length === 0) {
+        this.logger.warn('No summary output channels found');
+        return failedChannels;
+      }
+
+      const prompts = [];
+      for (const { channel, promptChannel } of targets) {
+        if (promptChannel && (!channelIds || channelIds.includes(channel.id))) {
+          prompts.push((await this.prompts.getPinnedPrompt(promptChannel).catch(() => null))?.content);
+        }
+      }
+      const promptVariables = await this.getSummaryPromptVariables(videoId, videoTitle, postedBy, prompts);
+      // Notes on a long transcript's chunks, per model, shared by every channel summarizing it
+      const chunkNotes = new Map();
+      for (const { channel, promptChannel, route } of targets) {
+        if (channelIds && !channelIds.includes(channel.id)) {
+          continue;
+        }
+        
+        try {
+          const summaryThread = route?.options.thread ? thread : null;
+          const posted = await this.processSingleSummaryChannel(
+            channel, videoId, videoTitle, transcript, originalMessage, promptChannel, summaryThread, promptVariables, chunkNotes
+          );
+          if (!posted) {
+            failedChannels.push(channel.id);
+          }
+        } catch (error) {
+          this.logger.error(`Error processing summary channel ${channel.name}`, error);
+          failedChannels.push(channel.id);
+        }
+      }
+    } catch (error) {
+      this.logger.error('Error processing summary channels', error);
     }
     
-    // Remove invalid characters for filenames and clean up
-    return title
-      .replace(/[<>:"/\\|?*]/g, '') // Remove invalid filesystem characters
-      .replace(/[^\w\s\-\(\)\.]/g, '') // Keep only word chars, spaces, hyphens, parentheses, and dots
-      .replace(/\s+/g, '-') // Replace spaces with hyphens (more readable than underscores)
-      .replace(/-+/g, '-') // Replace multiple hyphens with single
-      .replace(/^-+|-+$/g, '') // Remove leading/trailing hyphens
-      .substring(0, 150) // Allow longer titles but still reasonable
-      .trim();
+    return failedChannels;
+  }
+
+  /**
+   * Output channels (and their prompt channels) that summaries from a source channel go to
+   * Routes stored in the database take precedence; a guild without routes falls back to the
+   * yt-summaries-N / yt-summary-prompt-N naming convention.
+   * @param {import('discord.js').Guild} guild - Guild to resolve channels in
+   * @param {string|null} sourceChannelId - Channel the video was posted in (null = every route)
+   * @returns {Promise<Array<{channel: Object, promptChannel: Object|null, route: Object|null}>>}
+   */
+  async resolveSummaryTargets(guild, sourceChannelId = null) {
+    const targets = [];
+    const routes = await this.getGuildRoutes(guild.id);
+
+    if (routes.length > 0) {
+      for (const route of routes) {
+        if (sourceChannelId && route.source_channel_id !== sourceChannelId) continue;
+        if (targets.some(target => target.channel.id === route.output_channel_id)) continue;
+
+        const channel = guild.channels.cache.get(route.output_channel_id);
+        if (!channel) {
+          this.logger.warn(`Route ${route.id} points to missing output channel ${route.output_channel_id}, skipping`);
+          continue;
+        }
+
+        const promptChannel = route.prompt_channel_id ? guild.channels.cache.get(route.prompt_channel_id) || null : null;
+        targets.push({ channel, promptChannel, route });
+      }
+      return targets;
+    }
+
+    // Find all summary channels - both with and without suffixes
+    const { prefixes } = await this.getGuildConfig(guild.id);
+    const summaryChannels = guild.channels.cache.filter(
+      channel => channel.name && (
+        channel.name.startsWith(prefixes.summariesOutput) || // yt-summaries-1, yt-summaries-2, etc.
+        channel.name === prefixes.summariesOutput.slice(0, -1) // yt-summaries (without dash)
+      )
+    );
+
+    // Use each summary channel only if it has a corresponding prompt channel with content
+    for (const [, channel] of summaryChannels) {
+      try {
+        // Find corresponding prompt channel (yt-summaries-1 -> yt-summary-prompt-1)
+        const promptChannelName = this.getPromptChannelName(channel.name, prefixes);
+        if (!promptChannelName) {
+          this.logger.info(`Invalid channel name format: ${channel.name}, skipping`);
+          continue;
+        }
+        
+        const promptChannel = guild.channels.cache.find(
+          ch => ch.name === promptChannelName
+        );
+        
+        if (!promptChannel) {
+          this.logger.info(`No prompt channel found for ${channel.name} (looking for ${promptChannelName}), skipping`);
+          continue;
+        }
+        
+        // Check if prompt channel has a pinned prompt
+        if (!await this.prompts.getPinnedPrompt(promptChannel)) {
+          this.logger.info(`No pinned messages in ${promptChannelName}, skipping ${channel.name}`);
+          continue;
+        }
+        
+        targets.push({ channel, promptChannel, route: null });
+      } catch (error) {
+        this.logger.error(`Error checking prompt channel for ${channel.name}`, error);
+      }
+    }
+
+    return targets;
+  }
+
+  /**
+   * Prompt channel for a summary output channel (route first, then naming convention)
+   * @returns {Promise<import('discord.js').TextChannel|null>}
+   */
+  async resolvePromptChannel(guild, outputChannel) {
+    const routes = await this.getGuildRoutes(guild.id);
+
+    if (routes.length > 0) {
+      const route = routes.find(entry => entry.output_channel_id === outputChannel.id && entry.prompt_channel_id);
+      return route ? guild.channels.cache.get(route.prompt_channel_id) || null : null;
+    }
+
+    const { prefixes } = await this.getGuildConfig(guild.id);
+    const promptChannelName = this.getPromptChannelName(outputChannel.name, prefixes);
+    return promptChannelName ? guild.channels.cache.find(ch => ch.name === promptChannelName) || null : null;
+  }
+
+  /**
+   * Routes configured for a guild (empty when none, or when the database is unavailable)
+   */
+  async getGuildRoutes(guildId) {
+    try {
+      const database = await this.serviceManager.getService('database');
+      return await database.getRoutes(guildId);
+    } catch (error) {
+      this.logger.warn(`Could not load routes for guild ${guildId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Whether YouTube links posted in a channel should be processed
+   * With routes configured, only route source channels are monitored.
+   * @param {import('discord.js').GuildChannel} channel - Channel the link was posted in
+   * @param {Array<Object>} routes - Routes for the channel's guild
+   * @param {Object} guildConfig - The guild's configuration
+   */
+  isMonitoredChannel(channel, routes, guildConfig) {
+    if (routes.length > 0) {
+      return routes.some(route => route.source_channel_id === channel.id);
+    }
+    return this.shouldProcessChannel(channel.name, guildConfig);
+  }
+
+  async processSingleSummaryChannel(channel, videoId, videoTitle, transcript, originalMessage, promptChannel, thread = null, promptVariables = {}, chunkNotes = null) {
+    try {
+      // Use the first pinned message of the prompt channel as the prompt, if there is one
+      let customPrompt = null;
+      let promptOptions = {};
+      let promptVersionId = null;
+      if (promptChannel) {
+        const pinned = await this.loadPinnedPrompt(promptChannel);
+        if (pinned) {
+          customPrompt = pinned.prompt || null;
+          promptOptions = pinned.options;
+          promptVersionId = pinned.version?.id || null;
+          this.logger.info(`Using custom prompt from ${promptChannel.name}`);
+        } else {
+          this.logger.warn(`No pinned messages in ${promptChannel.name}, using default prompt`);
+        }
+      } else {
+        this.logger.info(`No prompt channel for ${channel.name}, using default prompt`);
+      }
+
+      // Generate summary with custom prompt and the guild's model (unless the prompt names one),
+      // or the budget's fallback model once a spend cap is reached
+      const { model, downgradedFrom } = await this.resolveSummaryModel(channel.guild.id, promptOptions.model);
+      if (downgradedFrom) {
+        this.logger.warn(`💸 LLM budget reached: summarizing ${videoId} in ${channel.name} with ${model} instead of ${downgradedFrom}`);
+      }
+      const progress = this.createSummaryProgress(channel, videoTitle);
+      let summaryResult;
+      try {
+        summaryResult = await this.summary.generateSummary(transcript, videoTitle, originalMessage, customPrompt, {
+          ...promptOptions,
+          model,
+          variables: promptVariables,
+          onProgress: progress.onProgress,
+          chunkNotes,
+          context: { guildId: channel.guild.id, videoId, channelId: channel.id, channelName: channel.name }
+        });
+      } finally {
+        await progress.finish();
+      }
+      
+      if (!summaryResult || !summaryResult.summary) {
+        this.logger.error(`Summary generation failed for video ${videoId}`);
+        await channel.send(`❌ Failed to generate summary for video: ${videoTitle}`);
+        return false;
+      }
+      
+      const summaryContent = summaryResult.summary;
+      
+      // Save summary for daily report
+      const videoUrl = getYouTubeUrl(videoId);
+      try {
+        console.log(`🔄 Attempting to save summary for video: ${videoId}`);
+        console.log(`   Title: ${videoTitle}`);
+        console.log(`   URL: ${videoUrl}`);
+        console.log(`   Summary length: ${summaryContent.length} characters`);
+        
+        await this.report.saveSummary({
+          videoId,
+          videoTitle,
+          summaryContent,
+          videoUrl,
+          guildId: channel.guild.id,
+          outputChannelId: channel.id,
+          outputChannelName: channel.name,
+          promptHash: summaryResult.promptHash,
+          promptVersionId,
+          model: summaryResult.model,
+          postedBy: promptVariables.posted_by || null
+        });
+        
+        console.log(`✅ Summary saved successfully for video: ${videoId}`);
+        this.logger.info(`Summary saved to database via report service: ${videoId}`);
+      } catch (saveError) {
+        console.error(`❌ Failed to save summary for video ${videoId}:`, saveError);
+        this.logger.error(`Failed to save summary for video ${videoId}`, saveError);
+        // Continue processing even if save fails
+      }
+      
+      // Send summary to the channel without extra headers
+      const sent = await this.sendLongMessage(channel, summaryContent, {
+        ...this.getSummarySendOptions(videoId, videoTitle, promptOptions.output),
+        components: this.buildSummaryControls(videoId)
+      });
+      await this.recordPost(sent, 'summary', { videoId });
+      
+      this.logger.info(`Summary sent to ${channel.name}`);
+
+      if (thread) {
+        await this.postSummaryToThread(thread, sent, summaryContent, videoId, videoTitle, promptOptions.output);
+      }
+      return true;
+    } catch (error) {
+      this.logger.error(`Error in summary channel ${channel.name}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Buttons attached to every posted summary
+   * Custom IDs are `summary:<action>:<videoId>` so they still resolve after a restart.
+   * @param {string} videoId - YouTube video ID the summary belongs to
+   * @returns {Array<ActionRowBuilder>} - Message components
+   */
+  buildSummaryControls(videoId) {
+    const button = (action, label, emoji, style = ButtonStyle.Secondary) => new ButtonBuilder()
+      .setCustomId(`summary:${action}:${videoId}`)
+      .setLabel(label)
+      .setEmoji(emoji)
+      .setStyle(style);
+
+    return [
+      new ActionRowBuilder().addComponents(
+        button('regenerate', 'Regenerate', '🔄', ButtonStyle.Primary),
+        button('shorten', 'Make shorter', '✂️'),
+        button('translate', 'Translate', '🌐'),
+        button('transcript', 'Show transcript', '🗒️'),
+        button('delete', 'Delete', '🗑️', ButtonStyle.Danger)
+      )
+    ];
+  }
+
+  /**
+   * Handle buttons and modals attached to posted summaries and /video info replies
+   * @param {import('discord.js').ButtonInteraction|import('discord.js').ModalSubmitInteraction} interaction
+   */
+  async handleComponentInteraction(interaction) {
+    const [scope, action, videoId, targetChannelId] = interaction.customId.split(':');
+    if (!['summary', 'video', 'prompts', 'compare'].includes(scope) || !videoId) return;
+
+    console.log(`🎛️ ${scope} control: ${action} for video ${videoId}`);
+
+    try {
+      if (scope === 'video') {
+        if (action === 'transcript') {
+          if (await this.replyIfNotAllowedToRegenerate(interaction, 're-run transcripts')) return;
+          await this.rerunTranscriptFromControl(interaction, videoId);
+        } else if (action === 'summary') {
+          if (await this.replyIfNotAllowedToRegenerate(interaction)) return;
+          if (await this.replyIfBudgetPaused(interaction, 'Regenerations')) return;
+          await this.rerunSummaryFromControl(interaction, videoId, targetChannelId);
+        }
+        return;
+      }
+
+      if (scope === 'prompts') {
+        if (action === 'test-submit') {
+          await this.runPromptTest(interaction, videoId, interaction.fields.getTextInputValue('prompt'), 'Pasted prompt');
+        }
+        return;
+      }
+
+      // compare:vote:<comparison ID>:<a|b|tie>
+      if (scope === 'compare') {
+        if (action === 'vote') {
+          await this.recordComparisonVote(interaction, parseInt(videoId, 10), targetChannelId);
+        }
+        return;
+      }
+
+      // Regenerating and rewriting summaries are paid LLM calls: moderators only, and the first
+      // things to stop when the budget runs out
+      if (['regenerate', 'shorten', 'translate', 'translate-submit'].includes(action)) {
+        if (await this.replyIfNotAllowedToRegenerate(interaction)) return;
+        if (await this.replyIfBudgetPaused(interaction, 'Regenerations')) return;
+      }
+
+      switch (action) {
+        case 'regenerate':
+          await this.regenerateSummaryFromControl(interaction, videoId);
+          break;
+        case 'shorten':
+          await this.reviseSummaryFromControl(
+            interaction,
+            videoId,
+            'Rewrite it to roughly half its length, keeping only the most important points.',
+            '✂️ Shorter version'
+          );
+          break;
+        case 'translate':
+          await this.showTranslateModal(interaction, videoId);
+          break;
+        case 'translate-submit': {
+          const language = interaction.fields.getTextInputValue('language').trim();
+          await this.reviseSummaryFromControl(
+            interaction,
+            videoId,
+            `Translate it into ${language}.`,
+            `🌐 ${language} translation`
+          );
+          break;
+        }
+        case 'transcript':
+          await this.sendTranscriptFromControl(interaction, videoId);
+          break;
+        case 'delete':
+          await this.deleteSummaryFromControl(interaction);
+          break;
+        default:
+          await interaction.reply({ content: '❌ Unknown summary action', ephemeral: true });
+      }
+    } catch (error) {
+      this.logger.error(`Summary control ${action} failed for video ${videoId}`, error);
+
+      const errorMessage = scope === 'video'
+        ? `❌ Could not re-run the ${action}: ${error.message}`
+        : scope === 'prompts'
+          ? `❌ Error testing prompt: ${error.message}`
+          : scope === 'compare'
+            ? `❌ Could not record your vote: ${error.message}`
+            : `❌ Could not ${action.replace('-submit', '')} this summary: ${error.message}`;
+      if (interaction.replied || interaction.deferred) {
+        await interaction.editReply({ content: errorMessage }).catch(() => {});
+      } else {
+        await interaction.reply({ content: errorMessage, ephemeral: true }).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Load the stored transcript, title and prompt behind a posted summary
+   * @param {import('discord.js').Message} message - Posted summary message
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<{transcript: string, videoTitle: string, customPrompt: string|null, promptOptions: Object, promptVersionId: number|null}>}
+   */
+  async getSummaryContext(message, videoId) {
+    const database = await this.serviceManager.getService('database');
+
+    const stored = await database.getTranscript(videoId);
+    if (!stored) {
+      throw new Error('no stored transcript for this video');
+    }
+
+    const summary = await database.getSummary(videoId, message.channel.id) || await database.getSummary(videoId);
+    const videoTitle = summary?.title || `YouTube_Video_${videoId}`;
+
+    // The prompt comes from the prompt channel paired with the summary's channel
+    let customPrompt = null;
+    let promptOptions = {};
+    let promptVersionId = null;
+    const promptChannel = await this.resolvePromptChannel(message.guild, message.channel);
+    if (promptChannel) {
+      const pinned = await this.loadPinnedPrompt(promptChannel);
+      customPrompt = pinned?.prompt || null;
+      promptOptions = pinned?.options || {};
+      promptVersionId = pinned?.version?.id || null;
+    }
+
+    return { transcript: stored.transcript_text, videoTitle, customPrompt, promptOptions, promptVersionId };
+  }
+
+  /**
+   * Read a posted summary's text, whether it was sent inline, as a file or as an embed
+   * @param {import('discord.js').Message} message - Posted summary message
+   * @param {string} videoId - Video the summary is about
+   * @returns {Promise<string>} - Summary text
+   */
+  async getPostedSummaryText(message, videoId) {
+    const attachment = message.attachments.first();
+    if (!attachment) {
+      // Embeds and split messages only hold a rendering or a part of the summary; the stored summary has all of it
+      const database = await this.serviceManager.getService('database');
+      const parts = await database.getPostParts(message.id);
+      if (message.content && parts.length <= 1) {
+        return message.content;
+      }
+
+      const stored = await database.getSummary(videoId, message.channel.id);
+      return stored?.content || message.content;
+    }
+
+    const fetchFunction = globalThis.fetch || require('node-fetch');
+    const response = await fetchFunction(attachment.url);
+    if (!response.ok) {
+      throw new Error(`could not download summary file (${response.status})`);
+    }
+    return await response.text();
+  }
+
+  /**
+   * Regenerate a summary with its channel's prompt and replace the original message
+   */
+  async regenerateSummaryFromControl(interaction, videoId) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const message = interaction.message;
+    const { transcript, videoTitle, customPrompt, promptOptions, promptVersionId } = await this.getSummaryContext(message, videoId);
+    const videoUrl = getYouTubeUrl(videoId);
+
+    const { model } = await this.getGuildConfig(message.guildId);
+    const postedBy = await this.getVideoPoster(videoId, message.guildId);
+    const variables = await this.getSummaryPromptVariables(videoId, videoTitle, postedBy, [customPrompt]);
+    const summaryResult = await this.summary.generateSummary(transcript, videoTitle, videoUrl, customPrompt, {
+      model,
+      ...promptOptions,
+      variables,
+      onProgress: (progress) => interaction.editReply({ content: this.renderSummaryProgress(videoTitle, progress) }),
+      context: { guildId: message.guildId, videoId, channelId: message.channelId, channelName: message.channel?.name }
+    });
+    if (!summaryResult || !summaryResult.summary) {
+      throw new Error('summary generation returned no content');
+    }
+
+    await this.report.saveSummary({
+      videoId,
+      videoTitle,
+      summaryContent: summaryResult.summary,
+      videoUrl,
+      guildId: message.guildId,
+      outputChannelId: message.channel.id,
+      outputChannelName: message.channel.name,
+      promptHash: summaryResult.promptHash,
+      promptVersionId,
+      model: summaryResult.model,
+      postedBy
+    });
+
+    const options = {
+      ...this.getSummarySendOptions(videoId, videoTitle, promptOptions.output),
+      components: this.buildSummaryControls(videoId)
+    };
+
+    // Remove the other parts of a summary that was split over several messages
+    const database = await this.serviceManager.getService('database');
+    for (const part of await database.getPostParts(message.id)) {
+      if (part.message_id === message.id) continue;
+      await message.channel.messages.delete(part.message_id).catch(() => {});
+      await database.deletePost(part.message_id);
+    }
+
+    const parts = await this.getMessageParts(message.channel, summaryResult.summary, options);
+    if (parts.length > 1) {
+      // Several messages can't be edited into one: post the new summary in place of the old one
+      await message.delete();
+      await database.deletePost(message.id);
+      const sent = await this.sendLongMessage(message.channel, summaryResult.summary, options);
+      await this.recordPost(sent, 'summary', { videoId });
+    } else {
+      // Clear old embeds and attachments so a file summary can become inline text and vice versa
+      await message.edit({
+        embeds: [],
+        ...this.buildLongMessagePayload(summaryResult.summary, options),
+        attachments: []
+      });
+    }
+
+    await interaction.editReply({ content: '🔄 Summary regenerated' });
+  }
+
+  /**
+   * Rewrite a posted summary and post the result as a reply to it
+   * @param {string} instruction - Rewrite instruction for the model
+   * @param {string} label - Heading for the reply
+   */
+  async reviseSummaryFromControl(interaction, videoId, instruction, label) {
+    await interaction.deferReply({ ephemeral: true });
+
+    const message = interaction.message;
+    const summaryText = await this.getPostedSummaryText(message, videoId);
+    if (!summaryText) {
+      throw new Error('the original summary is empty');
+    }
+
+    const { model } = await this.getGuildConfig(message.guildId);
+    const revised = await this.summary.reviseSummary(summaryText, instruction, {
+      model,
+      context: { guildId: message.guildId, videoId, channelId: message.channelId, channelName: message.channel?.name }
+    });
+    const payload = this.buildLongMessagePayload(revised, {
+      fileName: `summary_${videoId}_revised`,
+      fileFormat: 'txt',
+      fallbackMessage: label,
+      video: { videoId }
+    });
+
+    const sent = await message.reply(payload);
+    await this.recordPost(sent, 'summary', { videoId });
+    await interaction.editReply({ content: `${label} posted` });
+  }
+
+  /**
+   * Ask which language to translate a summary into
+   */
+  async showTranslateModal(interaction, videoId) {
+    const modal = new ModalBuilder()
+      .setCustomId(`summary:translate-submit:${videoId}`)
+      .setTitle('Translate summary')
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('language')
+            .setLabel('Target language')
+            .setPlaceholder('e.g. German')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(50)
+        )
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Ask for ad-hoc prompt text for /prompts action:test
+   */
+  async showPromptTestModal(interaction, videoId) {
+    if (await this.replyIfBudgetPaused(interaction, 'Prompt tests')) return;
+
+    const modal = new ModalBuilder()
+      .setCustomId(`prompts:test-submit:${videoId}`)
+      .setTitle('Test a prompt')
+      .addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('prompt')
+            .setLabel('Prompt (front-matter and {{variables}} work)')
+            .setStyle(TextInputStyle.Paragraph)
+            .setRequired(true)
+            .setMaxLength(4000)
+        )
+      );
+
+    await interaction.showModal(modal);
+  }
+
+  /**
+   * Run a prompt on a video's stored transcript and reply privately with the output, token usage and latency
+   * Nothing is saved or posted: no summaries row, no cache entry, no prompt version.
+   * @param {import('discord.js').Interaction} interaction - Command or modal submit to reply to
+   * @param {string} videoId - Video with a stored transcript
+   * @param {string|null} promptText - Prompt as pinned (front-matter included), or null for the default prompt
+   * @param {string} label - Where the prompt came from, for the reply
+   */
+  async runPromptTest(interaction, videoId, promptText, label) {
+    await interaction.deferReply({ ephemeral: true });
+    if (await this.replyIfBudgetPaused(interaction, 'Prompt tests')) return;
+
+    const database = await this.serviceManager.getService('database');
+    const stored = await database.getTranscript(videoId);
+    if (!stored) {
+      throw new Error(`no stored transcript for video \`${videoId}\`; post it once first`);
+    }
+
+    const { prompt, options, errors } = parsePromptOptions(promptText || '');
+    const summary = await database.getSummary(videoId);
+    const videoTitle = summary?.title || `YouTube_Video_${videoId}`;
+    const { model } = await this.getGuildConfig(interaction.guildId);
+    const postedBy = interaction.member?.displayName || interaction.user.username;
+
+    const startedAt = Date.now();
+    const result = await this.summary.generateSummary(stored.transcript_text, videoTitle, getYouTubeUrl(videoId), prompt || null, {
+      model,
+      ...options,
+      variables: await this.getSummaryPromptVariables(videoId, videoTitle, postedBy, [prompt]),
+      onProgress: (progress) => interaction.editReply({ content: this.renderSummaryProgress(videoTitle, progress) }),
+      context: { purpose: 'prompt_test', guildId: interaction.guildId, videoId, channelId: interaction.channelId, channelName: interaction.channel?.name }
+    });
+    const latency = Date.now() - startedAt;
+    if (!result || !result.summary) {
+      throw new Error('summary generation returned no content');
+    }
+
+    const usage = result.usage
+      ? `${result.usage.prompt_tokens} prompt + ${result.usage.completion_tokens} completion = ${result.usage.total_tokens} tokens`
+      : 'token usage not reported';
+    const header = [
+      `🧪 **${label}** on ${videoTitle}`,
+      `🤖 ${result.model} • ⏱️ ${(latency / 1000).toFixed(1)}s • 🔢 ${usage}`,
+      ...(result.chunks ? [`📚 Summarized in ${result.chunks} part${result.chunks === 1 ? '' : 's'}, then combined`] : []),
+      ...(Object.keys(options).length > 0 ? [`⚙️ ${describePromptOptions(options)}`] : []),
+      ...errors.map(error => `⚠️ Header: ${error}`)
+    ].join('\n');
+
+    // Long outputs go in a file; the reply itself has to stay within one message
+    const body = `${header}\n\n${result.summary}`;
+    if (body.length <= DISCORD_MESSAGE_LIMIT) {
+      await interaction.editReply({ content: body });
+    } else {
+      await interaction.editReply({
+        content: `${header}\n\n📎 Output attached (${result.summary.length} characters)`,
+        files: [new AttachmentBuilder(Buffer.from(result.summary, 'utf-8'), { name: `prompt_test_${videoId}.txt` })]
+      });
+    }
+  }
+
+  /**
+   * Resolve one side of a comparison to the model and prompt it runs with
+   * @param {import('discord.js').Guild} guild - Guild the comparison runs in
+   * @param {{model: string|null, promptChannelId: string|null, promptVersion: number|null}} variant - Parsed side (utils/comparison.js)
+   * @param {import('discord.js').TextChannel|null} defaultPromptChannel - Prompt channel for sides that don't name one (null = default prompt)
+   * @returns {Promise<{model: string, prompt: string|null, options: Object, promptVersion: Object|null, label: string}>}
+   */
+  async resolveComparisonVariant(guild, variant, defaultPromptChannel) {
+    const promptChannel = variant.promptChannelId ? guild.channels.cache.get(variant.promptChannelId) : defaultPromptChannel;
+    if (variant.promptChannelId && !promptChannel) {
+      throw new Error(`channel <#${variant.promptChannelId}> not found`);
+    }
+
+    let content = null;
+    let promptVersion = null;
+    if (variant.promptVersion) {
+      if (!promptChannel) {
+        throw new Error(`v${variant.promptVersion} needs a prompt channel (the \`prompt\` option or a channel mention)`);
+      }
+      const database = await this.serviceManager.getService('database');
+      promptVersion = await database.getPromptVersion(promptChannel.id, variant.promptVersion);
+      if (!promptVersion) {
+        throw new Error(`#${promptChannel.name} has no prompt v${variant.promptVersion}`);
+      }
+      content = promptVersion.content;
+    } else if (promptChannel) {
+      const pinnedMessage = await this.prompts.getPinnedPrompt(promptChannel);
+      if (!pinnedMessage) {
+        throw new Error(`#${promptChannel.name} has no pinned prompt`);
+      }
+      content = pinnedMessage.content;
+      promptVersion = await this.recordPromptVersion(promptChannel, pinnedMessage);
+    }
+
+    const { prompt, options } = parsePromptOptions(content || '');
+    const { model: guildModel } = await this.getGuildConfig(guild.id);
+    const model = variant.model || options.model || guildModel;
+    const promptLabel = promptVersion ? this.formatPromptVersion(promptVersion) : (promptChannel ? `#${promptChannel.name}` : 'default prompt');
+
+    return {
+      model,
+      prompt: prompt || null,
+      options: { ...options, model },
+      promptVersion,
+      label: `${model} · ${promptLabel}`
+    };
+  }
+
+  /**
+   * Generate a video's summary two ways from its stored transcript and post them with vote buttons
+   * Nothing is saved to summaries; the comparison and its votes go to the comparisons tables.
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction - /compare-summaries run
+   * @param {string} videoId - Video with a stored transcript
+   * @param {{a: Object, b: Object}} variants - Parsed sides (utils/comparison.js)
+   * @param {import('discord.js').TextChannel|null} promptChannel - Prompt for sides that only name a model or version
+   */
+  async runSummaryComparison(interaction, videoId, variants, promptChannel = null) {
+    if (await this.replyIfBudgetPaused(interaction, 'Comparisons')) return;
+    await interaction.deferReply();
+
+    const database = await this.serviceManager.getService('database');
+    const stored = await database.getTranscript(videoId);
+    if (!stored) {
+      throw new Error(`no stored transcript for video \`${videoId}\`; post it once first`);
+    }
+
+    const summary = await database.getSummary(videoId);
+    const videoTitle = summary?.title || `YouTube_Video_${videoId}`;
+    const postedBy = interaction.member?.displayName || interaction.user.username;
+    const resolved = {
+      a: await this.resolveComparisonVariant(interaction.guild, variants.a, promptChannel),
+      b: await this.resolveComparisonVariant(interaction.guild, variants.b, promptChannel)
+    };
+    const variables = await this.getSummaryPromptVariables(videoId, videoTitle, postedBy, [resolved.a.prompt, resolved.b.prompt]);
+
+    // One side after the other, to stay clear of rate limits
+    const sides = {};
+    for (const key of ['a', 'b']) {
+      const side = resolved[key];
+      const result = await this.summary.generateSummary(stored.transcript_text, videoTitle, getYouTubeUrl(videoId), side.prompt, {
+        ...side.options,
+        variables,
+        onProgress: (progress) => interaction.editReply({
+          content: `Side ${key.toUpperCase()}: ${this.renderSummaryProgress(videoTitle, progress)}`
+        }),
+        context: { purpose: 'comparison', guildId: interaction.guildId, videoId, channelId: interaction.channelId, channelName: interaction.channel?.name }
+      });
+      if (!result || !result.summary) {
+        throw new Error(`side ${key.toUpperCase()} (${side.label}) returned no summary`);
+      }
+      sides[key] = { ...side, summary: result.summary };
+    }
+
+    const comparisonId = await database.createComparison({
+      guildId: interaction.guildId,
+      channelId: interaction.channelId,
+      videoId,
+      a: { model: sides.a.model, promptVersionId: sides.a.promptVersion?.id },
+      b: { model: sides.b.model, promptVersionId: sides.b.promptVersion?.id },
+      createdBy: interaction.user.id
+    });
+    if (!comparisonId) {
+      throw new Error('could not save the comparison');
+    }
+
+    // Both embeds share a message's 6000 character budget; full texts are attached when cut
+    const maxLength = 2800;
+    const files = [];
+    const embeds = ['a', 'b'].map(key => {
+      const side = sides[key];
+      const truncated = side.summary.length > maxLength;
+      if (truncated) {
+        files.push(new AttachmentBuilder(Buffer.from(side.summary, 'utf-8'), { name: `summary_${key}_${videoId}.txt` }));
+      }
+      return new EmbedBuilder()
+        .setTitle(`${key === 'a' ? '🅰️' : '🅱️'} ${side.label}`.substring(0, 256))
+        .setDescription(truncated ? `${side.summary.substring(0, maxLength - 30)}…\n\n📎 Full text attached` : side.summary)
+        .setColor(key === 'a' ? 0x5865f2 : 0xeb459e);
+    });
+
+    const buttons = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`compare:vote:${comparisonId}:a`).setLabel('A is better').setEmoji('🅰️').setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId(`compare:vote:${comparisonId}:b`).setLabel('B is better').setEmoji('🅱️').setStyle(ButtonStyle.Primary),
+      new ButtonBuilder().setCustomId(`compare:vote:${comparisonId}:tie`).setLabel('Tie').setEmoji('🤝').setStyle(ButtonStyle.Secondary)
+    );
+
+    const reply = await interaction.editReply({
+      content: `⚖️ **${videoTitle}** (${getYouTubeUrl(videoId)}): which summary is better?`,
+      embeds,
+      files,
+      components: [buttons]
+    });
+    await database.setComparisonMessage(comparisonId, reply.id);
+    this.logger.info(`Comparison ${comparisonId} posted for ${videoId}: ${sides.a.label} vs ${sides.b.label}`);
+  }
+
+  /**
+   * Record a vote from a comparison's buttons (voting again changes the vote)
+   */
+  async recordComparisonVote(interaction, comparisonId, choice) {
+    if (!['a', 'b', 'tie'].includes(choice)) {
+      throw new Error('unknown choice');
+    }
+
+    const database = await this.serviceManager.getService('database');
+    if (!await database.saveComparisonVote(comparisonId, interaction.user.id, choice)) {
+      throw new Error('this comparison is no longer available');
+    }
+
+    const label = choice === 'tie' ? 'a tie' : choice.toUpperCase();
+    await interaction.reply({ content: `🗳️ Vote recorded for ${label}. Vote again to change it.`, ephemeral: true });
   }
 
-  async sendTranscriptFile(guild, videoId, videoTitle, transcript) {
-    try {
-      // Use the configured guild, not the message guild
-      const targetGuild = this.client.guilds.cache.get(this.config.guildId);
-      if (!targetGuild) {
-        throw new Error(`Guild with ID ${this.config.guildId} not found`);
-      }
+  /**
+   * Send the stored transcript privately to whoever asked
+   */
+  async sendTranscriptFromControl(interaction, videoId) {
+    await interaction.deferReply({ ephemeral: true });
 
-      const transcriptChannel = targetGuild.channels.cache.find(
-        channel => channel.name && channel.name.includes(this.config.channels.transcripts)
-      );
+    const database = await this.serviceManager.getService('database');
+    const stored = await database.getTranscript(videoId);
+    if (!stored) {
+      throw new Error('no stored transcript for this video');
+    }
 
-      if (!transcriptChannel) {
-        this.logger.warn('yt-transcripts channel not found');
-        return;
-      }
+    await interaction.editReply({
+      content: `🗒️ Transcript for ${getYouTubeUrl(videoId)}`,
+      files: [new AttachmentBuilder(Buffer.from(stored.transcript_text, 'utf-8'), { name: `transcription_${videoId}.txt` })]
+    });
+  }
 
-      // Create transcript file content
-      const fileContent = `# YouTube Video Transcript
-# Video ID: ${videoId}
-# Title: ${videoTitle}
-# Generated: ${new Date().toISOString()}
+  /**
+   * Extract a video's transcript again, store it and repost the transcript file
+   */
+  async rerunTranscriptFromControl(interaction, videoId) {
+    await interaction.deferReply({ ephemeral: true });
 
-${transcript}`;
+    const transcript = await this.transcript.getTranscript(videoId);
+    if (!transcript) {
+      throw new Error('transcript extraction failed');
+    }
 
-      // Create file buffer
-      const buffer = Buffer.from(fileContent, 'utf8');
-      const filename = `transcription_${videoTitle}.txt`;
+    const database = await this.serviceManager.getService('database');
+    await database.saveTranscript(videoId, transcript);
 
-      // Send file without extra headers
-      await transcriptChannel.send({
-        files: [{
-          attachment: buffer,
-          name: filename
-        }]
-      });
+    const videoTitle = await this.getVideoTitle(videoId, '');
+    await this.sendTranscriptFile(interaction.guild, videoId, videoTitle, transcript);
 
-      this.logger.info(`Transcript file sent: ${filename}`);
-    } catch (error) {
-      this.logger.error('Error sending transcript file', error);
-    }
+    await interaction.editReply({ content: `🗒️ Transcript re-extracted (${transcript.length} characters) and posted` });
   }
 
-  async processSummaryChannels(guild, videoId, videoTitle, transcript, originalMessage) {
-    try {
-      // Use the configured guild, not the message guild
-      const targetGuild = this.client.guilds.cache.get(this.config.guildId);
-      if (!targetGuild) {
-        throw new Error(`Guild with ID ${this.config.guildId} not found`);
-      }
+  /**
+   * Generate a video's summary again for one output channel from the stored transcript
+   */
+  async rerunSummaryFromControl(interaction, videoId, channelId) {
+    await interaction.deferReply({ ephemeral: true });
 
-      // Find all summary channels - both with and without suffixes
-      const summaryChannels = targetGuild.channels.cache.filter(
-        channel => channel.name && (
-          channel.name.startsWith(this.config.prefixes.summariesOutput) || // yt-summaries-1, yt-summaries-2, etc.
-          channel.name === this.config.prefixes.summariesOutput.slice(0, -1) // yt-summaries (without dash)
-        )
-      );
+    const database = await this.serviceManager.getService('database');
+    const stored = await database.getTranscript(videoId);
+    if (!stored) {
+      throw new Error('no stored transcript for this video');
+    }
 
-      if (summaryChannels.size === 0) {
-        this.logger.warn('No yt-summaries channels found');
-        return;
-      }
+    // Only a channel this guild still posts summaries to
+    const targets = await this.resolveSummaryTargets(interaction.guild);
+    if (!targets.some(target => target.channel.id === channelId)) {
+      throw new Error('that channel is not a summary channel of this server');
+    }
 
-      // Process each summary channel only if it has a corresponding prompt channel with content
-      for (const [channelId, channel] of summaryChannels) {
-        try {
-          // Extract the suffix from the summary channel or use empty string for base channel
-          let channelSuffix = '';
-          if (channel.name.startsWith(this.config.prefixes.summariesOutput)) {
-            // Has prefix with suffix (e.g., yt-summaries-1 -> 1)
-            channelSuffix = channel.name.replace(this.config.prefixes.summariesOutput, '');
-          } else if (channel.name === this.config.prefixes.summariesOutput.slice(0, -1)) {
-            // Base channel without suffix (e.g., yt-summaries -> '')
-            channelSuffix = '';
-          } else {
-            this.logger.info(`Invalid channel name format: ${channel.name}, skipping`);
-            continue;
-          }
-          
-          // Find corresponding prompt channel
-          let promptChannelName, promptChannel;
-          
-          if (channelSuffix) {
-            // Channel with suffix (e.g., yt-summaries-1 -> yt-summary-prompt-1)
-            promptChannelName = `${this.config.prefixes.summaryPrompt}${channelSuffix}`;
-          } else {
-            // Base channel without suffix (e.g., yt-summaries -> yt-summary-prompt)
-            promptChannelName = this.config.prefixes.summaryPrompt.slice(0, -1);
-          }
-          
-          promptChannel = targetGuild.channels.cache.find(
-            ch => ch.name === promptChannelName
-          );
-          
-          if (!promptChannel) {
-            this.logger.info(`No prompt channel found for ${channel.name} (looking for ${promptChannelName}), skipping`);
-            continue;
-          }
-          
-          // Check if prompt channel has pinned messages
-          const pinnedMessages = await promptChannel.messages.fetchPinned();
-          this.logger.info(`Channel ${promptChannelName} has ${pinnedMessages.size} pinned messages`);
-          if (pinnedMessages.size === 0) {
-            this.logger.info(`No pinned messages in ${promptChannelName}, skipping ${channel.name}`);
-            continue;
-          }
-          
-          await this.processSingleSummaryChannel(channel, videoId, videoTitle, transcript, originalMessage, promptChannel);
-        } catch (error) {
-          this.logger.error(`Error processing summary channel ${channel.name}`, error);
-        }
-      }
-    } catch (error) {
-      this.logger.error('Error processing summary channels', error);
+    // The channel may have no summary yet (it failed), so any summary of the video names it
+    const summary = await database.getSummary(videoId, channelId) || await database.getSummary(videoId);
+    const videoTitle = summary?.title || `YouTube_Video_${videoId}`;
+    const postedBy = await this.getVideoPoster(videoId, interaction.guild.id);
+
+    const failedChannels = await this.processSummaryChannels(
+      interaction.guild, videoId, videoTitle, stored.transcript_text, '', [channelId], null, null, postedBy
+    );
+    if (failedChannels.length > 0) {
+      throw new Error('summary generation failed');
     }
+
+    await interaction.editReply({ content: `📝 Summary regenerated in <#${channelId}>` });
   }
 
-  async processSingleSummaryChannel(channel, videoId, videoTitle, transcript, originalMessage, promptChannel) {
-    try {
-      // Get pinned messages from the prompt channel
-      const pinnedMessages = await promptChannel.messages.fetchPinned();
-      
-      if (pinnedMessages.size === 0) {
-        this.logger.warn(`No pinned messages in ${promptChannel.name}`);
-        return;
-      }
+  /**
+   * Turn away members without Manage Messages from controls that run a paid LLM call
+   * (regenerate, shorten, translate) or overwrite stored content (re-run transcript), like deleting a summary
+   * @param {string} work - What is refused, for the reply
+   * @returns {Promise<boolean>} true when the interaction was answered and the action should not run
+   */
+  async replyIfNotAllowedToRegenerate(interaction, work = 'regenerate or rewrite summaries') {
+    if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)) {
+      return false;
+    }
+    await interaction.reply({ content: `❌ You need the Manage Messages permission to ${work}`, ephemeral: true });
+    return true;
+  }
 
-      // Use the first pinned message as the prompt
-      const pinnedMessage = pinnedMessages.first();
-      const customPrompt = pinnedMessage.content;
-      this.logger.info(`Using custom prompt from ${promptChannel.name}`);
+  /**
+   * Delete a posted summary (requires Manage Messages)
+   */
+  async deleteSummaryFromControl(interaction) {
+    if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageMessages)) {
+      await interaction.reply({ content: '❌ You need the Manage Messages permission to delete summaries', ephemeral: true });
+      return;
+    }
 
-      // Generate summary with custom prompt
-      const summaryResult = await this.summary.generateSummary(transcript, videoTitle, originalMessage, customPrompt);
-      
-      if (!summaryResult || !summaryResult.summary) {
-        this.logger.error(`Summary generation failed for video ${videoId}`);
-        await channel.send(`❌ Failed to generate summary for video: ${videoTitle}`);
-        return;
-      }
-      
-      const summaryContent = summaryResult.summary;
-      
-      // Save summary for daily report
-      const videoUrl = this.extractVideoUrl(originalMessage);
-      try {
-        console.log(`🔄 Attempting to save summary for video: ${videoId}`);
-        console.log(`   Title: ${videoTitle}`);
-        console.log(`   URL: ${videoUrl}`);
-        console.log(`   Summary length: ${summaryContent.length} characters`);
-        
-        await this.report.saveSummary({
-          videoId,
-          videoTitle,
-          summaryContent,
-          videoUrl
-        });
-        
-        console.log(`✅ Summary saved successfully for video: ${videoId}`);
-        this.logger.info(`Summary saved to database via report service: ${videoId}`);
-      } catch (saveError) {
-        console.error(`❌ Failed to save summary for video ${videoId}:`, saveError);
-        this.logger.error(`Failed to save summary for video ${videoId}`, saveError);
-        // Continue processing even if save fails
-      }
-      
-      // Send summary to the channel without extra headers
-      await this.sendLongMessage(channel, summaryContent, {
-        fileName: `summary_${videoTitle}`,
-        fileFormat: 'txt'
-      });
-      
-      this.logger.info(`Summary sent to ${channel.name}`);
-    } catch (error) {
-      this.logger.error(`Error in summary channel ${channel.name}`, error);
+    // Every part of a summary that was split over several messages goes
+    const database = await this.serviceManager.getService('database');
+    for (const part of await database.getPostParts(interaction.message.id)) {
+      if (part.message_id === interaction.message.id) continue;
+      await interaction.channel.messages.delete(part.message_id).catch(() => {});
+      await database.deletePost(part.message_id);
     }
+
+    await interaction.message.delete();
+    await database.deletePost(interaction.message.id);
+
+    await interaction.reply({ content: '🗑️ Summary deleted', ephemeral: true });
   }
 
   /**
    * Send a long message, breaking it into multiple messages or creating a file if too long
+   * Split parts end with a "(2/3)" marker and components go on the last part.
    * @param {import('discord.js').TextChannel} channel - Channel to send message
    * @param {string} content - Message content
    * @param {Object} options - Additional options
+   * @returns {Promise<import('discord.js').Message>} - The (first) message sent; recordPost records every part
    */
   async sendLongMessage(channel, content, options = {}) {
+    const parts = await this.getMessageParts(channel, content, options);
+    if (parts.length === 1) {
+      return await channel.send(this.buildLongMessagePayload(content, options));
+    }
+
+    this.logger.info(`Sending long message as ${parts.length} parts (${content.length} chars)`);
+    const messages = [];
+    for (const [index, part] of parts.entries()) {
+      const isLast = index === parts.length - 1;
+      messages.push(await channel.send({
+        content: part,
+        ...(isLast && options.components ? { components: options.components } : {})
+      }));
+    }
+
+    this.messageParts.set(messages[0], messages);
+    return messages[0];
+  }
+
+  /**
+   * Decide how content is sent: as several markdown-aware parts, or whole (inline, embed or attachment)
+   * JSON, forced files and content over the channel's attachment threshold are sent whole.
+   * @param {import('discord.js').TextBasedChannel} channel - Channel the content goes to
+   * @param {string} content - Message content
+   * @param {Object} options - Same options as sendLongMessage
+   * @returns {Promise<string[]>} - Message parts, or just the content when it is sent whole
+   */
+  async getMessageParts(channel, content, options = {}) {
+    if (content.length <= DISCORD_MESSAGE_LIMIT || options.forceFile || this.isJsonString(content)) {
+      return [content];
+    }
+    if (this.renderSummaryAsEmbed(content, options)) {
+      return [content];
+    }
+
+    const threshold = await this.getAttachmentThreshold(channel);
+    if (content.length > threshold) {
+      return [content];
+    }
+
+    return splitMarkdownMessage(content, DISCORD_MESSAGE_LIMIT);
+  }
+
+  /**
+   * Longest content a channel receives as split messages (threads use their parent channel's setting)
+   * @param {import('discord.js').TextBasedChannel} channel - Target channel
+   * @returns {Promise<number>} - Threshold in characters
+   */
+  async getAttachmentThreshold(channel) {
+    if (!channel.guildId) {
+      return this.config.messages.attachmentThreshold;
+    }
+
+    const { attachmentThresholds } = await this.getGuildConfig(channel.guildId);
+    return attachmentThresholds[channel.id] ??
+      attachmentThresholds[channel.parentId] ??
+      attachmentThresholds.default;
+  }
+
+  /**
+   * Build a message payload for content that may exceed Discord's message limit
+   * Long or JSON content becomes a file attachment; the payload can also be used to edit or reply.
+   * With `video` set, JSON summaries are rendered as an embed instead (see renderSummaryAsEmbed).
+   * @param {string} content - Message content
+   * @param {Object} options - Same options as sendLongMessage, plus components, video ({videoId, videoTitle}) and output
+   * @returns {Object} - Payload for channel.send, message.reply or message.edit
+   */
+  buildLongMessagePayload(content, options = {}) {
     const MAX_DISCORD_MESSAGE_LENGTH = 2000;
     const { 
       fileFormat = 'txt', 
       fileName = `output_${Date.now()}`, 
       fallbackMessage = '', // Removed "Content too long" message
-      forceFile = false  // Option to force file attachment even if content fits
+      forceFile = false,  // Option to force file attachment even if content fits
+      components,
+      video = null // Render JSON summaries of this video as an embed
     } = options;
 
     // Detect if content is JSON
     const isJsonContent = this.isJsonString(content);
     const effectiveFormat = isJsonContent ? 'json' : fileFormat;
+    const extra = components ? { components } : {};
+
+    if (video) {
+      const rendered = this.renderSummaryAsEmbed(content, options);
+      if (rendered) {
+        // Keep the full JSON available when it had to be cut to fit the embed
+        const files = rendered.truncated
+          ? [new AttachmentBuilder(Buffer.from(content, 'utf-8'), { name: `${fileName}.json` })]
+          : [];
+        return { content: fallbackMessage, embeds: [rendered.embed], files, ...extra };
+      }
+    }
 
     // If content is short enough and not forced to file, send directly
     if (content.length <= MAX_DISCORD_MESSAGE_LENGTH && !forceFile) {
-      return await channel.send(content);
+      return { content, files: [], ...extra };
     }
 
     // For JSON content or large content, create a file attachment
@@ -612,11 +2585,27 @@ ${transcript}`;
       name: `${fileName}.${effectiveFormat}`
     });
 
-    // Send with file
-    return await channel.send({
+    return {
       content: fallbackMessage,
-      files: [attachment]
-    });
+      files: [attachment],
+      ...extra
+    };
+  }
+
+  /**
+   * Embed for a summary, following the prompt's output option
+   * JSON summaries become embeds unless the prompt asks for markdown or a file;
+   * `output: embed` also puts markdown summaries that fit into an embed.
+   * @param {string} content - Summary text
+   * @param {Object} options - sendLongMessage options with video and output
+   * @returns {{embed: Object, truncated: boolean}|null} - null to send the summary as text or a file
+   */
+  renderSummaryAsEmbed(content, options = {}) {
+    if (!options.video || options.output === 'markdown' || options.output === 'file') {
+      return null;
+    }
+    return renderSummaryEmbed(content, options.video) ||
+      (options.output === 'embed' ? renderMarkdownEmbed(content, options.video) : null);
   }
 
   /**
@@ -683,6 +2672,17 @@ ${transcript}`;
       return await channel.send(prompt);
     }
 
+    // Split into several messages unless the channel wants long content as a file
+    const parts = await this.getMessageParts(channel, prompt, options);
+    if (parts.length > 1) {
+      let firstMessage = null;
+      for (const part of parts) {
+        const sent = await channel.send(part);
+        firstMessage = firstMessage || sent;
+      }
+      return firstMessage;
+    }
+
     // Prepare file
     const { buffer, fileName: generatedFileName } = this.convertToFileBuffer(
       prompt, 
@@ -717,119 +2717,148 @@ ${transcript}`;
   }
 
   setupAllReportSchedules() {
-    this.setupDailyReportSchedule();
-    this.setupWeeklyReportSchedule();
-    this.setupMonthlyReportSchedule();
+    for (const guild of this.client.guilds.cache.values()) {
+      this.setupGuildReportSchedules(guild.id).catch(error => 
+        this.logger.error(`Failed to schedule reports for guild ${guild.name}`, error)
+      );
+    }
   }
 
-  setupDailyReportSchedule() {
-    // Use configured schedule from environment
-    const reportHour = this.config.schedule.dailyReportHour;
-    const reportMinute = this.config.schedule.dailyReportMinute;
-    
-    // Convert CEST to UTC for cron
-    const now = new Date();
-    const isDST = () => {
-      const jan = new Date(now.getFullYear(), 0, 1);
-      const jul = new Date(now.getFullYear(), 6, 1);
-      return now.getTimezoneOffset() < Math.max(jan.getTimezoneOffset(), jul.getTimezoneOffset());
-    };
-    
-    const utcOffset = isDST() ? 2 : 1; // CEST = UTC+2, CET = UTC+1
-    const utcHour = (reportHour - utcOffset + 24) % 24;
-    const cronExpression = `${reportMinute} ${utcHour} * * *`;
+  /**
+   * (Re)create the daily, weekly and monthly report jobs of one guild, in the guild's timezone
+   * @param {string} guildId - Discord guild ID
+   */
+  async setupGuildReportSchedules(guildId) {
+    this.stopGuildReportSchedules(guildId);
+
+    const guildConfig = await this.getGuildConfig(guildId);
+    this.reportTasks.set(guildId, [
+      this.setupDailyReportSchedule(guildId, guildConfig),
+      this.setupWeeklyReportSchedule(guildId, guildConfig),
+      this.setupMonthlyReportSchedule(guildId, guildConfig)
+    ]);
+  }
+
+  stopGuildReportSchedules(guildId) {
+    for (const task of this.reportTasks.get(guildId) || []) {
+      task.stop();
+    }
+    this.reportTasks.delete(guildId);
+  }
+
+  /**
+   * Guild for a scheduled report, or null if the bot has left it
+   */
+  getScheduledGuild(guildId) {
+    const guild = this.client.guilds.cache.get(guildId);
+    if (!guild) {
+      this.logger.warn(`Guild ${guildId} not available, skipping scheduled report`);
+      this.stopGuildReportSchedules(guildId);
+    }
+    return guild || null;
+  }
+
+  setupDailyReportSchedule(guildId, guildConfig) {
+    const { dailyReportHour: reportHour, dailyReportMinute: reportMinute } = guildConfig.schedule;
+    const cronExpression = `${reportMinute} ${reportHour} * * *`;
     
-    this.logger.info(`Setting up daily report scheduler: ${cronExpression} (${reportHour}:${reportMinute.toString().padStart(2, '0')} CEST)`);
+    this.logger.info(`Setting up daily report scheduler for guild ${guildId}: ${cronExpression} (${reportHour}:${reportMinute.toString().padStart(2, '0')} ${guildConfig.timezone})`);
     
     // Schedule daily report
-    cron.schedule(cronExpression, async () => {
-      this.logger.info('Running scheduled daily report...');
+    return cron.schedule(cronExpression, async () => {
+      const guild = this.getScheduledGuild(guildId);
+      if (!guild) return;
+      
+      this.logger.info(`Running scheduled daily report for ${guild.name}...`);
       try {
         // Generate report and send directly to avoid circular calls
-        const report = await this.report.generateDailyReport();
-        await this.sendDailyReport(report);
+        const report = await this.report.generateDailyReport(guildId);
+        await this.sendDailyReport(report, guild);
         this.logger.info('Scheduled daily report completed successfully');
       } catch (error) {
         this.logger.error('Scheduled daily report failed', error);
       }
-    });
+    }, { timezone: guildConfig.timezone });
   }
 
-  setupWeeklyReportSchedule() {
-    // Weekly reports on Sunday at 19:00 CEST
-    const weeklyHour = 19;
-    const weeklyMinute = 0;
-    
-    // Convert CEST to UTC for cron
-    const now = new Date();
-    const isDST = () => {
-      const jan = new Date(now.getFullYear(), 0, 1);
-      const jul = new Date(now.getFullYear(), 6, 1);
-      return now.getTimezoneOffset() < Math.max(jan.getTimezoneOffset(), jul.getTimezoneOffset());
-    };
-    
-    const utcOffset = isDST() ? 2 : 1;
-    const utcHour = (weeklyHour - utcOffset + 24) % 24;
-    const cronExpression = `${weeklyMinute} ${utcHour} * * 0`; // Sunday = 0
+  setupWeeklyReportSchedule(guildId, guildConfig) {
+    // Weekly reports default to Sundays at 19:00
+    const { weeklyReportDay, weeklyReportHour, weeklyReportMinute } = guildConfig.schedule;
+    const cronExpression = `${weeklyReportMinute} ${weeklyReportHour} * * ${weeklyReportDay}`;
+    const dayName = ['Sundays', 'Mondays', 'Tuesdays', 'Wednesdays', 'Thursdays', 'Fridays', 'Saturdays'][weeklyReportDay];
     
-    this.logger.info(`Setting up weekly report scheduler: ${cronExpression} (Sundays at ${weeklyHour}:${weeklyMinute.toString().padStart(2, '0')} CEST)`);
+    this.logger.info(`Setting up weekly report scheduler for guild ${guildId}: ${cronExpression} (${dayName} at ${weeklyReportHour}:${weeklyReportMinute.toString().padStart(2, '0')} ${guildConfig.timezone})`);
     
     // Schedule weekly report
-    cron.schedule(cronExpression, async () => {
-      this.logger.info('Running scheduled weekly report...');
+    return cron.schedule(cronExpression, async () => {
+      const guild = this.getScheduledGuild(guildId);
+      if (!guild) return;
+      
+      this.logger.info(`Running scheduled weekly report for ${guild.name}...`);
       try {
-        await this.sendWeeklyReport();
+        await this.sendWeeklyReport(guild);
         this.logger.info('Scheduled weekly report completed successfully');
       } catch (error) {
         this.logger.error('Scheduled weekly report failed', error);
       }
-    });
+    }, { timezone: guildConfig.timezone });
   }
 
-  setupMonthlyReportSchedule() {
-    // Monthly reports on 1st of each month at 20:00 CEST
-    const monthlyHour = 20;
-    const monthlyMinute = 0;
-    
-    // Convert CEST to UTC for cron
-    const now = new Date();
-    const isDST = () => {
-      const jan = new Date(now.getFullYear(), 0, 1);
-      const jul = new Date(now.getFullYear(), 6, 1);
-      return now.getTimezoneOffset() < Math.max(jan.getTimezoneOffset(), jul.getTimezoneOffset());
-    };
+  setupMonthlyReportSchedule(guildId, guildConfig) {
+    // Monthly reports default to the 1st of each month at 20:00
+    const { monthlyReportDay, monthlyReportHour, monthlyReportMinute } = guildConfig.schedule;
+    // cron has no "last day of month", so run on the 28th-31st and check the date
+    const lastDay = monthlyReportDay === 'L';
+    const cronExpression = `${monthlyReportMinute} ${monthlyReportHour} ${lastDay ? '28-31' : monthlyReportDay} * *`;
     
-    const utcOffset = isDST() ? 2 : 1;
-    const utcHour = (monthlyHour - utcOffset + 24) % 24;
-    const cronExpression = `${monthlyMinute} ${utcHour} 1 * *`; // 1st of month
-    
-    this.logger.info(`Setting up monthly report scheduler: ${cronExpression} (1st of each month at ${monthlyHour}:${monthlyMinute.toString().padStart(2, '0')} CEST)`);
+    this.logger.info(`Setting up monthly report scheduler for guild ${guildId}: ${cronExpression} (${lastDay ? 'last day' : `day ${monthlyReportDay}`} of each month at ${monthlyReportHour}:${monthlyReportMinute.toString().padStart(2, '0')} ${guildConfig.timezone})`);
     
     // Schedule monthly report
-    cron.schedule(cronExpression, async () => {
-      this.logger.info('Running scheduled monthly report...');
+    return cron.schedule(cronExpression, async () => {
+      if (lastDay && !this.isLastDayOfMonth(guildConfig.timezone)) return;
+      
+      const guild = this.getScheduledGuild(guildId);
+      if (!guild) return;
+      
+      this.logger.info(`Running scheduled monthly report for ${guild.name}...`);
       try {
-        await this.sendMonthlyReport();
+        await this.sendMonthlyReport(guild);
         this.logger.info('Scheduled monthly report completed successfully');
       } catch (error) {
         this.logger.error('Scheduled monthly report failed', error);
       }
-    });
+    }, { timezone: guildConfig.timezone });
+  }
+
+  /**
+   * Whether today is the last day of the month in a timezone
+   */
+  isLastDayOfMonth(timezone) {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone, day: 'numeric' }).format(tomorrow) === '1';
+  }
+
+  /**
+   * Calendar date of a moment (now by default) in a timezone, as YYYY-MM-DD (the period of a daily report)
+   */
+  getLocalDate(timezone, date = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
   }
 
-  async sendDailyReport(report) {
+  async sendDailyReport(report, guild = null) {
     try {
-      // Find the configured guild
-      const guild = this.client.guilds.cache.get(this.config.guildId);
+      // Without a guild, report to the configured default guild
+      guild = guild || this.client.guilds.cache.get(this.config.guildId);
       if (!guild) {
         throw new Error(`Guild with ID ${this.config.guildId} not found`);
       }
+      const { prefixes } = await this.getGuildConfig(guild.id);
       
       // Check for daily report prompt channels (handle both with and without suffix)
       const dailyReportPromptChannels = guild.channels.cache.filter(
         channel => channel.name && (
-          channel.name.startsWith(this.config.prefixes.dailyReportPrompt) || // yt-daily-report-prompt-1, etc.
-          channel.name === this.config.prefixes.dailyReportPrompt.slice(0, -1) // yt-daily-report-prompt (without dash)
+          channel.name.startsWith(prefixes.dailyReportPrompt) || // yt-daily-report-prompt-1, etc.
+          channel.name === prefixes.dailyReportPrompt.slice(0, -1) // yt-daily-report-prompt (without dash)
         )
       );
       
@@ -852,27 +2881,34 @@ ${transcript}`;
 
   async processDailyReportWithPrompt(guild, promptChannel, defaultReport) {
     try {
-      // Get pinned messages from the prompt channel
-      const pinnedMessages = await promptChannel.messages.fetchPinned();
+      // Use the first pinned message of the prompt channel as the prompt
+      const pinnedMessage = await this.prompts.getPinnedPrompt(promptChannel);
       
-      if (pinnedMessages.size === 0) {
+      if (!pinnedMessage) {
         this.logger.info(`No pinned messages in ${promptChannel.name}, skipping custom daily report`);
         return;
       }
 
-      // Use the first pinned message as the prompt
-      const pinnedMessage = pinnedMessages.first();
       const customPrompt = pinnedMessage.content;
+      const promptVersion = await this.recordPromptVersion(promptChannel, pinnedMessage);
       this.logger.info(`Using custom daily report prompt from ${promptChannel.name}`);
 
-      // Get recent summaries for custom processing
-      const summaries = await this.report.getRecentSummaries();
-      
-      // Generate custom daily report using OpenAI
-      const customReport = await this.generateCustomDailyReport(summaries, customPrompt);
+      // Get this guild's recent summaries for custom processing
+      const guildConfig = await this.getGuildConfig(guild.id);
+      const summaries = await this.report.getRecentSummaries(guild.id);
+      const period = this.getLocalDate(guildConfig.timezone);
+      const { text: reportPrompt } = renderPromptTemplate(customPrompt, await this.getReportPromptVariables(summaries, period));
+      
+      // Generate custom daily report with the guild's model
+      const customReport = await this.generateCustomDailyReport(summaries, reportPrompt, guildConfig.model, {
+        guildId: guild.id,
+        channelId: promptChannel.id,
+        channelName: promptChannel.name,
+        reportKey: `daily_report_${period}`
+      });
       
       // Find corresponding output channel - try both numbered and non-numbered
-      const suffix = promptChannel.name.replace(this.config.prefixes.dailyReportPrompt, '');
+      const suffix = promptChannel.name.replace(guildConfig.prefixes.dailyReportPrompt, '');
       let outputChannel = null;
       
       if (suffix) {
@@ -884,14 +2920,14 @@ ${transcript}`;
       if (!outputChannel) {
         // Fallback to default daily-report channel (without number)
         outputChannel = guild.channels.cache.find(
-          channel => channel.name && channel.name === this.config.channels.dailyReport
+          channel => channel.name && channel.name === guildConfig.channels.dailyReport
         );
       }
       
       if (!outputChannel) {
         // Secondary fallback - any channel containing daily-report
         outputChannel = guild.channels.cache.find(
-          channel => channel.name && channel.name.includes(this.config.channels.dailyReport)
+          channel => channel.name && channel.name.includes(guildConfig.channels.dailyReport)
         );
       }
       
@@ -908,11 +2944,11 @@ ${transcript}`;
       
       if (outputChannel) {
         this.logger.info(`Sending custom daily report to channel: ${outputChannel.name}`);
-        const today = new Date().toISOString().split('T')[0];
-        await this.sendLongMessage(outputChannel, customReport, {
-          fileName: `daily_report_${today}`,
+        const sent = await this.sendLongMessage(outputChannel, this.withPromptVersion(customReport, promptVersion), {
+          fileName: `daily_report_${period}`,
           fileFormat: 'txt'
         });
+        await this.recordPost(sent, 'report', { reportKey: `daily_report_${period}` });
         this.logger.info(`Custom daily report sent to ${outputChannel.name}`);
       } else {
         this.logger.error('No suitable output channel found for custom daily report');
@@ -922,7 +2958,25 @@ ${transcript}`;
     }
   }
 
-  async generateCustomDailyReport(summaries, customPrompt) {
+  /**
+   * Values for the {{placeholders}} of report prompts (see utils/prompt-template.js)
+   * @param {Array<Object>} summaries - Summaries the report covers
+   * @param {string} period - Human-readable period, e.g. "2024-05-06 to 2024-05-12"
+   */
+  async getReportPromptVariables(summaries, period) {
+    const topCreators = await this.report.getTopCreators(summaries);
+    return {
+      summary_count: summaries.length,
+      period,
+      top_creators: topCreators.map(({ creator, videos }) => `${creator} (${videos})`).join(', ')
+    };
+  }
+
+  /**
+   * Generate a report from a custom prompt (used for daily, weekly and monthly report prompts)
+   * @param {Object} context - For the recorded LLM call: guildId, channelId/channelName (the prompt channel), reportKey
+   */
+  async generateCustomDailyReport(summaries, customPrompt, model = null, context = {}) {
     try {
       // CRITICAL FIX: If no summaries, return empty report immediately
       if (!summaries || summaries.length === 0) {
@@ -936,17 +2990,20 @@ ${transcript}`;
         title: summary.videoTitle || summary.title,
         content: summary.summaryContent || summary.content,
         url: summary.videoUrl || summary.url,
-        timestamp: summary.timestamp
+        timestamp: summary.timestamp || summary.created_at,
+        promptVersion: summary.promptVersion || summary.prompt_version,
+        promptChannelName: summary.promptChannelName || summary.prompt_channel_name
       }));
 
       console.log(`📊 Generating custom report with ${summariesData.length} summaries`);
 
       const summariesText = summariesData.map((summary, index) => 
-        `${index + 1}. ${summary.title}\nContent: ${summary.content}\nURL: ${summary.url}\nTime: ${new Date(summary.timestamp).toLocaleString()}\n`
+        `${index + 1}. ${summary.title}\nContent: ${summary.content}\nURL: ${summary.url}\nTime: ${new Date(summary.timestamp).toLocaleString()}\n` +
+        (summary.promptVersion ? `Prompt: #${summary.promptChannelName} v${summary.promptVersion}\n` : '')
       ).join('\n');
 
       // Use the dedicated custom report method instead of video summary method
-      const customReport = await this.summary.generateCustomDailyReport(customPrompt, summariesText);
+      const customReport = await this.summary.generateCustomDailyReport(customPrompt, summariesText, { model, context });
       return customReport; // Clean string return type
     } catch (error) {
       this.logger.error('Error generating custom daily report', error);
@@ -959,21 +3016,22 @@ ${transcript}`;
 
   // ============ WEEKLY REPORTS ============
 
-  async sendWeeklyReport() {
+  async sendWeeklyReport(guild = null) {
     try {
       this.logger.info('Processing weekly reports...');
       
-      // Find the configured guild
-      const guild = this.client.guilds.cache.get(this.config.guildId);
+      // Without a guild, report to the configured default guild
+      guild = guild || this.client.guilds.cache.get(this.config.guildId);
       if (!guild) {
         throw new Error(`Guild with ID ${this.config.guildId} not found`);
       }
+      const { prefixes } = await this.getGuildConfig(guild.id);
       
       // Check for weekly report prompt channels (handle both with and without suffix)
       const weeklyReportPromptChannels = guild.channels.cache.filter(
         channel => channel.name && (
-          channel.name.startsWith(this.config.prefixes.weeklyReportPrompt) || // yt-weekly-report-prompt-1, etc.
-          channel.name === this.config.prefixes.weeklyReportPrompt.slice(0, -1) // yt-weekly-report-prompt (without dash)
+          channel.name.startsWith(prefixes.weeklyReportPrompt) || // yt-weekly-report-prompt-1, etc.
+          channel.name === prefixes.weeklyReportPrompt.slice(0, -1) // yt-weekly-report-prompt (without dash)
         )
       );
       
@@ -996,25 +3054,37 @@ ${transcript}`;
 
   async processWeeklyReportWithPrompt(guild, promptChannel) {
     try {
-      // Get pinned messages from the prompt channel
-      const pinnedMessages = await promptChannel.messages.fetchPinned();
+      // Use the first pinned message of the prompt channel as the prompt
+      const pinnedMessage = await this.prompts.getPinnedPrompt(promptChannel);
       
-      if (pinnedMessages.size === 0) {
+      if (!pinnedMessage) {
         this.logger.info(`No pinned messages in ${promptChannel.name}, using default weekly report`);
         await this.sendDefaultWeeklyReport(guild);
         return;
       }
 
-      // Use the first pinned message as the prompt
-      const pinnedMessage = pinnedMessages.first();
       const customPrompt = pinnedMessage.content;
+      const promptVersion = await this.recordPromptVersion(promptChannel, pinnedMessage);
       this.logger.info(`Using custom weekly report prompt from ${promptChannel.name}`);
 
-      // Generate weekly report
-      const report = await this.report.generateWeeklyReport(customPrompt);
+      // Generate weekly report from this week's summaries
+      const { prefixes, model } = await this.getGuildConfig(guild.id);
+      const { weekStart, weekEnd } = this.report.getWeekBounds();
+      const weekStartStr = weekStart.toISOString().split('T')[0];
+      const weekEndStr = weekEnd.toISOString().split('T')[0];
+      const summaries = await this.report.getSummariesInDateRange(weekStart, weekEnd, guild.id);
+      const variables = await this.getReportPromptVariables(summaries, `${weekStartStr} to ${weekEndStr}`);
+      const report = summaries.length > 0
+        ? await this.generateCustomDailyReport(summaries, renderPromptTemplate(customPrompt, variables).text, model, {
+          guildId: guild.id,
+          channelId: promptChannel.id,
+          channelName: promptChannel.name,
+          reportKey: `weekly_report_${weekStartStr}`
+        })
+        : this.report.generateEmptyWeeklyReport(weekStartStr, weekEndStr);
       
       // Find corresponding output channel - try both numbered and non-numbered  
-      const suffix = promptChannel.name.replace(this.config.prefixes.weeklyReportPrompt, '');
+      const suffix = promptChannel.name.replace(prefixes.weeklyReportPrompt, '');
       let outputChannel = null;
       
       if (suffix) {
@@ -1041,12 +3111,11 @@ ${transcript}`;
       
       if (outputChannel) {
         this.logger.info(`Sending weekly report to channel: ${outputChannel.name}`);
-        const today = new Date();
-        const weekStart = new Date(today.setDate(today.getDate() - today.getDay() + 1)).toISOString().split('T')[0];
-        await this.sendLongMessage(outputChannel, report.data, {
-          fileName: `weekly_report_${weekStart}`,
+        const sent = await this.sendLongMessage(outputChannel, this.withPromptVersion(report, promptVersion), {
+          fileName: `weekly_report_${weekStartStr}`,
           fileFormat: 'txt'
         });
+        await this.recordPost(sent, 'report', { reportKey: `weekly_report_${weekStartStr}` });
         this.logger.info(`Weekly report sent to ${outputChannel.name}`);
       } else {
         this.logger.error('No suitable output channel found for weekly report');
@@ -1058,17 +3127,18 @@ ${transcript}`;
 
   async sendDefaultWeeklyReport(guild) {
     try {
-      const report = await this.report.generateWeeklyReport();
+      const report = await this.report.generateWeeklyReport(0, guild.id);
       const outputChannel = guild.channels.cache.find(ch => ch.name === 'weekly-report') ||
                            guild.channels.cache.find(ch => ch.name && ch.name.includes('general'));
       
       if (outputChannel) {
         const today = new Date();
         const weekStart = new Date(today.setDate(today.getDate() - today.getDay() + 1)).toISOString().split('T')[0];
-        await this.sendLongMessage(outputChannel, report.data, {
+        const sent = await this.sendLongMessage(outputChannel, report.data, {
           fileName: `weekly_report_${weekStart}`,
           fileFormat: 'txt'
         });
+        await this.recordPost(sent, 'report', { reportKey: `weekly_report_${weekStart}` });
         this.logger.info(`Default weekly report sent to ${outputChannel.name}`);
       } else {
         this.logger.error('No suitable channel found for default weekly report');
@@ -1080,21 +3150,22 @@ ${transcript}`;
 
   // ============ MONTHLY REPORTS ============
 
-  async sendMonthlyReport() {
+  async sendMonthlyReport(guild = null) {
     try {
       this.logger.info('Processing monthly reports...');
       
-      // Find the configured guild
-      const guild = this.client.guilds.cache.get(this.config.guildId);
+      // Without a guild, report to the configured default guild
+      guild = guild || this.client.guilds.cache.get(this.config.guildId);
       if (!guild) {
         throw new Error(`Guild with ID ${this.config.guildId} not found`);
       }
+      const { prefixes } = await this.getGuildConfig(guild.id);
       
       // Check for monthly report prompt channels (handle both with and without suffix)
       const monthlyReportPromptChannels = guild.channels.cache.filter(
         channel => channel.name && (
-          channel.name.startsWith(this.config.prefixes.monthlyReportPrompt) || // yt-monthly-report-prompt-1, etc.
-          channel.name === this.config.prefixes.monthlyReportPrompt.slice(0, -1) // yt-monthly-report-prompt (without dash)
+          channel.name.startsWith(prefixes.monthlyReportPrompt) || // yt-monthly-report-prompt-1, etc.
+          channel.name === prefixes.monthlyReportPrompt.slice(0, -1) // yt-monthly-report-prompt (without dash)
         )
       );
       
@@ -1117,25 +3188,38 @@ ${transcript}`;
 
   async processMonthlyReportWithPrompt(guild, promptChannel) {
     try {
-      // Get pinned messages from the prompt channel
-      const pinnedMessages = await promptChannel.messages.fetchPinned();
+      // Use the first pinned message of the prompt channel as the prompt
+      const pinnedMessage = await this.prompts.getPinnedPrompt(promptChannel);
       
-      if (pinnedMessages.size === 0) {
+      if (!pinnedMessage) {
         this.logger.info(`No pinned messages in ${promptChannel.name}, using default monthly report`);
         await this.sendDefaultMonthlyReport(guild);
         return;
       }
 
-      // Use the first pinned message as the prompt
-      const pinnedMessage = pinnedMessages.first();
       const customPrompt = pinnedMessage.content;
+      const promptVersion = await this.recordPromptVersion(promptChannel, pinnedMessage);
       this.logger.info(`Using custom monthly report prompt from ${promptChannel.name}`);
 
-      // Generate monthly report
-      const report = await this.report.generateMonthlyReport(customPrompt);
+      // Generate monthly report from this month's summaries
+      const { prefixes, model } = await this.getGuildConfig(guild.id);
+      const { monthStart, monthEnd } = this.report.getMonthBounds();
+      const monthName = monthStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+      const summaries = await this.report.getSummariesInDateRange(monthStart, monthEnd, guild.id);
+      const variables = await this.getReportPromptVariables(summaries, monthName);
+      const monthKey = `${monthStart.getFullYear()}-${(monthStart.getMonth() + 1).toString().padStart(2, '0')}`;
+      const report = summaries.length > 0
+        ? await this.generateCustomDailyReport(summaries, renderPromptTemplate(customPrompt, variables).text, model, {
+          guildId: guild.id,
+          channelId: promptChannel.id,
+          channelName: promptChannel.name,
+          reportKey: `monthly_report_${monthKey}`
+        })
+        : this.report.generateEmptyMonthlyReport(monthName);
+      const costLine = await this.report.getCostLine(monthStart, monthEnd, guild.id);
       
       // Find corresponding output channel - try both numbered and non-numbered
-      const suffix = promptChannel.name.replace(this.config.prefixes.monthlyReportPrompt, '');
+      const suffix = promptChannel.name.replace(prefixes.monthlyReportPrompt, '');
       let outputChannel = null;
       
       if (suffix) {
@@ -1162,12 +3246,11 @@ ${transcript}`;
       
       if (outputChannel) {
         this.logger.info(`Sending monthly report to channel: ${outputChannel.name}`);
-        const now = new Date();
-        const monthKey = `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}`;
-        await this.sendLongMessage(outputChannel, report.data, {
+        const sent = await this.sendLongMessage(outputChannel, this.withPromptVersion(report + costLine, promptVersion), {
           fileName: `monthly_report_${monthKey}`,
           fileFormat: 'txt'
         });
+        await this.recordPost(sent, 'report', { reportKey: `monthly_report_${monthKey}` });
         this.logger.info(`Monthly report sent to ${outputChannel.name}`);
       } else {
         this.logger.error('No suitable output channel found for monthly report');
@@ -1179,17 +3262,18 @@ ${transcript}`;
 
   async sendDefaultMonthlyReport(guild) {
     try {
-      const report = await this.report.generateMonthlyReport();
+      const report = await this.report.generateMonthlyReport(0, guild.id);
       const outputChannel = guild.channels.cache.find(ch => ch.name === 'monthly-report') ||
                            guild.channels.cache.find(ch => ch.name && ch.name.includes('general'));
       
       if (outputChannel) {
         const now = new Date();
         const monthKey = `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}`;
-        await this.sendLongMessage(outputChannel, report.data, {
+        const sent = await this.sendLongMessage(outputChannel, report.data, {
           fileName: `monthly_report_${monthKey}`,
           fileFormat: 'txt'
         });
+        await this.recordPost(sent, 'report', { reportKey: `monthly_report_${monthKey}` });
         this.logger.info(`Default monthly report sent to ${outputChannel.name}`);
       } else {
         this.logger.error('No suitable channel found for default monthly report');
@@ -1201,8 +3285,9 @@ ${transcript}`;
 
   async sendDefaultDailyReport(guild, report) {
     try {
+      const { channels, timezone } = await this.getGuildConfig(guild.id);
       let reportChannel = guild.channels.cache.find(
-        channel => channel.name && channel.name.includes(this.config.channels.dailyReport)
+        channel => channel.name && channel.name.includes(channels.dailyReport)
       );
       
       if (!reportChannel) {
@@ -1224,11 +3309,12 @@ ${transcript}`;
       }
       
       this.logger.info(`Sending default daily report to channel: ${reportChannel.name}`);
-      const today = new Date().toISOString().split('T')[0];
-      await this.sendLongMessage(reportChannel, report, {
+      const today = this.getLocalDate(timezone);
+      const sent = await this.sendLongMessage(reportChannel, report, {
         fileName: `daily_report_${today}`,
         fileFormat: 'txt'
       });
+      await this.recordPost(sent, 'report', { reportKey: `daily_report_${today}` });
       this.logger.info('Default daily report sent to channel');
     } catch (error) {
       this.logger.error('Error sending default daily report', error);
@@ -1405,12 +3491,11 @@ ${transcript}`;
     }
   }
 
-  async getCustomPromptFromChannel(channelName) {
+  async getCustomPromptFromChannel(channelName, guildId = this.config.guildId) {
     try {
-      // Find the configured guild
-      const guild = this.client.guilds.cache.get(this.config.guildId);
+      const guild = this.client.guilds.cache.get(guildId);
       if (!guild) {
-        throw new Error(`Guild with ID ${this.config.guildId} not found`);
+        throw new Error(`Guild with ID ${guildId} not found`);
       }
       
       // Find the prompt channel
@@ -1419,16 +3504,9 @@ ${transcript}`;
         throw new Error(`Channel ${channelName} not found`);
       }
       
-      // Get pinned messages from the prompt channel
-      const pinnedMessages = await promptChannel.messages.fetchPinned();
-      
-      if (pinnedMessages.size === 0) {
-        return null; // No pinned messages found
-      }
-
-      // Use the first pinned message as the prompt
-      const pinnedMessage = pinnedMessages.first();
-      return pinnedMessage.content;
+      // Use the first pinned message of the prompt channel as the prompt
+      const pinnedMessage = await this.prompts.getPinnedPrompt(promptChannel);
+      return pinnedMessage ? pinnedMessage.content : null;
       
     } catch (error) {
       this.logger.error(`Error getting custom prompt from ${channelName}`, error);
@@ -1436,9 +3514,9 @@ ${transcript}`;
     }
   }
 
-  async validateAllPrompts() {
+  async validateAllPrompts(guildId = this.config.guildId) {
     const results = [];
-    const guild = this.client.guilds.cache.get(this.config.guildId);
+    const guild = this.client.guilds.cache.get(guildId);
     
     if (!guild) {
       results.push({
@@ -1448,12 +3526,13 @@ ${transcript}`;
       });
       return results;
     }
+    const { prefixes } = await this.getGuildConfig(guild.id);
     
     // Check summary prompts (dynamically detect all - with and without suffixes)
     const summaryPromptChannels = guild.channels.cache.filter(
       ch => ch.name && (
-        ch.name.startsWith(this.config.prefixes.summaryPrompt) || // yt-summary-prompt-1, yt-summary-prompt-2, etc.
-        ch.name === this.config.prefixes.summaryPrompt.slice(0, -1) // yt-summary-prompt (without dash)
+        ch.name.startsWith(prefixes.summaryPrompt) || // yt-summary-prompt-1, yt-summary-prompt-2, etc.
+        ch.name === prefixes.summaryPrompt.slice(0, -1) // yt-summary-prompt (without dash)
       )
     );
     
@@ -1466,12 +3545,8 @@ ${transcript}`;
     } else {
       for (const [channelId, channel] of summaryPromptChannels) {
         try {
-          const prompt = await this.getCustomPromptFromChannel(channel.name);
-          results.push({
-            channel: channel.name,
-            valid: !!prompt,
-            message: prompt ? `Loaded (${prompt.length} chars)` : 'No pinned prompt found'
-          });
+          const prompt = await this.getCustomPromptFromChannel(channel.name, guild.id);
+          results.push({ channel: channel.name, ...this.validateSummaryPrompt(prompt) });
         } catch (error) {
           results.push({
             channel: channel.name,
@@ -1482,23 +3557,33 @@ ${transcript}`;
       }
     }
     
+    // Prompt channels of routes that don't follow the naming convention
+    for (const route of await this.getGuildRoutes(guild.id)) {
+      const channel = route.prompt_channel_id && guild.channels.cache.get(route.prompt_channel_id);
+      if (!channel || summaryPromptChannels.has(channel.id) || results.some(result => result.channel === channel.name)) {
+        continue;
+      }
+      try {
+        const pinnedMessage = await this.prompts.getPinnedPrompt(channel);
+        results.push({ channel: channel.name, ...this.validateSummaryPrompt(pinnedMessage?.content || null) });
+      } catch (error) {
+        results.push({ channel: channel.name, valid: false, message: error.message });
+      }
+    }
+    
     // Check daily report prompts (handle both with and without suffix)
     const dailyReportPromptChannels = guild.channels.cache.filter(
       ch => ch.name && (
-        ch.name.startsWith(this.config.prefixes.dailyReportPrompt) || // yt-daily-report-prompt-1, etc.
-        ch.name === this.config.prefixes.dailyReportPrompt.slice(0, -1) // yt-daily-report-prompt (without dash)
+        ch.name.startsWith(prefixes.dailyReportPrompt) || // yt-daily-report-prompt-1, etc.
+        ch.name === prefixes.dailyReportPrompt.slice(0, -1) // yt-daily-report-prompt (without dash)
       )
     );
     
     if (dailyReportPromptChannels.size > 0) {
       for (const [channelId, channel] of dailyReportPromptChannels) {
         try {
-          const prompt = await this.getCustomPromptFromChannel(channel.name);
-          results.push({
-            channel: channel.name,
-            valid: !!prompt,
-            message: prompt ? `Loaded (${prompt.length} chars)` : 'No pinned prompt found'
-          });
+          const prompt = await this.getCustomPromptFromChannel(channel.name, guild.id);
+          results.push({ channel: channel.name, ...this.validateReportPrompt(prompt) });
         } catch (error) {
           results.push({
             channel: channel.name,
@@ -1512,20 +3597,16 @@ ${transcript}`;
     // Check weekly report prompts (handle both with and without suffix)
     const weeklyReportPromptChannels = guild.channels.cache.filter(
       ch => ch.name && (
-        ch.name.startsWith(this.config.prefixes.weeklyReportPrompt) || // yt-weekly-report-prompt-1, etc.
-        ch.name === this.config.prefixes.weeklyReportPrompt.slice(0, -1) // yt-weekly-report-prompt (without dash)
+        ch.name.startsWith(prefixes.weeklyReportPrompt) || // yt-weekly-report-prompt-1, etc.
+        ch.name === prefixes.weeklyReportPrompt.slice(0, -1) // yt-weekly-report-prompt (without dash)
       )
     );
     
     if (weeklyReportPromptChannels.size > 0) {
       for (const [channelId, channel] of weeklyReportPromptChannels) {
         try {
-          const prompt = await this.getCustomPromptFromChannel(channel.name);
-          results.push({
-            channel: channel.name,
-            valid: !!prompt,
-            message: prompt ? `Loaded (${prompt.length} chars)` : 'No pinned prompt found'
-          });
+          const prompt = await this.getCustomPromptFromChannel(channel.name, guild.id);
+          results.push({ channel: channel.name, ...this.validateReportPrompt(prompt) });
         } catch (error) {
           results.push({
             channel: channel.name,
@@ -1539,20 +3620,16 @@ ${transcript}`;
     // Check monthly report prompts (handle both with and without suffix)
     const monthlyReportPromptChannels = guild.channels.cache.filter(
       ch => ch.name && (
-        ch.name.startsWith(this.config.prefixes.monthlyReportPrompt) || // yt-monthly-report-prompt-1, etc.
-        ch.name === this.config.prefixes.monthlyReportPrompt.slice(0, -1) // yt-monthly-report-prompt (without dash)
+        ch.name.startsWith(prefixes.monthlyReportPrompt) || // yt-monthly-report-prompt-1, etc.
+        ch.name === prefixes.monthlyReportPrompt.slice(0, -1) // yt-monthly-report-prompt (without dash)
       )
     );
     
     if (monthlyReportPromptChannels.size > 0) {
       for (const [channelId, channel] of monthlyReportPromptChannels) {
         try {
-          const prompt = await this.getCustomPromptFromChannel(channel.name);
-          results.push({
-            channel: channel.name,
-            valid: !!prompt,
-            message: prompt ? `Loaded (${prompt.length} chars)` : 'No pinned prompt found'
-          });
+          const prompt = await this.getCustomPromptFromChannel(channel.name, guild.id);
+          results.push({ channel: channel.name, ...this.validateReportPrompt(prompt) });
         } catch (error) {
           results.push({
             channel: channel.name,
@@ -1566,15 +3643,68 @@ ${transcript}`;
     return results;
   }
 
+  /**
+   * Validate a pinned summary prompt, including its front-matter header
+   * @param {string|null} text - Pinned message content
+   * @returns {{valid: boolean, message: string}}
+   */
+  validateSummaryPrompt(text) {
+    if (!text) {
+      return { valid: false, message: 'No pinned prompt found' };
+    }
+
+    const { prompt, options, errors } = parsePromptOptions(text);
+    let message = `Loaded (${prompt.length} chars)`;
+    if (Object.keys(options).length > 0) {
+      message += ` with ${describePromptOptions(options)}`;
+    }
+    if (errors.length > 0) {
+      message += `\n   ⚠️ Header: ${errors.join('\n   ⚠️ Header: ')}`;
+    }
+    message += this.describePromptVariables(prompt, SUMMARY_PROMPT_VARIABLES);
+    return { valid: errors.length === 0, message };
+  }
+
+  /**
+   * Validate a pinned report prompt
+   * @param {string|null} text - Pinned message content
+   * @returns {{valid: boolean, message: string}}
+   */
+  validateReportPrompt(text) {
+    if (!text) {
+      return { valid: false, message: 'No pinned prompt found' };
+    }
+    return { valid: true, message: `Loaded (${text.length} chars)${this.describePromptVariables(text, REPORT_PROMPT_VARIABLES)}` };
+  }
+
+  /**
+   * Validation note on a prompt's {{placeholders}}; unknown ones are only a warning since they're left as is
+   */
+  describePromptVariables(prompt, supported) {
+    const names = findPromptVariables(prompt);
+    if (names.length === 0) {
+      return '';
+    }
+
+    const unknown = names.filter(name => !supported[name]);
+    let note = `\n   🔤 Variables: ${names.map(name => `{{${name}}}`).join(', ')}`;
+    if (unknown.length > 0) {
+      note += `\n   ⚠️ Not a variable here (left as is): ${unknown.map(name => `{{${name}}}`).join(', ')}. ` +
+        `Supported: ${Object.keys(supported).join(', ')}`;
+    }
+    return note;
+  }
+
   /**
    * Get channel monitoring status (compatibility method)
    */
-  async getChannelStatus() {
+  async getChannelStatus(guildId = this.config.guildId) {
     try {
-      const guild = this.client.guilds.cache.get(this.config.guildId);
+      const guild = this.client.guilds.cache.get(guildId);
       if (!guild) {
         throw new Error('Guild not found');
       }
+      const guildConfig = await this.getGuildConfig(guild.id);
 
       const channels = [];
       
@@ -1593,7 +3723,7 @@ ${transcript}`;
       }
 
       // Check monitoring channels (allowed patterns)
-      for (const pattern of this.config.allowedChannelPatterns) {
+      for (const pattern of guildConfig.allowedChannelPatterns) {
         const matchingChannels = guild.channels.cache.filter(
           ch => ch.name && ch.name.includes(pattern)
         );
@@ -262,16 +262,15 @@ class HybridCacheService {
         const videoId = key.replace('_transcript', '');
         return await this.database.getTranscript(videoId);
       } else if (type === 'report') {
-        // Handle different report types
+        // Handle different report types; keys end with the guild ID, e.g. daily_report_2025-10-06_<guildId>
+        const [period, guildId = null] = key.replace(/^.*?(daily|weekly|monthly)_report_/, '').split('_');
         if (key.includes('daily_report_')) {
-          const date = key.replace('daily_report_', '');
-          return await this.database.getDailyReport(date);
+          return await this.database.getDailyReport(period, guildId);
         } else if (key.includes('weekly_report_')) {
-          const weekStart = key.replace('weekly_report_', '');
-          return await this.database.getWeeklyReport(weekStart);
+          return await this.database.getWeeklyReport(period, guildId);
         } else if (key.includes('monthly_report_')) {
-          const [year, month] = key.replace('monthly_report_', '').split('-');
-          return await this.database.getMonthlyReport(parseInt(year), parseInt(month));
+          const [year, month] = period.split('-');
+          return await this.database.getMonthlyReport(parseInt(year), parseInt(month), guildId);
         }
       }
       return null;
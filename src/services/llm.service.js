@@ -0,0 +1,150 @@
+/**
+ * LLM Service - routes chat requests to the provider configured for each model
+ * and records the tokens and cost of every call (llm_calls table)
+ */
+
+const { createProvider } = require('../providers');
+const { resolveModel } = require('../../utils/llm-config');
+const { getModelInfo } = require('../../utils/model-registry');
+const { getModelPrice, calculateCost } = require('../../utils/llm-pricing');
+
+const DEFAULT_LLM_CONFIG = { defaultProvider: 'openai', providers: { openai: { type: 'openai' } }, models: {}, prices: {}, errors: [] };
+
+class LLMService {
+  /**
+   * @param {ServiceManager} serviceManager - Reads config.llm (utils/llm-config.js)
+   * @param {Object} dependencies - Optional `database` to record calls in, `budget` to check the spend
+   *   against after each call, and `providers`: provider instances by name, used instead of creating
+   *   them from the config (e.g. an existing OpenAI client)
+   */
+  constructor(serviceManager, dependencies = {}) {
+    this.serviceManager = serviceManager;
+    this.config = serviceManager.config?.llm || DEFAULT_LLM_CONFIG;
+    this.logger = serviceManager.logger || console;
+    this.database = dependencies.database || null;
+    this.budget = dependencies.budget || null;
+    this.providers = new Map(Object.entries(dependencies.providers || {}));
+  }
+
+  /**
+   * Provider instance by name, created on first use
+   */
+  getProvider(providerName) {
+    if (!this.providers.has(providerName)) {
+      const settings = this.config.providers[providerName];
+      if (!settings) {
+        throw new Error(`LLM provider "${providerName}" is not configured`);
+      }
+      this.providers.set(providerName, createProvider(providerName, settings));
+      this.logger.debug(`🔌 LLM provider ready: ${providerName} (${settings.type})`);
+    }
+    return this.providers.get(providerName);
+  }
+
+  /**
+   * Provider, API model name and settings for a model
+   * Settings combine the model's config entry with its registry limits (reasoning, maxOutputTokens).
+   * @param {string} modelName - Model as selected
+   * @returns {{provider: Object, providerName: string, model: string, settings: Object}}
+   */
+  resolve(modelName) {
+    const { providerName, model, settings } = resolveModel(this.config, modelName);
+    return {
+      provider: this.getProvider(providerName),
+      providerName,
+      model,
+      settings: { ...settings, reasoning: getModelInfo(modelName).reasoning }
+    };
+  }
+
+  /**
+   * Parameters the model's provider would send for a request
+   * @param {Object} request - { model, messages, maxTokens, temperature, topP, frequencyPenalty, presencePenalty }
+   * @returns {Object}
+   */
+  buildParameters(request) {
+    const { provider, model, settings } = this.resolve(request.model);
+    return provider.buildParameters({ ...request, model }, settings);
+  }
+
+  /**
+   * Run a chat request on the model's provider and record its usage and cost
+   * @param {Object} request - { model, messages, maxTokens, temperature, topP, frequencyPenalty, presencePenalty }
+   * @param {Object} context - What the call is for, stored with it: purpose (summary, chunk, revision,
+   *   report, comparison, prompt_test, model_test), guildId, videoId, channelId, channelName, reportKey
+   * @returns {Promise<{text: string, usage: Object|null, model: string, provider: string, cost: number|null}>}
+   */
+  async complete(request, context = {}) {
+    const { provider, providerName, model, settings } = this.resolve(request.model);
+    const startedAt = Date.now();
+    const result = await provider.complete({ ...request, model }, settings);
+    const cost = calculateCost(result.usage, this.getPrice(request.model, model));
+
+    await this.recordCall({
+      ...context,
+      provider: providerName,
+      model: request.model,
+      usage: result.usage,
+      cost,
+      latencyMs: Date.now() - startedAt
+    });
+    return { ...result, provider: providerName, cost };
+  }
+
+  /**
+   * Price of a model by the name it was selected as, then by the name sent to the API
+   * @returns {{input: number, output: number}|null} - USD per million tokens
+   */
+  getPrice(modelName, apiModel = modelName) {
+    const prices = this.config.prices || {};
+    return getModelPrice(modelName, prices) || getModelPrice(apiModel, prices);
+  }
+
+  /**
+   * Store a call in llm_calls and check the budget; failing to record doesn't fail the call
+   */
+  async recordCall(call) {
+    if (!this.database) {
+      return;
+    }
+    try {
+      await this.database.saveLLMCall(call);
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not record LLM call: ${error.message}`);
+      return;
+    }
+    try {
+      await this.budget?.refresh();
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not check the LLM budget: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check that the provider serving a model is reachable
+   * @param {string} modelName
+   */
+  async healthCheck(modelName) {
+    const { provider } = this.resolve(modelName);
+    await provider.healthCheck();
+  }
+
+  /**
+   * Provider and API name of a model, for display
+   * @returns {{provider: string, type: string, model: string}}
+   */
+  describeModel(modelName) {
+    const { providerName, model } = resolveModel(this.config, modelName);
+    return { provider: providerName, type: this.config.providers[providerName]?.type || 'unknown', model };
+  }
+
+  /**
+   * Models configured in LLM_CONFIG_FILE
+   * @returns {string[]}
+   */
+  getConfiguredModels() {
+    return Object.keys(this.config.models);
+  }
+}
+
+module.exports = LLMService;
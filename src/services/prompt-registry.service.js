@@ -0,0 +1,102 @@
+/**
+ * Prompt Registry - In-memory cache of the pinned prompt in each prompt channel
+ * Prompts are loaded once (on ready, or on first use) and refreshed from Discord events instead of
+ * fetching pinned messages for every video and report.
+ */
+
+class PromptRegistryService {
+  constructor(serviceManager, dependencies) {
+    this.serviceManager = serviceManager;
+    this.logger = serviceManager.logger;
+
+    // Channel ID -> { guildId, prompt }, prompt being { id, content } of the first pinned message or null
+    this.prompts = new Map();
+    // Channel ID -> pending fetch, so concurrent lookups share one REST call
+    this.loading = new Map();
+  }
+
+  /**
+   * The pinned prompt of a channel, from memory when it has been loaded before
+   * @param {import('discord.js').TextChannel} channel - Prompt channel
+   * @returns {Promise<{id: string, content: string}|null>} - First pinned message, or null when nothing is pinned
+   */
+  async getPinnedPrompt(channel) {
+    if (this.prompts.has(channel.id)) {
+      return this.prompts.get(channel.id).prompt;
+    }
+    return this.load(channel);
+  }
+
+  /**
+   * Fetch a channel's pinned messages and replace the cached prompt
+   * Fetch errors are thrown and leave the previous entry in place.
+   * @param {import('discord.js').TextChannel} channel - Prompt channel
+   * @returns {Promise<{id: string, content: string}|null>}
+   */
+  async load(channel) {
+    if (this.loading.has(channel.id)) {
+      return this.loading.get(channel.id);
+    }
+
+    const pending = (async () => {
+      try {
+        const pinnedMessages = await channel.messages.fetchPinned();
+        const first = pinnedMessages.first();
+        const prompt = first ? { id: first.id, content: first.content } : null;
+        this.prompts.set(channel.id, { guildId: channel.guildId, prompt });
+        this.logger.debug(`Loaded prompt from #${channel.name}: ${prompt ? `${prompt.content.length} chars` : 'nothing pinned'}`);
+        return prompt;
+      } finally {
+        this.loading.delete(channel.id);
+      }
+    })();
+
+    this.loading.set(channel.id, pending);
+    return pending;
+  }
+
+  /**
+   * Load the prompts of several channels, e.g. every prompt channel of a guild on startup
+   * @param {Array<import('discord.js').TextChannel>} channels - Prompt channels
+   * @returns {Promise<number>} - Number of channels loaded
+   */
+  async preload(channels) {
+    let loaded = 0;
+    for (const channel of channels) {
+      try {
+        await this.load(channel);
+        loaded++;
+      } catch (error) {
+        this.logger.warn(`Could not load prompt from #${channel.name}: ${error.message}`);
+      }
+    }
+    return loaded;
+  }
+
+  /**
+   * Whether a channel's prompt is held in memory
+   */
+  has(channelId) {
+    return this.prompts.has(channelId);
+  }
+
+  /**
+   * Forget a channel's prompt (deleted channel); the next lookup fetches it again
+   */
+  invalidate(channelId) {
+    this.prompts.delete(channelId);
+  }
+
+  /**
+   * Forget every prompt of a guild (the bot left it)
+   */
+  invalidateGuild(guildId) {
+    for (const [channelId, entry] of this.prompts) {
+      if (entry.guildId === guildId) {
+        this.prompts.delete(channelId);
+      }
+    }
+  }
+}
+
+module.exports = PromptRegistryService;
@@ -0,0 +1,182 @@
+/**
+ * Queue Service - Durable SQLite-backed video processing queue
+ * Jobs survive restarts, run with a concurrency limit and retry with exponential backoff
+ */
+
+const EventEmitter = require('events');
+
+class QueueService extends EventEmitter {
+  constructor(serviceManager, dependencies) {
+    super();
+    this.serviceManager = serviceManager;
+    this.database = dependencies.database;
+    this.logger = serviceManager.logger;
+    this.config = serviceManager.config.queue;
+
+    // Job handler is registered by the Discord service once the client is ready
+    this.handler = null;
+    this.running = new Set();
+    this.pollTimer = null;
+    this.draining = false;
+    this.drainRequested = false;
+    this.stopped = false;
+  }
+
+  async initialize() {
+    // Jobs that were mid-flight when the process died go back to pending
+    const resumed = await this.database.resetRunningJobs();
+    if (resumed > 0) {
+      this.logger.info(`Queue resumed ${resumed} unfinished job(s) from previous run`);
+    }
+
+    this.logger.info(`Queue service initialized (concurrency: ${this.config.concurrency}, max attempts: ${this.config.maxAttempts})`);
+  }
+
+  /**
+   * Register the function that processes a job and start draining
+   * @param {Function} handler - async (job) => void; throw to trigger a retry
+   */
+  start(handler) {
+    this.handler = handler;
+    this.stopped = false;
+
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => this.drain(), this.config.pollIntervalSeconds * 1000);
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Add a video job to the queue
+   * @returns {Promise<Object|null>} The created job, or null if it was already queued
+   */
+  async enqueue(job) {
+    const created = await this.database.createJob(job);
+
+    if (created) {
+      this.logger.info(`Queued job ${created.id} for video ${created.video_id}`);
+      this.drain();
+    } else {
+      this.logger.debug(`Job for video ${job.videoId} from message ${job.sourceMessageId} already queued`);
+    }
+
+    return created;
+  }
+
+  /**
+   * Persist progress so a retry or restart resumes from the right stage
+   * @param {Object} job - Job being processed (updated in place)
+   * @param {string} stage - Next stage to run (transcript, summary, posted)
+   * @param {Object} fields - Optional targetChannels / meta updates
+   */
+  async advance(job, stage, fields = {}) {
+    job.stage = stage;
+    if (fields.targetChannels !== undefined) job.target_channels = fields.targetChannels;
+    if (fields.meta !== undefined) job.meta = fields.meta;
+
+    await this.database.updateJob(job.id, { stage, ...fields });
+  }
+
+  /**
+   * Start due jobs until the concurrency limit is reached
+   */
+  async drain() {
+    if (!this.handler || this.stopped) return;
+    if (this.draining) {
+      this.drainRequested = true;
+      return;
+    }
+    this.draining = true;
+
+    try {
+      while (this.running.size < this.config.concurrency) {
+        const [job] = await this.database.getDueJobs(1);
+        if (!job) break;
+
+        await this.database.updateJob(job.id, { status: 'running', attempts: job.attempts + 1 });
+        job.status = 'running';
+        job.attempts += 1;
+
+        const execution = this.runJob(job).finally(() => {
+          this.running.delete(execution);
+          this.drain();
+        });
+        this.running.add(execution);
+      }
+    } catch (error) {
+      this.logger.error('Queue drain failed', error);
+    } finally {
+      this.draining = false;
+      if (this.drainRequested) {
+        this.drainRequested = false;
+        this.drain();
+      }
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome
+   */
+  async runJob(job) {
+    this.logger.info(`Running job ${job.id} for video ${job.video_id} (stage: ${job.stage}, attempt ${job.attempts}/${this.config.maxAttempts})`);
+
+    try {
+      await this.handler(job);
+
+      await this.database.updateJob(job.id, { status: 'completed', stage: 'posted', lastError: null });
+      job.status = 'completed';
+      job.stage = 'posted';
+      this.logger.info(`Job ${job.id} completed for video ${job.video_id}`);
+      this.emit('job:settled', job);
+    } catch (error) {
+      job.last_error = error.message;
+
+      if (job.attempts >= this.config.maxAttempts) {
+        await this.database.updateJob(job.id, { status: 'failed', lastError: error.message });
+        job.status = 'failed';
+        this.logger.error(`Job ${job.id} failed permanently after ${job.attempts} attempts`, error);
+        this.emit('job:settled', job);
+        return;
+      }
+
+      const delay = this.getRetryDelay(job.attempts);
+      await this.database.updateJob(job.id, {
+        status: 'pending',
+        lastError: error.message,
+        retryInSeconds: delay
+      });
+      job.status = 'pending';
+      this.logger.warn(`Job ${job.id} failed at stage ${job.stage}, retrying in ${delay}s: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exponential backoff: base * 2^(attempt - 1), capped at one hour
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.config.retryBaseDelaySeconds * Math.pow(2, attempts - 1), 3600);
+  }
+
+  async shutdown() {
+    this.stopped = true;
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    // Running jobs are reset to pending on next boot
+  }
+
+  async healthCheck() {
+    const stats = await this.database.getJobStats();
+    return {
+      status: 'ok',
+      active: this.running.size,
+      concurrency: this.config.concurrency,
+      pending: stats.pending,
+      failed: stats.failed
+    };
+  }
+}
+
+module.exports = QueueService;
@@ -2,6 +2,8 @@
  * Report Service - Daily report generation and management
  */
 
+const { formatCost, formatTokens } = require('../../utils/llm-pricing');
+
 class ReportService {
   constructor(serviceManager, dependencies) {
     this.serviceManager = serviceManager;
@@ -16,14 +18,15 @@ class ReportService {
     this.logger.info('Report service initialized with database support');
   }
 
-  async generateDailyReport() {
+  async generateDailyReport(guildId = null) {
     try {
-      this.logger.info('Generating daily report...');
+      this.logger.info(`Generating daily report${guildId ? ` for guild ${guildId}` : ''}...`);
       
       // Get summaries from the last 24 hours
-      const summaries = await this.getRecentSummaries();
+      const summaries = await this.getRecentSummaries(guildId);
       
       const today = new Date().toISOString().split('T')[0];
+      const reportKey = this.getReportCacheKey(`daily_report_${today}`, guildId);
       
       if (summaries.length === 0) {
         const emptyReportText = this.generateEmptyReport().data;
@@ -36,12 +39,12 @@ class ReportService {
         };
         
         // Cache the empty report
-        const reportKey = `daily_report_${today}`;
         await this.cache.set(reportKey, emptyReport);
         
         // Save to database
         if (this.database) {
           await this.database.saveDailyReport({
+            guildId,
             date: today,
             content: emptyReportText,
             summaryCount: 0
@@ -62,12 +65,12 @@ class ReportService {
       };
       
       // Cache the report
-      const reportKey = `daily_report_${today}`;
       const cacheSuccess = await this.cache.set(reportKey, reportData);
       
       // Save to database
       if (this.database) {
         await this.database.saveDailyReport({
+          guildId,
           date: today,
           content: report,
           summaryCount: summaries.length
@@ -154,14 +157,14 @@ class ReportService {
     }
   }
 
-  async getRecentSummaries() {
+  async getRecentSummaries(guildId = null) {
     try {
       console.log('🔍 Report Debug - Database-first approach:');
       
       // DATABASE-FIRST: Always check database first for recent summaries
       if (this.database) {
         console.log('� Checking database for recent summaries...');
-        const dbSummaries = await this.database.getRecentSummaries(72); // Temporarily using 72 hours to test with Oct 6th data
+        const dbSummaries = await this.database.getRecentSummaries(72, guildId); // Temporarily using 72 hours to test with Oct 6th data
         
         if (dbSummaries && dbSummaries.length > 0) {
           // Convert database format to expected format
@@ -170,6 +173,11 @@ class ReportService {
             videoTitle: row.title,
             summaryContent: row.content,
             videoUrl: row.url,
+            guildId: row.guild_id,
+            outputChannelId: row.output_channel_id,
+            outputChannelName: row.output_channel_name,
+            promptVersion: row.prompt_version,
+            promptChannelName: row.prompt_channel_name,
             timestamp: row.created_at
           }));
           
@@ -200,7 +208,8 @@ class ReportService {
       // Filter to last 24 hours
       const last24Hours = new Date(Date.now() - 24 * 60 * 60 * 1000);
       const filtered = allSummaries.filter(summary => {
-        return summary && summary.timestamp && new Date(summary.timestamp) >= last24Hours;
+        return summary && summary.timestamp && new Date(summary.timestamp) >= last24Hours &&
+          this.belongsToGuild(summary.guildId, guildId);
       });
       
       console.log(`📊 Cache filtered to ${filtered.length} recent summaries`);
@@ -291,7 +300,14 @@ class ReportService {
           videoTitle: summary.videoTitle,
           summaryContent: summary.summaryContent,
           videoUrl: summary.videoUrl,
-          promptType: summary.promptType || 'default'
+          promptType: summary.promptType || 'default',
+          guildId: summary.guildId,
+          outputChannelId: summary.outputChannelId,
+          outputChannelName: summary.outputChannelName,
+          promptHash: summary.promptHash,
+          promptVersionId: summary.promptVersionId,
+          model: summary.model,
+          postedBy: summary.postedBy
         });
         this.logger.info(`Summary saved to database: ${summary.videoId}`);
       }
@@ -310,15 +326,22 @@ class ReportService {
         todaySummaries = existingCache.data;
       }
       
-      // Add new summary
+      // Add new summary, replacing an earlier one for the same video and channel
       const newSummary = {
         videoId: summary.videoId,
         videoTitle: summary.videoTitle,
         summaryContent: summary.summaryContent,
         videoUrl: summary.videoUrl,
+        guildId: summary.guildId || null,
+        outputChannelId: summary.outputChannelId || '',
+        outputChannelName: summary.outputChannelName || null,
         timestamp: new Date().toISOString()
       };
       
+      todaySummaries = todaySummaries.filter(existing =>
+        existing.videoId !== newSummary.videoId ||
+        (existing.outputChannelId || '') !== newSummary.outputChannelId
+      );
       todaySummaries.push(newSummary);
       
       // Save in new standardized format
@@ -387,15 +410,23 @@ class ReportService {
       return emptyReport.data; // Return just the text, not the wrapper
     }
 
+    // A video summarized by several prompt channels is listed once with each channel's summary
+    const videos = this.groupSummariesByVideo(summaries);
+
     let reportText = `📅 **Daily Report - ${date}**\n\n`;
-    reportText += `📊 **${summaries.length} video${summaries.length !== 1 ? 's' : ''} processed today**\n\n`;
+    reportText += `📊 **${videos.length} video${videos.length !== 1 ? 's' : ''} processed today**\n\n`;
 
-    summaries.forEach((summary, index) => {
-      reportText += `**${index + 1}. ${summary.videoTitle || `Video ${summary.videoId}`}**\n`;
-      if (summary.videoUrl) {
-        reportText += `🔗 ${summary.videoUrl}\n`;
+    videos.forEach((videoSummaries, index) => {
+      const [first] = videoSummaries;
+      reportText += `**${index + 1}. ${first.videoTitle || `Video ${first.videoId}`}**\n`;
+      if (first.videoUrl) {
+        reportText += `🔗 ${first.videoUrl}\n`;
       }
-      reportText += `📝 ${summary.summaryContent}\n\n`;
+      videoSummaries.forEach(summary => {
+        const channelLabel = videoSummaries.length > 1 && summary.outputChannelName ? ` (#${summary.outputChannelName})` : '';
+        reportText += `📝${channelLabel} ${summary.summaryContent}\n`;
+      });
+      reportText += '\n';
     });
 
     reportText += `_Generated at ${new Date().toLocaleTimeString()}_`;
@@ -403,7 +434,11 @@ class ReportService {
     return reportText; // Return just the text
   }
 
-  async buildWeeklyReport(summaries, customPrompt) {
+  /**
+   * Weekly report text, written by the LLM when a custom prompt is given
+   * @param {Object} options - For custom prompts: the guild's model, and `context` for the recorded LLM call
+   */
+  async buildWeeklyReport(summaries, customPrompt, options = {}) {
     if (!summaries || summaries.length === 0) {
       return this.generateEmptyWeeklyReport().data;
     }
@@ -411,7 +446,7 @@ class ReportService {
     // If custom prompt provided, use AI to generate custom report
     if (customPrompt) {
       const summariesData = this.formatSummariesForAI(summaries);
-      return await this.summary.generateCustomReport(summariesData, customPrompt);
+      return await this.summary.generateCustomReport(summariesData, customPrompt, options);
     }
 
     // Default weekly report format
@@ -435,7 +470,11 @@ class ReportService {
     return reportText;
   }
 
-  async buildMonthlyReport(summaries, customPrompt) {
+  /**
+   * Monthly report text, written by the LLM when a custom prompt is given
+   * @param {Object} options - For custom prompts: the guild's model, and `context` for the recorded LLM call
+   */
+  async buildMonthlyReport(summaries, customPrompt, options = {}) {
     if (!summaries || summaries.length === 0) {
       return this.generateEmptyMonthlyReport().data;
     }
@@ -443,7 +482,7 @@ class ReportService {
     // If custom prompt provided, use AI to generate custom report
     if (customPrompt) {
       const summariesData = this.formatSummariesForAI(summaries);
-      return await this.summary.generateCustomReport(summariesData, customPrompt);
+      return await this.summary.generateCustomReport(summariesData, customPrompt, options);
     }
 
     // Default monthly report format
@@ -516,8 +555,23 @@ class ReportService {
       title: summary.videoTitle || 'Unknown Title',
       url: summary.videoUrl || '',
       summary: summary.summaryContent || '',
+      channel: summary.outputChannelName ? ` [#${summary.outputChannelName}]` : '',
       date: summary.timestamp ? new Date(summary.timestamp).toLocaleDateString() : 'Unknown date'
-    })).map(s => `**${s.title}** (${s.date})\n${s.url}\n${s.summary}\n`).join('\n---\n\n');
+    })).map(s => `**${s.title}**${s.channel} (${s.date})\n${s.url}\n${s.summary}\n`).join('\n---\n\n');
+  }
+
+  /**
+   * Group summaries by video, keeping first-seen order
+   * @returns {Array<Array<Object>>} One array of summaries per video
+   */
+  groupSummariesByVideo(summaries) {
+    const groups = new Map();
+    summaries.forEach(summary => {
+      const videoId = summary.videoId || summary.video_id;
+      if (!groups.has(videoId)) groups.set(videoId, []);
+      groups.get(videoId).push(summary);
+    });
+    return Array.from(groups.values());
   }
 
   groupSummariesByDay(summaries) {
@@ -549,6 +603,22 @@ class ReportService {
     return groups;
   }
 
+  /**
+   * Cache key of a guild's report, e.g. daily_report_2025-10-06_<guildId>
+   * Reports without a guild belong to the default guild, as in the report tables.
+   */
+  getReportCacheKey(reportKey, guildId = null) {
+    const reportGuildId = guildId || this.config.discord.guildId;
+    return reportGuildId ? `${reportKey}_${reportGuildId}` : reportKey;
+  }
+
+  /**
+   * Whether a cached summary belongs to a guild (entries without a guild predate multi-guild support)
+   */
+  belongsToGuild(summaryGuildId, guildId) {
+    return !guildId || (summaryGuildId || this.config.discord.guildId) === guildId;
+  }
+
   getWeekRange() {
     const now = new Date();
     const start = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
@@ -584,41 +654,32 @@ class ReportService {
   /**
    * Generate weekly report (Monday to Sunday)
    */
-  async generateWeeklyReport(weekOffset = 0) {
+  async generateWeeklyReport(weekOffset = 0, guildId = null) {
     try {
-      this.logger.info('Generating weekly report...');
-
-      // Calculate week start (Monday) and end (Sunday)
-      const now = new Date();
-      const currentDay = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
-      const mondayOffset = currentDay === 0 ? -6 : -(currentDay - 1); // Adjust to get Monday
-      
-      const weekStart = new Date(now);
-      weekStart.setDate(now.getDate() + mondayOffset - (weekOffset * 7));
-      weekStart.setHours(0, 0, 0, 0);
-
-      const weekEnd = new Date(weekStart);
-      weekEnd.setDate(weekStart.getDate() + 6);
-      weekEnd.setHours(23, 59, 59, 999);
+      this.logger.info(`Generating weekly report${guildId ? ` for guild ${guildId}` : ''}...`);
 
+      const { weekStart, weekEnd } = this.getWeekBounds(weekOffset);
       const weekStartStr = weekStart.toISOString().split('T')[0];
       const weekEndStr = weekEnd.toISOString().split('T')[0];
 
       // Get summaries for the week
-      const summaries = await this.getSummariesInDateRange(weekStart, weekEnd);
+      const summaries = await this.getSummariesInDateRange(weekStart, weekEnd, guildId);
       
       if (summaries.length === 0) {
         const emptyReport = this.generateEmptyWeeklyReport(weekStartStr, weekEndStr);
-        await this.saveWeeklyReport(weekStartStr, weekEndStr, emptyReport, 0, []);
+        await this.saveWeeklyReport(weekStartStr, weekEndStr, emptyReport, 0, [], guildId);
         return emptyReport;
       }
 
       // Analyze weekly data
       const weeklyAnalytics = this.analyzeWeeklyData(summaries);
-      const reportContent = await this.generateWeeklyReportContent(summaries, weeklyAnalytics, weekStartStr, weekEndStr);
+      const reportContent = await this.generateWeeklyReportContent(summaries, weeklyAnalytics, weekStartStr, weekEndStr, {
+        guildId,
+        reportKey: `weekly_report_${weekStartStr}`
+      });
 
       // Save to cache and database
-      await this.saveWeeklyReport(weekStartStr, weekEndStr, reportContent, summaries.length, weeklyAnalytics.topChannels);
+      await this.saveWeeklyReport(weekStartStr, weekEndStr, reportContent, summaries.length, weeklyAnalytics.topChannels, guildId);
 
       this.logger.info(`Weekly report generated and saved: ${weekStartStr} to ${weekEndStr}`);
       return reportContent;
@@ -632,32 +693,29 @@ class ReportService {
   /**
    * Generate monthly report
    */
-  async generateMonthlyReport(monthOffset = 0) {
+  async generateMonthlyReport(monthOffset = 0, guildId = null) {
     try {
-      this.logger.info('Generating monthly report...');
-
-      // Calculate month start and end
-      const now = new Date();
-      const targetMonth = new Date(now.getFullYear(), now.getMonth() - monthOffset, 1);
-      const monthStart = new Date(targetMonth.getFullYear(), targetMonth.getMonth(), 1);
-      const monthEnd = new Date(targetMonth.getFullYear(), targetMonth.getMonth() + 1, 0, 23, 59, 59, 999);
+      this.logger.info(`Generating monthly report${guildId ? ` for guild ${guildId}` : ''}...`);
 
+      const { monthStart, monthEnd } = this.getMonthBounds(monthOffset);
       const year = monthStart.getFullYear();
       const month = monthStart.getMonth() + 1;
       const monthName = monthStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+      const reportKey = `monthly_report_${year}-${month.toString().padStart(2, '0')}`;
 
       // Get summaries for the month
-      const summaries = await this.getSummariesInDateRange(monthStart, monthEnd);
+      const summaries = await this.getSummariesInDateRange(monthStart, monthEnd, guildId);
       
       if (summaries.length === 0) {
-        const emptyReport = this.generateEmptyMonthlyReport(monthName);
-        await this.saveMonthlyReport(year, month, monthName, emptyReport, 0, [], 0, {});
+        const emptyReport = this.generateEmptyMonthlyReport(monthName) + await this.getCostLine(monthStart, monthEnd, guildId);
+        await this.saveMonthlyReport(year, month, monthName, emptyReport, 0, [], 0, {}, guildId);
         return emptyReport;
       }
 
       // Analyze monthly data
       const monthlyAnalytics = this.analyzeMonthlyData(summaries, monthStart, monthEnd);
-      const reportContent = await this.generateMonthlyReportContent(summaries, monthlyAnalytics, monthName);
+      const reportContent = await this.generateMonthlyReportContent(summaries, monthlyAnalytics, monthName, { guildId, reportKey }) +
+        await this.getCostLine(monthStart, monthEnd, guildId);
 
       // Save to cache and database
       await this.saveMonthlyReport(
@@ -668,7 +726,8 @@ class ReportService {
         summaries.length, 
         monthlyAnalytics.topChannels,
         monthlyAnalytics.dailyAverage,
-        monthlyAnalytics.weeklyBreakdown
+        monthlyAnalytics.weeklyBreakdown,
+        guildId
       );
 
       this.logger.info(`Monthly report generated and saved: ${monthName}`);
@@ -681,17 +740,87 @@ class ReportService {
   }
 
   /**
-   * Get summaries within a date range
+   * Start (Monday 00:00) and end (Sunday 23:59) of the current week, or of an earlier one
+   * @param {number} weekOffset - Weeks back from the current week
    */
-  async getSummariesInDateRange(startDate, endDate) {
+  getWeekBounds(weekOffset = 0) {
+    const now = new Date();
+    const currentDay = now.getDay(); // 0 = Sunday, 1 = Monday, etc.
+    const mondayOffset = currentDay === 0 ? -6 : -(currentDay - 1); // Adjust to get Monday
+
+    const weekStart = new Date(now);
+    weekStart.setDate(now.getDate() + mondayOffset - (weekOffset * 7));
+    weekStart.setHours(0, 0, 0, 0);
+
+    const weekEnd = new Date(weekStart);
+    weekEnd.setDate(weekStart.getDate() + 6);
+    weekEnd.setHours(23, 59, 59, 999);
+
+    return { weekStart, weekEnd };
+  }
+
+  /**
+   * First and last moment of the current month, or of an earlier one
+   * @param {number} monthOffset - Months back from the current month
+   */
+  getMonthBounds(monthOffset = 0) {
+    const now = new Date();
+    const targetMonth = new Date(now.getFullYear(), now.getMonth() - monthOffset, 1);
+    const monthStart = new Date(targetMonth.getFullYear(), targetMonth.getMonth(), 1);
+    const monthEnd = new Date(targetMonth.getFullYear(), targetMonth.getMonth() + 1, 0, 23, 59, 59, 999);
+
+    return { monthStart, monthEnd };
+  }
+
+  /**
+   * LLM cost line for a report: cost, calls and tokens of the guild's LLM calls in a period
+   * @param {Date} start - Start of the period
+   * @param {Date} end - End of the period (inclusive)
+   * @param {string|null} guildId - Guild, or null for every guild
+   * @returns {Promise<string>} - Line to append to the report, or '' when nothing was recorded
+   */
+  async getCostLine(start, end, guildId = null) {
+    if (!this.database?.getLLMUsage) {
+      return '';
+    }
+    const [usage] = await this.database.getLLMUsage(start, new Date(end.getTime() + 1), { guildId });
+    if (!usage || !usage.calls) {
+      return '';
+    }
+    const tokens = (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    const unpriced = usage.unpriced_calls ? ` - ${usage.unpriced_calls} call(s) without a price not included` : '';
+    return `\n\n💰 **LLM cost**: ${formatCost(usage.cost || 0)} (${usage.calls} calls, ${formatTokens(tokens)} tokens${unpriced})`;
+  }
+
+  /**
+   * Most summarized YouTube channels among a set of summaries, from video_metadata
+   * @param {Array<Object>} summaries - Summary rows (video_id) or cache entries (videoId)
+   * @param {number} limit - Maximum number of creators
+   * @returns {Promise<Array<{creator: string, videos: number}>>}
+   */
+  async getTopCreators(summaries, limit = 5) {
+    const videoIds = [...new Set(summaries.map(summary => summary.video_id || summary.videoId).filter(Boolean))];
+    if (!this.database || videoIds.length === 0) {
+      return [];
+    }
+    return await this.database.getTopCreators(videoIds, limit);
+  }
+
+  /**
+   * Get summaries within a date range, optionally only those posted in one guild
+   */
+  async getSummariesInDateRange(startDate, endDate, guildId = null) {
     try {
       // Try database first
       if (this.database) {
         const dbSummaries = await this.database.getAllQuery(`
-          SELECT * FROM summaries 
-          WHERE created_at >= ? AND created_at <= ?
-          ORDER BY created_at DESC
-        `, [startDate.toISOString(), endDate.toISOString()]);
+          SELECT s.*, pv.version AS prompt_version, pv.channel_name AS prompt_channel_name
+          FROM summaries s
+          LEFT JOIN prompt_versions pv ON pv.id = s.prompt_version_id
+          WHERE s.created_at >= ? AND s.created_at <= ?
+          ${guildId ? 'AND s.guild_id = ?' : ''}
+          ORDER BY s.created_at DESC
+        `, [startDate.toISOString(), endDate.toISOString(), ...(guildId ? [guildId] : [])]);
         
         if (dbSummaries && dbSummaries.length > 0) {
           return dbSummaries;
@@ -699,7 +828,8 @@ class ReportService {
       }
 
       // Fallback to cache scanning
-      return await this.scanCacheForDateRange(startDate, endDate);
+      const cached = await this.scanCacheForDateRange(startDate, endDate);
+      return cached.filter(summary => this.belongsToGuild(summary.guildId, guildId));
     } catch (error) {
       this.logger.error('Error getting summaries in date range:', error);
       return [];
@@ -737,7 +867,7 @@ class ReportService {
     return {
       topChannels,
       dailyBreakdown: dailyCount,
-      totalVideos: summaries.length,
+      totalVideos: this.groupSummariesByVideo(summaries).length,
       avgPerDay: Math.round(summaries.length / 7 * 10) / 10,
       topTopics: [...new Set(topics)].slice(0, 10)
     };
@@ -779,8 +909,9 @@ class ReportService {
 
   /**
    * Generate weekly report content
+   * @param {Object} context - For the recorded LLM call (guildId, reportKey)
    */
-  async generateWeeklyReportContent(summaries, analytics, weekStart, weekEnd) {
+  async generateWeeklyReportContent(summaries, analytics, weekStart, weekEnd, context = {}) {
     const prompt = await this.loadPrompt('weekly-report-prompt');
     
     const reportData = {
@@ -800,7 +931,8 @@ class ReportService {
           JSON.stringify(reportData, null, 2),
           `Weekly Report: ${weekStart} to ${weekEnd}`,
           null,
-          prompt
+          prompt,
+          { context: { purpose: 'report', ...context } }
         );
         return aiReport.summary || this.generateWeeklyTemplate(reportData);
       } catch (error) {
@@ -814,8 +946,9 @@ class ReportService {
 
   /**
    * Generate monthly report content
+   * @param {Object} context - For the recorded LLM call (guildId, reportKey)
    */
-  async generateMonthlyReportContent(summaries, analytics, monthName) {
+  async generateMonthlyReportContent(summaries, analytics, monthName, context = {}) {
     const prompt = await this.loadPrompt('monthly-report-prompt');
     
     const reportData = {
@@ -835,7 +968,8 @@ class ReportService {
           JSON.stringify(reportData, null, 2),
           `Monthly Report: ${monthName}`,
           null,
-          prompt
+          prompt,
+          { context: { purpose: 'report', ...context } }
         );
         return aiReport.summary || this.generateMonthlyTemplate(reportData);
       } catch (error) {
@@ -849,11 +983,13 @@ class ReportService {
 
   /**
    * Save weekly report
+   * @param {string|null} guildId - Guild the report is for (null = default guild)
    */
-  async saveWeeklyReport(weekStart, weekEnd, content, summaryCount, topChannels) {
-    const reportKey = `weekly_report_${weekStart}`;
+  async saveWeeklyReport(weekStart, weekEnd, content, summaryCount, topChannels, guildId = null) {
+    const reportKey = this.getReportCacheKey(`weekly_report_${weekStart}`, guildId);
     
     const report = {
+      guildId,
       weekStart,
       weekEnd,
       content,
@@ -870,6 +1006,7 @@ class ReportService {
     // Save to database
     if (this.database) {
       await this.database.saveWeeklyReport({
+        guildId,
         weekStart,
         weekEnd,
         content,
@@ -885,11 +1022,13 @@ class ReportService {
 
   /**
    * Save monthly report
+   * @param {string|null} guildId - Guild the report is for (null = default guild)
    */
-  async saveMonthlyReport(year, month, monthName, content, summaryCount, topChannels, dailyAverage, weeklyBreakdown) {
-    const reportKey = `monthly_report_${year}-${month.toString().padStart(2, '0')}`;
+  async saveMonthlyReport(year, month, monthName, content, summaryCount, topChannels, dailyAverage, weeklyBreakdown, guildId = null) {
+    const reportKey = this.getReportCacheKey(`monthly_report_${year}-${month.toString().padStart(2, '0')}`, guildId);
     
     const report = {
+      guildId,
       year,
       month,
       monthName,
@@ -908,6 +1047,7 @@ class ReportService {
     // Save to database
     if (this.database) {
       await this.database.saveMonthlyReport({
+        guildId,
         year,
         month,
         monthName,
@@ -2,7 +2,56 @@
  * Summary Service - AI-powered content summarization
  */
 
-const { OpenAI } = require('openai');
+const LLMService = require('./llm.service');
+const { OpenAIProvider } = require('../providers');
+const { renderPromptTemplate } = require('../../utils/prompt-template');
+const { splitTranscriptIntoChunks } = require('../../utils/transcript-chunks');
+const { getModelInfo } = require('../../utils/model-registry');
+const { countTokens, countMessageTokens, tokenCounterFor } = require('../../utils/tokenizer');
+
+// Largest chunk for map-reduce summaries, so each part gets detailed notes even on large-context models
+const MAX_CHUNK_TOKENS = 12000;
+// Rounds of condensing the chunk notes again when they still don't fit the context window
+const MAX_REDUCE_ROUNDS = 3;
+// Smallest transcript budget worth sending; below this the prompt itself fills the context window
+const MIN_TRANSCRIPT_TOKENS = 500;
+// Introduces the combined chunk notes in place of the transcript
+const NOTES_HEADER = 'Notes on the transcript, taken part by part:\n\n';
+
+/**
+ * Add a response's token usage to a running total
+ */
+function addUsage(total, usage) {
+  if (!usage) {
+    return total;
+  }
+  return {
+    prompt_tokens: (total?.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens: (total?.completion_tokens || 0) + (usage.completion_tokens || 0),
+    total_tokens: (total?.total_tokens || 0) + (usage.total_tokens || 0)
+  };
+}
+
+/**
+ * Add a call's cost to a running total; the total is unknown (null) once any call's cost is
+ */
+function addCost(total, cost) {
+  return total === null || cost === null || cost === undefined ? null : total + cost;
+}
+
+/**
+ * Pass a progress update to the caller's callback; a failing callback is logged and doesn't fail the summary
+ */
+async function notifyProgress(onProgress, progress, logger) {
+  if (!onProgress) {
+    return;
+  }
+  try {
+    await onProgress(progress);
+  } catch (error) {
+    logger.warn(`⚠️ Summary progress callback failed: ${error.message}`);
+  }
+}
 
 class SummaryService {
   constructor(serviceManager, dependencies) {
@@ -14,59 +63,106 @@ class SummaryService {
     this.logger = serviceManager.logger;
       this.cache = dependencies?.cache;
     
-      // Initialize OpenAI client
-    this.openai = new OpenAI({
-      apiKey: this.config.apiKey
-    });
+      // LLM calls go to the provider configured for each model
+      this.llm = dependencies?.llm || new LLMService(serviceManager, { database: dependencies?.database });
     } else {
       // Legacy direct initialization (for backward compatibility)
       this.config = serviceManager; // First param is actually config
-      this.openai = dependencies; // Second param is actually openai client
       this.logger = console;
       this.cache = null;
+      // Second param is actually an OpenAI client, used as the default provider
+      this.llm = new LLMService({ logger: console }, {
+        providers: { openai: new OpenAIProvider('openai', { apiKey: this.config.apiKey }, dependencies) }
+      });
     }
   }
 
-  // Helper method to get the correct parameters based on model
-  getModelParameters(temperature = 0.3) {
-    const model = this.config.model.toLowerCase();
-    const params = {};
-    
-    // GPT-5 and o1/o3 models use max_completion_tokens and don't support custom temperature
-    if (model.includes('gpt-5') || model.includes('o1') || model.includes('o3')) {
-      // These models need more tokens for reasoning
-      const minTokens = model.includes('gpt-5') ? 1000 : 500;
-      params.max_completion_tokens = Math.max(this.config.maxTokens, minTokens);
-      // These models use default temperature only (reasoning models)
-    } else {
-      // Other models use max_tokens and support custom temperature
-      params.max_tokens = this.config.maxTokens;
-      params.temperature = temperature;
-    }
-    
+  // Helper method to get the parameters a model's provider is sent (see src/providers)
+  getModelParameters(temperature = 0.3, modelName = this.config.model) {
+    // Reasoning models (GPT-5, o-series) get max_completion_tokens and no custom temperature
+    const { model, messages, ...params } = this.llm.buildParameters({
+      model: modelName,
+      messages: [],
+      maxTokens: this.getOutputTokens(modelName),
+      temperature
+    });
     return params;
   }
 
+  /**
+   * Run a chat request on the model's provider, with the output tokens for that model
+   * @param {string} modelName - Model as selected
+   * @param {Array<{role: string, content: string}>} messages
+   * @param {number} temperature - Ignored by reasoning models
+   * @param {Object} sampling - Optional topP, frequencyPenalty and presencePenalty
+   * @param {Object} context - What the call is for, recorded with its cost (see LLMService.complete)
+   * @returns {Promise<{text: string, usage: Object|null, model: string, provider: string, cost: number|null}>}
+   */
+  async complete(modelName, messages, temperature = 0.3, sampling = {}, context = {}) {
+    return this.llm.complete({
+      model: modelName,
+      messages,
+      maxTokens: this.getOutputTokens(modelName),
+      temperature,
+      ...sampling
+    }, context);
+  }
+
+  /**
+   * Output tokens requested from a model: the configured max tokens, raised to the floor reasoning
+   * models need and capped at what the model can generate
+   * @param {string} modelName - Model the request goes to
+   * @returns {number}
+   */
+  getOutputTokens(modelName = this.config.model) {
+    const { maxOutputTokens, minOutputTokens } = getModelInfo(modelName);
+    return Math.min(Math.max(this.config.maxTokens, minOutputTokens), maxOutputTokens);
+  }
+
   async initialize() {
-    // Test OpenAI connection
+    // Test the connection to the default model's provider
     try {
-      if (this.openai) {
-      await this.openai.models.list();
-      this.logger.info('Summary service initialized with OpenAI');
-      } else {
-        throw new Error('OpenAI client not initialized');
-      }
+      await this.llm.healthCheck(this.config.model);
+      this.logger.info(`Summary service initialized with ${this.llm.describeModel(this.config.model).provider}`);
     } catch (error) {
-      this.logger.error('OpenAI initialization failed', error);
+      this.logger.error('LLM provider initialization failed', error);
       throw error;
     }
   }
 
+  /**
+   * Tokens left for the transcript in a request: the model's context window minus the output
+   * reservation, the prompt sent along with the transcript and the chat format's message overhead
+   * @param {string} modelName - Model the request goes to
+   * @param {string} promptText - Prompt sent with the transcript (rendered, without the transcript)
+   * @returns {number}
+   */
+  getTranscriptBudget(modelName = this.config.model, promptText = '') {
+    const { contextWindow } = getModelInfo(modelName);
+    const promptTokens = countMessageTokens([
+      { role: 'system', content: promptText },
+      { role: 'user', content: '' }
+    ], modelName);
+    return Math.max(0, contextWindow - this.getOutputTokens(modelName) - promptTokens);
+  }
+
+  /**
+   * Basic transcript preprocessing: drop bracketed annotations ([Music], (applause)) and blank lines
+   */
+  cleanTranscript(transcript) {
+    return transcript
+      .replace(/\[.*?\]/g, '')  // Remove brackets
+      .replace(/\(.*?\)/g, '')  // Remove parentheses
+      .replace(/\n{2,}/g, '\n')  // Normalize newlines
+      .trim();
+  }
+
   /**
    * Intelligently truncate transcript for better AI processing
    * Takes into account model-specific context windows
    * @param {string} transcript - Full video transcript
-   * @param {Object} options - Truncation options
+   * @param {Object} options - Truncation options, `model` (whose tokenizer and context window apply)
+   *   and `maxInputTokens` (the transcript budget; defaults to the window without a prompt)
    * @returns {string} Optimized transcript
    */
   optimizeTranscriptContext(transcript, options = {}) {
@@ -75,48 +171,32 @@ class SummaryService {
       minSectionLength = 50,
       maxSections = 10
     } = options;
+    const model = options.model || this.config.model;
 
-    // Determine max INPUT tokens based on model (context window)
-    // Leave room for system prompt, output, etc.
-    const model = this.config.model.toLowerCase();
-    let maxInputTokens;
-    
-    if (model.includes('gpt-5')) {
-      maxInputTokens = 110000; // GPT-5 has 128K context, use 110K for input (reserve space for output)
-    } else if (model.includes('gpt-4-turbo') || model.includes('gpt-4o')) {
-      maxInputTokens = 110000; // GPT-4 Turbo/4o also have 128K context
-    } else if (model.includes('gpt-4')) {
-      maxInputTokens = 6000; // GPT-4 has 8K context, use 6K for input
-    } else if (model.includes('o1') || model.includes('o3')) {
-      maxInputTokens = 90000; // o1/o3 models have 128K context, reserve more for reasoning
-    } else {
-      maxInputTokens = 3000; // Conservative default for older models
-    }
+    // Determine max INPUT tokens based on model (context window, output and prompt reserved)
+    const maxInputTokens = options.maxInputTokens ?? this.getTranscriptBudget(model);
 
-    // Basic preprocessing
-    const cleanedTranscript = transcript
-      .replace(/\[.*?\]/g, '')  // Remove brackets
-      .replace(/\(.*?\)/g, '')  // Remove parentheses
-      .replace(/\n{2,}/g, '\n')  // Normalize newlines
-      .trim();
+    const cleanedTranscript = this.cleanTranscript(transcript);
 
-    // Rough token estimation: ~4 characters per token
-    const estimatedTokens = Math.ceil(cleanedTranscript.length / 4);
+    // Count with the model's tokenizer
+    const transcriptTokens = countTokens(cleanedTranscript, model);
     
     // If transcript fits in context window, return as-is
-    if (estimatedTokens <= maxInputTokens) {
-      this.logger.debug(`Transcript fits in context window: ${estimatedTokens} tokens (max input: ${maxInputTokens})`);
+    if (transcriptTokens <= maxInputTokens) {
+      this.logger.debug(`Transcript fits in context window: ${transcriptTokens} tokens (max input: ${maxInputTokens})`);
       return cleanedTranscript;
     }
 
     // If transcript is too large, apply extraction strategy
-    this.logger.warn(`⚠️  Transcript too large (${estimatedTokens} tokens), applying ${extractionStrategy} strategy (max input: ${maxInputTokens} tokens)`);
+    this.logger.warn(`⚠️  Transcript too large (${transcriptTokens} tokens), applying ${extractionStrategy} strategy (max input: ${maxInputTokens} tokens)`);
+
+    // Characters to keep, from this transcript's own characters-per-token ratio (90% to leave room for the cut markers)
+    const targetChars = Math.floor(maxInputTokens * (cleanedTranscript.length / transcriptTokens) * 0.9);
 
     // Strategy-based extraction
     switch (extractionStrategy) {
       case 'smart': {
         // Smart extraction: beginning + middle + end (capture intro, main content, conclusion)
-        const targetChars = maxInputTokens * 4 * 0.85; // 85% of max to be safe
         const chunkSize = Math.floor(targetChars / 3);
         
         const beginning = cleanedTranscript.substring(0, chunkSize);
@@ -124,8 +204,9 @@ class SummaryService {
         const middle = cleanedTranscript.substring(middleStart, middleStart + chunkSize);
         const end = cleanedTranscript.substring(cleanedTranscript.length - chunkSize);
         
-        this.logger.info(`📝 Applied smart extraction: ${Math.ceil(targetChars/4)} tokens (from ${estimatedTokens} tokens)`);
-        return `${beginning}\n\n[... middle content ...]\n\n${middle}\n\n[... later content ...]\n\n${end}`;
+        const result = `${beginning}\n\n[... middle content ...]\n\n${middle}\n\n[... later content ...]\n\n${end}`;
+        this.logger.info(`📝 Applied smart extraction: ${countTokens(result, model)} tokens (from ${transcriptTokens} tokens)`);
+        return result;
       }
 
       case 'key_sections': {
@@ -139,27 +220,93 @@ class SummaryService {
           .sort((a, b) => cleanedTranscript.indexOf(a) - cleanedTranscript.indexOf(b));
 
         const result = selectedSections.join('\n');
-        this.logger.info(`📝 Applied key sections extraction: ${Math.ceil(result.length/4)} tokens (from ${estimatedTokens} tokens)`);
+        this.logger.info(`📝 Applied key sections extraction: ${countTokens(result, model)} tokens (from ${transcriptTokens} tokens)`);
         return result;
       }
 
       case 'truncate': {
         // Simple truncation to max tokens
-        const targetChars = maxInputTokens * 4 * 0.85;
         const result = cleanedTranscript.substring(0, targetChars);
-        this.logger.info(`📝 Applied truncation: ${Math.ceil(result.length/4)} tokens (from ${estimatedTokens} tokens)`);
+        this.logger.info(`📝 Applied truncation: ${countTokens(result, model)} tokens (from ${transcriptTokens} tokens)`);
         return result;
       }
 
       default:
         // Default: use beginning and end
-        const targetChars = maxInputTokens * 4 * 0.85;
         const halfChars = Math.floor(targetChars / 2);
         const beginning = cleanedTranscript.substring(0, halfChars);
         const end = cleanedTranscript.substring(cleanedTranscript.length - halfChars);
-        this.logger.info(`📝 Applied beginning+end extraction: ${Math.ceil(targetChars/4)} tokens (from ${estimatedTokens} tokens)`);
-        return `${beginning}\n\n[... content omitted ...]\n\n${end}`;
+        const result = `${beginning}\n\n[... content omitted ...]\n\n${end}`;
+        this.logger.info(`📝 Applied beginning+end extraction: ${countTokens(result, model)} tokens (from ${transcriptTokens} tokens)`);
+        return result;
+    }
+  }
+
+  /**
+   * Map step of chunked summaries: take notes on each part of a long transcript
+   * Parts are summarized one after the other (to stay clear of rate limits); notes that still
+   * exceed the context window are split and condensed again, up to MAX_REDUCE_ROUNDS rounds.
+   * @param {string} transcript - Cleaned transcript
+   * @param {string} videoTitle - Video title, for context
+   * @param {Object} options - model, maxInputTokens (budget for the combined notes),
+   *   onProgress({stage: 'chunks', round, done, total}) and the call `context` to record
+   * @returns {Promise<{notes: string, chunks: number, usage: Object|null, cost: number|null}>} - Combined notes,
+   *   number of transcript chunks and the token usage and cost of all calls
+   */
+  async summarizeInChunks(transcript, videoTitle, options = {}) {
+    const { model, maxInputTokens, onProgress, context = {} } = options;
+    const countChunkTokens = tokenCounterFor(model);
+    const chunkTokens = Math.min(
+      MAX_CHUNK_TOKENS,
+      this.getTranscriptBudget(model, this.buildChunkNotesPrompt(videoTitle, 999, 999, 'the notes on the transcript'))
+    );
+    let text = transcript;
+    let transcriptChunks = 0;
+    let usage = null;
+    let cost = 0;
+
+    for (let round = 1; round <= MAX_REDUCE_ROUNDS; round++) {
+      const chunks = splitTranscriptIntoChunks(text, chunkTokens, countChunkTokens);
+      if (round === 1) {
+        transcriptChunks = chunks.length;
+      }
+      this.logger.info(`📚 Summarizing "${videoTitle}" in ${chunks.length} chunk(s) of up to ${chunkTokens} tokens (round ${round})`);
+
+      const source = round === 1 ? 'the transcript' : 'the notes on the transcript';
+      const notes = [];
+      for (const [index, chunk] of chunks.entries()) {
+        const response = await this.complete(model, [
+          { role: 'system', content: this.buildChunkNotesPrompt(videoTitle, index + 1, chunks.length, source) },
+          { role: 'user', content: chunk }
+        ], 0.2, {}, { ...context, purpose: 'chunk' });
+        usage = addUsage(usage, response.usage);
+        cost = addCost(cost, response.cost);
+        notes.push(`Part ${index + 1} of ${chunks.length}:\n${response.text}`);
+        await notifyProgress(onProgress, { stage: 'chunks', round, done: index + 1, total: chunks.length }, this.logger);
+      }
+
+      text = notes.join('\n\n');
+      if (countChunkTokens(text) <= maxInputTokens) {
+        break;
+      }
+      if (round === MAX_REDUCE_ROUNDS) {
+        this.logger.warn(`⚠️  Chunk notes for "${videoTitle}" still exceed ${maxInputTokens} tokens after ${round} rounds`);
+      }
     }
+
+    return { notes: text, chunks: transcriptChunks, usage, cost };
+  }
+
+  /**
+   * System prompt for taking notes on one chunk of a transcript (or of earlier notes)
+   */
+  buildChunkNotesPrompt(videoTitle, part, total, source) {
+    return `You are taking notes on part ${part} of ${total} of ${source} of "${videoTitle}". ` +
+      'Your notes will be combined with the notes on the other parts and summarized afterwards.\n\n' +
+      '- Cover everything this part discusses, in order: topics, key points, arguments, examples\n' +
+      '- Keep names, numbers, dates, products and notable quotes\n' +
+      '- Write concise bullet points in the language of the text\n' +
+      '- Do NOT add information that is not in this part';
   }
 
   /**
@@ -226,44 +373,93 @@ CRITICAL CONSTRAINTS:
    * @param {string} videoTitle - Video title
    * @param {string} videoUrl - Video URL
    * @param {string} customPrompt - Optional custom prompt
+   * @param {Object} options - Optional overrides: model (e.g. the guild's model), the prompt's
+   *   front-matter options temperature, language, maxLength (characters) and strategy, `variables`
+   *   for the custom prompt's {{placeholders}} (title, url and transcript are filled in here) and
+   *   `onProgress` for chunked summaries ({stage: 'chunks', round, done, total}, then {stage: 'combining'}),
+   *   `chunkNotes`, a Map that keeps chunk notes per model for other summaries of the same transcript,
+   *   and `context` for the recorded LLM calls (purpose, guildId, videoId, channelId, channelName, reportKey)
    * @returns {Promise<string>} Generated summary
    */
-  async generateSummary(transcript, videoTitle, videoUrl, customPrompt = null) {
+  async generateSummary(transcript, videoTitle, videoUrl, customPrompt = null, options = {}) {
+    const modelName = options.model || this.config.model;
     try {
-      // Optimize transcript context
-      const optimizedTranscript = this.optimizeTranscriptContext(transcript);
-
       // Determine prompt strategy
-      const systemPrompt = customPrompt || this.generateAdvancedSystemPrompt(videoTitle, {
+      const basePrompt = customPrompt || this.generateAdvancedSystemPrompt(videoTitle, {
         tone: 'professional',
         detailLevel: 'comprehensive',
         outputFormat: 'markdown'
       });
+      const systemPrompt = basePrompt + this.buildOutputConstraints(options);
+
+      // Fill in the custom prompt's {{placeholders}}; a prompt that places {{transcript}} itself
+      // is sent as a single message instead of being followed by the transcript
+      const renderPrompt = (transcriptText) => customPrompt
+        ? renderPromptTemplate(systemPrompt, {
+          title: videoTitle,
+          url: videoUrl,
+          ...options.variables,
+          transcript: transcriptText
+        })
+        : { text: systemPrompt, used: [] };
+
+      // What's left of the context window for the transcript once the prompt and output are reserved
+      const budget = this.getTranscriptBudget(modelName, renderPrompt('').text);
+      if (budget < MIN_TRANSCRIPT_TOKENS) {
+        throw new Error(`The prompt leaves only ${budget} tokens for the transcript in ${modelName}'s context window`);
+      }
 
-      // Build request parameters using the configured model
-      const requestParams = {
-        model: this.config.model,  // Use configured model (supports GPT-5, GPT-4, etc.)
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: optimizedTranscript }
-        ],
-        ...this.getModelParameters(0.3)  // Use helper for correct parameters based on model
-      };
-
-      // Add optional parameters for non-reasoning models (GPT-4, GPT-4-turbo, etc.)
-      const model = this.config.model.toLowerCase();
-      if (!model.includes('gpt-5') && !model.includes('o1') && !model.includes('o3')) {
-        requestParams.top_p = 0.8;
-        requestParams.frequency_penalty = 0.2;
-        requestParams.presence_penalty = 0.1;
+      // Transcripts over the budget (or any, with `strategy: chunked`) are summarized in chunks first,
+      // and the prompt runs over the combined notes; `strategy: extract` keeps the beginning, middle
+      // and end instead
+      const strategy = options.strategy || 'auto';
+      const cleanedTranscript = this.cleanTranscript(transcript);
+      const chunked = strategy === 'chunked' ||
+        (strategy === 'auto' && countTokens(cleanedTranscript, modelName) > budget);
+
+      let chunkResult = null;
+      let optimizedTranscript;
+      if (chunked) {
+        const notesBudget = budget - countTokens(NOTES_HEADER, modelName);
+        const sharedNotes = options.chunkNotes?.get(modelName);
+        if (sharedNotes) {
+          // Taken for an earlier summary of this transcript; their calls are already paid for
+          this.logger.info(`📚 Reusing chunk notes on "${videoTitle}" from ${modelName}`);
+          chunkResult = { ...sharedNotes, usage: null, cost: 0 };
+        } else {
+          chunkResult = await this.summarizeInChunks(cleanedTranscript, videoTitle, {
+            model: modelName,
+            maxInputTokens: notesBudget,
+            onProgress: options.onProgress,
+            context: options.context
+          });
+          options.chunkNotes?.set(modelName, chunkResult);
+        }
+        await notifyProgress(options.onProgress, { stage: 'combining' }, this.logger);
+        optimizedTranscript = NOTES_HEADER +
+          this.optimizeTranscriptContext(chunkResult.notes, { model: modelName, maxInputTokens: notesBudget });
+      } else {
+        optimizedTranscript = this.optimizeTranscriptContext(transcript, { model: modelName, maxInputTokens: budget });
       }
 
-      this.logger.info(`Generating summary with model: ${this.config.model}`);
+      const rendered = renderPrompt(optimizedTranscript);
+      const messages = rendered.used.includes('transcript')
+        ? [{ role: 'user', content: rendered.text }]
+        : [
+          { role: 'system', content: rendered.text },
+          { role: 'user', content: optimizedTranscript }
+        ];
+
+      this.logger.info(`Generating summary with model: ${modelName}`);
 
-      // Call OpenAI with proper parameters
-      const summaryResponse = await this.openai.chat.completions.create(requestParams);
+      // The provider maps these to its own parameters; reasoning models skip temperature and sampling
+      const summaryResponse = await this.complete(modelName, messages, options.temperature ?? 0.3, {
+        topP: 0.8,
+        frequencyPenalty: 0.2,
+        presencePenalty: 0.1
+      }, { purpose: 'summary', ...options.context });
 
-      const summary = summaryResponse.choices[0].message.content.trim();
+      const summary = summaryResponse.text;
 
       // Optional: Add quality scoring/validation
       const qualityScore = this.evaluateSummaryQuality(summary, optimizedTranscript);
@@ -272,10 +468,53 @@ CRITICAL CONSTRAINTS:
         summary,
         qualityScore,
         videoTitle,
-        videoUrl
+        videoUrl,
+        model: modelName,
+        promptHash: this.hashString(systemPrompt),
+        usage: chunkResult ? addUsage(chunkResult.usage, summaryResponse.usage) : summaryResponse.usage || null,
+        cost: chunkResult ? addCost(chunkResult.cost, summaryResponse.cost) : summaryResponse.cost,
+        chunks: chunkResult ? chunkResult.chunks : null
       };
     } catch (error) {
-      this.logger.error(`Summary generation failed with ${this.config.model}`, error);
+      this.logger.error(`Summary generation failed with ${modelName}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extra system prompt instructions for a prompt's language and max_length options
+   * @param {Object} options - Front-matter options (language, maxLength)
+   * @returns {string} Instructions to append, or an empty string
+   */
+  buildOutputConstraints(options = {}) {
+    const constraints = [];
+    if (options.language) {
+      constraints.push(`- Write the summary in this language: ${options.language}`);
+    }
+    if (options.maxLength) {
+      constraints.push(`- Keep the whole summary under ${options.maxLength} characters`);
+    }
+    return constraints.length > 0 ? `\n\nOUTPUT CONSTRAINTS:\n${constraints.join('\n')}` : '';
+  }
+
+  /**
+   * Rewrite an existing summary according to an instruction (shorten, translate, ...)
+   * @param {string} summary - Summary to rewrite
+   * @param {string} instruction - What to do with it
+   * @param {Object} options - Optional overrides: model, and `context` for the recorded LLM call
+   * @returns {Promise<string>} Rewritten summary
+   */
+  async reviseSummary(summary, instruction, options = {}) {
+    const modelName = options.model || this.config.model;
+    try {
+      const response = await this.complete(modelName, [
+        { role: 'system', content: `You edit video summaries. ${instruction} Keep the original structure and formatting (markdown or JSON) and output only the rewritten summary.` },
+        { role: 'user', content: summary }
+      ], 0.3, {}, { purpose: 'revision', ...options.context });
+
+      return response.text;
+    } catch (error) {
+      this.logger.error('Summary revision failed', error);
       throw error;
     }
   }
@@ -350,27 +589,28 @@ CRITICAL CONSTRAINTS:
     return structuralChecks.filter(Boolean).length >= 3;
   }
 
-  async generateCustomReport(summariesData, customPrompt) {
+  /**
+   * Generate a report from summaries with a custom prompt
+   * @param {Object} options - Optional overrides: model (the guild's), and `context` for the recorded LLM call (guildId, reportKey, ...)
+   */
+  async generateCustomReport(summariesData, customPrompt, options = {}) {
+    const modelName = options.model || this.config.model;
     try {
-      this.logger.info('Generating custom report with OpenAI...');
+      this.logger.info(`Generating custom report with ${modelName}...`);
       
-      const systemMessage = `You are an advanced report generator. Follow the user's instructions exactly for format and content. Output exactly what is requested - do not add extra formatting, headers, or explanations unless specifically asked for in the prompt. Always end your response with "\\n\\nLLM used: ${this.config.model}"`;
+      const systemMessage = `You are an advanced report generator. Follow the user's instructions exactly for format and content. Output exactly what is requested - do not add extra formatting, headers, or explanations unless specifically asked for in the prompt. Always end your response with "\\n\\nLLM used: ${modelName}"`;
       
       const userPrompt = `${customPrompt}
 
 Data to process:
 ${summariesData}`;
       
-      const response = await this.openai.chat.completions.create({
-        model: this.config.model,
-        messages: [
-          { role: 'system', content: systemMessage },
-          { role: 'user', content: userPrompt }
-        ],
-        ...this.getModelParameters(0.3)
-      });
+      const response = await this.complete(modelName, [
+        { role: 'system', content: systemMessage },
+        { role: 'user', content: userPrompt }
+      ], 0.3, {}, { purpose: 'report', ...options.context });
 
-      const report = response.choices[0].message.content;
+      const report = response.text;
       
       // Debug logging for report format
       const isJson = this.isJsonResponse(report);
@@ -409,8 +649,13 @@ Please provide:
 Keep the summary concise but informative, focusing on the most important content.`;
   }
 
-  buildCustomPrompt(customPrompt, transcript, videoTitle, videoUrl) {
-    return `${customPrompt}
+  buildCustomPrompt(customPrompt, transcript, videoTitle, videoUrl, variables = {}) {
+    const rendered = renderPromptTemplate(customPrompt, { title: videoTitle, url: videoUrl, ...variables, transcript });
+    if (rendered.used.includes('transcript')) {
+      return rendered.text;
+    }
+
+    return `${rendered.text}
 
 TRANSCRIPT:
 ${transcript}
@@ -457,19 +702,21 @@ VIDEO URL: ${videoUrl}`;
   }
 
   /**
-   * Generate custom daily report using OpenAI
+   * Generate custom daily report with the model's provider
    * @param {string} customPrompt - Custom prompt from Discord
    * @param {string} reportContent - The default report content
+   * @param {Object} options - Optional overrides: model, and `context` for the recorded LLM call
    * @returns {Promise<string>} - Generated custom report
    */
-  async generateCustomDailyReport(customPrompt, reportContent) {
+  async generateCustomDailyReport(customPrompt, reportContent, options = {}) {
+    const modelName = options.model || this.config.model;
     try {
-      this.logger.debug('Generating custom daily report with OpenAI');
+      this.logger.debug(`Generating custom daily report with ${modelName}`);
       
       const messages = [
         {
           role: "system",
-          content: `You are an AI assistant that generates custom daily reports based on user prompts. Follow the user's instructions exactly and maintain their preferred format and style. Always end your response with "\\n\\nLLM used: ${this.config.model}"`
+          content: `You are an AI assistant that generates custom daily reports based on user prompts. Follow the user's instructions exactly and maintain their preferred format and style. Always end your response with "\\n\\nLLM used: ${modelName}"`
         },
         {
           role: "user", 
@@ -477,16 +724,12 @@ VIDEO URL: ${videoUrl}`;
         }
       ];
 
-      const response = await this.openai.chat.completions.create({
-        model: this.config.model,
-        messages: messages,
-        ...this.getModelParameters(0.7)
-      });
+      const response = await this.complete(modelName, messages, 0.7, {}, { purpose: 'report', ...options.context });
 
-      const customReport = response.choices[0]?.message?.content?.trim();
+      const customReport = response.text;
       
       if (!customReport) {
-        this.logger.warn('Empty response from OpenAI for custom daily report');
+        this.logger.warn(`Empty response from ${modelName} for custom daily report`);
         return reportContent; // Fallback to default report
       }
 
@@ -504,11 +747,23 @@ VIDEO URL: ${videoUrl}`;
       return customReport;
 
     } catch (error) {
-      this.logger.error('Error generating custom daily report with OpenAI:', error);
+      this.logger.error(`Error generating custom daily report with ${modelName}:`, error);
       return reportContent; // Fallback to default report
     }
   }
 
+  /**
+   * Send a short prompt to a model, e.g. to check it works before switching to it
+   * @param {string} modelName - Model as selected
+   * @param {string} prompt - Test prompt
+   * @param {Object} context - For the recorded LLM call (guildId, channelId)
+   * @returns {Promise<{text: string, usage: Object|null, model: string, provider: string, cost: number|null}>}
+   */
+  async testModel(modelName, prompt, context = {}) {
+    this.logger.info(`🧪 Testing model ${modelName}`);
+    return this.complete(modelName, [{ role: 'user', content: prompt }], 0.3, {}, { ...context, purpose: 'model_test' });
+  }
+
   /**
    * Build prompt for custom daily report
    */
@@ -521,10 +776,11 @@ ${reportContent}`;
 
   async healthCheck() {
     try {
-      await this.openai.models.list();
+      await this.llm.healthCheck(this.config.model);
       return {
         status: 'ok',
         model: this.config.model,
+        provider: this.llm.describeModel(this.config.model).provider,
         apiKeyConfigured: !!this.config.apiKey
       };
     } catch (error) {
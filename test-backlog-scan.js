@@ -0,0 +1,97 @@
+/**
+ * Test script for the startup backlog scan: links posted while the bot was offline are queued once,
+ * up to the last processed message and the lookback window (temporary database, no Discord login)
+ */
+
+const assert = require('assert');
+const { check, useTempDatabase, runTests, createGuild, createChannel } = require('./test-helpers');
+
+const workDir = useTempDatabase('backlog-test');
+
+const { serviceManager } = require('./src/core/service-manager');
+const DatabaseService = require('./src/services/database.service');
+const QueueService = require('./src/services/queue.service');
+const DiscordService = require('./src/services/discord.service');
+
+const BOT_ID = 'bot-user';
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Channel history from [message ID, content, hours ago, author] rows
+ */
+function history(rows) {
+  return rows.map(([id, content, hoursAgo, author]) => ({ id, content, createdTimestamp: Date.now() - hoursAgo * HOUR, ...(author && { author }) }));
+}
+
+async function main() {
+  console.log('🧪 Testing the startup backlog scan...\n');
+
+  serviceManager.registerService('database', DatabaseService);
+  serviceManager.registerService('queue', QueueService, ['database']);
+  const database = await serviceManager.getService('database');
+  const queue = await serviceManager.getService('queue');
+
+  const discord = new DiscordService(serviceManager, { queue });
+  discord.client.user = { id: BOT_ID };
+  Object.assign(discord.config.backlog, { lookbackHours: 24, maxMessages: 500 });
+
+  const guild = createGuild('guild-1');
+  const uploads = createChannel(guild, 'channel-uploads', 'youtube-links', { history: history([
+    ['1001', 'Old one https://youtu.be/aaaaaaaaaaa', 30],
+    ['1002', 'Already queued https://youtu.be/bbbbbbbbbbb', 10],
+    ['1003', 'New https://youtu.be/ccccccccccc and https://youtu.be/ddddddddddd', 5],
+    ['1004', 'Same video again https://youtu.be/ccccccccccc', 4],
+    ['1005', 'Summarized before https://youtu.be/eeeeeeeeeee', 3],
+    ['1006', 'My own post https://youtu.be/fffffffffff', 2, { id: BOT_ID, username: 'bot', bot: true }],
+    ['1007', 'From an untrusted bot https://youtu.be/ggggggggggg', 1, { id: 'other-bot', username: 'SpamBot', bot: true }],
+    ['1008', 'No links here', 1]
+  ]) });
+  createChannel(guild, 'channel-chat', 'off-topic', { history: history([
+    ['2001', 'Not monitored https://youtu.be/hhhhhhhhhhh', 1]
+  ]) });
+  const admin = createChannel(guild, 'channel-admin', 'bot-admin');
+
+  // The last link processed before going offline, and a video this guild already summarized
+  await database.createJob({ videoId: 'bbbbbbbbbbb', guildId: guild.id, sourceChannelId: uploads.id, sourceMessageId: '1002' });
+  await database.saveSummary({ videoId: 'eeeeeeeeeee', videoTitle: 'Done', summaryContent: 'Summary', videoUrl: 'https://youtu.be/eeeeeeeeeee', guildId: guild.id });
+
+  await discord.scanGuildBacklog(guild);
+  const jobs = await database.getAllQuery('SELECT * FROM jobs ORDER BY id');
+
+  await check('Links after the last processed message are queued once each, oldest first', async () => {
+    assert.deepStrictEqual(jobs.slice(1).map(job => job.video_id), ['ccccccccccc', 'ddddddddddd']);
+    assert.deepStrictEqual(jobs.slice(1).map(job => job.source_message_id), ['1003', '1003']);
+    assert.strictEqual(JSON.parse(jobs[1].meta).backlog, true);
+    assert.strictEqual(JSON.parse(jobs[1].meta).postedBy, 'Alice');
+  });
+
+  await check('Summarized videos, bot posts and unmonitored channels are skipped', async () => {
+    const queued = jobs.map(job => job.video_id);
+    for (const videoId of ['aaaaaaaaaaa', 'eeeeeeeeeee', 'fffffffffff', 'ggggggggggg', 'hhhhhhhhhhh']) {
+      assert.ok(!queued.includes(videoId), `${videoId} was queued`);
+    }
+  });
+
+  await check('Messages that queued videos get a reaction', async () => {
+    const reacted = uploads.history.filter(message => message.reactions.includes('🤖')).map(message => message.id);
+    assert.deepStrictEqual(reacted, ['1003']);
+  });
+
+  await check('The admin channel gets a summary of the scan', async () => {
+    assert.strictEqual(admin.sent.length, 1);
+    assert.ok(admin.sent[0].payload.includes('queued 2 video(s), 1 already summarized'));
+  });
+
+  await check('A second scan queues nothing new', async () => {
+    await discord.scanGuildBacklog(guild);
+    assert.strictEqual((await database.getAllQuery('SELECT * FROM jobs')).length, jobs.length);
+  });
+
+  await check('The message limit caps how far back a channel is read', async () => {
+    discord.config.backlog.maxMessages = 2;
+    const collected = await discord.fetchBacklogMessages(uploads, null, Date.now() - 24 * HOUR);
+    assert.deepStrictEqual(collected.map(message => message.id), ['1008', '1007']);
+  });
+}
+
+runTests('backlog scan', main, { workDir, serviceManager });
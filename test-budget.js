@@ -0,0 +1,59 @@
+/**
+ * Test script for LLM budget caps (no network or credentials required)
+ */
+
+const assert = require('assert');
+const { evaluateBudget, reachedLevels, formatBudgetPeriod } = require('./utils/budget');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+console.log('🧪 Testing LLM budget caps...\n');
+
+const budget = { dailyLimit: 5, monthlyLimit: 50, warnRatio: 0.8 };
+
+check('Spend below the warning ratio is ok', () => {
+  const status = evaluateBudget({ day: 1, month: 10 }, budget);
+  assert.strictEqual(status.level, 'ok');
+  assert.deepStrictEqual(status.periods.map(entry => entry.period), ['day', 'month']);
+  assert.strictEqual(status.periods[0].remaining, 4);
+});
+
+check('The worst period sets the level', () => {
+  assert.strictEqual(evaluateBudget({ day: 4, month: 10 }, budget).level, 'warning');
+  assert.strictEqual(evaluateBudget({ day: 1, month: 50 }, budget).level, 'exceeded');
+  const status = evaluateBudget({ day: 6, month: 41 }, budget);
+  assert.strictEqual(status.level, 'exceeded');
+  assert.deepStrictEqual(status.periods.map(entry => entry.level), ['exceeded', 'warning']);
+  assert.strictEqual(status.periods[0].remaining, 0);
+});
+
+check('Only capped periods are checked', () => {
+  const status = evaluateBudget({ day: 100, month: 10 }, { dailyLimit: null, monthlyLimit: 50, warnRatio: 0.8 });
+  assert.strictEqual(status.level, 'ok');
+  assert.deepStrictEqual(status.periods.map(entry => entry.period), ['month']);
+  assert.deepStrictEqual(evaluateBudget({}, { dailyLimit: null, monthlyLimit: null, warnRatio: 0.8 }), { level: 'ok', periods: [] });
+});
+
+check('Exceeding a cap also passes its warning', () => {
+  assert.deepStrictEqual(reachedLevels('ok'), []);
+  assert.deepStrictEqual(reachedLevels('warning'), ['warning']);
+  assert.deepStrictEqual(reachedLevels('exceeded'), ['warning', 'exceeded']);
+});
+
+check('Periods are formatted with what is left', () => {
+  const [day] = evaluateBudget({ day: 3.2, month: 0 }, budget).periods;
+  assert.strictEqual(formatBudgetPeriod(day), 'Today: $3.20 of $5.00 (64%), $1.80 left');
+});
+
+console.log(`\n${failures === 0 ? '🎉 All budget tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
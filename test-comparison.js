@@ -0,0 +1,84 @@
+/**
+ * Test script for /compare-summaries parsing and result tallies (no network or credentials required)
+ */
+
+const assert = require('assert');
+const { parseComparisonVariant, tallyComparisonResults } = require('./utils/comparison');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+console.log('🧪 Testing summary comparisons...\n');
+
+check('A side can be just a model', () => {
+  assert.deepStrictEqual(parseComparisonVariant('gpt-4o-mini'), { model: 'gpt-4o-mini', promptChannelId: null, promptVersion: null });
+});
+
+check('A side can combine a model, a prompt channel and a version', () => {
+  assert.deepStrictEqual(parseComparisonVariant('gpt-4o <#123456789> V3'), { model: 'gpt-4o', promptChannelId: '123456789', promptVersion: 3 });
+  assert.deepStrictEqual(parseComparisonVariant('gpt-4o+v2'), { model: 'gpt-4o', promptChannelId: null, promptVersion: 2 });
+  assert.deepStrictEqual(parseComparisonVariant('<#42>v2'), { model: null, promptChannelId: '42', promptVersion: 2 });
+});
+
+check('Empty, repeated or unknown parts are rejected', () => {
+  assert.throws(() => parseComparisonVariant('  '), /name a model/);
+  assert.throws(() => parseComparisonVariant('gpt-4o gpt-4o-mini'), /"gpt-4o-mini"/);
+  assert.throws(() => parseComparisonVariant('v2 v3'), /"v3"/);
+  assert.throws(() => parseComparisonVariant('#prompts'), /"#prompts"/);
+});
+
+check('Majority decides each comparison; unvoted comparisons are skipped', () => {
+  const { models, decided } = tallyComparisonResults([
+    { a_model: 'gpt-4o', b_model: 'gpt-4o-mini', a_prompt: null, b_prompt: null, a_votes: 3, b_votes: 1 },
+    { a_model: 'gpt-4o-mini', b_model: 'gpt-4o', a_prompt: null, b_prompt: null, a_votes: 2, b_votes: 2 },
+    { a_model: 'gpt-4o', b_model: 'gpt-4o-mini', a_prompt: null, b_prompt: null, a_votes: 0, b_votes: 0 }
+  ]);
+
+  assert.strictEqual(decided, 2);
+  assert.deepStrictEqual(models, [
+    { name: 'gpt-4o', wins: 1, losses: 0, ties: 1 },
+    { name: 'gpt-4o-mini', wins: 0, losses: 1, ties: 1 }
+  ]);
+});
+
+check('Comparisons with only tie votes count as ties', () => {
+  const { models, decided } = tallyComparisonResults([
+    { a_model: 'gpt-4o', b_model: 'gpt-4o-mini', a_prompt: null, b_prompt: null, a_votes: 0, b_votes: 0, tie_votes: 2 },
+    { a_model: 'gpt-4o', b_model: 'gpt-4o-mini', a_prompt: null, b_prompt: null, a_votes: 0, b_votes: 0, tie_votes: 0 }
+  ]);
+
+  assert.strictEqual(decided, 1);
+  assert.deepStrictEqual(models, [
+    { name: 'gpt-4o', wins: 0, losses: 0, ties: 1 },
+    { name: 'gpt-4o-mini', wins: 0, losses: 0, ties: 1 }
+  ]);
+});
+
+check('Comparisons only count for the dimension that differed', () => {
+  const { models, prompts } = tallyComparisonResults([
+    { a_model: 'gpt-4o', b_model: 'gpt-4o', a_prompt: '#yt-summary-prompt v2', b_prompt: '#yt-summary-prompt v3', a_votes: 0, b_votes: 2 },
+    { a_model: 'gpt-4o', b_model: 'gpt-4o-mini', a_prompt: '#yt-summary-prompt v3', b_prompt: null, a_votes: 1, b_votes: 0 }
+  ]);
+
+  assert.deepStrictEqual(models, [
+    { name: 'gpt-4o', wins: 1, losses: 0, ties: 0 },
+    { name: 'gpt-4o-mini', wins: 0, losses: 1, ties: 0 }
+  ]);
+  assert.deepStrictEqual(prompts, [
+    { name: '#yt-summary-prompt v3', wins: 2, losses: 0, ties: 0 },
+    { name: '#yt-summary-prompt v2', wins: 0, losses: 1, ties: 0 },
+    { name: 'default prompt', wins: 0, losses: 1, ties: 0 }
+  ]);
+});
+
+console.log(`\n${failures === 0 ? '🎉 All comparison tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
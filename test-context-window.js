@@ -8,6 +8,8 @@ const { serviceManager } = require('./src/core/service-manager');
 // Import service classes
 const SummaryService = require('./src/services/summary.service');
 const CacheService = require('./src/services/cache.service');
+const { countTokens } = require('./utils/tokenizer');
+const { MODEL_FAMILIES } = require('./utils/model-registry');
 
 async function testLargeTranscript() {
   console.log('🧪 Testing Large Transcript Context Window Handling...\n');
@@ -23,9 +25,11 @@ async function testLargeTranscript() {
     const summaryService = serviceManager.getService('summary');
     
     // Check configuration
+    const model = summaryService.config.model;
+    const maxInputTokens = summaryService.getTranscriptBudget(model); // Context window minus output
     console.log('📋 Current Configuration:');
-    console.log(`  Model: ${summaryService.config.model}`);
-    console.log(`  Max Tokens: ${summaryService.config.maxTokens}`);
+    console.log(`  Model: ${model}`);
+    console.log(`  Max Tokens: ${summaryService.getOutputTokens(model)}`);
     console.log();
     
     // Create test transcripts of different sizes
@@ -58,24 +62,23 @@ async function testLargeTranscript() {
       console.log(`${'='.repeat(60)}\n`);
       
       const originalLength = testCase.transcript.length;
-      const estimatedTokens = Math.ceil(originalLength / 4);
+      const originalTokens = countTokens(testCase.transcript, model);
       
       console.log(`Original transcript:`);
       console.log(`  - Characters: ${originalLength.toLocaleString()}`);
-      console.log(`  - Estimated tokens: ${estimatedTokens.toLocaleString()}`);
+      console.log(`  - Tokens: ${originalTokens.toLocaleString()}`);
       
       // Test optimization
       const optimized = summaryService.optimizeTranscriptContext(testCase.transcript);
       const optimizedLength = optimized.length;
-      const optimizedTokens = Math.ceil(optimizedLength / 4);
+      const optimizedTokens = countTokens(optimized, model);
       
       console.log(`\nOptimized transcript:`);
       console.log(`  - Characters: ${optimizedLength.toLocaleString()}`);
-      console.log(`  - Estimated tokens: ${optimizedTokens.toLocaleString()}`);
+      console.log(`  - Tokens: ${optimizedTokens.toLocaleString()}`);
       console.log(`  - Reduction: ${((1 - optimizedLength/originalLength) * 100).toFixed(1)}%`);
       
-      // Check against input context window (110K for GPT-5)
-      const maxInputTokens = 110000; // GPT-5 input limit
+      // Check against the model's input budget
       const fitsInWindow = optimizedTokens <= maxInputTokens;
       console.log(`\n${fitsInWindow ? '✅' : '⚠️'} Fits in context window: ${fitsInWindow} (max: ${maxInputTokens.toLocaleString()} tokens)`);
       
@@ -102,13 +105,12 @@ async function testLargeTranscript() {
     console.log(`\n${'='.repeat(60)}`);
     console.log('📊 Summary');
     console.log(`${'='.repeat(60)}\n`);
-    console.log(`Model: ${summaryService.config.model}`);
-    console.log(`Max output tokens: ${summaryService.config.maxTokens}`);
-    console.log(`\nContext Window Limits by Model:`);
-    console.log(`  - GPT-5: ~120K tokens input`);
-    console.log(`  - GPT-4 Turbo/4o: ~120K tokens input`);
-    console.log(`  - GPT-4: ~6K tokens input`);
-    console.log(`  - o1/o3: ~100K tokens input`);
+    console.log(`Model: ${model}`);
+    console.log(`Max output tokens: ${summaryService.getOutputTokens(model)}`);
+    console.log(`\nContext Window Limits by Model (utils/model-registry.js):`);
+    MODEL_FAMILIES.forEach(entry => {
+      console.log(`  - ${entry.family}: ${entry.contextWindow.toLocaleString()} tokens context, up to ${entry.maxOutputTokens.toLocaleString()} output`);
+    });
     console.log(`\n✅ All tests completed!`);
     
   } catch (error) {
@@ -122,7 +124,7 @@ async function testLargeTranscript() {
  * Generate a transcript of approximately the specified token count
  */
 function generateTranscript(targetTokens) {
-  // ~4 characters per token, ~10 words per line
+  // ~0.75 words per token, ~10 words per line
   const wordsNeeded = targetTokens * 0.75; // Conservative estimate
   const linesNeeded = Math.ceil(wordsNeeded / 10);
   
@@ -0,0 +1,184 @@
+/**
+ * Shared pieces of the test-*.js scripts: the check() runner, a throwaway database and Discord
+ * doubles (guilds, channels, messages) for running services without a Discord login
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Collection, ChannelType } = require('discord.js');
+
+let failures = 0;
+
+/**
+ * Run one named check and report it; a failure is counted instead of stopping the script
+ */
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Point DATABASE_PATH at a new temp directory. Call it before requiring the services:
+ * the ServiceManager reads the path when it is loaded.
+ * @param {string} prefix - Temp directory name prefix, e.g. 'routes-test'
+ * @returns {string} - The temp directory, removed by runTests
+ */
+function useTempDatabase(prefix) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `${prefix}-`));
+  process.env.DATABASE_PATH = path.join(workDir, 'bot.db');
+  return workDir;
+}
+
+/**
+ * Run a test script's main(), then close the database, remove the temp directory and exit with the result
+ * @param {string} label - What is tested, for the summary line, e.g. 'routing'
+ * @param {Function} main - Async function running the checks
+ * @param {Object} options - workDir to remove, serviceManager whose database is closed, and cleanup for anything else
+ */
+function runTests(label, main, { workDir = null, serviceManager = null, cleanup = null } = {}) {
+  main()
+    .catch(error => {
+      failures++;
+      console.log(`❌ ${label.charAt(0).toUpperCase()}${label.slice(1)} test crashed: ${error.stack}`);
+    })
+    .finally(async () => {
+      try {
+        if (cleanup) await cleanup();
+        const database = serviceManager?.services.get('database')?.instance;
+        if (database?.close) await database.close();
+      } catch (error) {
+        // The temp directory is removed either way
+      }
+      if (workDir) {
+        // Some scripts work inside the temp directory
+        process.chdir(__dirname);
+        fs.rmSync(workDir, { recursive: true, force: true });
+      }
+      console.log(`\n${failures === 0 ? `🎉 All ${label} tests passed` : `💥 ${failures} test(s) failed`}`);
+      process.exit(failures === 0 ? 0 : 1);
+    });
+}
+
+/**
+ * Guild double; channels made with createChannel are added to its cache
+ * @param {string} id - Guild ID
+ * @param {Array<Object>} channels - Channels to create right away: id, name and createChannel options
+ */
+function createGuild(id, channels = []) {
+  const guild = { id, name: `Guild ${id}`, channels: { cache: new Collection() } };
+  channels.forEach(({ id: channelId, name, ...options }) => createChannel(guild, channelId, name, options));
+  return guild;
+}
+
+/**
+ * Message double, as posted by a member: reactions and a thread can be added to it
+ * @param {Object} channel - Channel double it was posted in
+ * @param {string} id - Message ID
+ * @param {Object} fields - content, author, createdTimestamp and anything else the test needs
+ */
+function createMessage(channel, id, fields = {}) {
+  const message = {
+    id,
+    content: '',
+    author: { id: 'user-1', username: 'Alice' },
+    createdTimestamp: Date.now(),
+    ...fields,
+    guild: channel.guild,
+    guildId: channel.guild.id,
+    channel,
+    channelId: channel.id,
+    reactions: [],
+    thread: null,
+    threadOptions: []
+  };
+  message.react = async (emoji) => message.reactions.push(emoji);
+  // Opens a thread named like Discord would
+  message.startThread = async (options) => {
+    message.threadOptions.push(options);
+    const thread = createChannel(channel.guild, `thread-${id}`, options.name, { type: ChannelType.PublicThread });
+    message.thread = thread;
+    channel.openThreads.set(id, thread);
+    return thread;
+  };
+  return message;
+}
+
+/**
+ * Text channel (or thread) double, added to its guild's cache
+ * - send() keeps what the bot sends, with sequential message IDs
+ * - messages.fetch() serves `history` newest first, in pages like Discord
+ * - messages.fetchPinned() counts its calls (`fetches`) and fails with `failWith` when set
+ * - pin() replaces the first pinned message (content null unpins it)
+ * @param {Object} guild - Guild double from createGuild
+ * @param {string} id - Channel ID
+ * @param {string} name - Channel name
+ * @param {Object} options - type, history (createMessage fields, with id) and pinned (content of a pinned message)
+ */
+function createChannel(guild, id, name, { type = ChannelType.GuildText, history = [], pinned = null } = {}) {
+  const channel = { id, name, type, guild, guildId: guild.id, sent: [], fetches: 0, pinned: [], failWith: null };
+
+  channel.send = async (payload) => {
+    const messageId = `${id}-${channel.sent.length + 1}`;
+    const message = {
+      id: messageId,
+      guildId: guild.id,
+      channelId: id,
+      url: `https://discord.com/channels/${guild.id}/${id}/${messageId}`,
+      payload,
+      edit: async (update) => { message.payload = update; },
+      delete: async () => { message.deleted = true; }
+    };
+    channel.sent.push(message);
+    return message;
+  };
+
+  channel.history = history
+    .map(({ id: messageId, ...fields }) => createMessage(channel, messageId, fields))
+    .sort((a, b) => Number(BigInt(b.id) - BigInt(a.id)));
+
+  channel.messages = {
+    fetch: async ({ limit, before }) => {
+      const start = before ? channel.history.findIndex(message => message.id === before) + 1 : 0;
+      return new Collection(channel.history.slice(start, start + limit).map(message => [message.id, message]));
+    },
+    fetchPinned: async () => {
+      channel.fetches++;
+      await new Promise(resolve => setImmediate(resolve));
+      if (channel.failWith) throw new Error(channel.failWith);
+      return new Collection(channel.pinned.map(message => [message.id, message]));
+    }
+  };
+  channel.pin = (messageId, content) => { channel.pinned = content === null ? [] : [{ id: messageId, content }]; };
+  if (pinned !== null) {
+    channel.pin(`${id}-pin`, pinned);
+  }
+
+  channel.openThreads = new Map();
+  channel.threads = { fetch: async (threadId) => channel.openThreads.get(threadId) || null };
+
+  guild.channels.cache.set(id, channel);
+  return channel;
+}
+
+/**
+ * Run a client event's listeners like Discord would, waiting for the async handlers
+ */
+async function emitClientEvent(discord, event, ...args) {
+  await Promise.all(discord.client.listeners(event).map(listener => listener(...args)));
+}
+
+module.exports = {
+  check,
+  useTempDatabase,
+  runTests,
+  createGuild,
+  createChannel,
+  createMessage,
+  emitClientEvent
+};
@@ -0,0 +1,177 @@
+/**
+ * Test script for LLM provider configuration and parameter mapping (no network or credentials required)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadLLMConfig, resolveModel } = require('./utils/llm-config');
+const { configureModels, getModelInfo } = require('./utils/model-registry');
+const { OpenAIProvider, AnthropicProvider, createProvider } = require('./src/providers');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+console.log('🧪 Testing LLM provider configuration...\n');
+
+const configFile = path.join(os.tmpdir(), `llm-config-test-${process.pid}.json`);
+fs.writeFileSync(configFile, JSON.stringify({
+  providers: {
+    ollama: { type: 'openai-compatible', baseURL: 'http://localhost:11434/v1' },
+    vllm: { type: 'openai-compatible', baseURL: 'http://gpu-box:8000/v1', apiKeyEnv: 'VLLM_API_KEY' },
+    broken: { type: 'cohere' }
+  },
+  models: {
+    'Llama3.1:70b': { provider: 'ollama', contextWindow: 131072 },
+    'gpt-4o-eu': { provider: 'azure', deployment: 'gpt-4o-prod' },
+    qwq: { provider: 'vllm', maxTokensParam: 'max_tokens', sampling: false },
+    orphan: { provider: 'missing' },
+    bad: { provider: 'ollama', maxTokensParam: 'max_output_tokens' }
+  },
+  prices: {
+    'Llama3.1:70b': { input: 0, output: 0 },
+    'gpt-4o': { input: 2, output: 8 },
+    free: { input: 'zero' }
+  }
+}));
+
+const env = {
+  OPENAI_API_KEY: 'sk-test',
+  ANTHROPIC_API_KEY: 'sk-ant-test',
+  AZURE_OPENAI_ENDPOINT: 'https://example.openai.azure.com',
+  AZURE_OPENAI_API_KEY: 'azure-test',
+  VLLM_API_KEY: 'vllm-test',
+  LLM_CONFIG_FILE: configFile
+};
+
+let config;
+try {
+  config = loadLLMConfig(env);
+} finally {
+  fs.unlinkSync(configFile);
+}
+
+check('Providers load from the environment and the config file', () => {
+  assert.deepStrictEqual(Object.keys(config.providers).sort(), ['anthropic', 'azure', 'ollama', 'openai', 'vllm']);
+  assert.strictEqual(config.providers.azure.apiVersion, '2024-10-21');
+  assert.strictEqual(config.providers.vllm.apiKey, 'vllm-test');
+  assert.strictEqual(config.providers.vllm.apiKeyEnv, undefined);
+  assert.strictEqual(config.defaultProvider, 'openai');
+});
+
+check('Invalid entries are reported and left out', () => {
+  assert.strictEqual(config.errors.length, 4);
+  assert.ok(config.errors.some(error => error.includes('"broken"')));
+  assert.ok(config.errors.some(error => error.includes('"orphan"')));
+  assert.ok(config.errors.some(error => error.includes('"bad"')));
+  assert.strictEqual(config.models.orphan, undefined);
+  assert.ok(config.errors.some(error => error.includes('Price "free"')));
+});
+
+check('Prices load from the config file by lowercase model name', () => {
+  assert.deepStrictEqual(config.prices['llama3.1:70b'], { input: 0, output: 0 });
+  assert.deepStrictEqual(config.prices['gpt-4o'], { input: 2, output: 8 });
+  assert.strictEqual(config.prices.free, undefined);
+});
+
+check('Only OPENAI_API_KEY gives the default setup', () => {
+  const minimal = loadLLMConfig({ OPENAI_API_KEY: 'sk-test' });
+  assert.deepStrictEqual(Object.keys(minimal.providers), ['openai']);
+  assert.deepStrictEqual(minimal.errors, []);
+  assert.strictEqual(loadLLMConfig({ LLM_DEFAULT_PROVIDER: 'anthropic' }).errors.length, 1);
+  assert.strictEqual(loadLLMConfig({ ANTHROPIC_API_KEY: 'k', LLM_DEFAULT_PROVIDER: 'anthropic' }).defaultProvider, 'anthropic');
+});
+
+check('Models resolve to their provider and API name', () => {
+  assert.deepStrictEqual(
+    { ...resolveModel(config, 'llama3.1:70b'), settings: undefined },
+    { providerName: 'ollama', model: 'llama3.1:70b', settings: undefined }
+  );
+  assert.strictEqual(resolveModel(config, 'gpt-4o-eu').model, 'gpt-4o-prod');
+  assert.strictEqual(resolveModel(config, 'gpt-4o-eu').providerName, 'azure');
+  assert.deepStrictEqual(resolveModel(config, 'ollama/mistral'), { providerName: 'ollama', model: 'mistral', settings: {} });
+  assert.strictEqual(resolveModel(config, 'claude-sonnet-4-5').providerName, 'anthropic');
+  assert.strictEqual(resolveModel(config, 'gpt-4o-mini').providerName, 'openai');
+  assert.strictEqual(resolveModel(config, 'meta/llama').providerName, 'openai');
+});
+
+check('Configured models override their family\'s limits', () => {
+  configureModels(config.models);
+  try {
+    assert.strictEqual(getModelInfo('llama3.1:70b').contextWindow, 131072);
+    assert.strictEqual(getModelInfo('gpt-4o-eu').family, 'gpt-4o');
+    assert.strictEqual(getModelInfo('ollama/gpt-4o').family, 'gpt-4o');
+    assert.strictEqual(getModelInfo('claude-3-5-haiku').maxOutputTokens, 8192);
+  } finally {
+    configureModels({});
+  }
+  assert.strictEqual(getModelInfo('llama3.1:70b').contextWindow, 16385);
+});
+
+check('MOCK_LLM sends every model to the mock provider', () => {
+  const mockConfig = loadLLMConfig({ ...env, LLM_CONFIG_FILE: undefined, MOCK_LLM: 'true', MOCK_LLM_FAIL: 'rate_limit:2,context_length,timeout' });
+  assert.strictEqual(mockConfig.defaultProvider, 'mock');
+  assert.deepStrictEqual(mockConfig.providers.mock.failures, [{ error: 'rate_limit', times: 2 }, { error: 'context_length', times: 1 }]);
+  assert.strictEqual(mockConfig.errors.length, 1);
+  assert.strictEqual(resolveModel(mockConfig, 'claude-sonnet-4-5').providerName, 'mock');
+  assert.strictEqual(resolveModel(mockConfig, 'ollama/mistral').model, 'ollama/mistral');
+});
+
+const openai = new OpenAIProvider('openai', {}, {});
+const request = {
+  model: 'm',
+  messages: [{ role: 'system', content: 'Summarize.' }, { role: 'user', content: 'Text' }],
+  maxTokens: 1000,
+  temperature: 0.3,
+  topP: 0.8,
+  frequencyPenalty: 0.2
+};
+
+check('OpenAI parameters follow the model\'s settings', () => {
+  const standard = openai.buildParameters(request, {});
+  assert.strictEqual(standard.max_tokens, 1000);
+  assert.strictEqual(standard.temperature, 0.3);
+  assert.strictEqual(standard.top_p, 0.8);
+  assert.strictEqual(standard.presence_penalty, undefined);
+
+  const reasoning = openai.buildParameters(request, { reasoning: true });
+  assert.strictEqual(reasoning.max_completion_tokens, 1000);
+  assert.strictEqual(reasoning.max_tokens, undefined);
+  assert.strictEqual(reasoning.temperature, undefined);
+  assert.strictEqual(reasoning.top_p, undefined);
+
+  const qwq = openai.buildParameters(request, config.models.qwq);
+  assert.strictEqual(qwq.max_tokens, 1000);
+  assert.strictEqual(qwq.temperature, 0.3);
+  assert.strictEqual(qwq.top_p, undefined);
+});
+
+check('Anthropic parameters move system messages and clamp temperature', () => {
+  const params = new AnthropicProvider('anthropic', {}, () => {}).buildParameters({ ...request, temperature: 1.5 });
+  assert.strictEqual(params.system, 'Summarize.');
+  assert.deepStrictEqual(params.messages, [{ role: 'user', content: 'Text' }]);
+  assert.strictEqual(params.max_tokens, 1000);
+  assert.strictEqual(params.temperature, 1);
+  assert.strictEqual(params.top_p, undefined);
+});
+
+check('Providers are created by type', () => {
+  assert.strictEqual(createProvider('ollama', config.providers.ollama).type, 'openai-compatible');
+  assert.strictEqual(createProvider('azure', config.providers.azure).type, 'azure');
+  assert.strictEqual(createProvider('mock', { type: 'mock' }).type, 'mock');
+  assert.throws(() => createProvider('x', { type: 'cohere' }), /Unknown provider type/);
+  assert.throws(() => createProvider('x', { type: 'openai-compatible' }), /needs a baseURL/);
+});
+
+console.log(`\n${failures === 0 ? '🎉 All LLM config tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,59 @@
+/**
+ * Test script for LLM prices and call costs (no network or credentials required)
+ */
+
+const assert = require('assert');
+const { getModelPrice, calculateCost, formatCost, formatTokens } = require('./utils/llm-pricing');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+console.log('🧪 Testing LLM prices and costs...\n');
+
+check('Models match their price by name, then by longest prefix', () => {
+  assert.deepStrictEqual(getModelPrice('gpt-4o-mini'), { input: 0.15, output: 0.6 });
+  assert.deepStrictEqual(getModelPrice('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+  assert.deepStrictEqual(getModelPrice('GPT-4o-2024-08-06'), { input: 2.5, output: 10 });
+  assert.deepStrictEqual(getModelPrice('gpt-4-0613'), { input: 30, output: 60 });
+  assert.deepStrictEqual(getModelPrice('claude-sonnet-4-20250514'), { input: 3, output: 15 });
+  assert.strictEqual(getModelPrice('llama3.1:70b'), null);
+  assert.strictEqual(getModelPrice(null), null);
+});
+
+check('Configured prices take precedence', () => {
+  const prices = { 'gpt-4o': { input: 2, output: 8 }, 'llama3.1': { input: 0, output: 0 } };
+  assert.deepStrictEqual(getModelPrice('gpt-4o-2024-08-06', prices), { input: 2, output: 8 });
+  assert.deepStrictEqual(getModelPrice('llama3.1:70b', prices), { input: 0, output: 0 });
+  assert.deepStrictEqual(getModelPrice('gpt-4o-mini', prices), { input: 0.15, output: 0.6 });
+});
+
+check('Costs are computed per million input and output tokens', () => {
+  const cost = calculateCost({ prompt_tokens: 12000, completion_tokens: 800 }, { input: 2.5, output: 10 });
+  assert.ok(Math.abs(cost - 0.038) < 1e-12);
+  assert.strictEqual(calculateCost({ prompt_tokens: 5000, completion_tokens: 500 }, { input: 0, output: 0 }), 0);
+  assert.strictEqual(calculateCost(null, { input: 1, output: 1 }), null);
+  assert.strictEqual(calculateCost({ prompt_tokens: 10, completion_tokens: 10 }, null), null);
+});
+
+check('Costs and token counts are formatted for display', () => {
+  assert.strictEqual(formatCost(1.234), '$1.23');
+  assert.strictEqual(formatCost(0.0012), '$0.0012');
+  assert.strictEqual(formatCost(0), '$0.00');
+  assert.strictEqual(formatCost(null), 'unknown');
+  assert.strictEqual(formatTokens(950), '950');
+  assert.strictEqual(formatTokens(12345), '12.3K');
+  assert.strictEqual(formatTokens(1250000), '1.3M');
+  assert.strictEqual(formatTokens(null), '0');
+});
+
+console.log(`\n${failures === 0 ? '🎉 All LLM pricing tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -8,9 +8,10 @@ const { serviceManager } = require('./src/core/service-manager');
 // Import service classes
 const SummaryService = require('./src/services/summary.service');
 const CacheService = require('./src/services/cache.service');
+const { countTokens } = require('./utils/tokenizer');
 
 async function testMassiveTranscript() {
-  console.log('🧪 Testing MASSIVE Transcript (exceeds GPT-5 context)...\n');
+  console.log('🧪 Testing MASSIVE Transcript (exceeds the model\'s context)...\n');
   
   try {
     // Register required services
@@ -22,20 +23,23 @@ async function testMassiveTranscript() {
     
     const summaryService = serviceManager.getService('summary');
     
+    const model = summaryService.config.model;
+    const maxInputTokens = summaryService.getTranscriptBudget(model);
+    
     console.log('📋 Configuration:');
-    console.log(`  Model: ${summaryService.config.model}`);
-    console.log(`  Max Output Tokens: ${summaryService.config.maxTokens}`);
-    console.log(`  Max Input Tokens: 110,000 (GPT-5 limit)\n`);
+    console.log(`  Model: ${model}`);
+    console.log(`  Max Output Tokens: ${summaryService.getOutputTokens(model)}`);
+    console.log(`  Max Input Tokens: ${maxInputTokens.toLocaleString()} (context window minus output)\n`);
     
-    // Create a MASSIVE transcript (150K tokens - exceeds even GPT-5's limit!)
-    const massiveTranscript = generateMassiveTranscript(150000);
+    // Create a MASSIVE transcript (1.5x what fits in the model's context window)
+    const massiveTranscript = generateMassiveTranscript(Math.ceil(maxInputTokens * 1.5));
     const originalLength = massiveTranscript.length;
-    const estimatedTokens = Math.ceil(originalLength / 4);
+    const originalTokens = countTokens(massiveTranscript, model);
     
     console.log('📹 Original Transcript:');
     console.log(`  - Characters: ${originalLength.toLocaleString()}`);
-    console.log(`  - Estimated tokens: ${estimatedTokens.toLocaleString()}`);
-    console.log(`  - Status: ❌ EXCEEDS GPT-5 context window (110K tokens)\n`);
+    console.log(`  - Tokens: ${originalTokens.toLocaleString()}`);
+    console.log(`  - Status: ❌ EXCEEDS ${model} context window (${maxInputTokens.toLocaleString()} tokens)\n`);
     
     // Test optimization
     console.log('🔄 Applying smart optimization...\n');
@@ -44,13 +48,14 @@ async function testMassiveTranscript() {
     });
     
     const optimizedLength = optimized.length;
-    const optimizedTokens = Math.ceil(optimizedLength / 4);
+    const optimizedTokens = countTokens(optimized, model);
+    const fits = optimizedTokens <= maxInputTokens;
     
     console.log('\n✅ Optimized Transcript:');
     console.log(`  - Characters: ${optimizedLength.toLocaleString()}`);
-    console.log(`  - Estimated tokens: ${optimizedTokens.toLocaleString()}`);
+    console.log(`  - Tokens: ${optimizedTokens.toLocaleString()}`);
     console.log(`  - Reduction: ${((1 - optimizedLength/originalLength) * 100).toFixed(1)}%`);
-    console.log(`  - Status: ${optimizedTokens <= 110000 ? '✅' : '❌'} ${optimizedTokens <= 110000 ? 'Fits' : 'Still exceeds'} in GPT-5 context window\n`);
+    console.log(`  - Status: ${fits ? '✅' : '❌'} ${fits ? 'Fits' : 'Still exceeds'} in ${model} context window\n`);
     
     // Show the structure
     console.log('📝 Optimized Transcript Structure:');
@@ -82,9 +87,9 @@ async function testMassiveTranscript() {
     console.log('\n\n' + '='.repeat(60));
     console.log('💡 Key Points:');
     console.log('='.repeat(60));
-    console.log('1. GPT-5 has 128K total context (110K usable for input)');
-    console.log('2. For transcripts under 110K tokens: Full transcript used');
-    console.log('3. For larger transcripts: Smart extraction (beginning + middle + end)');
+    console.log(`1. ${model} leaves ${maxInputTokens.toLocaleString()} tokens for input (utils/model-registry.js)`);
+    console.log('2. For transcripts that fit: Full transcript used');
+    console.log('3. For larger transcripts: chunked summaries, or with strategy: extract, beginning + middle + end');
     console.log('4. This preserves intro, key content, and conclusions');
     console.log('5. Alternative strategies: key_sections, truncate, or default\n');
     
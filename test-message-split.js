@@ -0,0 +1,80 @@
+/**
+ * Test script for splitting long markdown into Discord messages (no network or credentials required)
+ */
+
+const assert = require('assert');
+const { splitMarkdownMessage } = require('./utils/message-split');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+const bullets = (count, label) => Array.from({ length: count }, (_, index) => `- ${label} point ${index} ${'detail '.repeat(6)}`).join('\n');
+const section = (number) => `## Section ${number}\n\n${'Some context for this section. '.repeat(12)}\n\n${bullets(8, `S${number}`)}`;
+
+console.log('🧪 Testing message splitting...\n');
+
+check('Short content is sent as is', () => {
+  assert.deepStrictEqual(splitMarkdownMessage('Hello **world**'), ['Hello **world**']);
+});
+
+check('Parts fit the limit and carry markers', () => {
+  const parts = splitMarkdownMessage([1, 2, 3, 4, 5, 6].map(section).join('\n\n'));
+
+  assert.ok(parts.length > 1);
+  parts.forEach((part, index) => {
+    assert.ok(part.length <= 2000, `part ${index + 1} has ${part.length} chars`);
+    assert.ok(part.endsWith(`*(${index + 1}/${parts.length})*`));
+  });
+});
+
+check('Parts break on heading and bullet boundaries', () => {
+  const content = [1, 2, 3, 4, 5, 6].map(section).join('\n\n');
+  const lines = new Set(content.split('\n'));
+  const parts = splitMarkdownMessage(content);
+
+  for (const part of parts) {
+    const body = part.replace(/\n\n\*\(\d+\/\d+\)\*$/, '').split('\n');
+    assert.ok(body.every(line => lines.has(line)), 'a line was cut');
+    assert.ok(!body[body.length - 1].startsWith('#'), 'part ends on a heading');
+  }
+  assert.ok(parts[1].startsWith('## Section'));
+});
+
+check('Code blocks are kept intact', () => {
+  const code = '```js\n' + Array.from({ length: 15 }, (_, index) => `const value${index} = ${index};`).join('\n') + '\n```';
+  const content = `${section(1)}\n\n${section(2)}\n\n${code}\n\n${section(3)}`;
+  const parts = splitMarkdownMessage(content);
+
+  assert.strictEqual(parts.filter(part => part.includes(code)).length, 1);
+});
+
+check('Oversized code blocks re-open their fence', () => {
+  const code = '```py\n' + Array.from({ length: 300 }, (_, index) => `print(${index})`).join('\n') + '\n```';
+  const parts = splitMarkdownMessage(code);
+
+  assert.ok(parts.length > 1);
+  for (const part of parts) {
+    assert.ok(part.length <= 2000);
+    assert.ok(part.startsWith('```py\n'));
+    assert.strictEqual((part.match(/```/g) || []).length, 2);
+  }
+});
+
+check('Long paragraphs break between words', () => {
+  const parts = splitMarkdownMessage('word '.repeat(1000).trim());
+
+  assert.ok(parts.length > 1);
+  assert.ok(parts.every(part => part.length <= 2000 && /^word( word)*\n\n\*\(\d+\/\d+\)\*$/.test(part)));
+});
+
+console.log(`\n${failures === 0 ? '🎉 All message splitting tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
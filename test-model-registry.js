@@ -0,0 +1,77 @@
+/**
+ * Test script for the model registry and local token counting (no network or credentials required)
+ */
+
+const assert = require('assert');
+const { getModelInfo } = require('./utils/model-registry');
+const { countTokens, countMessageTokens } = require('./utils/tokenizer');
+const { splitTranscriptIntoChunks } = require('./utils/transcript-chunks');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+console.log('🧪 Testing model registry and tokenizer...\n');
+
+check('Models match their family, most specific first', () => {
+  assert.strictEqual(getModelInfo('gpt-4o-mini-2024-07-18').family, 'gpt-4o');
+  assert.strictEqual(getModelInfo('GPT-4-Turbo').family, 'gpt-4-turbo');
+  assert.strictEqual(getModelInfo('gpt-4-0613').family, 'gpt-4');
+  assert.strictEqual(getModelInfo('gpt-4.1-nano').family, 'gpt-4.1');
+  assert.strictEqual(getModelInfo('o1-mini').family, 'o1-mini');
+  assert.strictEqual(getModelInfo('o3').family, 'o-series');
+});
+
+check('Reasoning models are flagged, others are not', () => {
+  assert.strictEqual(getModelInfo('gpt-5-mini').reasoning, true);
+  assert.strictEqual(getModelInfo('o4-mini').reasoning, true);
+  assert.strictEqual(getModelInfo('gpt-4o').reasoning, false);
+});
+
+check('Unknown models get the conservative default', () => {
+  const info = getModelInfo('llama-3.1-70b');
+  assert.strictEqual(info.family, 'unknown');
+  assert.strictEqual(info.contextWindow, 16385);
+  assert.strictEqual(info.encoding, 'cl100k_base');
+  assert.strictEqual(getModelInfo(undefined).family, 'unknown');
+});
+
+check('Tokens are counted with the model family\'s tokenizer', () => {
+  assert.strictEqual(countTokens('', 'gpt-4o'), 0);
+  assert.strictEqual(countTokens('Hello world', 'gpt-4o'), 2);
+  assert.strictEqual(countTokens('Hello world', 'gpt-4'), 2);
+});
+
+check('Non-English text is not counted as 4 characters per token', () => {
+  const japanese = 'こんにちは、世界。今日は良い天気ですね。'.repeat(20);
+  assert.ok(countTokens(japanese, 'gpt-4') > japanese.length / 4 * 2, 'Japanese should take far more tokens than length / 4');
+});
+
+check('Special-token text in a transcript is counted as plain text', () => {
+  assert.ok(countTokens('the <|endoftext|> marker', 'gpt-4o') > 3);
+});
+
+check('Chat requests add per-message overhead', () => {
+  const messages = [{ role: 'system', content: 'Hello world' }, { role: 'user', content: 'Hello world' }];
+  assert.strictEqual(countMessageTokens(messages, 'gpt-4o'), 2 * (2 + 4) + 3);
+});
+
+check('Chunks stay within the limit in real tokens', () => {
+  const transcript = Array.from({ length: 200 }, (_, i) => `Übersetzung Nummer ${i} enthält Größenangaben.`).join(' ');
+  const count = (text) => countTokens(text, 'gpt-4');
+  const chunks = splitTranscriptIntoChunks(transcript, 300, count);
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.ok(count(chunk) <= 300, `chunk of ${count(chunk)} tokens`));
+});
+
+console.log(`\n${failures === 0 ? '🎉 All model registry tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,246 @@
+/**
+ * Offline end-to-end test: summaries, reports and a Discord summary post against the mock LLM
+ * provider and a throwaway database (no network, API keys or Discord guild required)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { check, useTempDatabase, runTests, createGuild, createChannel } = require('./test-helpers');
+
+// Fixture mode: every model goes to the mock provider, the database lives in a temp directory
+const workDir = useTempDatabase('offline-pipeline');
+process.env.MOCK_LLM = 'true';
+process.env.MOCK_LLM_FIXTURES = path.join(__dirname, 'fixtures', 'mock-llm.json');
+process.env.MOCK_LLM_RECORD_FILE = path.join(workDir, 'llm-calls.jsonl');
+process.env.OPENAI_MODEL = 'gpt-4o-mini';
+// The file cache is written to ./cache
+process.chdir(workDir);
+
+const { serviceManager } = require('./src/core/service-manager');
+const DatabaseService = require('./src/services/database.service');
+const HybridCacheService = require('./src/services/hybrid-cache.service');
+const LLMService = require('./src/services/llm.service');
+const BudgetService = require('./src/services/budget.service');
+const SummaryService = require('./src/services/summary.service');
+const ReportService = require('./src/services/report.service');
+const DiscordService = require('./src/services/discord.service');
+
+const guild = createGuild('guild-1');
+
+const TRANSCRIPT = 'Welcome to the channel. Today we review three budget keyboards. ' +
+  'The first one has hot-swappable switches. The second one is wireless. The third one is the cheapest.';
+
+async function main() {
+  console.log('🧪 Testing the pipeline offline with the mock LLM provider...\n');
+
+  serviceManager.registerService('database', DatabaseService);
+  serviceManager.registerService('cache', HybridCacheService, ['database']);
+  serviceManager.registerService('budget', BudgetService, ['database']);
+  serviceManager.registerService('llm', LLMService, ['database', 'budget']);
+  serviceManager.registerService('summary', SummaryService, ['cache', 'database', 'llm']);
+  serviceManager.registerService('report', ReportService, ['summary', 'cache', 'database']);
+
+  const summary = await serviceManager.getService('summary');
+  const report = await serviceManager.getService('report');
+  const mock = summary.llm.getProvider('mock');
+
+  await check('Summaries come from the mock provider, mapped like OpenAI requests', async () => {
+    const result = await summary.generateSummary(TRANSCRIPT, 'Keyboards', 'https://youtu.be/x');
+    assert.ok(result.summary.includes('- Welcome to the channel.'));
+    assert.strictEqual(result.model, 'gpt-4o-mini');
+    assert.ok(result.usage.prompt_tokens > 0);
+    const { params } = mock.calls[mock.calls.length - 1];
+    assert.strictEqual(params.max_tokens, summary.getOutputTokens('gpt-4o-mini'));
+    assert.strictEqual(params.top_p, 0.8);
+  });
+
+  await check('Reasoning models get max_completion_tokens and no sampling', async () => {
+    await summary.testModel('gpt-5-mini', 'Say hi.');
+    const { params } = mock.calls[mock.calls.length - 1];
+    assert.ok(params.max_completion_tokens > 0);
+    assert.strictEqual(params.temperature, undefined);
+  });
+
+  await check('Fixture responses match the prompt', async () => {
+    const result = await summary.generateSummary(TRANSCRIPT, 'Keyboards', 'https://youtu.be/x',
+      'Reply in JSON with summary, noteworthy_mentions and verdict.');
+    assert.deepStrictEqual(JSON.parse(result.summary).noteworthy_mentions, ['Mock mention']);
+  });
+
+  await check('Long transcripts are chunked without exceeding the context window', async () => {
+    const progress = [];
+    const long = Array.from({ length: 2500 }, (_, i) => `Sentence number ${i} talks about keyboards.`).join(' ');
+    const result = await summary.generateSummary(long, 'Long video', 'https://youtu.be/y', null, {
+      model: 'gpt-4',
+      onProgress: (update) => progress.push(update.stage)
+    });
+    assert.ok(result.chunks > 1);
+    assert.ok(progress.includes('chunks') && progress.includes('combining'));
+  });
+
+  await check('Chunk notes are taken once for every summary of the same transcript and model', async () => {
+    const long = Array.from({ length: 2500 }, (_, i) => `Sentence number ${i} talks about mice.`).join(' ');
+    const chunkNotes = new Map();
+    const chunkCalls = () => mock.calls.filter(call => call.params.messages[0].content.startsWith('You are taking notes')).length;
+
+    const before = chunkCalls();
+    const first = await summary.generateSummary(long, 'Long video', 'https://youtu.be/z', null, { model: 'gpt-4', chunkNotes });
+    const taken = chunkCalls() - before;
+    const second = await summary.generateSummary(long, 'Long video', 'https://youtu.be/z', 'Summarize in one line.', { model: 'gpt-4', chunkNotes });
+
+    assert.ok(taken > 1);
+    assert.strictEqual(chunkCalls() - before, taken);
+    assert.strictEqual(second.chunks, first.chunks);
+    assert.ok(second.usage.prompt_tokens < first.usage.prompt_tokens);
+  });
+
+  await check('A failing progress callback is logged and does not fail the summary', async () => {
+    const warnings = [];
+    const warn = summary.logger.warn;
+    summary.logger.warn = (message) => warnings.push(message);
+    try {
+      const long = Array.from({ length: 2500 }, (_, i) => `Sentence number ${i} talks about monitors.`).join(' ');
+      const result = await summary.generateSummary(long, 'Long video', 'https://youtu.be/w', null, {
+        model: 'gpt-4',
+        onProgress: () => { throw new Error('message was deleted'); }
+      });
+      assert.ok(result.summary);
+    } finally {
+      summary.logger.warn = warn;
+    }
+    assert.ok(warnings.some(message => message.includes('progress callback failed: message was deleted')));
+  });
+
+  await check('Over-long requests fail with the API\'s context length error', async () => {
+    await assert.rejects(
+      mock.complete({ model: 'gpt-4', messages: [{ role: 'user', content: 'word '.repeat(9000) }], maxTokens: 100 }),
+      (error) => error.status === 400 && error.code === 'context_length_exceeded'
+    );
+  });
+
+  await check('Scripted rate limits fail the next calls with 429', async () => {
+    mock.failures.push({ error: 'rate_limit', times: 1 });
+    await assert.rejects(summary.reviseSummary('A summary.', 'Shorten it.'), (error) => error.status === 429);
+    assert.ok(await summary.reviseSummary('A summary.', 'Shorten it.'));
+  });
+
+  await check('Custom reports run over stored summaries', async () => {
+    await report.saveSummary({
+      videoId: 'offline-1',
+      videoTitle: 'Keyboards',
+      summaryContent: 'Three budget keyboards reviewed.',
+      videoUrl: 'https://youtu.be/offline-1',
+      guildId: 'guild-1',
+      model: 'gpt-4o-mini'
+    });
+    const summaries = await report.getRecentSummaries('guild-1');
+    const text = await report.buildWeeklyReport(summaries, 'Write the weekly report. Keep it short.');
+    assert.ok(text.startsWith('# 📊 Mock report'));
+    assert.ok(text.endsWith('LLM used: gpt-4o-mini'));
+    const { params } = mock.calls[mock.calls.length - 1];
+    assert.ok(params.messages[1].content.includes('Three budget keyboards reviewed.'));
+
+    // With the guild's model instead of the configured default
+    const guildText = await report.buildMonthlyReport(summaries, 'Write the monthly report. Keep it short.', { model: 'gpt-4', context: { guildId: 'guild-1' } });
+    assert.ok(guildText.endsWith('LLM used: gpt-4'));
+    assert.strictEqual(mock.calls[mock.calls.length - 1].params.model, 'gpt-4');
+  });
+
+  await check('A summary is posted to a Discord channel and saved', async () => {
+    const discord = new DiscordService(serviceManager, { summary, report });
+    const channel = createChannel(guild, 'channel-1', 'yt-summaries-test');
+    const posted = await discord.processSingleSummaryChannel(channel, 'offline-2', 'Keyboards', TRANSCRIPT, 'https://youtu.be/offline-2', null);
+    assert.notStrictEqual(posted, false);
+    assert.ok(channel.sent.some(message => JSON.stringify(message.payload).includes('Welcome to the channel')));
+    const database = await serviceManager.getService('database');
+    assert.strictEqual((await database.getSummary('offline-2', 'channel-1')).model, 'gpt-4o-mini');
+  });
+
+  await check('Video details are only fetched from YouTube for prompts that use them', async () => {
+    const discord = new DiscordService(serviceManager, { summary, report });
+    const fetched = [];
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = async (url) => {
+      fetched.push(url);
+      return { ok: false, status: 503, statusText: 'Service Unavailable' };
+    };
+    try {
+      const variables = await discord.getSummaryPromptVariables('offline-3', 'Keyboards', 'Alice', ['Summarize {{title}} for {{posted_by}}', null]);
+      assert.strictEqual(fetched.length, 0);
+      assert.strictEqual(variables.title, 'Keyboards');
+      assert.strictEqual(variables.posted_by, 'Alice');
+
+      await discord.getSummaryPromptVariables('offline-3', 'Keyboards', 'Alice', ['Summarize {{title}} by {{creator}}']);
+      assert.deepStrictEqual(fetched, ['https://www.youtube.com/watch?v=offline-3']);
+    } finally {
+      globalThis.fetch = originalFetch;
+    }
+  });
+
+  await check('Calls are stored with their tokens, cost and what they were for', async () => {
+    const database = await serviceManager.getService('database');
+    const calls = await database.getAllQuery('SELECT * FROM llm_calls ORDER BY id');
+    // The rate-limited call failed and wasn't recorded
+    assert.strictEqual(calls.length, mock.calls.filter(call => !call.error).length);
+    const post = calls.find(call => call.video_id === 'offline-2');
+    assert.strictEqual(post.purpose, 'summary');
+    assert.strictEqual(post.guild_id, 'guild-1');
+    assert.strictEqual(post.channel_name, 'yt-summaries-test');
+    assert.strictEqual(post.provider, 'mock');
+    assert.ok(post.prompt_tokens > 0 && post.completion_tokens > 0);
+    assert.ok(Math.abs(post.cost - (post.prompt_tokens * 0.15 + post.completion_tokens * 0.6) / 1000000) < 1e-12);
+    assert.ok(['chunk', 'revision', 'report', 'model_test'].every(purpose => calls.some(call => call.purpose === purpose)));
+
+    const { monthStart, monthEnd } = report.getMonthBounds();
+    const byModel = await database.getLLMUsage(monthStart, new Date(monthEnd.getTime() + 1), { groupBy: 'model' });
+    assert.deepStrictEqual(byModel.map(row => row.name).sort(), ['gpt-4', 'gpt-4o-mini', 'gpt-5-mini']);
+    assert.ok((await report.getCostLine(monthStart, monthEnd, 'guild-1')).includes('💰 **LLM cost**: $0.'));
+  });
+
+  await check('Reaching a budget cap warns, downgrades summaries and pauses comparisons', async () => {
+    const budget = await serviceManager.getService('budget');
+    const alerts = [];
+    budget.on('budget:threshold', (alert) => alerts.push(alert));
+    Object.assign(budget.config, { monthlyLimit: 0.000001, fallbackModel: 'gpt-4.1-nano' });
+
+    await summary.reviseSummary('A summary.', 'Shorten it.');
+    assert.deepStrictEqual(alerts.map(alert => alert.level), ['exceeded']);
+    assert.deepStrictEqual(await budget.getSummaryModel('gpt-4o-mini'), { model: 'gpt-4.1-nano', downgradedFrom: 'gpt-4o-mini' });
+
+    const discord = new DiscordService(serviceManager, { summary, report, budget });
+    const channel = createChannel(guild, 'channel-2', 'yt-summaries-budget');
+    await discord.processSingleSummaryChannel(channel, 'offline-3', 'Keyboards', TRANSCRIPT, 'https://youtu.be/offline-3', null);
+    assert.strictEqual(mock.calls[mock.calls.length - 1].params.model, 'gpt-4.1-nano');
+    assert.strictEqual(alerts.length, 1);
+
+    const replies = [];
+    const interaction = { deferred: false, replied: false, reply: async (reply) => replies.push(reply) };
+    assert.strictEqual(await discord.replyIfBudgetPaused(interaction, 'Comparisons'), true);
+    assert.ok(replies[0].content.startsWith('⏸️ Comparisons are paused'));
+
+    let modalShown = false;
+    await discord.showPromptTestModal({ ...interaction, showModal: async () => { modalShown = true; } }, 'offline-3');
+    assert.strictEqual(modalShown, false);
+    assert.ok(replies[1].content.startsWith('⏸️ Prompt tests are paused'));
+
+    // Only the default guild hears about the caps
+    const guilds = ['guild-default', 'guild-other'].map(id => createGuild(id, [{ id: `${id}-admin`, name: 'bot-admin' }]));
+    guilds.forEach(adminGuild => discord.client.guilds.cache.set(adminGuild.id, adminGuild));
+    discord.config.guildId = 'guild-default';
+    await discord.postBudgetAlert(alerts[0]);
+    const [defaultAdmin, otherAdmin] = guilds.map(adminGuild => adminGuild.channels.cache.get(`${adminGuild.id}-admin`));
+    assert.strictEqual(defaultAdmin.sent.length, 1);
+    assert.ok(JSON.stringify(defaultAdmin.sent[0].payload).includes('budget reached'));
+    assert.strictEqual(otherAdmin.sent.length, 0);
+    budget.config.monthlyLimit = null;
+  });
+
+  await check('Every call is recorded to the record file', async () => {
+    const lines = fs.readFileSync(process.env.MOCK_LLM_RECORD_FILE, 'utf-8').trim().split('\n');
+    assert.strictEqual(lines.length, mock.calls.length);
+    assert.ok(JSON.parse(lines[0]).params.messages.length > 0);
+  });
+}
+
+runTests('offline pipeline', main, { workDir, serviceManager });
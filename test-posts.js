@@ -0,0 +1,77 @@
+/**
+ * Test script for recorded posts: every message the bot sends is kept with the video or report it
+ * belongs to, with split content linked part by part (temporary database, no Discord login)
+ */
+
+const assert = require('assert');
+const { check, useTempDatabase, runTests, createGuild, createChannel } = require('./test-helpers');
+
+const workDir = useTempDatabase('posts-test');
+
+const { serviceManager } = require('./src/core/service-manager');
+const DatabaseService = require('./src/services/database.service');
+const DiscordService = require('./src/services/discord.service');
+
+async function main() {
+  console.log('🧪 Testing recorded posts...\n');
+
+  serviceManager.registerService('database', DatabaseService);
+  const database = await serviceManager.getService('database');
+  const discord = new DiscordService(serviceManager, {});
+  const channel = createChannel(createGuild('guild-1'), 'channel-summaries', 'yt-summaries');
+
+  await check('A single message is recorded with its video', async () => {
+    const sent = await channel.send('Short summary');
+    await discord.recordPost(sent, 'summary', { videoId: 'dQw4w9WgXcQ' });
+    const posts = await database.getPostsForVideo('dQw4w9WgXcQ');
+    assert.strictEqual(posts.length, 1);
+    assert.strictEqual(posts[0].message_id, sent.id);
+    assert.strictEqual(posts[0].guild_id, 'guild-1');
+    assert.strictEqual(posts[0].channel_id, 'channel-summaries');
+    assert.strictEqual(posts[0].kind, 'summary');
+    assert.strictEqual(posts[0].parent_message_id, null);
+    assert.deepStrictEqual((await database.getPostParts(sent.id)).map(post => post.message_id), [sent.id]);
+  });
+
+  await check('Recording the same message twice keeps one row', async () => {
+    const [post] = await database.getPostsForVideo('dQw4w9WgXcQ');
+    await discord.recordPost({ id: post.message_id, guildId: 'guild-1', channelId: 'channel-summaries' }, 'summary', { videoId: 'dQw4w9WgXcQ' });
+    assert.strictEqual((await database.getPostsForVideo('dQw4w9WgXcQ')).length, 1);
+  });
+
+  const report = ['## Daily report', ...Array.from({ length: 60 }, (_, i) => `- Item ${i}: ${'x'.repeat(60)}`)].join('\n');
+  let first;
+
+  await check('Split content is recorded part by part, linked to its first message', async () => {
+    first = await discord.sendLongMessage(channel, report);
+    const parts = discord.messageParts.get(first);
+    assert.ok(parts.length > 1, 'report was not split');
+    await discord.recordPost(first, 'report', { reportKey: 'daily_report_2026-10-19' });
+
+    const posts = await database.getPostsForReport('daily_report_2026-10-19');
+    assert.deepStrictEqual(posts.map(post => post.message_id), parts.map(part => part.id));
+    assert.deepStrictEqual(posts.map(post => post.parent_message_id), [null, ...parts.slice(1).map(() => first.id)]);
+    assert.ok(posts.every(post => post.kind === 'report' && post.video_id === null));
+  });
+
+  await check('Any part finds every part of its content', async () => {
+    const parts = discord.messageParts.get(first).map(part => part.id);
+    assert.deepStrictEqual((await database.getPostParts(parts[parts.length - 1])).map(post => post.message_id), parts);
+    assert.deepStrictEqual((await database.getPostParts(first.id)).map(post => post.message_id), parts);
+    assert.deepStrictEqual(await database.getPostParts('unknown-message'), []);
+  });
+
+  await check('Deleted messages are forgotten', async () => {
+    const [post] = await database.getPostsForVideo('dQw4w9WgXcQ');
+    assert.strictEqual(await database.deletePost(post.message_id), true);
+    assert.strictEqual(await database.deletePost(post.message_id), false);
+    assert.deepStrictEqual(await database.getPostsForVideo('dQw4w9WgXcQ'), []);
+  });
+
+  await check('Nothing is recorded when the send failed', async () => {
+    await discord.recordPost(null, 'summary', { videoId: 'missing-video' });
+    assert.deepStrictEqual(await database.getPostsForVideo('missing-video'), []);
+  });
+}
+
+runTests('posts', main, { workDir, serviceManager });
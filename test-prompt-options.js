@@ -0,0 +1,75 @@
+/**
+ * Test script for front-matter options in pinned prompts (no network or credentials required)
+ */
+
+const assert = require('assert');
+const { parsePromptOptions } = require('./utils/prompt-options');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+console.log('🧪 Testing prompt front-matter...\n');
+
+check('Prompt without a header is used as is', () => {
+  assert.deepStrictEqual(parsePromptOptions('Summarize the video.'), {
+    prompt: 'Summarize the video.',
+    options: {},
+    errors: []
+  });
+});
+
+check('All supported options are parsed', () => {
+  const parsed = parsePromptOptions([
+    '---',
+    'model: gpt-4o-mini',
+    'temperature: 0.2',
+    'output: Embed',
+    'language: de',
+    'max_length: 800',
+    'strategy: Chunked',
+    '---',
+    'Summarize the video.'
+  ].join('\n'));
+
+  assert.deepStrictEqual(parsed.options, {
+    model: 'gpt-4o-mini',
+    temperature: 0.2,
+    output: 'embed',
+    language: 'de',
+    maxLength: 800,
+    strategy: 'chunked'
+  });
+  assert.strictEqual(parsed.prompt, 'Summarize the video.');
+  assert.deepStrictEqual(parsed.errors, []);
+});
+
+check('Invalid lines are reported and skipped', () => {
+  const parsed = parsePromptOptions('---\ntemperature: hot\noutput: html\ncolour: red\nlanguage: fr\nstrategy: skim\n---\nPrompt');
+
+  assert.deepStrictEqual(parsed.options, { language: 'fr' });
+  assert.strictEqual(parsed.errors.length, 4);
+  assert.ok(parsed.errors[3].startsWith('Line 6: strategy must be one of auto, chunked, extract'));
+  assert.ok(parsed.errors[0].startsWith('Line 2: temperature'));
+  assert.ok(parsed.errors[2].includes('unknown option "colour"'));
+});
+
+check('Unclosed header is an error and the text stays the prompt', () => {
+  const text = '---\nmodel: gpt-4o\nSummarize the video.';
+  const parsed = parsePromptOptions(text);
+
+  assert.strictEqual(parsed.prompt, text);
+  assert.deepStrictEqual(parsed.options, {});
+  assert.strictEqual(parsed.errors.length, 1);
+});
+
+console.log(`\n${failures === 0 ? '🎉 All prompt option tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,140 @@
+/**
+ * Test script for the prompt registry: pinned prompts are fetched once, shared by concurrent
+ * lookups and refreshed from pin, edit and channel events (temporary database, no Discord login)
+ */
+
+const assert = require('assert');
+const { ChannelType } = require('discord.js');
+const { check, useTempDatabase, runTests, createGuild, createChannel, emitClientEvent } = require('./test-helpers');
+
+const workDir = useTempDatabase('prompts-test');
+
+const { serviceManager } = require('./src/core/service-manager');
+const DatabaseService = require('./src/services/database.service');
+const DiscordService = require('./src/services/discord.service');
+const PromptRegistryService = require('./src/services/prompt-registry.service');
+
+async function main() {
+  console.log('🧪 Testing the prompt registry...\n');
+
+  serviceManager.registerService('database', DatabaseService);
+  await serviceManager.getService('database');
+
+  const guild = createGuild('guild-1');
+  const other = createGuild('guild-2');
+
+  await check('Concurrent lookups share one fetch and later ones come from memory', async () => {
+    const registry = new PromptRegistryService(serviceManager, {});
+    const channel = createChannel(guild, 'p-1', 'yt-summary-prompt-1');
+    channel.pin('m-1', 'Summarize briefly');
+
+    const results = await Promise.all([registry.getPinnedPrompt(channel), registry.getPinnedPrompt(channel), registry.getPinnedPrompt(channel)]);
+    assert.strictEqual(channel.fetches, 1);
+    assert.ok(results.every(prompt => prompt.content === 'Summarize briefly'));
+    assert.deepStrictEqual(await registry.getPinnedPrompt(channel), { id: 'm-1', content: 'Summarize briefly' });
+    assert.strictEqual(channel.fetches, 1);
+  });
+
+  await check('Channels with nothing pinned are remembered as such', async () => {
+    const registry = new PromptRegistryService(serviceManager, {});
+    const channel = createChannel(guild, 'p-empty', 'yt-summary-prompt-2');
+    assert.strictEqual(await registry.getPinnedPrompt(channel), null);
+    assert.strictEqual(await registry.getPinnedPrompt(channel), null);
+    assert.strictEqual(channel.fetches, 1);
+    assert.strictEqual(registry.has(channel.id), true);
+  });
+
+  await check('Invalidated channels and guilds are fetched again', async () => {
+    const registry = new PromptRegistryService(serviceManager, {});
+    const first = createChannel(guild, 'p-a', 'yt-summary-prompt-a');
+    const second = createChannel(guild, 'p-b', 'yt-summary-prompt-b');
+    const elsewhere = createChannel(other, 'p-c', 'yt-summary-prompt-c');
+    first.pin('m-a', 'Old prompt');
+    assert.strictEqual(await registry.preload([first, second, elsewhere]), 3);
+
+    first.pin('m-a2', 'New prompt');
+    registry.invalidate(first.id);
+    assert.strictEqual((await registry.getPinnedPrompt(first)).content, 'New prompt');
+    assert.strictEqual(first.fetches, 2);
+
+    registry.invalidateGuild(guild.id);
+    assert.strictEqual(registry.has(first.id), false);
+    assert.strictEqual(registry.has(second.id), false);
+    assert.strictEqual(registry.has(elsewhere.id), true);
+  });
+
+  await check('A failed fetch keeps the previous prompt and caches nothing new', async () => {
+    const registry = new PromptRegistryService(serviceManager, {});
+    const channel = createChannel(guild, 'p-flaky', 'yt-summary-prompt-flaky');
+    channel.pin('m-f', 'Stable prompt');
+    await registry.getPinnedPrompt(channel);
+
+    channel.failWith = 'Discord is down';
+    await assert.rejects(registry.load(channel), /Discord is down/);
+    assert.strictEqual((await registry.getPinnedPrompt(channel)).content, 'Stable prompt');
+
+    const unloaded = createChannel(guild, 'p-unloaded', 'yt-summary-prompt-unloaded');
+    unloaded.failWith = 'Missing Access';
+    assert.strictEqual(await registry.preload([unloaded]), 0);
+    assert.strictEqual(registry.has(unloaded.id), false);
+  });
+
+  const discord = new DiscordService(serviceManager, {});
+  const { prefixes } = await discord.getGuildConfig(guild.id);
+  const promptChannel = createChannel(guild, 'p-events', `${prefixes.summaryPrompt}9`);
+  const chatChannel = createChannel(guild, 'c-chat', 'general');
+  promptChannel.pin('m-e1', 'First prompt');
+
+  await check('Pinning a new prompt refreshes the channel', async () => {
+    await discord.preloadPrompts(guild);
+    const fetches = promptChannel.fetches;
+    assert.strictEqual((await discord.prompts.getPinnedPrompt(promptChannel)).content, 'First prompt');
+
+    promptChannel.pin('m-e2', 'Second prompt');
+    await emitClientEvent(discord, 'channelPinsUpdate', promptChannel);
+    assert.strictEqual(promptChannel.fetches, fetches + 1);
+    assert.strictEqual((await discord.prompts.getPinnedPrompt(promptChannel)).content, 'Second prompt');
+
+    promptChannel.pin(null, null);
+    await emitClientEvent(discord, 'channelPinsUpdate', promptChannel);
+    assert.strictEqual(await discord.prompts.getPinnedPrompt(promptChannel), null);
+  });
+
+  await check('Pins in other channels are ignored', async () => {
+    chatChannel.pin('m-chat', 'Not a prompt');
+    await emitClientEvent(discord, 'channelPinsUpdate', chatChannel);
+    assert.strictEqual(chatChannel.fetches, 0);
+    assert.strictEqual(discord.prompts.has(chatChannel.id), false);
+  });
+
+  await check('Editing the pinned prompt refreshes it', async () => {
+    promptChannel.pin('m-e3', 'Before edit');
+    await emitClientEvent(discord, 'channelPinsUpdate', promptChannel);
+    promptChannel.pin('m-e3', 'After edit');
+
+    await emitClientEvent(discord, 'messageUpdate', {}, { pinned: false, channelId: promptChannel.id, channel: promptChannel });
+    assert.strictEqual((await discord.prompts.getPinnedPrompt(promptChannel)).content, 'Before edit');
+    await emitClientEvent(discord, 'messageUpdate', {}, { pinned: true, channelId: promptChannel.id, channel: promptChannel });
+    assert.strictEqual((await discord.prompts.getPinnedPrompt(promptChannel)).content, 'After edit');
+  });
+
+  await check('New prompt channels are loaded and deleted ones forgotten', async () => {
+    const created = createChannel(guild, 'p-new', `${prefixes.summaryPrompt}10`);
+    created.pin('m-n', 'Fresh prompt');
+    await emitClientEvent(discord, 'channelCreate', created);
+    assert.strictEqual(discord.prompts.has(created.id), true);
+    assert.strictEqual(created.fetches, 1);
+
+    await emitClientEvent(discord, 'channelDelete', created);
+    assert.strictEqual(discord.prompts.has(created.id), false);
+  });
+
+  await check('Event handler errors are logged instead of thrown', async () => {
+    const broken = { id: 'c-broken', name: 'broken', type: ChannelType.GuildText, guild: { id: 'guild-1' } };
+    await emitClientEvent(discord, 'channelPinsUpdate', broken);
+    await emitClientEvent(discord, 'channelCreate', broken);
+    await emitClientEvent(discord, 'messageUpdate', {}, { pinned: true, channelId: promptChannel.id, channel: null });
+  });
+}
+
+runTests('prompt registry', main, { workDir, serviceManager });
@@ -0,0 +1,58 @@
+/**
+ * Test script for template variables in prompts (no network or credentials required)
+ */
+
+const assert = require('assert');
+const { renderPromptTemplate, findPromptVariables, formatDuration } = require('./utils/prompt-template');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+console.log('🧪 Testing prompt template variables...\n');
+
+check('Placeholders are replaced, ignoring case and spaces', () => {
+  const rendered = renderPromptTemplate('Summarize "{{title}}" by {{ Creator }} ({{duration}})', {
+    title: 'Rust in 100 Seconds',
+    creator: 'Fireship',
+    duration: '2:18'
+  });
+
+  assert.strictEqual(rendered.text, 'Summarize "Rust in 100 Seconds" by Fireship (2:18)');
+  assert.deepStrictEqual(rendered.used, ['title', 'creator', 'duration']);
+});
+
+check('Missing values render as "unknown"', () => {
+  const rendered = renderPromptTemplate('Posted by {{posted_by}} on {{date}}', { posted_by: null, date: '' });
+  assert.strictEqual(rendered.text, 'Posted by unknown on unknown');
+});
+
+check('Unknown placeholders and single braces are left as is', () => {
+  const template = 'Return {"title": "..."} and keep {{not_a_variable}}';
+  const rendered = renderPromptTemplate(template, { title: 'Video' });
+
+  assert.strictEqual(rendered.text, template);
+  assert.deepStrictEqual(rendered.used, []);
+});
+
+check('Dashes in names match underscores', () => {
+  assert.strictEqual(renderPromptTemplate('{{posted-by}}', { posted_by: 'sam' }).text, 'sam');
+  assert.deepStrictEqual(findPromptVariables('{{Top-Creators}} {{period}} {{top_creators}}'), ['top_creators', 'period']);
+});
+
+check('Durations are formatted as m:ss or h:mm:ss', () => {
+  assert.strictEqual(formatDuration(65), '1:05');
+  assert.strictEqual(formatDuration(3725), '1:02:05');
+  assert.strictEqual(formatDuration(null), null);
+});
+
+console.log(`\n${failures === 0 ? '🎉 All prompt template tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,135 @@
+/**
+ * Test script for the SQLite-backed processing queue: de-duplication, retries with backoff,
+ * permanent failures and jobs resumed after a restart (temporary database, no network required)
+ */
+
+const assert = require('assert');
+const { check, useTempDatabase, runTests } = require('./test-helpers');
+
+const workDir = useTempDatabase('queue-test');
+
+const { serviceManager } = require('./src/core/service-manager');
+const DatabaseService = require('./src/services/database.service');
+const QueueService = require('./src/services/queue.service');
+
+// Retries are due immediately so the test doesn't wait for the backoff
+Object.assign(serviceManager.config.queue, { concurrency: 1, maxAttempts: 3, retryBaseDelaySeconds: 0, pollIntervalSeconds: 3600 });
+
+const database = new DatabaseService(serviceManager, {});
+const queues = [];
+
+async function createQueue() {
+  const queue = new QueueService(serviceManager, { database });
+  await queue.initialize();
+  queues.push(queue);
+  return queue;
+}
+
+/**
+ * Resolves with the job once the queue settles it (completed or failed for good)
+ */
+function settled(queue, jobId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`job ${jobId} did not settle`)), 10000);
+    queue.on('job:settled', (job) => {
+      if (job.id === jobId) {
+        clearTimeout(timer);
+        resolve(job);
+      }
+    });
+  });
+}
+
+async function main() {
+  console.log('🧪 Testing the processing queue...\n');
+  await database.initialize();
+
+  await check('A video is queued once per source message', async () => {
+    const queue = await createQueue();
+    const job = await queue.enqueue({ videoId: 'dQw4w9WgXcQ', guildId: 'guild-1', sourceChannelId: 'c1', sourceMessageId: '100' });
+    assert.strictEqual(job.status, 'pending');
+    assert.strictEqual(job.stage, 'transcript');
+    assert.strictEqual(await queue.enqueue({ videoId: 'dQw4w9WgXcQ', guildId: 'guild-1', sourceChannelId: 'c1', sourceMessageId: '100' }), null);
+    assert.ok(await queue.enqueue({ videoId: 'dQw4w9WgXcQ', guildId: 'guild-1', sourceChannelId: 'c1', sourceMessageId: '101' }));
+    await database.runQuery('DELETE FROM jobs');
+  });
+
+  await check('Failed jobs are retried and resume from their last stage', async () => {
+    const queue = await createQueue();
+    const job = await queue.enqueue({ videoId: 'retry-video', sourceMessageId: '200' });
+    const stages = [];
+    const done = settled(queue, job.id);
+    queue.start(async (running) => {
+      stages.push(running.stage);
+      if (running.stage === 'transcript') {
+        await queue.advance(running, 'summary');
+      }
+      if (running.attempts < 3) {
+        throw new Error(`attempt ${running.attempts} failed`);
+      }
+    });
+
+    const result = await done;
+    assert.strictEqual(result.status, 'completed');
+    assert.deepStrictEqual(stages, ['transcript', 'summary', 'summary']);
+    const stored = await database.getJob(job.id);
+    assert.strictEqual(stored.status, 'completed');
+    assert.strictEqual(stored.attempts, 3);
+    assert.strictEqual(stored.last_error, null);
+    await queue.shutdown();
+  });
+
+  await check('Jobs fail for good after the maximum number of attempts', async () => {
+    const queue = await createQueue();
+    const job = await queue.enqueue({ videoId: 'broken-video', sourceMessageId: '300' });
+    const done = settled(queue, job.id);
+    queue.start(async () => {
+      throw new Error('Transcript not available');
+    });
+
+    const result = await done;
+    assert.strictEqual(result.status, 'failed');
+    const stored = await database.getJob(job.id);
+    assert.strictEqual(stored.status, 'failed');
+    assert.strictEqual(stored.attempts, 3);
+    assert.strictEqual(stored.last_error, 'Transcript not available');
+    await queue.shutdown();
+  });
+
+  await check('Jobs left running by a previous process are resumed at startup', async () => {
+    const job = await database.createJob({ videoId: 'interrupted-video', sourceMessageId: '400' });
+    await database.updateJob(job.id, { status: 'running', stage: 'summary', attempts: 1 });
+
+    const queue = await createQueue();
+    assert.strictEqual((await database.getJob(job.id)).status, 'pending');
+
+    const done = settled(queue, job.id);
+    let resumedStage = null;
+    queue.start(async (running) => {
+      resumedStage = running.stage;
+    });
+
+    const result = await done;
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(resumedStage, 'summary');
+    assert.strictEqual((await database.getJob(job.id)).attempts, 2);
+    await queue.shutdown();
+  });
+
+  await check('Retry delays double per attempt, up to an hour', async () => {
+    const queue = new QueueService(serviceManager, { database });
+    queue.config = { ...queue.config, retryBaseDelaySeconds: 30 };
+    assert.deepStrictEqual([1, 2, 3, 4].map(attempt => queue.getRetryDelay(attempt)), [30, 60, 120, 240]);
+    assert.strictEqual(queue.getRetryDelay(20), 3600);
+  });
+}
+
+runTests('queue', main, {
+  workDir,
+  cleanup: async () => {
+    for (const queue of queues) {
+      await queue.shutdown();
+    }
+    await database.close();
+  }
+});
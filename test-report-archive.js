@@ -0,0 +1,133 @@
+/**
+ * Test script for the report archive: daily, weekly and monthly reports are kept per guild, and
+ * archives and summaries from before multi-guild support move to the default guild (temporary database)
+ */
+
+const assert = require('assert');
+const sqlite3 = require('sqlite3');
+const { check, useTempDatabase, runTests } = require('./test-helpers');
+
+const workDir = useTempDatabase('report-archive-test');
+process.chdir(workDir);
+
+const { serviceManager } = require('./src/core/service-manager');
+const DatabaseService = require('./src/services/database.service');
+const HybridCacheService = require('./src/services/hybrid-cache.service');
+const ReportService = require('./src/services/report.service');
+const DiscordService = require('./src/services/discord.service');
+const CommandService = require('./src/services/command.service');
+
+/**
+ * Create a database with the summaries and report tables as they were before guild_id was added
+ */
+async function createLegacyDatabase(dbPath) {
+  const db = new sqlite3.Database(dbPath);
+  const run = (sql, params = []) => new Promise((resolve, reject) => db.run(sql, params, error => error ? reject(error) : resolve()));
+  await run('CREATE TABLE daily_reports (id INTEGER PRIMARY KEY AUTOINCREMENT, date TEXT NOT NULL UNIQUE, content TEXT NOT NULL, summary_count INTEGER DEFAULT 0, word_count INTEGER, created_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+  await run('CREATE INDEX idx_daily_reports_date ON daily_reports(date)');
+  await run('CREATE TABLE weekly_reports (id INTEGER PRIMARY KEY AUTOINCREMENT, week_start TEXT NOT NULL UNIQUE, week_end TEXT NOT NULL, content TEXT NOT NULL, summary_count INTEGER DEFAULT 0, word_count INTEGER, total_videos INTEGER DEFAULT 0, top_channels TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+  await run('CREATE TABLE monthly_reports (id INTEGER PRIMARY KEY AUTOINCREMENT, year INTEGER NOT NULL, month INTEGER NOT NULL, month_name TEXT NOT NULL, content TEXT NOT NULL, summary_count INTEGER DEFAULT 0, word_count INTEGER, total_videos INTEGER DEFAULT 0, top_channels TEXT, daily_average REAL DEFAULT 0, weekly_breakdown TEXT, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, UNIQUE(year, month))');
+  await run('CREATE TABLE summaries (id INTEGER PRIMARY KEY AUTOINCREMENT, video_id TEXT NOT NULL UNIQUE, title TEXT NOT NULL, content TEXT NOT NULL, url TEXT, prompt_type TEXT DEFAULT \'default\', word_count INTEGER, created_at DATETIME DEFAULT CURRENT_TIMESTAMP, updated_at DATETIME DEFAULT CURRENT_TIMESTAMP)');
+  await run("INSERT INTO summaries (video_id, title, content, url) VALUES ('legacyvideo', 'Old video', 'Old summary', 'https://youtu.be/legacyvideo')");
+  await run("INSERT INTO daily_reports (date, content, summary_count) VALUES ('2025-10-06', 'Old daily report', 3)");
+  await run("INSERT INTO weekly_reports (week_start, week_end, content, top_channels) VALUES ('2025-10-06', '2025-10-12', 'Old weekly report', '[]')");
+  await run("INSERT INTO monthly_reports (year, month, month_name, content, top_channels, weekly_breakdown) VALUES (2025, 10, 'October 2025', 'Old monthly report', '[]', '{}')");
+  await new Promise(resolve => db.close(resolve));
+}
+
+async function main() {
+  console.log('🧪 Testing the per-guild report archive...\n');
+
+  serviceManager.config.discord.guildId = 'guild-default';
+  await createLegacyDatabase(process.env.DATABASE_PATH);
+
+  serviceManager.registerService('database', DatabaseService);
+  serviceManager.registerService('cache', HybridCacheService, ['database']);
+  const database = await serviceManager.getService('database');
+  const cache = await serviceManager.getService('cache');
+  const report = new ReportService(serviceManager, { cache, database });
+
+  await check('Reports archived before multi-guild support belong to the default guild', async () => {
+    assert.strictEqual((await database.getDailyReport('2025-10-06')).content, 'Old daily report');
+    assert.strictEqual((await database.getDailyReport('2025-10-06', 'guild-default')).summary_count, 3);
+    assert.strictEqual((await database.getWeeklyReport('2025-10-06', 'guild-default')).content, 'Old weekly report');
+    assert.strictEqual((await database.getMonthlyReport(2025, 10, 'guild-default')).content, 'Old monthly report');
+    assert.ok(!await database.getDailyReport('2025-10-06', 'guild-other'));
+  });
+
+  await check('Summaries from before per-channel storage belong to the default guild and are replaced on re-run', async () => {
+    const [migrated] = await database.getSummariesForVideo('legacyvideo');
+    assert.strictEqual(migrated.guild_id, 'guild-default');
+    assert.strictEqual(migrated.output_channel_id, '');
+
+    // Another guild's channel gets a summary of its own
+    await database.saveSummary({ videoId: 'legacyvideo', videoTitle: 'Old video', summaryContent: 'Other guild', guildId: 'guild-other', outputChannelId: 'other-summaries' });
+    await database.saveSummary({ videoId: 'legacyvideo', videoTitle: 'Old video', summaryContent: 'New summary', guildId: 'guild-default', outputChannelId: 'channel-summaries' });
+    await database.saveSummary({ videoId: 'legacyvideo', videoTitle: 'Old video', summaryContent: 'Second channel', guildId: 'guild-default', outputChannelId: 'channel-summaries-2' });
+
+    const rows = await database.getSummariesForVideo('legacyvideo');
+    assert.deepStrictEqual(rows.map(row => [row.guild_id, row.output_channel_id, row.content]).sort(), [
+      ['guild-default', 'channel-summaries', 'New summary'],
+      ['guild-default', 'channel-summaries-2', 'Second channel'],
+      ['guild-other', 'other-summaries', 'Other guild']
+    ]);
+  });
+
+  await check('Each guild keeps its own report for the same period', async () => {
+    await database.saveDailyReport({ guildId: 'guild-a', date: '2025-10-07', content: 'Report A', summaryCount: 1 });
+    await database.saveDailyReport({ guildId: 'guild-b', date: '2025-10-07', content: 'Report B', summaryCount: 2 });
+    await database.saveDailyReport({ guildId: 'guild-a', date: '2025-10-07', content: 'Report A again', summaryCount: 4 });
+
+    assert.strictEqual((await database.getDailyReport('2025-10-07', 'guild-a')).content, 'Report A again');
+    assert.strictEqual((await database.getDailyReport('2025-10-07', 'guild-b')).content, 'Report B');
+    assert.deepStrictEqual((await database.getAllReports('daily', 10, 'guild-a')).map(row => row.content), ['Report A again']);
+    assert.strictEqual((await database.getAllReports('daily', 10)).length, 3);
+  });
+
+  await check('Weekly and monthly reports are generated and archived for every guild', async () => {
+    await report.generateWeeklyReport(0, 'guild-a');
+    await report.generateWeeklyReport(0, 'guild-b');
+    await report.generateMonthlyReport(0, 'guild-b');
+
+    const { weekStart } = report.getWeekBounds();
+    const weekStartStr = weekStart.toISOString().split('T')[0];
+    assert.ok(await database.getWeeklyReport(weekStartStr, 'guild-a'));
+    assert.ok(await database.getWeeklyReport(weekStartStr, 'guild-b'));
+    assert.ok(!await database.getWeeklyReport(weekStartStr, 'guild-default'));
+
+    const { monthStart } = report.getMonthBounds();
+    assert.ok(await database.getMonthlyReport(monthStart.getFullYear(), monthStart.getMonth() + 1, 'guild-b'));
+    assert.ok(!await database.getMonthlyReport(monthStart.getFullYear(), monthStart.getMonth() + 1, 'guild-a'));
+  });
+
+  await check('Daily reports are dated in the guild\'s timezone', async () => {
+    const lateEvening = new Date('2025-10-07T23:30:00Z');
+    assert.strictEqual(DiscordService.prototype.getLocalDate('Europe/Berlin', lateEvening), '2025-10-08');
+    assert.strictEqual(DiscordService.prototype.getLocalDate('America/New_York', lateEvening), '2025-10-07');
+  });
+
+  await check('/usage periods start at midnight in the guild\'s timezone', async () => {
+    const bounds = (timezone, now) => Object.fromEntries(Object.entries(CommandService.prototype.getUsagePeriods(timezone, now))
+      .map(([key, { start, end }]) => [key, [start.toISOString(), end.toISOString()]]));
+    assert.deepStrictEqual(bounds('Europe/Berlin', new Date('2025-10-07T23:30:00Z')), {
+      day: ['2025-10-07T22:00:00.000Z', '2025-10-08T22:00:00.000Z'],
+      week: ['2025-10-05T22:00:00.000Z', '2025-10-12T22:00:00.000Z'],
+      month: ['2025-09-30T22:00:00.000Z', '2025-10-31T23:00:00.000Z']
+    });
+    assert.deepStrictEqual(bounds('America/New_York', new Date('2025-10-07T23:30:00Z')).day, ['2025-10-07T04:00:00.000Z', '2025-10-08T04:00:00.000Z']);
+    // The day the clocks go back lasts 25 hours
+    assert.deepStrictEqual(bounds('Europe/Berlin', new Date('2025-10-26T12:00:00Z')).day, ['2025-10-25T22:00:00.000Z', '2025-10-26T23:00:00.000Z']);
+  });
+
+  await check('Report cache keys name the guild', async () => {
+    assert.strictEqual(report.getReportCacheKey('daily_report_2025-10-07', 'guild-a'), 'daily_report_2025-10-07_guild-a');
+    assert.strictEqual(report.getReportCacheKey('daily_report_2025-10-07'), 'daily_report_2025-10-07_guild-default');
+
+    const cached = await cache.get('daily_report_2025-10-07_guild-b', { type: 'report', bypassCache: true });
+    assert.strictEqual(cached.content, 'Report B');
+    const legacy = await cache.get('monthly_report_2025-10', { type: 'report', bypassCache: true });
+    assert.strictEqual(legacy.content, 'Old monthly report');
+  });
+}
+
+runTests('report archive', main, { workDir, serviceManager });
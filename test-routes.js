@@ -0,0 +1,133 @@
+/**
+ * Test script for channel routing: routes stored per guild decide which channels are monitored and
+ * where summaries go, with the yt-summaries-N naming convention as fallback (temporary database, no Discord login)
+ */
+
+const assert = require('assert');
+const { check, useTempDatabase, runTests, createGuild } = require('./test-helpers');
+
+const workDir = useTempDatabase('routes-test');
+
+const { serviceManager } = require('./src/core/service-manager');
+const DatabaseService = require('./src/services/database.service');
+const DiscordService = require('./src/services/discord.service');
+
+async function main() {
+  console.log('🧪 Testing channel routing...\n');
+
+  serviceManager.registerService('database', DatabaseService);
+  const database = await serviceManager.getService('database');
+  const discord = new DiscordService(serviceManager, {});
+
+  const guild = createGuild('guild-1', [
+    { id: 'src-music', name: 'music-drops' },
+    { id: 'src-talks', name: 'talks' },
+    { id: 'out-short', name: 'short-summaries' },
+    { id: 'out-long', name: 'long-summaries' },
+    { id: 'prompt-short', name: 'short-prompt', pinned: 'Summarize in three bullets' },
+    { id: 'youtube-chat', name: 'youtube-chat' }
+  ]);
+  const channel = (id) => guild.channels.cache.get(id);
+
+  await check('Routes are saved, updated in place and listed per guild', async () => {
+    assert.strictEqual(await database.saveRoute({ guildId: 'guild-1', sourceChannelId: 'src-music', outputChannelId: 'out-short' }), true);
+    assert.strictEqual(await database.saveRoute({ guildId: 'guild-1', sourceChannelId: 'src-music', outputChannelId: 'out-short', promptChannelId: 'prompt-short', options: { thread: true } }), true);
+    await database.saveRoute({ guildId: 'guild-1', sourceChannelId: 'src-music', outputChannelId: 'out-long' });
+    await database.saveRoute({ guildId: 'guild-1', sourceChannelId: 'src-talks', outputChannelId: 'out-long' });
+    await database.saveRoute({ guildId: 'guild-2', sourceChannelId: 'elsewhere', outputChannelId: 'elsewhere-out' });
+
+    const routes = await database.getRoutes('guild-1');
+    assert.strictEqual(routes.length, 3);
+    const updated = routes.find(route => route.output_channel_id === 'out-short');
+    assert.strictEqual(updated.prompt_channel_id, 'prompt-short');
+    assert.deepStrictEqual(updated.options, { thread: true });
+    assert.deepStrictEqual(routes.find(route => route.source_channel_id === 'src-talks').options, {});
+  });
+
+  await check('With routes, only their source channels are monitored', async () => {
+    const routes = await discord.getGuildRoutes(guild.id);
+    const guildConfig = await discord.getGuildConfig(guild.id);
+    assert.strictEqual(discord.isMonitoredChannel(channel('src-music'), routes, guildConfig), true);
+    assert.strictEqual(discord.isMonitoredChannel(channel('src-talks'), routes, guildConfig), true);
+    // Would match the channel name patterns without routes
+    assert.strictEqual(discord.isMonitoredChannel(channel('youtube-chat'), routes, guildConfig), false);
+  });
+
+  await check('Summaries go to the output channels routed from the source channel', async () => {
+    const targets = await discord.resolveSummaryTargets(guild, 'src-music');
+    assert.deepStrictEqual(targets.map(target => target.channel.id), ['out-short', 'out-long']);
+    assert.strictEqual(targets[0].promptChannel.id, 'prompt-short');
+    assert.strictEqual(targets[1].promptChannel, null);
+
+    const talks = await discord.resolveSummaryTargets(guild, 'src-talks');
+    assert.deepStrictEqual(talks.map(target => target.channel.id), ['out-long']);
+  });
+
+  await check('Every output channel is listed once when no source channel is given', async () => {
+    const targets = await discord.resolveSummaryTargets(guild);
+    assert.deepStrictEqual(targets.map(target => target.channel.id), ['out-short', 'out-long']);
+  });
+
+  await check('Routes to deleted channels are skipped', async () => {
+    await database.saveRoute({ guildId: 'guild-1', sourceChannelId: 'src-talks', outputChannelId: 'out-deleted' });
+    const targets = await discord.resolveSummaryTargets(guild, 'src-talks');
+    assert.deepStrictEqual(targets.map(target => target.channel.id), ['out-long']);
+  });
+
+  await check('The prompt channel of an output channel comes from its route', async () => {
+    assert.strictEqual((await discord.resolvePromptChannel(guild, channel('out-short'))).id, 'prompt-short');
+    assert.strictEqual(await discord.resolvePromptChannel(guild, channel('out-long')), null);
+  });
+
+  await check('Summaries are only re-run in a routed output channel, with the original poster', async () => {
+    await database.saveTranscript('rerun-video', 'Transcript text');
+    await database.saveSummary({ videoId: 'rerun-video', videoTitle: 'Rerun', summaryContent: 'Summary', guildId: 'guild-1', outputChannelId: 'out-long', postedBy: 'Alice' });
+
+    const calls = [];
+    discord.processSummaryChannels = async (...args) => { calls.push(args); return []; };
+    const replies = [];
+    const interaction = { guild, deferReply: async () => {}, editReply: async (reply) => replies.push(reply.content) };
+
+    await assert.rejects(discord.rerunSummaryFromControl(interaction, 'rerun-video', 'youtube-chat'), /not a summary channel/);
+    assert.strictEqual(calls.length, 0);
+
+    await discord.rerunSummaryFromControl(interaction, 'rerun-video', 'out-short');
+    const [, videoId, videoTitle, transcript, , channelIds, , , postedBy] = calls[0];
+    assert.deepStrictEqual([videoId, videoTitle, transcript, channelIds, postedBy], ['rerun-video', 'Rerun', 'Transcript text', ['out-short'], 'Alice']);
+    assert.deepStrictEqual(replies, ['📝 Summary regenerated in <#out-short>']);
+    delete discord.processSummaryChannels;
+  });
+
+  await check('Removed routes stop routing', async () => {
+    assert.strictEqual(await database.removeRoute('src-talks', 'out-long'), true);
+    assert.strictEqual(await database.removeRoute('src-talks', 'out-long'), false);
+    await database.removeRoute('src-talks', 'out-deleted');
+    assert.deepStrictEqual(await discord.resolveSummaryTargets(guild, 'src-talks'), []);
+    const routes = await discord.getGuildRoutes(guild.id);
+    assert.strictEqual(discord.isMonitoredChannel(channel('src-talks'), routes, await discord.getGuildConfig(guild.id)), false);
+  });
+
+  await check('Guilds without routes fall back to the channel naming convention', async () => {
+    const { prefixes } = await discord.getGuildConfig('guild-3');
+    const conventional = createGuild('guild-3', [
+      { id: 'c-youtube', name: 'youtube-links' },
+      { id: 'c-random', name: 'random' },
+      { id: 'c-out-1', name: `${prefixes.summariesOutput}1` },
+      { id: 'c-prompt-1', name: `${prefixes.summaryPrompt}1`, pinned: 'Custom prompt' },
+      { id: 'c-out-2', name: `${prefixes.summariesOutput}2` },
+      { id: 'c-prompt-2', name: `${prefixes.summaryPrompt}2` }
+    ]);
+
+    const routes = await discord.getGuildRoutes('guild-3');
+    const guildConfig = await discord.getGuildConfig('guild-3');
+    assert.deepStrictEqual(routes, []);
+    assert.strictEqual(discord.isMonitoredChannel(conventional.channels.cache.get('c-youtube'), routes, guildConfig), true);
+    assert.strictEqual(discord.isMonitoredChannel(conventional.channels.cache.get('c-random'), routes, guildConfig), false);
+
+    // Output channels whose prompt channel has nothing pinned are skipped
+    const targets = await discord.resolveSummaryTargets(conventional, 'c-youtube');
+    assert.deepStrictEqual(targets.map(target => [target.channel.id, target.promptChannel.id, target.route]), [['c-out-1', 'c-prompt-1', null]]);
+  });
+}
+
+runTests('routing', main, { workDir, serviceManager });
@@ -0,0 +1,89 @@
+/**
+ * Test script for rendering JSON summaries as Discord embeds (no network or credentials required)
+ */
+
+const assert = require('assert');
+const { renderSummaryEmbed, EMBED_LIMITS } = require('./utils/summary-embed');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+function embedLength(embed) {
+  return (embed.title || '').length +
+    (embed.description || '').length +
+    (embed.footer?.text || '').length +
+    (embed.fields || []).reduce((total, field) => total + field.name.length + field.value.length, 0);
+}
+
+console.log('🧪 Testing summary embeds...\n');
+
+check('Summary prompt shape', () => {
+  const content = JSON.stringify({
+    title: 'Rust in 100 Seconds',
+    summary: ['Memory safety without a GC', 'Ownership and borrowing'],
+    noteworthy_mentions: ['Mozilla'],
+    verdict: 'A fast intro to Rust'
+  });
+  const { embed, truncated } = renderSummaryEmbed(content, { videoId: 'dQw4w9WgXcQ' });
+  const data = embed.toJSON();
+
+  assert.strictEqual(truncated, false);
+  assert.strictEqual(data.title, 'Rust in 100 Seconds');
+  assert.strictEqual(data.url, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+  assert.strictEqual(data.footer.text, 'Verdict: A fast intro to Rust');
+  assert.deepStrictEqual(data.fields.map(field => field.value), [
+    '• Memory safety without a GC\n• Ownership and borrowing',
+    '• Mozilla'
+  ]);
+});
+
+check('Code-fenced JSON is recognized', () => {
+  const rendered = renderSummaryEmbed('```json\n{"title": "x", "summary": ["a"]}\n```', {});
+  assert.ok(rendered);
+});
+
+check('Unknown shape falls back to key/value fields', () => {
+  const { embed } = renderSummaryEmbed(JSON.stringify({ topic: 'Databases', key_facts: ['WAL', 'MVCC'] }), { videoTitle: 'SQLite internals' });
+  const data = embed.toJSON();
+
+  assert.strictEqual(data.title, 'SQLite internals');
+  assert.deepStrictEqual(data.fields, [
+    { name: 'Topic', value: 'Databases' },
+    { name: 'Key Facts', value: '• WAL\n• MVCC' }
+  ]);
+});
+
+check('Oversized summaries stay within embed limits', () => {
+  const content = JSON.stringify({
+    title: 'T'.repeat(400),
+    summary: Array.from({ length: 300 }, (_, index) => `Point ${index} ${'x'.repeat(60)}`),
+    verdict: 'Still shown'
+  });
+  const { embed, truncated } = renderSummaryEmbed(content, {});
+  const data = embed.toJSON();
+
+  assert.strictEqual(truncated, true);
+  assert.ok(data.title.length <= EMBED_LIMITS.title);
+  assert.ok(data.fields.length <= EMBED_LIMITS.fields);
+  assert.ok(data.fields.every(field => field.value.length <= EMBED_LIMITS.fieldValue));
+  assert.ok(embedLength(data) <= EMBED_LIMITS.total);
+  assert.strictEqual(data.footer.text, 'Verdict: Still shown');
+});
+
+check('Non-JSON summaries are not rendered', () => {
+  assert.strictEqual(renderSummaryEmbed('Just a plain text summary', {}), null);
+  assert.strictEqual(renderSummaryEmbed('["a", "b"]', {}), null);
+  assert.strictEqual(renderSummaryEmbed('{}', {}), null);
+});
+
+console.log(`\n${failures === 0 ? '🎉 All summary embed tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
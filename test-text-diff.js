@@ -0,0 +1,48 @@
+/**
+ * Test script for prompt version diffs (no network or credentials required)
+ */
+
+const assert = require('assert');
+const { diffLines, formatDiff } = require('./utils/text-diff');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+console.log('🧪 Testing prompt diffs...\n');
+
+check('Identical texts have no diff', () => {
+  assert.strictEqual(formatDiff('Summarize the video.\nUse bullets.', 'Summarize the video.\nUse bullets.'), '');
+});
+
+check('Changed, added and removed lines are marked', () => {
+  assert.deepStrictEqual(diffLines('a\nb\nc', 'a\nB\nc\nd'), [
+    { type: 'same', line: 'a' },
+    { type: 'removed', line: 'b' },
+    { type: 'added', line: 'B' },
+    { type: 'same', line: 'c' },
+    { type: 'added', line: 'd' }
+  ]);
+});
+
+check('Unchanged runs away from changes are collapsed', () => {
+  const oldText = ['one', 'two', 'three', 'four', 'five', 'six'].join('\n');
+  const newText = ['one', 'two', 'three', 'four', 'five', 'SIX'].join('\n');
+
+  assert.strictEqual(formatDiff(oldText, newText), ['...', '  five', '- six', '+ SIX'].join('\n'));
+});
+
+check('Windows line endings are not a change', () => {
+  assert.strictEqual(formatDiff('a\r\nb', 'a\nb'), '');
+});
+
+console.log(`\n${failures === 0 ? '🎉 All prompt diff tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
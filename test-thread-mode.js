@@ -0,0 +1,93 @@
+/**
+ * Test script for thread mode: routes with thread:True open a thread on the uploads message and
+ * post the transcript and that route's summary there (temporary database, no Discord login)
+ */
+
+const assert = require('assert');
+const { check, useTempDatabase, runTests, createGuild, createChannel, createMessage } = require('./test-helpers');
+
+const workDir = useTempDatabase('threads-test');
+
+const { serviceManager } = require('./src/core/service-manager');
+const DatabaseService = require('./src/services/database.service');
+const DiscordService = require('./src/services/discord.service');
+
+async function main() {
+  console.log('🧪 Testing thread mode...\n');
+
+  serviceManager.registerService('database', DatabaseService);
+  const database = await serviceManager.getService('database');
+  const discord = new DiscordService(serviceManager, {});
+
+  const guild = createGuild('guild-1');
+  const uploads = createChannel(guild, 'src-threaded', 'music-drops');
+  const plain = createChannel(guild, 'src-plain', 'talks');
+  const transcripts = createChannel(guild, 'out-transcripts', 'yt-transcripts');
+
+  await database.saveRoute({ guildId: guild.id, sourceChannelId: uploads.id, outputChannelId: 'out-short', options: { thread: true, threadArchiveMinutes: 60 } });
+  await database.saveRoute({ guildId: guild.id, sourceChannelId: plain.id, outputChannelId: 'out-short' });
+
+  await check('No thread is opened for sources without a thread route', async () => {
+    const message = createMessage(plain, 'm-plain');
+    assert.strictEqual(await discord.getVideoThread(message, 'A talk'), null);
+    assert.deepStrictEqual(message.threadOptions, []);
+    assert.strictEqual(await discord.getVideoThread(null, 'No message'), null);
+  });
+
+  await check('A thread route opens a thread named after the video', async () => {
+    const message = createMessage(uploads, 'm-1');
+    const longTitle = 'x'.repeat(150);
+    const thread = await discord.getVideoThread(message, longTitle);
+    assert.strictEqual(thread.id, 'thread-m-1');
+    assert.deepStrictEqual(message.threadOptions, [{ name: 'x'.repeat(100), autoArchiveDuration: 60 }]);
+  });
+
+  await check('Later videos from the same message reuse its thread', async () => {
+    const message = createMessage(uploads, 'm-2');
+    const first = await discord.getVideoThread(message, 'First video');
+    const second = await discord.getVideoThread(message, 'Second video');
+    assert.strictEqual(second, first);
+    assert.strictEqual(message.threadOptions.length, 1);
+  });
+
+  await check('A thread opened by another job is fetched instead', async () => {
+    const message = createMessage(uploads, 'm-3');
+    const opened = await createMessage(uploads, 'm-3').startThread({ name: 'Opened elsewhere' });
+    message.startThread = async () => { throw new Error('A thread has already been created for this message'); };
+    assert.strictEqual(await discord.getVideoThread(message, 'Video'), opened);
+  });
+
+  await check('No thread when it cannot be opened', async () => {
+    const message = createMessage(uploads, 'm-4');
+    message.startThread = async () => { throw new Error('Missing Permissions'); };
+    assert.strictEqual(await discord.getVideoThread(message, 'Video'), null);
+  });
+
+  await check('The transcript goes to the transcripts channel and the thread', async () => {
+    const thread = await discord.getVideoThread(createMessage(uploads, 'm-5'), 'Video');
+    await discord.sendTranscriptFile(guild, 'dQw4w9WgXcQ', 'Video', 'Transcript text', thread);
+    assert.strictEqual(transcripts.sent.length, 1);
+    assert.strictEqual(thread.sent.length, 1);
+    assert.strictEqual(thread.sent[0].payload.files[0].name, 'transcription_Video.txt');
+    const posts = await database.getPostsForVideo('dQw4w9WgXcQ');
+    assert.deepStrictEqual(posts.map(post => post.channel_id), [transcripts.id, thread.id]);
+  });
+
+  await check('Summaries in the thread link back to the summary channel post', async () => {
+    const thread = await discord.getVideoThread(createMessage(uploads, 'm-6'), 'Video');
+    const summaryPost = { channelId: 'out-short', url: 'https://discord.com/channels/guild-1/out-short/1' };
+    await discord.postSummaryToThread(thread, summaryPost, 'A short summary', 'summary-video', 'Video');
+    assert.strictEqual(thread.sent.length, 2);
+    assert.strictEqual(thread.sent[0].payload, `📝 Summary from <#out-short>: ${summaryPost.url}`);
+    const posts = await database.getPostsForVideo('summary-video');
+    assert.deepStrictEqual(posts.map(post => [post.channel_id, post.kind]), [[thread.id, 'summary']]);
+  });
+
+  await check('A failed thread post does not throw', async () => {
+    const thread = { id: 'broken-thread', send: async () => { throw new Error('Thread is archived'); } };
+    await discord.postSummaryToThread(thread, null, 'Summary', 'broken-video', 'Video');
+    assert.deepStrictEqual(await database.getPostsForVideo('broken-video'), []);
+  });
+}
+
+runTests('thread mode', main, { workDir, serviceManager });
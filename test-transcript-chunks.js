@@ -0,0 +1,74 @@
+/**
+ * Test script for splitting long transcripts into chunks (no network or credentials required)
+ */
+
+const assert = require('assert');
+const { estimateTokens, splitTranscriptIntoChunks } = require('./utils/transcript-chunks');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${name}: ${error.message}`);
+  }
+}
+
+console.log('🧪 Testing transcript chunks...\n');
+
+check('Tokens are estimated at ~4 characters each', () => {
+  assert.strictEqual(estimateTokens(''), 0);
+  assert.strictEqual(estimateTokens('abcdefghi'), 3);
+});
+
+check('A transcript that fits is one chunk', () => {
+  assert.deepStrictEqual(splitTranscriptIntoChunks('  Short video. Nothing to split.  ', 100), ['Short video. Nothing to split.']);
+  assert.deepStrictEqual(splitTranscriptIntoChunks('', 100), []);
+});
+
+check('Chunks end on sentence boundaries and keep every sentence', () => {
+  const sentences = Array.from({ length: 30 }, (_, i) => `Sentence number ${i} is here!`);
+  const transcript = sentences.join(' ');
+  const chunks = splitTranscriptIntoChunks(transcript, 40); // 160 characters
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => {
+    assert.ok(chunk.length <= 160, `chunk of ${chunk.length} characters`);
+    assert.ok(chunk.endsWith('!'), `chunk ends mid-sentence: "${chunk.slice(-20)}"`);
+  });
+  assert.strictEqual(chunks.join(' '), transcript);
+});
+
+check('Captions without punctuation split on line breaks', () => {
+  const lines = Array.from({ length: 20 }, (_, i) => `so this is caption line ${i}`);
+  const chunks = splitTranscriptIntoChunks(lines.join('\n'), 25); // 100 characters
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => assert.ok(/caption line \d+$/.test(chunk), `chunk ends mid-line: "${chunk.slice(-20)}"`));
+  assert.strictEqual(chunks.join('\n').split('\n').length, 20);
+});
+
+check('Chunks are balanced instead of leaving a small remainder', () => {
+  const transcript = Array.from({ length: 11 }, () => 'Ten chars.').join(' ');
+  const lengths = splitTranscriptIntoChunks(transcript, 15).map(chunk => chunk.length); // 60 characters, 5 sentences
+
+  assert.strictEqual(lengths.length, 3);
+  assert.ok(Math.max(...lengths) - Math.min(...lengths) <= 11, `uneven chunks: ${lengths.join(', ')}`);
+});
+
+check('A sentence longer than a chunk is split between words', () => {
+  const sentence = Array.from({ length: 50 }, (_, i) => `word${i}`).join(' ');
+  const chunks = splitTranscriptIntoChunks(sentence, 10); // 40 characters
+
+  chunks.forEach(chunk => {
+    assert.ok(chunk.length <= 40);
+    assert.ok(/^word\d+( word\d+)*$/.test(chunk), `word was cut: "${chunk}"`);
+  });
+  assert.strictEqual(chunks.join(' '), sentence);
+});
+
+console.log(`\n${failures === 0 ? '🎉 All transcript chunk tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
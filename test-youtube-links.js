@@ -0,0 +1,101 @@
+/**
+ * Test script for YouTube link extraction (no network or credentials required)
+ */
+
+const assert = require('assert');
+const { extractVideoIds, extractVideoLinks, extractVideoId, extractPlaylistIds } = require('./utils/youtube');
+
+const cases = [
+  {
+    name: 'Standard watch URL',
+    text: 'Check this https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    expected: ['dQw4w9WgXcQ']
+  },
+  {
+    name: 'Short link and extra query params',
+    text: 'https://youtu.be/dQw4w9WgXcQ?si=abc123 and https://www.youtube.com/watch?feature=share&v=9bZkp7q19f0&t=42',
+    expected: ['dQw4w9WgXcQ', '9bZkp7q19f0']
+  },
+  {
+    name: 'Shorts, live, embed and mobile URLs',
+    text: [
+      'https://youtube.com/shorts/aqz-KE-bpKQ',
+      'https://www.youtube.com/live/jfKfPfyJRdk?feature=shared',
+      'https://www.youtube.com/embed/M7lc1UVf-VE',
+      'https://m.youtube.com/watch?v=kJQP7kiw5Fk'
+    ].join('\n'),
+    expected: ['aqz-KE-bpKQ', 'jfKfPfyJRdk', 'M7lc1UVf-VE', 'kJQP7kiw5Fk']
+  },
+  {
+    name: 'Duplicates are collapsed',
+    text: 'https://youtu.be/dQw4w9WgXcQ https://www.youtube.com/watch?v=dQw4w9WgXcQ',
+    expected: ['dQw4w9WgXcQ']
+  },
+  {
+    name: 'Playlist-only URL has no video',
+    text: 'https://www.youtube.com/playlist?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI',
+    expected: []
+  },
+  {
+    name: 'No links',
+    text: 'Nothing to see here',
+    expected: []
+  }
+];
+
+let failures = 0;
+
+console.log('🧪 Testing YouTube link extraction...\n');
+
+for (const testCase of cases) {
+  try {
+    assert.deepStrictEqual(extractVideoIds(testCase.text), testCase.expected);
+    console.log(`✅ ${testCase.name}`);
+  } catch (error) {
+    failures++;
+    console.log(`❌ ${testCase.name}: ${error.message}`);
+  }
+}
+
+try {
+  const [link] = extractVideoLinks('see https://youtube.com/shorts/aqz-KE-bpKQ?feature=share');
+  assert.strictEqual(link.url, 'https://youtube.com/shorts/aqz-KE-bpKQ?feature=share');
+  assert.strictEqual(extractVideoId('https://www.youtube.com/live/jfKfPfyJRdk'), 'jfKfPfyJRdk');
+  console.log('✅ Link URLs and single-ID extraction');
+} catch (error) {
+  failures++;
+  console.log(`❌ Link URLs and single-ID extraction: ${error.message}`);
+}
+
+try {
+  assert.deepStrictEqual(extractVideoIds('notyoutube.com/watch?v=dQw4w9WgXcQ and evilyoutu.be/9bZkp7q19f0'), []);
+  assert.deepStrictEqual(extractVideoIds('https://notyoutube.com/watch?v=dQw4w9WgXcQ'), []);
+  assert.deepStrictEqual(
+    extractVideoIds('<https://youtu.be/dQw4w9WgXcQ> youtube.com/shorts/9bZkp7q19f0 https://music.youtube.com/watch?v=kJQP7kiw5Fk'),
+    ['dQw4w9WgXcQ', '9bZkp7q19f0', 'kJQP7kiw5Fk']
+  );
+  console.log('✅ Look-alike hosts are not links');
+} catch (error) {
+  failures++;
+  console.log(`❌ Look-alike hosts are not links: ${error.message}`);
+}
+
+try {
+  assert.deepStrictEqual(
+    extractPlaylistIds('https://www.youtube.com/playlist?list=PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI'),
+    ['PLFgquLnL59alCl_2TQvOiD5Vgm1hCaGSI']
+  );
+  assert.deepStrictEqual(
+    extractPlaylistIds('https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG&index=2'),
+    ['PLx0sYbCqOb8TBPRdmBHs5Iftvv9TPboYG']
+  );
+  assert.deepStrictEqual(extractPlaylistIds('https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=RDdQw4w9WgXcQ'), []);
+  assert.deepStrictEqual(extractPlaylistIds('https://youtu.be/dQw4w9WgXcQ'), []);
+  console.log('✅ Playlist ID extraction');
+} catch (error) {
+  failures++;
+  console.log(`❌ Playlist ID extraction: ${error.message}`);
+}
+
+console.log(`\n${failures === 0 ? '🎉 All link extraction tests passed' : `💥 ${failures} test(s) failed`}`);
+process.exit(failures === 0 ? 0 : 1);
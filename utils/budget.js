@@ -0,0 +1,61 @@
+/**
+ * LLM spend caps (config.budget, see src/core/service-manager.js)
+ *
+ * Daily and monthly caps in USD apply to the cost recorded in llm_calls across all servers. At
+ * `warnRatio` of a cap the default server's admin channel is warned; once a cap is reached,
+ * summaries use the fallback model and comparisons, regenerations and prompt tests pause until the
+ * day or month is over.
+ */
+
+const LEVELS = ['ok', 'warning', 'exceeded'];
+
+const PERIODS = [
+  { period: 'day', limitKey: 'dailyLimit', label: 'Today', cap: 'daily' },
+  { period: 'month', limitKey: 'monthlyLimit', label: 'This month', cap: 'monthly' }
+];
+
+/**
+ * Budget status from what was spent so far
+ * @param {{day: number, month: number}} spent - USD spent today and this month
+ * @param {{dailyLimit: number|null, monthlyLimit: number|null, warnRatio: number}} budget - Caps in USD
+ * @returns {{level: string, periods: Array<{period: string, label: string, cap: string, limit: number,
+ *   spent: number, remaining: number, ratio: number, level: string}>}} - One entry per capped period;
+ *   `level` (ok, warning or exceeded) is the worst of them
+ */
+function evaluateBudget(spent, budget) {
+  const periods = PERIODS
+    .filter(({ limitKey }) => budget[limitKey] > 0)
+    .map(({ period, limitKey, label, cap }) => {
+      const limit = budget[limitKey];
+      const used = spent[period] || 0;
+      const ratio = used / limit;
+      const level = ratio >= 1 ? 'exceeded' : ratio >= budget.warnRatio ? 'warning' : 'ok';
+      return { period, label, cap, limit, spent: used, remaining: Math.max(0, limit - used), ratio, level };
+    });
+
+  const level = LEVELS[Math.max(0, ...periods.map(entry => LEVELS.indexOf(entry.level)))];
+  return { level, periods };
+}
+
+/**
+ * Levels a period has reached, lowest first (exceeding a cap also passes the warning)
+ * @param {string} level - ok, warning or exceeded
+ * @returns {string[]}
+ */
+function reachedLevels(level) {
+  return LEVELS.slice(1, LEVELS.indexOf(level) + 1);
+}
+
+/**
+ * One line per period, e.g. "Today: $3.20 of $5.00 (64%), $1.80 left"
+ */
+function formatBudgetPeriod(entry) {
+  const percent = Math.floor(entry.ratio * 100);
+  return `${entry.label}: $${entry.spent.toFixed(2)} of $${entry.limit.toFixed(2)} (${percent}%), $${entry.remaining.toFixed(2)} left`;
+}
+
+module.exports = {
+  evaluateBudget,
+  reachedLevels,
+  formatBudgetPeriod
+};
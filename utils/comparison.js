@@ -0,0 +1,103 @@
+/**
+ * Side-by-side summary comparisons (/compare-summaries)
+ *
+ * Each side is a model, a prompt, or both, e.g.:
+ *   gpt-4o-mini            a model, with the comparison's prompt
+ *   ollama/llama3.1        a model on a configured provider (utils/llm-config.js)
+ *   v2                     version 2 of the comparison's prompt channel
+ *   #yt-summary-prompt-2   the prompt pinned in another channel (as a mention)
+ *   gpt-4o #yt-summary-prompt v3
+ */
+
+const CHANNEL_MENTION = /^<#(\d+)>$/;
+const PROMPT_VERSION = /^v(\d+)$/i;
+const MODEL_NAME = /^[\w.:\/-]+$/;
+
+/**
+ * Parse one side of a comparison
+ * @param {string} text - Side as typed in the command
+ * @returns {{model: string|null, promptChannelId: string|null, promptVersion: number|null}}
+ * @throws {Error} When a part is neither a model, a prompt version nor a channel mention
+ */
+function parseComparisonVariant(text) {
+  const variant = { model: null, promptChannelId: null, promptVersion: null };
+  const parts = (text || '')
+    .replace(/(<#\d+>)/g, ' $1 ')
+    .split(/[\s+@]+/)
+    .filter(Boolean);
+
+  if (parts.length === 0) {
+    throw new Error('name a model (e.g. gpt-4o-mini), a prompt version (e.g. v2) or a prompt channel');
+  }
+
+  for (const part of parts) {
+    const mention = part.match(CHANNEL_MENTION);
+    const version = part.match(PROMPT_VERSION);
+    if (mention && !variant.promptChannelId) {
+      variant.promptChannelId = mention[1];
+    } else if (version && !variant.promptVersion) {
+      variant.promptVersion = parseInt(version[1], 10);
+    } else if (!mention && !version && MODEL_NAME.test(part) && !variant.model) {
+      variant.model = part;
+    } else {
+      throw new Error(`"${part}" is not a model, a prompt version or a prompt channel (or it is given twice)`);
+    }
+  }
+
+  return variant;
+}
+
+function addOutcome(table, name, outcome) {
+  const entry = table.get(name) || { name, wins: 0, losses: 0, ties: 0 };
+  entry[outcome]++;
+  table.set(name, entry);
+}
+
+function sortByWins(table) {
+  return [...table.values()].sort((a, b) => b.wins - a.wins || a.losses - b.losses || a.name.localeCompare(b.name));
+}
+
+/**
+ * Tally comparison outcomes per model and per prompt version
+ * Each comparison is decided by its votes (most votes wins, equal counts are a tie) and only counts
+ * for the dimension it varied: comparisons between two prompts with the same model don't count for the model.
+ * @param {Array<{a_model: string, b_model: string, a_prompt: string|null, b_prompt: string|null, a_votes: number, b_votes: number, tie_votes: number}>} comparisons
+ *   Comparisons with their vote counts; a_prompt/b_prompt name the prompt version (null = default prompt).
+ *   Comparisons nobody voted on are skipped; ones with only tie votes count as ties.
+ * @returns {{models: Array<{name, wins, losses, ties}>, prompts: Array<{name, wins, losses, ties}>, decided: number}}
+ */
+function tallyComparisonResults(comparisons) {
+  const models = new Map();
+  const prompts = new Map();
+  let decided = 0;
+
+  for (const comparison of comparisons) {
+    if (!comparison.a_votes && !comparison.b_votes && !comparison.tie_votes) {
+      continue;
+    }
+    decided++;
+
+    const [aOutcome, bOutcome] = comparison.a_votes > comparison.b_votes
+      ? ['wins', 'losses']
+      : comparison.a_votes < comparison.b_votes ? ['losses', 'wins'] : ['ties', 'ties'];
+
+    if (comparison.a_model !== comparison.b_model) {
+      addOutcome(models, comparison.a_model, aOutcome);
+      addOutcome(models, comparison.b_model, bOutcome);
+    }
+
+    const aPrompt = comparison.a_prompt || 'default prompt';
+    const bPrompt = comparison.b_prompt || 'default prompt';
+    if (aPrompt !== bPrompt) {
+      addOutcome(prompts, aPrompt, aOutcome);
+      addOutcome(prompts, bPrompt, bOutcome);
+    }
+  }
+
+  return { models: sortByWins(models), prompts: sortByWins(prompts), decided };
+}
+
+module.exports = {
+  parseComparisonVariant,
+  tallyComparisonResults
+};
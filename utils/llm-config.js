@@ -0,0 +1,208 @@
+/**
+ * LLM provider configuration - which provider serves each model
+ *
+ * Providers are set up from environment variables (OPENAI_API_KEY, ANTHROPIC_API_KEY,
+ * AZURE_OPENAI_ENDPOINT, OPENAI_COMPATIBLE_BASE_URL), plus an optional JSON file named by
+ * LLM_CONFIG_FILE for more providers and per-model settings:
+ *
+ *   {
+ *     "defaultProvider": "openai",
+ *     "providers": {
+ *       "ollama": { "type": "openai-compatible", "baseURL": "http://localhost:11434/v1" },
+ *       "vllm": { "type": "openai-compatible", "baseURL": "http://gpu-box:8000/v1", "apiKeyEnv": "VLLM_API_KEY" }
+ *     },
+ *     "models": {
+ *       "llama3.1:70b": { "provider": "ollama", "contextWindow": 131072, "maxOutputTokens": 4096 },
+ *       "gpt-4o-eu": { "provider": "azure", "deployment": "gpt-4o-prod" },
+ *       "qwq": { "provider": "vllm", "maxTokensParam": "max_tokens", "sampling": false }
+ *     },
+ *     "prices": {
+ *       "gpt-4o-eu": { "input": 2.75, "output": 11 },
+ *       "llama3.1": { "input": 0, "output": 0 }
+ *     }
+ *   }
+ *
+ * Model settings: provider, deployment (Azure), model (name sent to the API, if different),
+ * contextWindow / maxOutputTokens / encoding (override utils/model-registry.js),
+ * maxTokensParam (max_tokens | max_completion_tokens), reasoning and sampling (send top_p/penalties).
+ * Keys can be given directly (apiKey) or as the name of an environment variable (apiKeyEnv).
+ * Prices are USD per million input/output tokens, by model name or prefix (utils/llm-pricing.js).
+ *
+ * MOCK_LLM=true sends every model to the offline mock provider (src/providers/mock.provider.js),
+ * configured with MOCK_LLM_LATENCY_MS, MOCK_LLM_FIXTURES (canned responses), MOCK_LLM_FAIL
+ * (e.g. "rate_limit:2,context_length" to fail the first calls) and MOCK_LLM_RECORD_FILE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROVIDER_TYPES = ['openai', 'azure', 'anthropic', 'openai-compatible', 'mock'];
+const MAX_TOKENS_PARAMS = ['max_tokens', 'max_completion_tokens'];
+const MOCK_FAILURES = ['rate_limit', 'context_length', 'server_error'];
+
+/**
+ * Scripted mock failures from MOCK_LLM_FAIL, e.g. "rate_limit:2,context_length" fails the first
+ * two calls with 429 and the third with a context length error
+ * @returns {{failures: Array<{error: string, times: number}>, errors: string[]}}
+ */
+function parseMockFailures(value = '') {
+  const failures = [];
+  const errors = [];
+  for (const part of value.split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const [error, times = '1'] = part.split(':');
+    if (!MOCK_FAILURES.includes(error) || !/^\d+$/.test(times)) {
+      errors.push(`MOCK_LLM_FAIL: "${part}" is not <${MOCK_FAILURES.join('|')}>[:times]`);
+      continue;
+    }
+    failures.push({ error, times: parseInt(times) });
+  }
+  return { failures, errors };
+}
+
+/**
+ * Providers that environment variables set up on their own
+ */
+function providersFromEnv(env) {
+  const providers = {
+    openai: { type: 'openai', apiKey: env.OPENAI_API_KEY, baseURL: env.OPENAI_BASE_URL || null }
+  };
+  if (env.ANTHROPIC_API_KEY) {
+    providers.anthropic = { type: 'anthropic', apiKey: env.ANTHROPIC_API_KEY };
+  }
+  if (env.AZURE_OPENAI_ENDPOINT) {
+    providers.azure = {
+      type: 'azure',
+      endpoint: env.AZURE_OPENAI_ENDPOINT,
+      apiKey: env.AZURE_OPENAI_API_KEY,
+      apiVersion: env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+    };
+  }
+  if (env.OPENAI_COMPATIBLE_BASE_URL) {
+    providers.local = {
+      type: 'openai-compatible',
+      baseURL: env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: env.OPENAI_COMPATIBLE_API_KEY || null
+    };
+  }
+  return providers;
+}
+
+/**
+ * Read the JSON config file, if one is configured
+ */
+function readConfigFile(file) {
+  const fullPath = path.resolve(process.cwd(), file);
+  return JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+}
+
+/**
+ * Load the provider and model configuration
+ * Invalid entries are reported in `errors` and left out; everything else still loads.
+ * @param {Object} env - Environment variables
+ * @returns {{defaultProvider: string, providers: Object<string, Object>, models: Object<string, Object>,
+ *   prices: Object<string, {input: number, output: number}>, mock: boolean, errors: string[]}}
+ */
+function loadLLMConfig(env = process.env) {
+  const config = { defaultProvider: 'openai', providers: providersFromEnv(env), models: {}, prices: {}, mock: false, errors: [] };
+
+  if (env.MOCK_LLM === 'true') {
+    const { failures, errors } = parseMockFailures(env.MOCK_LLM_FAIL);
+    config.providers.mock = {
+      type: 'mock',
+      latencyMs: parseInt(env.MOCK_LLM_LATENCY_MS) || 0,
+      fixtures: env.MOCK_LLM_FIXTURES || null,
+      failures,
+      recordFile: env.MOCK_LLM_RECORD_FILE || null
+    };
+    config.mock = true;
+    config.errors.push(...errors);
+  }
+
+  let file = {};
+  if (env.LLM_CONFIG_FILE) {
+    try {
+      file = readConfigFile(env.LLM_CONFIG_FILE);
+    } catch (error) {
+      config.errors.push(`Could not read LLM_CONFIG_FILE ${env.LLM_CONFIG_FILE}: ${error.message}`);
+    }
+  }
+
+  for (const [name, settings] of Object.entries(file.providers || {})) {
+    if (!PROVIDER_TYPES.includes(settings.type)) {
+      config.errors.push(`Provider "${name}": type must be one of ${PROVIDER_TYPES.join(', ')} (got "${settings.type}")`);
+      continue;
+    }
+    const { apiKeyEnv, ...rest } = settings;
+    config.providers[name] = { ...rest, apiKey: settings.apiKey || (apiKeyEnv ? env[apiKeyEnv] : null) || null };
+  }
+
+  for (const [name, settings] of Object.entries(file.models || {})) {
+    if (settings.provider && !config.providers[settings.provider]) {
+      config.errors.push(`Model "${name}": unknown provider "${settings.provider}"`);
+      continue;
+    }
+    if (settings.maxTokensParam && !MAX_TOKENS_PARAMS.includes(settings.maxTokensParam)) {
+      config.errors.push(`Model "${name}": maxTokensParam must be one of ${MAX_TOKENS_PARAMS.join(', ')}`);
+      continue;
+    }
+    config.models[name.toLowerCase()] = settings;
+  }
+
+  for (const [name, price] of Object.entries(file.prices || {})) {
+    if (!Number.isFinite(price?.input) || !Number.isFinite(price?.output)) {
+      config.errors.push(`Price "${name}": input and output must be numbers (USD per million tokens)`);
+      continue;
+    }
+    config.prices[name.toLowerCase()] = { input: price.input, output: price.output };
+  }
+
+  const defaultProvider = config.mock ? 'mock' : env.LLM_DEFAULT_PROVIDER || file.defaultProvider;
+  if (defaultProvider && !config.providers[defaultProvider]) {
+    config.errors.push(`Default provider "${defaultProvider}" is not configured, using openai`);
+  } else if (defaultProvider) {
+    config.defaultProvider = defaultProvider;
+  }
+
+  return config;
+}
+
+/**
+ * Find the provider for a model and the name to send to its API
+ * In order: the model's entry in the config file, a "provider/model" prefix naming a configured
+ * provider, claude-* models on the anthropic provider, then the default provider. With MOCK_LLM
+ * every model goes to the mock provider, keeping its settings.
+ * @param {Object} llmConfig - Result of loadLLMConfig
+ * @param {string} modelName - Model as selected (/model, prompt front-matter, OPENAI_MODEL)
+ * @returns {{providerName: string, model: string, settings: Object}} - settings are the model's config entry (or {})
+ */
+function resolveModel(llmConfig, modelName) {
+  const name = (modelName || '').trim();
+  const settings = llmConfig.models[name.toLowerCase()];
+  if (llmConfig.mock) {
+    return { providerName: 'mock', model: name, settings: settings || {} };
+  }
+  if (settings) {
+    return {
+      providerName: settings.provider || llmConfig.defaultProvider,
+      model: settings.deployment || settings.model || name,
+      settings
+    };
+  }
+
+  const slash = name.indexOf('/');
+  if (slash > 0 && llmConfig.providers[name.substring(0, slash)]) {
+    return { providerName: name.substring(0, slash), model: name.substring(slash + 1), settings: {} };
+  }
+
+  if (/^claude/i.test(name) && llmConfig.providers.anthropic) {
+    return { providerName: 'anthropic', model: name, settings: {} };
+  }
+
+  return { providerName: llmConfig.defaultProvider, model: name, settings: {} };
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  loadLLMConfig,
+  resolveModel
+};
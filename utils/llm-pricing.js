@@ -0,0 +1,107 @@
+/**
+ * LLM prices - cost of a call from its token usage
+ *
+ * Prices are USD per million tokens, for input (prompt) and output (completion) tokens. Model names
+ * match a price by exact name or by the longest prefix, so gpt-4o-mini-2024-07-18 costs what
+ * gpt-4o-mini does and gpt-4o-2024-08-06 what gpt-4o does. Prices in LLM_CONFIG_FILE ("prices",
+ * see utils/llm-config.js) replace or add to these list prices; models without a price are
+ * recorded with an unknown (NULL) cost.
+ */
+
+const DEFAULT_PRICES = {
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'chatgpt-4o': { input: 5, output: 15 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4-1106-preview': { input: 10, output: 30 },
+  'gpt-4-0125-preview': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-4-32k': { input: 60, output: 120 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o1': { input: 15, output: 60 },
+  'o1-mini': { input: 1.1, output: 4.4 },
+  'o3': { input: 2, output: 8 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 }
+};
+
+/**
+ * Price entry for a model name: exact match first, then the longest matching prefix
+ */
+function findPrice(table, modelName) {
+  const name = (modelName || '').toLowerCase().trim();
+  if (table[name]) {
+    return table[name];
+  }
+  const prefix = Object.keys(table)
+    .filter(key => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? table[prefix] : null;
+}
+
+/**
+ * Price of a model from the list prices and the configured ones, which replace list prices of the
+ * same name (a configured gpt-4o price doesn't apply to gpt-4o-mini, which has its own)
+ * @param {string} modelName - Model as selected, or as sent to the API
+ * @param {Object<string, {input: number, output: number}>} prices - Configured prices (lowercase keys)
+ * @returns {{input: number, output: number}|null} - USD per million tokens, or null when unknown
+ */
+function getModelPrice(modelName, prices = {}) {
+  return findPrice({ ...DEFAULT_PRICES, ...prices }, modelName);
+}
+
+/**
+ * Cost of a call in USD
+ * @param {{prompt_tokens: number, completion_tokens: number}|null} usage
+ * @param {{input: number, output: number}|null} price
+ * @returns {number|null} - null when the usage or the price is unknown
+ */
+function calculateCost(usage, price) {
+  if (!usage || !price) {
+    return null;
+  }
+  return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1000000;
+}
+
+/**
+ * Format a cost for display: cents, or four decimals below a cent
+ * @param {number|null} cost - USD
+ * @returns {string}
+ */
+function formatCost(cost) {
+  if (cost === null || cost === undefined) {
+    return 'unknown';
+  }
+  return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+/**
+ * Format a token count for display, e.g. 950, 12.3K, 1.2M
+ */
+function formatTokens(tokens) {
+  if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+  if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}K`;
+  return String(tokens || 0);
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  getModelPrice,
+  calculateCost,
+  formatCost,
+  formatTokens
+};
@@ -0,0 +1,180 @@
+/**
+ * Split markdown into Discord-sized messages
+ * Parts break on heading, paragraph and list item boundaries and code blocks are kept whole;
+ * only a single block too long for one message is cut (code blocks re-open their fence).
+ */
+
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+// Room for the "(12/12)" marker appended to each part
+const MARKER_RESERVE = 12;
+
+const HEADING = /^#{1,6}\s/;
+const LIST_ITEM = /^\s*(?:[-*+•]|\d+[.)])\s/;
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Break markdown into blocks: headings, list items, paragraphs and fenced code blocks
+ * @param {string} content - Markdown text
+ * @returns {Array<{text: string, type: string, joiner: string}>} - Blocks with the separator that preceded them
+ */
+function parseBlocks(content) {
+  const blocks = [];
+  let blankBefore = false;
+  let openFence = null;
+
+  const startBlock = (text, type) => {
+    const block = { text, type, joiner: blankBefore ? '\n\n' : '\n' };
+    blocks.push(block);
+    blankBefore = false;
+    return block;
+  };
+
+  for (const line of content.replace(/\r\n/g, '\n').split('\n')) {
+    if (openFence) {
+      openFence.block.text += `\n${line}`;
+      if (line.trim().startsWith(openFence.marker)) {
+        openFence = null;
+      }
+      continue;
+    }
+
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      openFence = { marker: fenceMatch[1], block: startBlock(line, 'code') };
+      continue;
+    }
+
+    if (!line.trim()) {
+      blankBefore = blocks.length > 0;
+      continue;
+    }
+
+    const last = blocks[blocks.length - 1];
+    if (HEADING.test(line)) {
+      startBlock(line, 'heading');
+    } else if (LIST_ITEM.test(line)) {
+      startBlock(line, 'item');
+    } else if (last && !blankBefore && (last.type === 'paragraph' || last.type === 'item')) {
+      // Wrapped paragraph line or list item continuation
+      last.text += `\n${line}`;
+    } else {
+      startBlock(line, 'paragraph');
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Cut text to at most `budget` characters per piece, preferring line, sentence and word breaks
+ */
+function wrapText(text, budget) {
+  const pieces = [];
+  let rest = text;
+
+  while (rest.length > budget) {
+    let cut = rest.lastIndexOf('\n', budget);
+    if (cut < budget / 2) cut = rest.lastIndexOf('. ', budget - 1) + 1;
+    if (cut < budget / 2) cut = rest.lastIndexOf(' ', budget);
+    if (cut <= 0) cut = budget;
+
+    pieces.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).trimStart();
+  }
+  if (rest) {
+    pieces.push(rest);
+  }
+  return pieces;
+}
+
+/**
+ * Cut a code block line by line, closing the fence at the end of each piece and re-opening it on the next
+ */
+function splitCodeBlock(text, budget) {
+  const lines = text.split('\n');
+  const opener = lines[0];
+  const marker = opener.match(FENCE)[1];
+  const hasCloser = lines.length > 1 && lines[lines.length - 1].trim().startsWith(marker);
+  const body = lines.slice(1, hasCloser ? -1 : undefined);
+  const lineBudget = budget - opener.length - marker.length - 2;
+
+  const pieces = [];
+  let current = [];
+  let length = 0;
+
+  for (const line of body.flatMap(entry => entry.length > lineBudget ? wrapText(entry, lineBudget) : [entry])) {
+    if (current.length > 0 && length + 1 + line.length > lineBudget) {
+      pieces.push(current);
+      current = [];
+      length = 0;
+    }
+    length += (current.length > 0 ? 1 : 0) + line.length;
+    current.push(line);
+  }
+  pieces.push(current);
+
+  return pieces.map(piece => [opener, ...piece, marker].join('\n'));
+}
+
+/**
+ * Split markdown content into messages of at most `maxLength` characters, each ending with a "(2/3)" marker
+ * @param {string} content - Markdown text
+ * @param {number} maxLength - Maximum characters per message
+ * @returns {string[]} - Message contents (the content itself when it already fits)
+ */
+function splitMarkdownMessage(content, maxLength = DISCORD_MESSAGE_LIMIT) {
+  if (content.length <= maxLength) {
+    return [content];
+  }
+
+  const budget = maxLength - MARKER_RESERVE;
+  const chunks = [];
+  let current = [];
+  let length = 0;
+
+  const pushChunk = () => {
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+    current = [];
+    length = 0;
+  };
+
+  for (const block of parseBlocks(content)) {
+    let pieces = [block.text];
+    if (block.text.length > budget) {
+      pieces = block.type === 'code' ? splitCodeBlock(block.text, budget) : wrapText(block.text, budget);
+    }
+
+    pieces.forEach((text, index) => {
+      const piece = { text, type: block.type, joiner: index === 0 ? block.joiner : '\n' };
+
+      if (current.length > 0 && length + piece.joiner.length + text.length > budget) {
+        // Don't end a part on a heading; it moves along with its section
+        const heading = current.length > 1 && current[current.length - 1].type === 'heading' ? current.pop() : null;
+        pushChunk();
+        if (heading && heading.text.length + piece.joiner.length + text.length <= budget) {
+          current.push(heading);
+          length = heading.text.length;
+        } else if (heading) {
+          chunks.push([heading]);
+        }
+      }
+
+      length += (current.length > 0 ? piece.joiner.length : 0) + text.length;
+      current.push(piece);
+    });
+  }
+  pushChunk();
+
+  const parts = chunks.map(chunk => chunk.map((piece, index) => index === 0 ? piece.text : `${piece.joiner}${piece.text}`).join(''));
+  return parts.length === 1
+    ? parts
+    : parts.map((part, index) => `${part}\n\n*(${index + 1}/${parts.length})*`);
+}
+
+module.exports = {
+  DISCORD_MESSAGE_LIMIT,
+  splitMarkdownMessage
+};
@@ -0,0 +1,85 @@
+/**
+ * Model registry - context window, output limits and tokenizer for each model family
+ *
+ * Model names are matched against the families in order, so more specific families
+ * (gpt-4o, gpt-4-turbo) come before the ones they would also match (gpt-4).
+ * Dated snapshots and variants match their family: gpt-4o-mini-2024-07-18 is a gpt-4o model.
+ * Models configured in LLM_CONFIG_FILE (utils/llm-config.js) can override any of these limits.
+ */
+
+// contextWindow: total tokens (input + output) the model accepts
+// maxOutputTokens: the most the model can generate in one response
+// defaultMaxTokens: output tokens requested when OPENAI_MAX_TOKENS isn't set
+// minOutputTokens: floor for reasoning models, whose reasoning counts against the output
+// encoding: tokenizer used to count tokens (utils/tokenizer.js)
+// reasoning: uses max_completion_tokens and doesn't accept temperature/top_p/penalties
+const MODEL_FAMILIES = [
+  { family: 'gpt-5', pattern: /^gpt-5/, contextWindow: 400000, maxOutputTokens: 128000, defaultMaxTokens: 16000, minOutputTokens: 1000, encoding: 'o200k_base', reasoning: true },
+  { family: 'gpt-4.1', pattern: /^gpt-4\.1/, contextWindow: 1047576, maxOutputTokens: 32768, defaultMaxTokens: 4000, encoding: 'o200k_base' },
+  { family: 'gpt-4o', pattern: /^(chatgpt-)?gpt-4o/, contextWindow: 128000, maxOutputTokens: 16384, defaultMaxTokens: 4000, encoding: 'o200k_base' },
+  { family: 'gpt-4-turbo', pattern: /^gpt-4-(turbo|\d{4}-preview)/, contextWindow: 128000, maxOutputTokens: 4096, defaultMaxTokens: 4000, encoding: 'cl100k_base' },
+  { family: 'gpt-4-32k', pattern: /^gpt-4-32k/, contextWindow: 32768, maxOutputTokens: 4096, defaultMaxTokens: 4000, encoding: 'cl100k_base' },
+  { family: 'gpt-4', pattern: /^gpt-4/, contextWindow: 8192, maxOutputTokens: 4096, defaultMaxTokens: 4000, encoding: 'cl100k_base' },
+  { family: 'gpt-3.5-turbo', pattern: /^gpt-3\.5-turbo/, contextWindow: 16385, maxOutputTokens: 4096, defaultMaxTokens: 4000, encoding: 'cl100k_base' },
+  { family: 'o1-mini', pattern: /^o1-mini/, contextWindow: 128000, maxOutputTokens: 65536, defaultMaxTokens: 8000, minOutputTokens: 500, encoding: 'o200k_base', reasoning: true },
+  { family: 'o-series', pattern: /^o[134](-|$)/, contextWindow: 200000, maxOutputTokens: 100000, defaultMaxTokens: 8000, minOutputTokens: 500, encoding: 'o200k_base', reasoning: true },
+  // Anthropic doesn't publish its tokenizer; cl100k_base counts are close enough for budgeting
+  { family: 'claude-3', pattern: /^claude-3/, contextWindow: 200000, maxOutputTokens: 8192, defaultMaxTokens: 4000, encoding: 'cl100k_base' },
+  { family: 'claude', pattern: /^claude/, contextWindow: 200000, maxOutputTokens: 32000, defaultMaxTokens: 4000, encoding: 'cl100k_base' }
+];
+
+// Unknown models: a conservative window, counted with the most common tokenizer
+const DEFAULT_MODEL = { family: 'unknown', contextWindow: 16385, maxOutputTokens: 4096, defaultMaxTokens: 4000, encoding: 'cl100k_base' };
+
+// Settings of a configured model that override its family's limits
+const LIMIT_KEYS = ['contextWindow', 'maxOutputTokens', 'defaultMaxTokens', 'minOutputTokens', 'encoding', 'reasoning'];
+
+// Model name (lowercase) -> settings from the LLM config file
+const configuredModels = new Map();
+
+/**
+ * Register the models configured in LLM_CONFIG_FILE, replacing earlier ones
+ * @param {Object<string, Object>} models - Model settings by name (utils/llm-config.js)
+ */
+function configureModels(models = {}) {
+  configuredModels.clear();
+  for (const [name, settings] of Object.entries(models)) {
+    configuredModels.set(name.toLowerCase(), settings);
+  }
+}
+
+/**
+ * Look up a model's limits
+ * A configured model matches its family by the name sent to the API (deployment or model setting);
+ * a "provider/model" name by the part after the provider.
+ * @param {string} modelName - Model name as selected (case-insensitive)
+ * @returns {{name: string, family: string, contextWindow: number, maxOutputTokens: number, defaultMaxTokens: number,
+ *   minOutputTokens: number, encoding: string, reasoning: boolean}}
+ */
+function getModelInfo(modelName) {
+  const name = (modelName || '').toLowerCase().trim();
+  const configured = configuredModels.get(name) || {};
+  const apiName = (configured.deployment || configured.model || name).toLowerCase().split('/').pop();
+
+  const { pattern, ...limits } = MODEL_FAMILIES.find(entry => entry.pattern.test(apiName)) || DEFAULT_MODEL;
+  const overrides = {};
+  for (const key of LIMIT_KEYS) {
+    if (configured[key] !== undefined) {
+      overrides[key] = configured[key];
+    }
+  }
+
+  return {
+    minOutputTokens: 0,
+    reasoning: false,
+    ...limits,
+    ...overrides,
+    name
+  };
+}
+
+module.exports = {
+  MODEL_FAMILIES,
+  configureModels,
+  getModelInfo
+};
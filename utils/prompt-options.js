@@ -0,0 +1,140 @@
+/**
+ * Front-matter options for pinned prompt messages
+ *
+ * A prompt may start with a header between two `---` lines:
+ *
+ *   ---
+ *   model: gpt-4o-mini   # comments after a value are ignored
+ *   temperature: 0.2
+ *   output: embed
+ *   language: de
+ *   max_length: 800
+ *   strategy: chunked   # auto (default), chunked or extract
+ *   ---
+ *   You're an advanced content summarizer...
+ */
+
+const OUTPUT_FORMATS = ['embed', 'markdown', 'file'];
+
+// How transcripts are fed to the model:
+//   auto    - the whole transcript, or chunk notes when it exceeds the model's context window
+//   chunked - always summarize in chunks first, then run the prompt over the combined notes
+//   extract - keep only the beginning, middle and end of transcripts that don't fit
+const TRANSCRIPT_STRATEGIES = ['auto', 'chunked', 'extract'];
+
+// Option parsers: return the parsed value or throw with a message for /prompts validate
+const OPTION_PARSERS = {
+  model: (value) => {
+    if (!/^[\w.:\/-]+$/.test(value)) throw new Error(`"${value}" is not a model name`);
+    return value;
+  },
+  temperature: (value) => {
+    const temperature = Number(value);
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+      throw new Error(`temperature must be a number between 0 and 2 (got "${value}")`);
+    }
+    return temperature;
+  },
+  output: (value) => {
+    const output = value.toLowerCase();
+    if (!OUTPUT_FORMATS.includes(output)) {
+      throw new Error(`output must be one of ${OUTPUT_FORMATS.join(', ')} (got "${value}")`);
+    }
+    return output;
+  },
+  language: (value) => value,
+  max_length: (value) => {
+    const maxLength = Number(value);
+    if (!Number.isInteger(maxLength) || maxLength <= 0) {
+      throw new Error(`max_length must be a positive number of characters (got "${value}")`);
+    }
+    return maxLength;
+  },
+  strategy: (value) => {
+    const strategy = value.toLowerCase();
+    if (!TRANSCRIPT_STRATEGIES.includes(strategy)) {
+      throw new Error(`strategy must be one of ${TRANSCRIPT_STRATEGIES.join(', ')} (got "${value}")`);
+    }
+    return strategy;
+  }
+};
+
+// Option keys as used in code
+const OPTION_NAMES = {
+  model: 'model',
+  temperature: 'temperature',
+  output: 'output',
+  language: 'language',
+  max_length: 'maxLength',
+  strategy: 'strategy'
+};
+
+/**
+ * Split a pinned prompt into its front-matter options and the prompt text
+ * Invalid lines are reported in `errors` and skipped; the rest of the prompt is still usable.
+ * @param {string} text - Pinned message content
+ * @returns {{prompt: string, options: {model?: string, temperature?: number, output?: string, language?: string, maxLength?: number, strategy?: string}, errors: string[]}}
+ */
+function parsePromptOptions(text) {
+  const result = { prompt: text || '', options: {}, errors: [] };
+  if (!text) {
+    return result;
+  }
+
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  if (lines[0].trim() !== '---') {
+    return result;
+  }
+
+  const end = lines.findIndex((line, index) => index > 0 && line.trim() === '---');
+  if (end === -1) {
+    result.errors.push('Front-matter header is not closed with a "---" line');
+    return result;
+  }
+
+  lines.slice(1, end).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+
+    const lineNumber = index + 2;
+    const match = line.match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/);
+    if (!match) {
+      result.errors.push(`Line ${lineNumber}: expected "key: value"`);
+      return;
+    }
+
+    const key = match[1].toLowerCase().replace(/-/g, '_');
+    // Trailing "# comment" and surrounding quotes are not part of the value
+    const value = match[2].replace(/\s+#.*$/, '').replace(/^(["'])(.*)\1$/, '$2');
+    if (!OPTION_PARSERS[key]) {
+      result.errors.push(`Line ${lineNumber}: unknown option "${match[1]}" (supported: ${Object.keys(OPTION_PARSERS).join(', ')})`);
+      return;
+    }
+    if (!value) {
+      result.errors.push(`Line ${lineNumber}: ${key} has no value`);
+      return;
+    }
+
+    try {
+      result.options[OPTION_NAMES[key]] = OPTION_PARSERS[key](value);
+    } catch (error) {
+      result.errors.push(`Line ${lineNumber}: ${error.message}`);
+    }
+  });
+
+  result.prompt = lines.slice(end + 1).join('\n').trim();
+  return result;
+}
+
+/**
+ * Describe parsed options for logs and command replies, e.g. "model=gpt-4o-mini, language=de"
+ */
+function describePromptOptions(options) {
+  return Object.entries(options).map(([key, value]) => `${key}=${value}`).join(', ');
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  TRANSCRIPT_STRATEGIES,
+  parsePromptOptions,
+  describePromptOptions
+};
@@ -0,0 +1,107 @@
+/**
+ * Template variables for pinned summary and report prompts
+ *
+ * Prompts may reference `{{name}}` placeholders (case-insensitive, spaces inside the braces allowed):
+ *
+ *   Summarize "{{title}}" by {{creator}} ({{duration}}), shared by {{posted_by}}.
+ *   Link back to {{url}} at the end.
+ *
+ * Placeholders that aren't known variables are left untouched, so prompts that
+ * contain literal `{{...}}` text (e.g. JSON examples) keep working.
+ */
+
+// Fallback for variables whose value isn't known (e.g. metadata YouTube didn't return)
+const UNKNOWN_VALUE = 'unknown';
+
+// Variables available in video summary prompts
+const SUMMARY_PROMPT_VARIABLES = {
+  title: 'Video title',
+  url: 'Video URL',
+  creator: 'YouTube channel that published the video',
+  duration: 'Video length, e.g. 12:34',
+  posted_by: 'Discord user who posted the link',
+  date: 'Date the video was published',
+  transcript: 'Full transcript (placed here instead of being sent after the prompt)'
+};
+
+// Summary prompt variables filled from the video's YouTube page (utils/youtube-metadata.js)
+const METADATA_PROMPT_VARIABLES = ['creator', 'duration', 'date'];
+
+// Variables available in daily/weekly/monthly report prompts
+const REPORT_PROMPT_VARIABLES = {
+  summary_count: 'Number of summaries in the report',
+  period: 'Period the report covers, e.g. 2024-05-06 to 2024-05-12',
+  top_creators: 'Most summarized YouTube channels in the period'
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+/**
+ * Replace `{{name}}` placeholders with their values
+ * @param {string} template - Prompt text
+ * @param {Object<string, *>} variables - Values by variable name; null/undefined render as "unknown"
+ * @returns {{text: string, used: string[]}} - Rendered text and the variable names that were substituted
+ */
+function renderPromptTemplate(template, variables = {}) {
+  const used = new Set();
+  if (!template) {
+    return { text: template || '', used: [] };
+  }
+
+  const values = {};
+  for (const [name, value] of Object.entries(variables)) {
+    values[name.toLowerCase()] = value;
+  }
+
+  const text = template.replace(PLACEHOLDER_PATTERN, (placeholder, rawName) => {
+    const name = rawName.toLowerCase().replace(/-/g, '_');
+    if (!Object.prototype.hasOwnProperty.call(values, name)) {
+      return placeholder;
+    }
+    used.add(name);
+    const value = values[name];
+    return value === null || value === undefined || value === '' ? UNKNOWN_VALUE : String(value);
+  });
+
+  return { text, used: [...used] };
+}
+
+/**
+ * Format a duration in seconds as h:mm:ss or m:ss
+ * @param {number|null} seconds
+ * @returns {string|null}
+ */
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    return null;
+  }
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}`
+    : `${minutes}:${secs}`;
+}
+
+/**
+ * Names of the placeholders a prompt uses, normalized as in renderPromptTemplate
+ * @param {string} template - Prompt text
+ * @returns {string[]} - Unique names in order of first use
+ */
+function findPromptVariables(template) {
+  const names = new Set();
+  for (const match of (template || '').matchAll(PLACEHOLDER_PATTERN)) {
+    names.add(match[1].toLowerCase().replace(/-/g, '_'));
+  }
+  return [...names];
+}
+
+module.exports = {
+  SUMMARY_PROMPT_VARIABLES,
+  METADATA_PROMPT_VARIABLES,
+  REPORT_PROMPT_VARIABLES,
+  renderPromptTemplate,
+  formatDuration,
+  findPromptVariables
+};
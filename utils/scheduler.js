@@ -45,7 +45,63 @@ function createCronForCEST(hour, minute) {
   return `${local.minute} ${local.hour} * * *`;
 }
 
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date} date - The instant
+ * @param {string} timezone - IANA timezone, e.g. Europe/Berlin
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} - month is 1-12
+ */
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  return { year: value('year'), month: value('month'), day: value('day'), hour: value('hour'), minute: value('minute'), second: value('second') };
+}
+
+/**
+ * Instant a calendar day starts (midnight) in a timezone
+ * @param {number} month - 1-12; days and months past the end roll over like Date.UTC
+ * @returns {Date}
+ */
+function startOfZonedDay(year, month, day, timezone) {
+  const midnightUtc = Date.UTC(year, month - 1, day);
+  // The timezone's offset at the guess; the second pass settles days a DST change moves across
+  let instant = midnightUtc;
+  for (let pass = 0; pass < 2; pass++) {
+    const parts = getZonedParts(new Date(instant), timezone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+    instant = midnightUtc - offset;
+  }
+  return new Date(instant);
+}
+
+/**
+ * Today, this week (from Monday) and this month in a timezone
+ * @param {string} timezone - IANA timezone, e.g. Europe/Berlin
+ * @param {Date} now - The moment the periods contain
+ * @returns {{day: {start: Date, end: Date}, week: {start: Date, end: Date}, month: {start: Date, end: Date}}} - end is exclusive
+ */
+function getZonedPeriods(timezone, now = new Date()) {
+  const { year, month, day } = getZonedParts(now, timezone);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay(); // 0 = Sunday
+  const monday = day - (weekday === 0 ? 6 : weekday - 1);
+  return {
+    day: { start: startOfZonedDay(year, month, day, timezone), end: startOfZonedDay(year, month, day + 1, timezone) },
+    week: { start: startOfZonedDay(year, month, monday, timezone), end: startOfZonedDay(year, month, monday + 7, timezone) },
+    month: { start: startOfZonedDay(year, month, 1, timezone), end: startOfZonedDay(year, month + 1, 1, timezone) }
+  };
+}
+
 module.exports = {
   cestToLocal,
-  createCronForCEST
+  createCronForCEST,
+  getZonedPeriods
 };
@@ -0,0 +1,295 @@
+/**
+ * Render JSON summaries as Discord embeds
+ * Summaries in the shape our summary prompt asks for (title, summary[], noteworthy_mentions[], verdict)
+ * get a dedicated layout; any other JSON object falls back to one field per key.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getYouTubeUrl } = require('./youtube');
+
+// Discord embed size limits
+const EMBED_LIMITS = {
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048,
+  total: 6000
+};
+
+const SUMMARY_EMBED_COLOR = 0xff0000;
+
+// Keys of the known summary shape; the first alias present in the JSON is used
+const SUMMARY_KEYS = {
+  title: ['title', 'video_title'],
+  points: ['summary', 'key_points', 'points'],
+  mentions: ['noteworthy_mentions', 'mentions'],
+  verdict: ['verdict', 'takeaway', 'conclusion']
+};
+
+/**
+ * Parse summary text as a JSON object, tolerating a ```json code fence around it
+ * @param {string} content - Summary text
+ * @returns {Object|null} - Parsed object, or null if the text isn't a JSON object
+ */
+function parseJsonSummary(content) {
+  if (typeof content !== 'string') {
+    return null;
+  }
+
+  const trimmed = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  if (!trimmed.startsWith('{')) {
+    return null;
+  }
+
+  try {
+    const data = JSON.parse(trimmed);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function truncate(text, max) {
+  if (max <= 0) return '';
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+/**
+ * "noteworthy_mentions" -> "Noteworthy Mentions"
+ */
+function humanizeKey(key) {
+  return key.replace(/[_-]+/g, ' ').trim().replace(/\b\w/g, char => char.toUpperCase());
+}
+
+function isPresent(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return true;
+}
+
+function pickKey(data, aliases) {
+  return aliases.find(key => isPresent(data[key])) || null;
+}
+
+/**
+ * Render a value on a single line (nested arrays/objects inside lists)
+ */
+function formatInline(value) {
+  if (Array.isArray(value)) {
+    return value.map(formatInline).join(', ');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, entry]) => `${humanizeKey(key)}: ${formatInline(entry)}`).join('; ');
+  }
+  return String(value);
+}
+
+/**
+ * Render a value as field text: arrays become bullets, objects become "Key: value" lines
+ */
+function formatValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => `• ${formatInline(item)}`).join('\n');
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).map(([key, entry]) => `**${humanizeKey(key)}:** ${formatInline(entry)}`).join('\n');
+  }
+  return String(value);
+}
+
+/**
+ * Pack lines into chunks of at most `max` characters, truncating lines that don't fit on their own
+ */
+function chunkLines(text, max) {
+  const chunks = [];
+  let current = '';
+
+  for (const rawLine of text.split('\n')) {
+    const line = truncate(rawLine, max);
+    if (current && current.length + 1 + line.length > max) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  }
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Embed under construction, tracking the 6000 character total across all parts
+ */
+function createEmbedState(title, url) {
+  const state = {
+    embed: new EmbedBuilder().setColor(SUMMARY_EMBED_COLOR),
+    used: 0,
+    truncated: false
+  };
+
+  const safeTitle = truncate(title, EMBED_LIMITS.title);
+  state.embed.setTitle(safeTitle);
+  state.used += safeTitle.length;
+  if (url) {
+    state.embed.setURL(url);
+  }
+  return state;
+}
+
+/**
+ * Fit text into a part of the embed, within both the part's limit and the remaining total
+ */
+function take(state, text, max) {
+  const remaining = EMBED_LIMITS.total - state.used;
+  const fitted = truncate(text, Math.min(max, remaining));
+  if (fitted.length < text.length) {
+    state.truncated = true;
+  }
+  state.used += fitted.length;
+  return fitted;
+}
+
+function setFooter(state, text) {
+  const fitted = take(state, text, EMBED_LIMITS.footer);
+  if (fitted) {
+    state.embed.setFooter({ text: fitted });
+  }
+}
+
+function setDescription(state, text) {
+  const fitted = take(state, text, EMBED_LIMITS.description);
+  if (fitted) {
+    state.embed.setDescription(fitted);
+  }
+}
+
+/**
+ * Add a field, continuing into "(cont.)" fields when the value exceeds the field limit
+ */
+function addField(state, name, value) {
+  if (!value) return;
+
+  chunkLines(value, EMBED_LIMITS.fieldValue).forEach((chunk, index) => {
+    if (state.truncated) return;
+
+    const fieldCount = state.embed.data.fields?.length || 0;
+    const fieldName = truncate(index === 0 ? name : `${name} (cont.)`, EMBED_LIMITS.fieldName);
+    const remaining = EMBED_LIMITS.total - state.used - fieldName.length;
+    if (fieldCount >= EMBED_LIMITS.fields || remaining < 2) {
+      state.truncated = true;
+      return;
+    }
+
+    state.used += fieldName.length;
+    state.embed.addFields({ name: fieldName, value: take(state, chunk, EMBED_LIMITS.fieldValue) });
+  });
+}
+
+/**
+ * Layout for the summary prompt's shape: linked title, bullet fields, mentions and the verdict as footer
+ */
+function buildVideoSummaryEmbed(data, keys, video) {
+  const state = createEmbedState(
+    keys.title ? formatInline(data[keys.title]) : (video.videoTitle || 'Video summary'),
+    video.videoId ? getYouTubeUrl(video.videoId) : null
+  );
+
+  // The footer is reserved first so long bullet lists can't crowd out the verdict
+  if (keys.verdict) {
+    setFooter(state, `Verdict: ${formatInline(data[keys.verdict])}`);
+  }
+
+  const points = data[keys.points];
+  if (typeof points === 'string') {
+    setDescription(state, points);
+  } else {
+    addField(state, '📌 Summary', formatValue(points));
+  }
+
+  if (keys.mentions) {
+    addField(state, '💡 Noteworthy Mentions', formatValue(data[keys.mentions]));
+  }
+
+  // Extra keys the prompt added beyond the known shape
+  const knownKeys = new Set(Object.values(keys).filter(Boolean));
+  for (const [key, value] of Object.entries(data)) {
+    if (!knownKeys.has(key) && isPresent(value)) {
+      addField(state, humanizeKey(key), formatValue(value));
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Generic layout for other JSON shapes: one field per key
+ */
+function buildGenericEmbed(data, video) {
+  const titleKey = pickKey(data, SUMMARY_KEYS.title);
+  const state = createEmbedState(
+    titleKey ? formatInline(data[titleKey]) : (video.videoTitle || 'Video summary'),
+    video.videoId ? getYouTubeUrl(video.videoId) : null
+  );
+
+  for (const [key, value] of Object.entries(data)) {
+    if (key !== titleKey && isPresent(value)) {
+      addField(state, humanizeKey(key), formatValue(value));
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Render a summary as an embed when it is a JSON object
+ * @param {string} content - Summary text from the model
+ * @param {{videoId?: string, videoTitle?: string}} video - Video the summary is about (title fallback and link)
+ * @returns {{embed: EmbedBuilder, truncated: boolean}|null} - The embed and whether content was cut to fit, or null for non-JSON summaries
+ */
+function renderSummaryEmbed(content, video = {}) {
+  const data = parseJsonSummary(content);
+  if (!data || !Object.values(data).some(isPresent)) {
+    return null;
+  }
+
+  const keys = {
+    title: pickKey(data, SUMMARY_KEYS.title),
+    points: pickKey(data, SUMMARY_KEYS.points),
+    mentions: pickKey(data, SUMMARY_KEYS.mentions),
+    verdict: pickKey(data, SUMMARY_KEYS.verdict)
+  };
+
+  const state = keys.points
+    ? buildVideoSummaryEmbed(data, keys, video)
+    : buildGenericEmbed(data, video);
+
+  return { embed: state.embed, truncated: state.truncated };
+}
+
+/**
+ * Render a markdown summary as an embed description (for prompts with `output: embed`)
+ * @param {string} content - Summary text
+ * @param {{videoId?: string, videoTitle?: string}} video - Video the summary is about
+ * @returns {{embed: EmbedBuilder, truncated: boolean}|null} - null when the text doesn't fit an embed description
+ */
+function renderMarkdownEmbed(content, video = {}) {
+  const text = (content || '').trim();
+  if (!text || text.length > EMBED_LIMITS.description) {
+    return null;
+  }
+
+  const state = createEmbedState(video.videoTitle || 'Video summary', video.videoId ? getYouTubeUrl(video.videoId) : null);
+  setDescription(state, text);
+  return { embed: state.embed, truncated: state.truncated };
+}
+
+module.exports = {
+  EMBED_LIMITS,
+  parseJsonSummary,
+  renderSummaryEmbed,
+  renderMarkdownEmbed
+};
@@ -0,0 +1,88 @@
+/**
+ * Line diffs between two versions of a prompt, for /prompts history
+ */
+
+/**
+ * Compare two texts line by line (longest common subsequence)
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {Array<{type: 'same'|'added'|'removed', line: string}>} - Lines of both texts in order
+ */
+function diffLines(oldText, newText) {
+  const oldLines = (oldText || '').replace(/\r\n/g, '\n').split('\n');
+  const newLines = (newText || '').replace(/\r\n/g, '\n').split('\n');
+
+  // common[i][j] = length of the longest common subsequence of oldLines[i..] and newLines[j..]
+  const common = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      common[i][j] = oldLines[i] === newLines[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length && j < newLines.length) {
+    if (oldLines[i] === newLines[j]) {
+      result.push({ type: 'same', line: oldLines[i] });
+      i++;
+      j++;
+    } else if (common[i + 1][j] >= common[i][j + 1]) {
+      result.push({ type: 'removed', line: oldLines[i++] });
+    } else {
+      result.push({ type: 'added', line: newLines[j++] });
+    }
+  }
+  while (i < oldLines.length) {
+    result.push({ type: 'removed', line: oldLines[i++] });
+  }
+  while (j < newLines.length) {
+    result.push({ type: 'added', line: newLines[j++] });
+  }
+  return result;
+}
+
+/**
+ * Render the changes between two texts in `diff` code block syntax ("+ added", "- removed")
+ * Unchanged lines are only shown as context around changes; longer unchanged runs become "...".
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @param {number} context - Unchanged lines to keep before and after each change
+ * @returns {string} - Diff lines, or an empty string when the texts are the same
+ */
+function formatDiff(oldText, newText, context = 1) {
+  const lines = diffLines(oldText, newText);
+  const changed = lines.map(entry => entry.type !== 'same');
+  if (!changed.includes(true)) {
+    return '';
+  }
+
+  const output = [];
+  let skipped = false;
+  lines.forEach((entry, index) => {
+    const nearChange = changed
+      .slice(Math.max(0, index - context), index + context + 1)
+      .includes(true);
+
+    if (!nearChange) {
+      if (!skipped) {
+        output.push('...');
+        skipped = true;
+      }
+      return;
+    }
+
+    skipped = false;
+    const marker = entry.type === 'added' ? '+' : entry.type === 'removed' ? '-' : ' ';
+    output.push(`${marker} ${entry.line}`);
+  });
+  return output.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  formatDiff
+};
@@ -0,0 +1,73 @@
+/**
+ * Local token counting with the tokenizer of each model family (js-tiktoken, no network)
+ *
+ * Encoders are built on first use and kept for the life of the process; building one
+ * takes about a second, counting a long transcript a fraction of that.
+ */
+
+const { Tiktoken } = require('js-tiktoken/lite');
+const { getModelInfo } = require('./model-registry');
+
+// Rank files bundled with js-tiktoken, loaded only for the encodings in use
+const RANKS = {
+  o200k_base: () => require('js-tiktoken/ranks/o200k_base'),
+  cl100k_base: () => require('js-tiktoken/ranks/cl100k_base')
+};
+
+// Tokens the chat format adds around each message, and to prime the reply
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+const encoders = new Map();
+
+function getEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    const loadRanks = RANKS[encoding] || RANKS.cl100k_base;
+    encoders.set(encoding, new Tiktoken(loadRanks()));
+  }
+  return encoders.get(encoding);
+}
+
+/**
+ * Count the tokens of a text with a model's tokenizer
+ * Special-token text such as "<|endoftext|>" in a transcript is counted as plain text.
+ * @param {string} text
+ * @param {string} modelName - Model whose tokenizer applies (unknown models use cl100k_base)
+ * @returns {number}
+ */
+function countTokens(text, modelName) {
+  if (!text) {
+    return 0;
+  }
+  return getEncoder(getModelInfo(modelName).encoding).encode(text, [], []).length;
+}
+
+/**
+ * Count the prompt tokens of a chat request
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {string} modelName
+ * @returns {number}
+ */
+function countMessageTokens(messages, modelName) {
+  return messages.reduce(
+    (total, message) => total + TOKENS_PER_MESSAGE + countTokens(message.content, modelName),
+    TOKENS_PER_REPLY
+  );
+}
+
+/**
+ * A token counter bound to one model, e.g. for splitTranscriptIntoChunks
+ * @param {string} modelName
+ * @returns {function(string): number}
+ */
+function tokenCounterFor(modelName) {
+  return (text) => countTokens(text, modelName);
+}
+
+module.exports = {
+  TOKENS_PER_MESSAGE,
+  TOKENS_PER_REPLY,
+  countTokens,
+  countMessageTokens,
+  tokenCounterFor
+};
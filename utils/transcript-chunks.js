@@ -0,0 +1,130 @@
+/**
+ * Split long transcripts into model-sized chunks for map-reduce summaries
+ *
+ * Chunks end on sentence boundaries (or line breaks, for auto-generated captions without
+ * punctuation); only a single sentence longer than a chunk is split between words.
+ * Sizes are in tokens, counted with the caller's tokenizer (utils/tokenizer.js) or estimated.
+ */
+
+// Rough token estimate for callers without a model: ~4 characters per token
+const CHARS_PER_TOKEN = 4;
+
+// A sentence with its closing punctuation (and quotes/brackets), or a line without any
+const SENTENCE_PATTERN = /[^.!?。！？\n]+(?:[.!?。！？]+["')\]」』]*|\n|$)\s*|[.!?。！？\n]+\s*/g;
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Cut a single word (e.g. a URL or text without spaces) into pieces of at most maxTokens
+ */
+function cutWord(word, maxTokens, countTokens) {
+  const pieces = [];
+  let rest = word;
+  while (rest) {
+    let size = Math.min(rest.length, maxTokens);
+    while (size > 1 && countTokens(rest.substring(0, size)) > maxTokens) {
+      size = Math.floor(size / 2);
+    }
+    pieces.push(rest.substring(0, size));
+    rest = rest.substring(size);
+  }
+  return pieces;
+}
+
+/**
+ * Split a sentence that is too long for one chunk between words (or anywhere, for a single huge word)
+ */
+function splitLongSentence(sentence, maxTokens, countTokens) {
+  if (countTokens(sentence) <= maxTokens) {
+    return [sentence];
+  }
+
+  const pieces = [];
+  let current = '';
+  let currentTokens = 0;
+  for (const word of sentence.match(/\S+\s*/g) || []) {
+    const wordTokens = countTokens(word);
+    if (current && currentTokens + wordTokens > maxTokens) {
+      pieces.push(current);
+      current = '';
+      currentTokens = 0;
+    }
+    if (wordTokens > maxTokens) {
+      pieces.push(...cutWord(word, maxTokens, countTokens));
+      continue;
+    }
+    current += word;
+    currentTokens += wordTokens;
+  }
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+}
+
+/**
+ * Pack pieces into chunks: a chunk closes once it reaches `targetTokens` or the next piece wouldn't fit
+ * @param {Array<{text: string, tokens: number}>} pieces
+ */
+function packPieces(pieces, maxTokens, targetTokens) {
+  const chunks = [];
+  let current = '';
+  let currentTokens = 0;
+  for (const piece of pieces) {
+    if (current && (currentTokens >= targetTokens || currentTokens + piece.tokens > maxTokens)) {
+      chunks.push(current.trim());
+      current = '';
+      currentTokens = 0;
+    }
+    current += piece.text;
+    currentTokens += piece.tokens;
+  }
+  if (current.trim()) {
+    chunks.push(current.trim());
+  }
+  return chunks;
+}
+
+/**
+ * Split a transcript into chunks of at most `maxTokens` on sentence boundaries
+ * Chunks are balanced, so the last one isn't a small remainder.
+ * @param {string} transcript - Full transcript
+ * @param {number} maxTokens - Largest chunk size in tokens
+ * @param {function(string): number} [countTokens] - Token counter for the target model (default: estimate)
+ * @returns {string[]} - Chunks in order; a transcript that fits is returned as one chunk
+ */
+function splitTranscriptIntoChunks(transcript, maxTokens, countTokens = estimateTokens) {
+  const text = (transcript || '').trim();
+  if (!text) {
+    return [];
+  }
+
+  const limit = Math.max(1, Math.floor(maxTokens));
+  if (countTokens(text) <= limit) {
+    return [text];
+  }
+
+  const pieces = (text.match(SENTENCE_PATTERN) || [])
+    .flatMap(sentence => splitLongSentence(sentence, limit, countTokens))
+    .map(piece => ({ text: piece, tokens: countTokens(piece) }));
+  const totalTokens = pieces.reduce((total, piece) => total + piece.tokens, 0);
+
+  // Filling chunks as far as they go tells how many are needed; then spread the text evenly over that many
+  const filled = packPieces(pieces, limit, limit);
+  return filled.length > 1
+    ? packPieces(pieces, limit, Math.ceil(totalTokens / filled.length))
+    : filled;
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  estimateTokens,
+  splitTranscriptIntoChunks
+};
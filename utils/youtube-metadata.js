@@ -0,0 +1,58 @@
+/**
+ * Utility to fetch YouTube video details (creator, duration, publish date) without using the YouTube API
+ */
+
+/**
+ * Undo the escaping YouTube applies to strings in its embedded player JSON
+ */
+function unescapeJsonString(value) {
+  try {
+    return JSON.parse(`"${value}"`);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Fetches video details by scraping the watch page's player data
+ * @param {string} videoId - The YouTube video ID
+ * @param {Object} logger - Logger of the calling service
+ * @returns {Promise<{title: string|null, channelName: string|null, channelId: string|null, duration: number|null, publishedAt: string|null}|null>}
+ *   Details (missing fields are null), or null if the page could not be fetched
+ */
+async function getYouTubeMetadata(videoId, logger = console) {
+  try {
+    const fetchFunction = globalThis.fetch || require('node-fetch');
+    const response = await fetchFunction(`https://www.youtube.com/watch?v=${videoId}`, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept-Language': 'en-US,en;q=0.5'
+      }
+    });
+
+    if (!response.ok) {
+      logger.warn(`Failed to fetch YouTube page for metadata: ${response.status} ${response.statusText}`);
+      return null;
+    }
+
+    const html = await response.text();
+    const find = (pattern) => {
+      const match = html.match(pattern);
+      return match ? unescapeJsonString(match[1]) : null;
+    };
+
+    const lengthSeconds = find(/"lengthSeconds":"(\d+)"/);
+    return {
+      title: find(/"videoDetails":\{[^}]*?"title":"((?:[^"\\]|\\.)*)"/),
+      channelName: find(/"ownerChannelName":"((?:[^"\\]|\\.)*)"/) || find(/"author":"((?:[^"\\]|\\.)*)"/),
+      channelId: find(/"channelId":"(UC[\w-]+)"/),
+      duration: lengthSeconds ? parseInt(lengthSeconds, 10) : null,
+      publishedAt: find(/"publishDate":"([^"]+)"/) || find(/<meta itemprop="datePublished" content="([^"]+)"/)
+    };
+  } catch (error) {
+    logger.error(`Error fetching YouTube metadata for ${videoId}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = { getYouTubeMetadata };
@@ -0,0 +1,114 @@
+/**
+ * Utility to resolve the videos of a YouTube playlist
+ * Uses the YouTube Data API when a key is configured, otherwise scrapes the playlist page
+ */
+
+/**
+ * Get a fetch implementation (Node.js 18+ built-in, or node-fetch)
+ */
+function getFetch() {
+  return globalThis.fetch || require('node-fetch');
+}
+
+/**
+ * Resolve playlist video IDs through the YouTube Data API
+ * @param {string} playlistId - YouTube playlist ID
+ * @param {string} apiKey - YouTube Data API key
+ * @param {number} maxVideos - Maximum number of IDs to return
+ * @returns {Promise<string[]>} - Video IDs in playlist order
+ */
+async function getPlaylistVideoIdsFromApi(playlistId, apiKey, maxVideos) {
+  const fetchFunction = getFetch();
+  const videoIds = [];
+  let pageToken = '';
+
+  do {
+    const params = new URLSearchParams({
+      part: 'contentDetails',
+      maxResults: String(Math.min(50, maxVideos - videoIds.length)),
+      playlistId,
+      key: apiKey
+    });
+    if (pageToken) params.set('pageToken', pageToken);
+
+    const response = await fetchFunction(`https://www.googleapis.com/youtube/v3/playlistItems?${params}`);
+    if (!response.ok) {
+      throw new Error(`YouTube API returned ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    for (const item of data.items || []) {
+      const videoId = item.contentDetails?.videoId;
+      if (videoId && !videoIds.includes(videoId)) {
+        videoIds.push(videoId);
+      }
+    }
+
+    pageToken = data.nextPageToken || '';
+  } while (pageToken && videoIds.length < maxVideos);
+
+  return videoIds.slice(0, maxVideos);
+}
+
+/**
+ * Resolve playlist video IDs by scraping the public playlist page
+ * Only the first page (~100 videos) is available this way
+ * @param {string} playlistId - YouTube playlist ID
+ * @param {number} maxVideos - Maximum number of IDs to return
+ * @returns {Promise<string[]>} - Video IDs in playlist order
+ */
+async function getPlaylistVideoIdsFromPage(playlistId, maxVideos) {
+  const fetchFunction = getFetch();
+  const response = await fetchFunction(`https://www.youtube.com/playlist?list=${playlistId}`, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept-Language': 'en-US,en;q=0.5'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch playlist page: ${response.status} ${response.statusText}`);
+  }
+
+  const html = await response.text();
+  const videoIds = [];
+  const pattern = /"playlistVideoRenderer":\{"videoId":"([a-zA-Z0-9_-]{11})"/g;
+
+  for (const match of html.matchAll(pattern)) {
+    if (!videoIds.includes(match[1])) {
+      videoIds.push(match[1]);
+    }
+    if (videoIds.length >= maxVideos) break;
+  }
+
+  return videoIds;
+}
+
+/**
+ * Fetches the video IDs contained in a YouTube playlist
+ * @param {string} playlistId - YouTube playlist ID
+ * @param {Object} options - Resolution options
+ * @param {string} [options.apiKey] - YouTube Data API key (preferred source when set)
+ * @param {number} [options.maxVideos=25] - Maximum number of IDs to return
+ * @returns {Promise<string[]>} - Video IDs in playlist order (empty if the playlist can't be read)
+ */
+async function getPlaylistVideoIds(playlistId, options = {}) {
+  const { apiKey, maxVideos = 25 } = options;
+
+  if (apiKey) {
+    try {
+      return await getPlaylistVideoIdsFromApi(playlistId, apiKey, maxVideos);
+    } catch (error) {
+      console.log(`⚠️ YouTube API playlist lookup failed, falling back to page scraping: ${error.message}`);
+    }
+  }
+
+  try {
+    return await getPlaylistVideoIdsFromPage(playlistId, maxVideos);
+  } catch (error) {
+    console.error(`Error resolving playlist ${playlistId}:`, error);
+    return [];
+  }
+}
+
+module.exports = { getPlaylistVideoIds };
@@ -30,7 +30,7 @@ function extractVideoId(text) {
   if (!text) return null;
   
   // Enhanced regex to catch more YouTube URL formats
-  const youtubeRegex = /(?:https?:\/\/)?(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/|v\/)|youtu\.be\/|youtube\.com\/clip\/)([a-zA-Z0-9_-]+)(?:\S+)?/i;
+  const youtubeRegex = /(?:https?:\/\/)?(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/|live\/|v\/)|youtu\.be\/|youtube\.com\/clip\/)([a-zA-Z0-9_-]+)(?:\S+)?/i;
   
   // Try standard YouTube URL formats
   const match = text.match(youtubeRegex);
@@ -59,6 +59,64 @@ function extractVideoId(text) {
   return null;
 }
 
+/**
+ * Extracts every YouTube video link from a block of text
+ * Covers watch, youtu.be, Shorts, live, embed and mobile (m.youtube.com) URLs
+ * @param {string} text - Text that may contain several YouTube URLs
+ * @returns {Array<{videoId: string, url: string}>} - Distinct links in order of appearance
+ */
+function extractVideoLinks(text) {
+  if (!text) return [];
+
+  // The host has to start the text or a word, or follow the scheme's // or a subdomain's dot,
+  // so look-alike hosts such as notyoutube.com don't match
+  const youtubeRegex = /(?:https?:\/\/)?(?<=^|[\s<]|\/\/|\.)(?:www\.|m\.|music\.)?(?:youtube\.com\/(?:watch\?(?:[^\s&#]*&)*v=|shorts\/|embed\/|live\/|v\/)|youtube-nocookie\.com\/embed\/|youtu\.be\/)([a-zA-Z0-9_-]{11})(?![a-zA-Z0-9_-])\S*/gi;
+
+  const links = [];
+  const seen = new Set();
+
+  for (const match of text.matchAll(youtubeRegex)) {
+    const videoId = match[1];
+    if (seen.has(videoId)) continue;
+
+    seen.add(videoId);
+    links.push({ videoId, url: match[0] });
+  }
+
+  return links;
+}
+
+/**
+ * Extracts every distinct YouTube video ID from a block of text
+ * @param {string} text - Text that may contain several YouTube URLs
+ * @returns {string[]} - Distinct video IDs in order of appearance
+ */
+function extractVideoIds(text) {
+  return extractVideoLinks(text).map(link => link.videoId);
+}
+
+/**
+ * Extracts every distinct YouTube playlist ID from a block of text
+ * Matches both playlist pages and watch URLs that carry a list= parameter
+ * @param {string} text - Text that may contain YouTube playlist URLs
+ * @returns {string[]} - Distinct playlist IDs in order of appearance
+ */
+function extractPlaylistIds(text) {
+  if (!text) return [];
+
+  const playlistRegex = /(?:https?:\/\/)?(?:www\.|m\.|music\.)?youtube\.com\/(?:playlist|watch)\?\S*?\blist=([a-zA-Z0-9_-]+)/gi;
+
+  const ids = [];
+  for (const match of text.matchAll(playlistRegex)) {
+    const playlistId = match[1];
+    // Radio/mix lists (RD...) are generated per viewer and can't be expanded
+    if (playlistId.startsWith('RD') || ids.includes(playlistId)) continue;
+    ids.push(playlistId);
+  }
+
+  return ids;
+}
+
 /**
  * Constructs a full YouTube URL from a video ID
  * @param {string} videoId - YouTube video ID
@@ -111,6 +169,9 @@ async function isYouTubeLive(url) {
 module.exports = {
   isYouTubeLink,
   extractVideoId,
+  extractVideoIds,
+  extractVideoLinks,
+  extractPlaylistIds,
   getYouTubeUrl,
   isYouTubeShort,
   isYouTubeLive